@@ -15,29 +15,22 @@ WITH player_performance AS (
     -- Count total appearances
     COUNT(*) as total_appearances,
     -- Calculate average ranking (lower is better, so we'll invert this for analysis)
-    AVG(ranking::integer) as avg_ranking,
-    -- Calculate average points (convert text to numeric, handling potential formatting)
-    AVG(
-      CASE 
-        WHEN points ~ '^[0-9,\.]+$' THEN 
-          REPLACE(REPLACE(points, ',', ''), '.', '')::numeric
-        ELSE 0 
-      END
-    ) as avg_points,
+    AVG(ranking) as avg_ranking,
+    -- Calculate average points
+    AVG(points) as avg_points,
     -- Count bottom 20 appearances (rankings 21+)
-    COUNT(CASE WHEN ranking::integer > 20 THEN 1 END) as bottom_20_count,
+    COUNT(CASE WHEN ranking > 20 THEN 1 END) as bottom_20_count,
     -- Count bottom 10 appearances (rankings 11+)
-    COUNT(CASE WHEN ranking::integer > 10 THEN 1 END) as bottom_10_count,
+    COUNT(CASE WHEN ranking > 10 THEN 1 END) as bottom_10_count,
     -- Worst ranking achieved
-    MAX(ranking::integer) as worst_ranking,
+    MAX(ranking) as worst_ranking,
     -- Best ranking achieved
-    MIN(ranking::integer) as best_ranking,
+    MIN(ranking) as best_ranking,
     -- Days participated
     COUNT(DISTINCT day) as days_participated
   FROM rankings
   WHERE commander IS NOT NULL 
     AND commander != ''
-    AND ranking ~ '^[0-9]+$'  -- Ensure ranking is numeric
   GROUP BY commander
   HAVING COUNT(*) >= 3  -- Only include players with at least 3 appearances
 ),
@@ -46,7 +39,7 @@ WITH player_performance AS (
 top_10_achievers AS (
   SELECT DISTINCT commander
   FROM rankings
-  WHERE ranking::integer <= 10
+  WHERE ranking <= 10
     AND commander IS NOT NULL 
     AND commander != ''
 ),
@@ -57,28 +50,12 @@ weekly_leaders AS (
   FROM (
     SELECT 
       commander,
-      SUM(
-        CASE 
-          WHEN points ~ '^[0-9,\.]+$' THEN 
-            REPLACE(REPLACE(points, ',', ''), '.', '')::numeric
-          ELSE 0 
-        END
-      ) as weekly_points
+      SUM(points) as weekly_points
     FROM rankings
     WHERE commander IS NOT NULL 
       AND commander != ''
-      AND points ~ '^[0-9,\.]+$'
-    GROUP BY commander, 
-             -- Extract week from day (assuming day format is YYYY-MM-DD or similar)
-             CASE 
-               WHEN day ~ '^\d{4}-\d{2}-\d{2}$' THEN 
-                 DATE_TRUNC('week', day::date)
-               WHEN day ~ '^\d{4}-W\d{2}$' THEN 
-                 -- Handle ISO week format if needed
-                 day
-               ELSE 
-                 day  -- Fallback for other formats
-             END
+      AND date IS NOT NULL
+    GROUP BY commander, DATE_TRUNC('week', date)
   ) weekly_scores
   WHERE weekly_points > 0
   GROUP BY commander
@@ -145,7 +122,7 @@ LIMIT 10;
 WITH top_10_achievers AS (
   SELECT DISTINCT commander
   FROM rankings
-  WHERE ranking::integer <= 10
+  WHERE ranking <= 10
     AND commander IS NOT NULL 
     AND commander != ''
 ),
@@ -154,26 +131,12 @@ weekly_leaders AS (
   FROM (
     SELECT 
       commander,
-      SUM(
-        CASE 
-          WHEN points ~ '^[0-9,\.]+$' THEN 
-            REPLACE(REPLACE(points, ',', ''), '.', '')::numeric
-          ELSE 0 
-        END
-      ) as weekly_points
+      SUM(points) as weekly_points
     FROM rankings
     WHERE commander IS NOT NULL 
       AND commander != ''
-      AND points ~ '^[0-9,\.]+$'
-    GROUP BY commander, 
-             CASE 
-               WHEN day ~ '^\d{4}-\d{2}-\d{2}$' THEN 
-                 DATE_TRUNC('week', day::date)
-               WHEN day ~ '^\d{4}-W\d{2}$' THEN 
-                 day
-               ELSE 
-                 day
-             END
+      AND date IS NOT NULL
+    GROUP BY commander, DATE_TRUNC('week', date)
   ) weekly_scores
   WHERE weekly_points > 0
   GROUP BY commander
@@ -183,14 +146,13 @@ SELECT
   ROW_NUMBER() OVER (ORDER BY avg_ranking DESC) as rank,
   commander,
   COUNT(*) as total_appearances,
-  ROUND(AVG(ranking::integer), 2) as average_ranking,
+  ROUND(AVG(ranking), 2) as average_ranking,
   COUNT(DISTINCT day) as days_participated,
-  MIN(ranking::integer) as best_ranking,
-  MAX(ranking::integer) as worst_ranking
+  MIN(ranking) as best_ranking,
+  MAX(ranking) as worst_ranking
 FROM rankings
 WHERE commander IS NOT NULL 
   AND commander != ''
-  AND ranking ~ '^[0-9]+$'
   AND commander NOT IN (SELECT commander FROM top_10_achievers)
   AND commander NOT IN (SELECT commander FROM weekly_leaders)
 GROUP BY commander
@@ -209,9 +171,10 @@ SELECT
   COUNT(*) as total_rankings,
   COUNT(DISTINCT commander) as unique_players,
   COUNT(DISTINCT day) as unique_days,
-  COUNT(CASE WHEN ranking ~ '^[0-9]+$' THEN 1 END) as valid_rankings,
-  COUNT(CASE WHEN points ~ '^[0-9,\.]+$' THEN 1 END) as valid_points,
-  MIN(ranking::integer) as min_ranking,
-  MAX(ranking::integer) as max_ranking
+  -- Points that were unreadable before the bigint migration are stored as 0
+  COUNT(CASE WHEN points > 0 THEN 1 END) as rankings_with_points,
+  COUNT(CASE WHEN date IS NULL AND event_id IS NULL THEN 1 END) as rankings_without_date_or_event,
+  MIN(ranking) as min_ranking,
+  MAX(ranking) as max_ranking
 FROM rankings;
 */
@@ -0,0 +1,171 @@
+/**
+ * Service worker - lets the app open and show rankings without a connection
+ *
+ * - App shell (page, scripts, styles, icons): all cached on install, so the
+ *   app opens offline after one visit; served from cache and refreshed in
+ *   the background. Each build installs as a new worker with its own shell.
+ * - Supabase reads for the tables the weekly tabs, VIP schedule and season
+ *   report use: network first; the last CACHED_WEEKS weeks are kept and
+ *   served when the network fails. The page is told the data is cached so
+ *   it can show when it's from.
+ *
+ * Writes and the connection check (`select=count`) always go to the
+ * network, so the app still notices it's offline and queues its changes.
+ */
+
+// Filled in by the build (scripts/service-worker-precache.js): a version
+// per build, and the hashed scripts and styles that build wrote
+const CACHE_VERSION = 'dev';
+const BUILD_ASSETS = [];
+
+// The shell is replaced with every build; cached data outlives builds and
+// only changes name if the way it is stored changes
+const SHELL_CACHE = `rankings-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'rankings-data-v1';
+
+// How much dated data (rankings, VIP selections) to keep for offline viewing
+const CACHED_WEEKS = 8;
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    ...BUILD_ASSETS
+];
+
+// Tables cached for offline viewing, with the date column to trim by (null keeps every row)
+const CACHED_TABLES = {
+    rankings: 'day',
+    vip_selections: 'date',
+    alliance_leaders: null,
+    train_conductor_rotation: null,
+    special_events: null,
+    removed_players: null,
+    inactive_players: null,
+    excused_players: null,
+    player_aliases: null,
+    players: null,
+    kudos_points: null,
+    season_rankings: null,
+    seasons: null
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== SHELL_CACHE && key !== DATA_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+    const table = url.pathname.split('/rest/v1/')[1];
+    if (table !== undefined) {
+        if (table in CACHED_TABLES && url.searchParams.get('select') !== 'count') {
+            event.respondWith(networkFirstData(event, table));
+        }
+        return;
+    }
+
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE).then(cache => cache.put('/index.html', copy));
+                    return response;
+                })
+                .catch(() => caches.match('/index.html'))
+        );
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(request));
+});
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
+
+async function networkFirstData(event, table) {
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(event.request);
+        if (response.ok) {
+            await cache.put(event.request, await trimmedCopy(response.clone(), CACHED_TABLES[table]));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(event.request, { ignoreVary: true });
+        if (!cached) {
+            return Response.error();
+        }
+
+        const client = await self.clients.get(event.clientId);
+        client?.postMessage({ type: 'cached-data', table, cachedAt: cached.headers.get('X-Cached-At') });
+        return cached;
+    }
+}
+
+// Copy of a response with rows older than CACHED_WEEKS dropped and the time it was cached
+async function trimmedCopy(response, dateColumn) {
+    let body = await response.text();
+
+    if (dateColumn) {
+        const cutoff = new Date(Date.now() - CACHED_WEEKS * 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        try {
+            const rows = JSON.parse(body);
+            if (Array.isArray(rows)) {
+                // Event keys and other non-date values are kept
+                body = JSON.stringify(rows.filter(row => {
+                    const value = row[dateColumn];
+                    return typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value) || value >= cutoff;
+                }));
+            }
+        } catch (error) {
+            // Not JSON - cache it as it is
+        }
+    }
+
+    const headers = new Headers(response.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+    headers.delete('Content-Length');
+    headers.delete('Content-Encoding');
+    return new Response(body, { status: response.status, statusText: response.statusText, headers });
+}
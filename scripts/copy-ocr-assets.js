@@ -0,0 +1,33 @@
+// Copies the Tesseract.js worker, WASM core and English language data out of
+// node_modules into public/tesseract so OCR runs without a CDN.
+// Runs automatically before `npm run dev` and `npm run build`.
+
+import { copyFileSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const modules = join(root, 'node_modules');
+const target = join(root, 'public', 'tesseract');
+
+const assets = [
+    ['tesseract.js/dist/worker.min.js', 'worker.min.js'],
+    ['tesseract.js-core/tesseract-core-lstm.wasm.js', 'tesseract-core-lstm.wasm.js'],
+    ['tesseract.js-core/tesseract-core-simd-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js'],
+    ['@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz', 'lang/eng.traineddata.gz']
+];
+
+for (const [source, destination] of assets) {
+    const from = join(modules, source);
+    const to = join(target, destination);
+
+    if (!existsSync(from)) {
+        console.warn(`OCR asset missing, skipping: ${source}`);
+        continue;
+    }
+
+    mkdirSync(dirname(to), { recursive: true });
+    copyFileSync(from, to);
+}
+
+console.log(`OCR assets copied to ${target}`);
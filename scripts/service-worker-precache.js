@@ -0,0 +1,46 @@
+// Vite plugin that fills in the service worker's precache list after a
+// build: every script, style and asset the build wrote (their names carry
+// content hashes) and a cache version new to the build, so an installed app
+// has the whole shell before it goes offline and drops the old one on update.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+const VERSION_LINE = /^const CACHE_VERSION = .*;$/m;
+const ASSETS_LINE = /^const BUILD_ASSETS = .*;$/m;
+
+/**
+ * Set the cache version and build assets in the service worker source
+ * @param {string} source - Contents of public/sw.js
+ * @param {Array<string>} assets - URL paths, e.g. '/assets/index-1a2b3c.js'
+ * @param {string} version - Cache version for this build
+ * @returns {string} The filled-in source
+ * @throws If sw.js no longer declares CACHE_VERSION and BUILD_ASSETS
+ */
+export function injectPrecache(source, assets, version) {
+    if (!VERSION_LINE.test(source) || !ASSETS_LINE.test(source)) {
+        throw new Error('sw.js must declare CACHE_VERSION and BUILD_ASSETS on their own lines for the build to fill in');
+    }
+
+    return source
+        .replace(VERSION_LINE, `const CACHE_VERSION = ${JSON.stringify(version)};`)
+        .replace(ASSETS_LINE, `const BUILD_ASSETS = ${JSON.stringify(assets)};`);
+}
+
+export function serviceWorkerPrecache() {
+    return {
+        name: 'service-worker-precache',
+        apply: 'build',
+        // public/ is copied to the output folder before the bundle is written
+        writeBundle(options, bundle) {
+            const assets = Object.keys(bundle)
+                .filter(fileName => !/\.(html|map)$/.test(fileName))
+                .map(fileName => `/${fileName}`)
+                .sort();
+            const file = join(options.dir, 'sw.js');
+
+            writeFileSync(file, injectPrecache(readFileSync(file, 'utf8'), assets, Date.now().toString(36)));
+            console.log(`Service worker precaches ${assets.length} build assets`);
+        }
+    };
+}
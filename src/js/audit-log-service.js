@@ -0,0 +1,209 @@
+import { supabase } from './supabase-client.js';
+
+/**
+ * AuditLogService - Records who changed what in the admin panel
+ *
+ * Every manager calls `auditLog.record()` once the database has confirmed a
+ * mutation. A change made offline carries its entry (`auditLog.entry()`) in
+ * the sync queue, which saves it when the change is replayed. Entries go to
+ * the `audit_log` table, or to localStorage if that write fails, and are
+ * sent on by `flush()` when the connection is back. They are listed in the
+ * admin Activity view.
+ */
+
+// Entity types shown in the Activity view filter
+export const AUDIT_ENTITY_TYPES = {
+    rankings: 'Rankings',
+    special_event: 'Special Events',
+    removed_player: 'Removed Players',
+    inactive_player: 'Inactive Players',
+    excused_player: 'Excused Players',
+    alliance_leader: 'Alliance Leaders',
+    train_rotation: 'Train Rotation',
+    vip: 'VIP Selections',
+    kudos: 'Kudos',
+    season: 'Seasons',
+    season_rankings: 'Season Rankings',
+    scoring_rules: 'Scoring Rules',
+    player_name: 'Player Names',
+    player_alias: 'Player Aliases',
+    user_role: 'Officer Roles'
+};
+
+const LOCAL_STORAGE_KEY = 'auditLog';
+// Keep the local fallback from growing without bound
+const MAX_LOCAL_ENTRIES = 500;
+
+export class AuditLogService {
+    constructor() {
+        this.actor = 'Admin';
+        this.actorId = null;
+    }
+
+    /**
+     * Set who subsequent entries are attributed to
+     * @param {string|null} name - Display name (email) of the signed-in officer
+     * @param {string|null} id - Auth user id
+     */
+    setActor(name, id = null) {
+        this.actor = (name || '').trim() || 'Admin';
+        this.actorId = id;
+    }
+
+    /**
+     * Record one mutation the database has stored. Never throws: a failed
+     * log write must not undo or block the change it describes.
+     * @param {string} action - What happened, e.g. 'create', 'update', 'delete', 'replace'
+     * @param {string} entityType - Key from AUDIT_ENTITY_TYPES
+     * @param {string} entityKey - Which record: a player name, date, event key...
+     * @param {*} before - State before the change (null when created)
+     * @param {*} after - State after the change (null when deleted)
+     */
+    async record(action, entityType, entityKey, before = null, after = null) {
+        await this.save(this.entry(action, entityType, entityKey, before, after));
+    }
+
+    /**
+     * Build an entry without saving it, attributed to the current officer
+     * and time. Queued offline changes carry one until they are replayed.
+     * The database stamps its own actor, actor_id and created_at on insert,
+     * so these only show while the entry is kept on this device.
+     * @returns {Object} An audit_log row
+     */
+    entry(action, entityType, entityKey, before = null, after = null) {
+        return {
+            actor: this.actor,
+            actor_id: this.actorId,
+            action,
+            entity_type: entityType,
+            entity_key: entityKey === null || entityKey === undefined ? '' : String(entityKey),
+            before_data: before === undefined ? null : before,
+            after_data: after === undefined ? null : after,
+            created_at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Write an entry from entry(), keeping it locally if the database
+     * doesn't take it. Never throws.
+     * @param {Object} entry - An audit_log row
+     */
+    async save(entry) {
+        try {
+            const { error } = await supabase
+                .from('audit_log')
+                .insert([entry]);
+
+            if (!error) {
+                return;
+            }
+            console.error('Error writing audit log, keeping it locally:', error);
+        } catch (error) {
+            console.error('Database error writing audit log, keeping it locally:', error);
+        }
+
+        try {
+            const entries = this.getLocalEntries();
+            entries.push({ ...entry, id: `local_${Date.now()}_${Math.random().toString(36).slice(2, 8)}` });
+            localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(entries.slice(-MAX_LOCAL_ENTRIES)));
+        } catch (error) {
+            console.error('Error saving audit log to storage:', error);
+        }
+    }
+
+    /**
+     * Entries kept in localStorage because the database didn't take them
+     * @returns {Array} audit_log rows with a local id
+     */
+    getLocalEntries() {
+        return JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY) || '[]');
+    }
+
+    /**
+     * Send entries kept locally to the database. Only the signed-in
+     * officer's own entries can be sent (the table checks `actor_id`); the
+     * rest wait for their officer to sign in here again.
+     * @returns {Promise<number>} Entries sent
+     */
+    async flush() {
+        const entries = this.getLocalEntries();
+        const own = entries.filter(entry => entry.actor_id === this.actorId);
+        if (own.length === 0) {
+            return 0;
+        }
+
+        try {
+            const { error } = await supabase
+                .from('audit_log')
+                .insert(own.map(({ id, ...entry }) => entry));
+
+            if (error) {
+                console.error('Error sending locally kept audit log entries:', error);
+                return 0;
+            }
+        } catch (error) {
+            console.error('Database error sending locally kept audit log entries:', error);
+            return 0;
+        }
+
+        const sent = new Set(own.map(entry => entry.id));
+        localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(this.getLocalEntries().filter(entry => !sent.has(entry.id))));
+        return own.length;
+    }
+
+    /**
+     * Get log entries, newest first
+     * @param {Object} filters - { actor, entityType, fromDate, toDate (YYYY-MM-DD), limit }
+     * @returns {Promise<Array>} Entries from the database and the local fallback
+     */
+    async getEntries(filters = {}) {
+        const { actor, entityType, fromDate, toDate, limit = 200 } = filters;
+        const fromTime = fromDate ? `${fromDate}T00:00:00` : null;
+        const toTime = toDate ? `${toDate}T23:59:59.999` : null;
+
+        let entries = [];
+        try {
+            let query = supabase
+                .from('audit_log')
+                .select('*')
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            if (actor) query = query.eq('actor', actor);
+            if (entityType) query = query.eq('entity_type', entityType);
+            if (fromTime) query = query.gte('created_at', new Date(fromTime).toISOString());
+            if (toTime) query = query.lte('created_at', new Date(toTime).toISOString());
+
+            const { data, error } = await query;
+            if (error) {
+                console.error('Error loading audit log:', error);
+            } else {
+                entries = data || [];
+            }
+        } catch (error) {
+            console.error('Database error loading audit log:', error);
+        }
+
+        const localEntries = this.getLocalEntries()
+            .filter(entry => !actor || entry.actor === actor)
+            .filter(entry => !entityType || entry.entity_type === entityType)
+            .filter(entry => !fromTime || new Date(entry.created_at) >= new Date(fromTime))
+            .filter(entry => !toTime || new Date(entry.created_at) <= new Date(toTime));
+
+        return [...entries, ...localEntries]
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .slice(0, limit);
+    }
+
+    /**
+     * Everyone who appears in the log, for the user filter
+     * @returns {Promise<Array<string>>} Sorted actor names
+     */
+    async getActors() {
+        const entries = await this.getEntries({ limit: 1000 });
+        return [...new Set(entries.map(entry => entry.actor))].sort();
+    }
+}
+
+// Shared by every manager so entries are attributed to the same officer
+export const auditLog = new AuditLogService();
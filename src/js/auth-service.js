@@ -0,0 +1,267 @@
+import { supabase } from './supabase-client.js';
+import { config } from './config.js';
+import { auditLog } from './audit-log-service.js';
+
+/**
+ * AuthService - Per-officer sign-in and role checks for admin features
+ *
+ * Officers sign in with their own Supabase Auth account; their role comes
+ * from the `user_roles` table. In development a local stand-in signs in the
+ * users listed in `config.localAuth` so the admin panel works without a
+ * Supabase project.
+ */
+
+// Roles from least to most trusted
+export const ROLES = ['viewer', 'data_entry', 'r4', 'r5'];
+
+export const ROLE_LABELS = {
+    viewer: 'Viewer',
+    data_entry: 'Data Entry Officer',
+    r4: 'R4 Leader',
+    r5: 'R5 Admin'
+};
+
+// Lowest role allowed to perform each admin action
+export const PERMISSIONS = {
+    'admin.access': 'data_entry',
+    'rankings.import': 'data_entry',
+    'rankings.history': 'r4',
+    'events.manage': 'r4',
+    'players.manage': 'r4',
+    'vip.manage': 'r4',
+    'activity.view': 'r4',
+    'seasons.manage': 'r5',
+    'roles.manage': 'r5'
+};
+
+const LOCAL_SESSION_KEY = 'localAuthUser';
+
+export class AuthService {
+    constructor() {
+        this.user = null;
+        this.role = null;
+    }
+
+    /**
+     * Whether the local dev stand-in is used instead of Supabase Auth
+     */
+    isLocalMode() {
+        let isDev = false;
+        let authMode;
+        try {
+            isDev = Boolean(import.meta.env.DEV);
+            authMode = import.meta.env.VITE_AUTH_MODE;
+        } catch (error) {
+            isDev = false;
+        }
+
+        return isDev && (authMode === 'local' || !supabase.auth);
+    }
+
+    /**
+     * Pick up an existing session (page reload) if there is one
+     * @returns {Promise<boolean>} True if a user is signed in
+     */
+    async restoreSession() {
+        try {
+            if (this.isLocalMode()) {
+                const stored = JSON.parse(sessionStorage.getItem(LOCAL_SESSION_KEY) || 'null');
+                if (stored) {
+                    this.user = { id: stored.email, email: stored.email };
+                    this.role = stored.role;
+                }
+                return this.isSignedIn();
+            }
+
+            if (!supabase.auth) {
+                return false;
+            }
+
+            const { data, error } = await supabase.auth.getSession();
+            if (error) {
+                console.error('Error restoring session:', error);
+                return false;
+            }
+
+            if (data.session) {
+                this.user = data.session.user;
+                this.role = await this.loadRole(this.user);
+            }
+        } catch (error) {
+            console.error('Error restoring session:', error);
+        }
+
+        return this.isSignedIn();
+    }
+
+    /**
+     * Sign in with email and password
+     * @param {string} email - Officer's email
+     * @param {string} password - Officer's password
+     * @returns {Promise<Object>} { user, role }
+     */
+    async signIn(email, password) {
+        const trimmedEmail = (email || '').trim().toLowerCase();
+
+        if (this.isLocalMode()) {
+            const users = (config.localAuth && config.localAuth.users) || [];
+            const match = users.find(user => user.email.toLowerCase() === trimmedEmail && user.password === password);
+            if (!match) {
+                throw new Error('Invalid email or password');
+            }
+
+            this.user = { id: match.email, email: match.email };
+            this.role = ROLES.includes(match.role) ? match.role : 'viewer';
+            sessionStorage.setItem(LOCAL_SESSION_KEY, JSON.stringify({ email: match.email, role: this.role }));
+            return { user: this.user, role: this.role };
+        }
+
+        if (!supabase.auth) {
+            throw new Error('Sign-in is unavailable while the database is offline');
+        }
+
+        const { data, error } = await supabase.auth.signInWithPassword({ email: trimmedEmail, password });
+        if (error) {
+            console.error('Sign-in failed:', error);
+            throw new Error(error.message || 'Invalid email or password');
+        }
+
+        this.user = data.user;
+        this.role = await this.loadRole(this.user);
+        return { user: this.user, role: this.role };
+    }
+
+    async signOut() {
+        try {
+            if (this.isLocalMode()) {
+                sessionStorage.removeItem(LOCAL_SESSION_KEY);
+            } else if (supabase.auth) {
+                const { error } = await supabase.auth.signOut();
+                if (error) {
+                    console.error('Error signing out:', error);
+                }
+            }
+        } finally {
+            this.user = null;
+            this.role = null;
+        }
+    }
+
+    /**
+     * Look up a user's role; accounts without a row are viewers
+     * @param {Object} user - Supabase Auth user
+     * @returns {Promise<string>} Role name
+     */
+    async loadRole(user) {
+        try {
+            const { data, error } = await supabase
+                .from('user_roles')
+                .select('role')
+                .eq('user_id', user.id)
+                .maybeSingle();
+
+            if (error) {
+                console.error('Error loading user role:', error);
+                return 'viewer';
+            }
+
+            return data && ROLES.includes(data.role) ? data.role : 'viewer';
+        } catch (error) {
+            console.error('Database error loading user role:', error);
+            return 'viewer';
+        }
+    }
+
+    isSignedIn() {
+        return Boolean(this.user);
+    }
+
+    /**
+     * Check whether the signed-in user's role allows an action
+     * @param {string} permission - Key from PERMISSIONS
+     * @returns {boolean}
+     */
+    can(permission) {
+        const required = PERMISSIONS[permission];
+        if (!this.role || !required) {
+            return false;
+        }
+
+        return ROLES.indexOf(this.role) >= ROLES.indexOf(required);
+    }
+
+    getDisplayName() {
+        return this.user ? this.user.email : null;
+    }
+
+    getRoleLabel() {
+        return ROLE_LABELS[this.role] || '';
+    }
+
+    // Role management (R5 only; enforced by RLS on user_roles)
+    async getUserRoles() {
+        if (this.isLocalMode()) {
+            return ((config.localAuth && config.localAuth.users) || [])
+                .map(user => ({ user_id: user.email, email: user.email, role: user.role }));
+        }
+
+        const { data, error } = await supabase
+            .from('user_roles')
+            .select('*')
+            .order('email');
+
+        if (error) {
+            console.error('Error loading user roles:', error);
+            return [];
+        }
+
+        return data;
+    }
+
+    /**
+     * Change an officer's role
+     * @param {string} userId - Auth user id
+     * @param {string} role - One of ROLES
+     * @returns {Promise<boolean>} True if saved
+     */
+    async setUserRole(userId, role) {
+        if (!ROLES.includes(role)) {
+            console.error('Unknown role:', role);
+            return false;
+        }
+
+        if (this.isLocalMode()) {
+            const user = ((config.localAuth && config.localAuth.users) || []).find(entry => entry.email === userId);
+            if (user) {
+                user.role = role;
+            }
+            return Boolean(user);
+        }
+
+        const { data: previous } = await supabase
+            .from('user_roles')
+            .select('role')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        const { data, error } = await supabase
+            .from('user_roles')
+            .update({ role, updated_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .select();
+
+        if (error) {
+            console.error('Error updating user role:', error);
+            return false;
+        }
+
+        // RLS filters a refused update down to no rows rather than failing
+        if (!data || data.length === 0) {
+            console.error('Role not updated: officer not found or not allowed');
+            return false;
+        }
+
+        await auditLog.record('update', 'user_role', data[0].email, previous ? { role: previous.role } : null, { role });
+        return true;
+    }
+}
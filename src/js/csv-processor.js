@@ -1,93 +1,739 @@
+const PROFILES_STORAGE_KEY = 'csvImportProfiles';
+
+// Columns an import can map, with the header names different exports use for them
+const IMPORT_FIELDS = [
+    { key: 'ranking', label: 'Rank', required: false, synonyms: ['ranking', 'rank', '#', 'position', 'pos', 'place', 'no', 'no.'] },
+    { key: 'commander', label: 'Commander', required: true, synonyms: ['commander', 'name', 'player', 'player name', 'username', 'member', 'nickname'] },
+    { key: 'points', label: 'Points', required: true, synonyms: ['points', 'score', 'pts', 'total', 'total points', 'damage', 'vs points'] },
+    { key: 'alliance', label: 'Alliance', required: false, synonyms: ['alliance', 'tag', 'alliance tag', 'clan', 'faction', 'guild'] },
+    { key: 'power', label: 'Power', required: false, synonyms: ['power', 'might', 'strength', 'cp', 'total power'] },
+    { key: 'day', label: 'Day / Date', required: false, synonyms: ['day', 'date', 'weekday', 'day of week'] }
+];
+
 export class CSVProcessor {
-    processFile(file, callback) {
-        const reader = new FileReader();
-        
-        reader.onload = (e) => {
-            const csv = e.target.result.trim();
-            
-            if (!csv) {
-                alert('CSV file is empty.');
-                return;
-            }
-            
-            const rankings = this.parseCSV(csv);
-            callback(rankings);
-        };
-        
-        reader.onerror = () => {
-            alert('Error reading CSV file.');
-        };
-        
-        reader.readAsText(file);
+    constructor() {
+        this.fields = IMPORT_FIELDS;
+    }
+
+    /**
+     * Read an uploaded file as text
+     * @param {File} file - CSV file
+     * @returns {Promise<string>} File contents
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Error reading CSV file.'));
+            reader.readAsText(file);
+        });
     }
 
     processCSVText(csvText) {
         if (!csvText || csvText.trim().length === 0) {
             throw new Error('CSV text is empty.');
         }
-        
+
         return this.parseCSV(csvText);
     }
 
+    /**
+     * Parse CSV content using the best-guess column mapping
+     * @param {string} csvContent - Raw CSV text
+     * @returns {Array} Rankings { ranking, commander, points, alliance?, power? }
+     */
     parseCSV(csvContent) {
-        const lines = csvContent.split(/\r?\n/).filter(line => line.trim().length > 0);
-        const rankings = [];
-        let hasHeader = false;
+        const table = this.parseTable(csvContent);
+        return this.applyMapping(table, this.guessMapping(table), table.hasHeader);
+    }
+
+    /**
+     * Tokenize CSV text into a table and detect its delimiter and header row
+     * @param {string} csvContent - Raw CSV text
+     * @returns {Object} { records: string[][], header: string[]|null, hasHeader, delimiter, columnCount }
+     */
+    parseTable(csvContent) {
+        const text = String(csvContent || '').replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(text);
+        return this.tableFromRows(this.tokenize(text, delimiter), delimiter);
+    }
+
+    /**
+     * Build a table from already-split rows (CSV records or spreadsheet cells)
+     * @param {Array<Array>} rows - Row values
+     * @param {string|null} delimiter - CSV delimiter, null for spreadsheets
+     * @returns {Object} Same shape as parseTable
+     */
+    tableFromRows(rows, delimiter = null) {
+        const records = rows
+            .map(row => row.map(value => value === null || value === undefined ? '' : String(value)))
+            .filter(record => record.some(field => field.trim().length > 0));
+
+        const hasHeader = this.detectHeader(records);
+        const columnCount = records.reduce((max, record) => Math.max(max, record.length), 0);
+
+        return {
+            records,
+            header: hasHeader ? records[0].map(field => field.trim()) : null,
+            hasHeader,
+            delimiter,
+            columnCount
+        };
+    }
+
+    /**
+     * Check whether a file is a spreadsheet workbook rather than CSV text
+     */
+    isSpreadsheetFile(file) {
+        return /\.(xlsx|xlsm|xls|ods)$/i.test(file.name || '');
+    }
+
+    /**
+     * Read every sheet of an .xlsx/.ods workbook into tables
+     * SheetJS is loaded on demand so CSV-only admins never download it.
+     * @param {File} file - Workbook file
+     * @returns {Promise<Array>} { name, table } for each sheet that has data
+     */
+    async readWorkbook(file) {
+        const XLSX = await import('xlsx');
+        const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+
+        return workbook.SheetNames
+            .map(name => {
+                // Formatted text keeps values as officers see them ("1,234,567")
+                const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: false, defval: '' });
+                return { name, table: this.tableFromRows(rows) };
+            })
+            .filter(sheet => sheet.table.records.length > 0);
+    }
 
-        // Detect header
-        if (lines.length > 0 && lines[0].toLowerCase().includes('ranking') && lines[0].toLowerCase().includes('commander')) {
-            hasHeader = true;
+    /**
+     * Guess the date a sheet holds from its name, e.g. "2025-01-13",
+     * "1/13/2025", "Jan 13" or "Monday" (within the reference date's week).
+     * A date without a year is the one nearest the reference date, so
+     * "Dec 30" read on January 2nd is last year's.
+     * @param {string} sheetName - Sheet name
+     * @param {string} referenceDateKey - YYYY-MM-DD used for missing years and weekdays
+     * @returns {string|null} YYYY-MM-DD or null if the name isn't a date
+     */
+    guessSheetDate(sheetName, referenceDateKey) {
+        const name = String(sheetName || '').trim().toLowerCase();
+        const reference = new Date((referenceDateKey || new Date().toISOString().split('T')[0]) + 'T00:00:00');
+        const pad = value => String(value).padStart(2, '0');
+        const toKey = date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        const build = (year, month, day) => {
+            const date = new Date(year, month - 1, day);
+            return date.getMonth() === month - 1 && date.getDate() === day ? toKey(date) : null;
+        };
+        const nearest = (month, day) => {
+            const distance = key => Math.abs(new Date(key + 'T00:00:00') - reference);
+            return [-1, 0, 1]
+                .map(offset => build(reference.getFullYear() + offset, month, day))
+                .filter(Boolean)
+                .sort((a, b) => distance(a) - distance(b))[0] || null;
+        };
+
+        let match = name.match(/(\d{4})[-_./](\d{1,2})[-_./](\d{1,2})/);
+        if (match) return build(+match[1], +match[2], +match[3]);
+
+        match = name.match(/(\d{1,2})[-_./](\d{1,2})(?:[-_./](\d{2,4}))?/);
+        if (match) {
+            if (!match[3]) return nearest(+match[1], +match[2]);
+            return build(match[3].length === 2 ? 2000 + +match[3] : +match[3], +match[1], +match[2]);
         }
 
-        const startIndex = hasHeader ? 1 : 0;
+        // "Jan 13", "Sept. 5th", "13 January" - the whole word must be a month ("Mayhem7" isn't May 7)
+        const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+        const monthOf = text => (text.length >= 3 ? months.findIndex(month => month.startsWith(text)) : -1);
+        match = name.match(/(?<![a-z])([a-z]+)\.?\s*(\d{1,2})(?:st|nd|rd|th)?(?![a-z\d])/)
+            || name.match(/(?<![a-z\d])(\d{1,2})(?:st|nd|rd|th)?\s*([a-z]+)(?![a-z])/);
+        if (match) {
+            const [monthText, dayText] = /\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+            const month = monthOf(monthText);
+            if (month !== -1) return nearest(month + 1, +dayText);
+        }
 
-        for (let i = startIndex; i < lines.length; i++) {
-            const line = lines[i];
-            
-            // Split by comma, but handle quoted fields
-            const parts = line.match(/("[^"]*"|[^,]+)/g);
-            
-            if (!parts || parts.length < 3) {
+        // "Mon", "Tues", "Wednesday" - but not names that merely start like a day ("Sunny")
+        const weekdays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+        const word = (name.match(/^[a-z]+/) || [''])[0];
+        const weekday = word.length >= 3 ? weekdays.findIndex(day => day.startsWith(word)) : -1;
+        if (weekday !== -1) {
+            const monday = new Date(reference);
+            monday.setDate(reference.getDate() - ((reference.getDay() + 6) % 7));
+            monday.setDate(monday.getDate() + weekday);
+            return toKey(monday);
+        }
+
+        return null;
+    }
+
+    /**
+     * Split CSV text into records following RFC 4180: quoted fields may
+     * contain delimiters, line breaks and doubled quotes (""), and empty
+     * fields are kept so column positions stay stable.
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Field separator
+     * @returns {Array<Array<string>>} Records of raw field values
+     */
+    tokenize(text, delimiter = ',') {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i += 2;
+                        continue;
+                    }
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+                i++;
                 continue;
             }
 
-            const ranking = this.extractNumber(parts[0]);
-            
+            if (char === '"' && field.trim() === '') {
+                // Opening quote; whitespace before it is not part of the value
+                field = '';
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+                if (char === '\r' && text[i + 1] === '\n') i++;
+            } else {
+                field += char;
+            }
+            i++;
+        }
+
+        if (field.length > 0 || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    /**
+     * Pick the delimiter used on the first line (comma, semicolon or tab)
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/).find(line => line.trim().length > 0) || '';
+        const unquoted = firstLine.replace(/"[^"]*"/g, '');
+        const counts = [',', ';', '\t'].map(delimiter => ({
+            delimiter,
+            count: unquoted.split(delimiter).length - 1
+        }));
+        const best = counts.sort((a, b) => b.count - a.count)[0];
+        return best.count > 0 ? best.delimiter : ',';
+    }
+
+    /**
+     * A first row counts as a header if it names a known column, or if it has
+     * no numbers while the row after it does
+     */
+    detectHeader(records) {
+        if (records.length === 0) return false;
+
+        const first = records[0].map(field => this.normalizeHeader(field));
+        if (first.some(name => this.fields.some(field => field.synonyms.includes(name)))) {
+            return true;
+        }
+
+        const hasNumber = record => record.some(field => /^\s*[\d.,\s]+\s*$/.test(field) && /\d/.test(field));
+        return records.length > 1 && !hasNumber(records[0]) && hasNumber(records[1]);
+    }
+
+    normalizeHeader(value) {
+        return String(value || '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+    }
+
+    /**
+     * Guess which column holds each field, from header names when there are
+     * some and from the data itself otherwise
+     * @param {Object} table - Result of parseTable
+     * @returns {Object} Field key -> column index (null when not present)
+     */
+    guessMapping(table) {
+        const mapping = Object.fromEntries(this.fields.map(field => [field.key, null]));
+        const used = new Set();
+
+        if (table.header) {
+            const names = table.header.map(name => this.normalizeHeader(name));
+            this.fields.forEach(field => {
+                const index = names.findIndex((name, i) => !used.has(i) && field.synonyms.includes(name));
+                if (index !== -1) {
+                    mapping[field.key] = index;
+                    used.add(index);
+                }
+            });
+            // Looser pass for headers like "Commander Name" or "Event Points"
+            this.fields.forEach(field => {
+                if (mapping[field.key] !== null) return;
+                const index = names.findIndex((name, i) => !used.has(i) && field.synonyms.some(synonym => synonym.length > 2 && name.includes(synonym)));
+                if (index !== -1) {
+                    mapping[field.key] = index;
+                    used.add(index);
+                }
+            });
+            if (mapping.commander !== null && mapping.points !== null) {
+                return mapping;
+            }
+        }
+
+        return this.guessMappingFromData(table, mapping, used);
+    }
+
+    /**
+     * Fill unmapped fields by looking at the values: the first column of
+     * small increasing numbers is the rank, the last numeric column is the
+     * points, a text column of day names or dates is the day, and the first
+     * other text column is the commander
+     */
+    guessMappingFromData(table, mapping, used) {
+        const rows = table.records.slice(table.hasHeader ? 1 : 0, (table.hasHeader ? 1 : 0) + 20);
+        const isNumeric = value => /\d/.test(value) && /^[\d.,\s]+$/.test(String(value).trim());
+        const columns = Array.from({ length: table.columnCount }, (_, index) => {
+            const values = rows.map(row => row[index] || '').filter(value => value.trim() !== '');
+            return {
+                index,
+                numeric: values.length > 0 && values.every(isNumeric),
+                values
+            };
+        }).filter(column => !used.has(column.index) && column.values.length > 0);
+
+        const numericColumns = columns.filter(column => column.numeric);
+        const textColumns = columns.filter(column => !column.numeric);
+
+        if (mapping.ranking === null) {
+            const rankColumn = numericColumns.find(column => {
+                const numbers = column.values.map(value => this.extractNumber(value));
+                return numbers.every((number, i) => number > 0 && number < 10000 && (i === 0 || number >= numbers[i - 1]));
+            });
+            if (rankColumn) {
+                mapping.ranking = rankColumn.index;
+                used.add(rankColumn.index);
+            }
+        }
+
+        if (mapping.points === null) {
+            const pointsColumn = numericColumns.filter(column => !used.has(column.index)).pop();
+            if (pointsColumn) {
+                mapping.points = pointsColumn.index;
+                used.add(pointsColumn.index);
+            }
+        }
+
+        if (mapping.day === null) {
+            const dayColumn = textColumns.find(column =>
+                !used.has(column.index) && column.values.every(value => this.guessSheetDate(value) !== null)
+            );
+            if (dayColumn) {
+                mapping.day = dayColumn.index;
+                used.add(dayColumn.index);
+            }
+        }
+
+        if (mapping.commander === null) {
+            const commanderColumn = textColumns.find(column => !used.has(column.index));
+            if (commanderColumn) {
+                mapping.commander = commanderColumn.index;
+                used.add(commanderColumn.index);
+            }
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Turn table records into rankings using a column mapping
+     * When no rank column is mapped, the row order in the file is used as the rank.
+     * @param {Object} table - Result of parseTable
+     * @param {Object} mapping - Field key -> column index
+     * @param {boolean} hasHeader - Skip the first record
+     * @returns {Array} Rankings
+     */
+    applyMapping(table, mapping, hasHeader = table.hasHeader) {
+        return this.importWithReport(table, mapping, hasHeader).rankings;
+    }
+
+    /**
+     * Map table records to rankings and report every row that was skipped
+     * and every problem found in the rows that were kept
+     * @param {Object} table - Result of parseTable
+     * @param {Object} mapping - Field key -> column index
+     * @param {boolean} hasHeader - Skip the first record
+     * @returns {Object} { rankings, report } - see validateRankings for the report shape
+     */
+    importWithReport(table, mapping, hasHeader = table.hasHeader) {
+        const rankings = [];
+        const rowNumbers = [];
+        const skipped = [];
+        const firstDataRow = hasHeader ? 2 : 1;
+        const dataRows = table.records.slice(hasHeader ? 1 : 0);
+        const cell = (record, key) => mapping[key] === null || mapping[key] === undefined
+            ? ''
+            : (record[mapping[key]] || '').trim();
+
+        dataRows.forEach((record, rowIndex) => {
+            const rowNumber = rowIndex + firstDataRow;
+            const values = record.map(field => field.trim()).filter(Boolean).join(', ');
+            const skip = (reason) => skipped.push({ row: rowNumber, reason, values });
+
+            const ranking = mapping.ranking === null || mapping.ranking === undefined
+                ? rowIndex + 1
+                : this.extractNumber(cell(record, 'ranking'));
+
+            const rawCommander = cell(record, 'commander');
+            if (!rawCommander) {
+                skip('Missing commander name');
+                return;
+            }
+
             // Clean commander name and remove faction tags
-            let commander = this.cleanQuotedString(parts[1]);
-            commander = this.removeFactionTags(commander);
-            
+            const commander = this.removeFactionTags(rawCommander);
+
             // Skip if commander name is empty (was a faction entry)
-            if (!commander || commander.trim() === '') {
-                continue;
+            if (!commander) {
+                skip('Faction entry (name has an alliance tag)');
+                return;
             }
 
-            // Always use the last column for points, regardless of format
-            // This excludes faction/clan columns that might be in the middle
-            let points;
-            if (parts.length >= 3) {
-                // Use the last column for points (excludes faction/clan)
-                const rawPoints = parts[parts.length - 1];
-                points = this.extractNumber(rawPoints);
-                
-                // Debug: Log the original points value
-                if (points > 1000000) {
-                    console.log(`Original points value: "${rawPoints}" -> parsed as: ${points}`);
-                }
-            } else {
-                continue; // Skip if not enough columns
+            if (!(ranking > 0)) {
+                skip(`Invalid rank "${cell(record, 'ranking')}"`);
+                return;
+            }
+
+            const points = this.extractNumber(cell(record, 'points'));
+            if (!points) {
+                skip(cell(record, 'points') ? `Invalid points "${cell(record, 'points')}"` : 'Missing points');
+                return;
+            }
+
+            const row = {
+                ranking: ranking,
+                commander: commander,
+                points: parseInt(points) // Ensure points is stored as integer
+            };
+
+            const alliance = cell(record, 'alliance').replace(/^\[|\]$/g, '').trim();
+            if (alliance) row.alliance = alliance;
+
+            const power = this.extractNumber(cell(record, 'power'));
+            if (power) row.power = power;
+
+            rankings.push(row);
+            rowNumbers.push(rowNumber);
+        });
+
+        const report = this.validateRankings(rankings, rowNumbers);
+        report.skipped = skipped;
+        report.totalRows = dataRows.length;
+
+        return { rankings, report };
+    }
+
+    /**
+     * Check a set of rankings for problems worth a look before importing:
+     * duplicate ranks, gaps in the rank sequence, points that go up as the
+     * rank goes down, implausible point values and repeated commanders.
+     * Works for rankings from any source, not just CSV.
+     * @param {Array} rankings - { ranking, commander, points }
+     * @param {Array<number>} [rowNumbers] - Source row of each ranking, for messages
+     * @returns {Object} { skipped: [], issues: [{ type, severity, message, rows }] }
+     */
+    validateRankings(rankings, rowNumbers = []) {
+        const issues = [];
+        const rowOf = index => rowNumbers[index] ?? null;
+        const entries = rankings.map((ranking, index) => ({ ...ranking, row: rowOf(index) }));
+        const describe = entry => entry.row ? `row ${entry.row}` : `rank ${entry.ranking}`;
+
+        // Duplicate ranks
+        const byRank = new Map();
+        entries.forEach(entry => {
+            if (!byRank.has(entry.ranking)) byRank.set(entry.ranking, []);
+            byRank.get(entry.ranking).push(entry);
+        });
+        byRank.forEach((group, ranking) => {
+            if (group.length > 1) {
+                issues.push({
+                    type: 'duplicate_rank',
+                    severity: 'error',
+                    message: `Rank ${ranking} appears ${group.length} times (${group.map(entry => entry.commander).join(', ')}); only the highest points will be kept`,
+                    rows: group.map(entry => entry.row).filter(Boolean)
+                });
             }
+        });
+
+        // Gaps in the rank sequence
+        const ranks = [...byRank.keys()].sort((a, b) => a - b);
+        let expected = 1;
+        ranks.forEach(rank => {
+            if (rank > expected) {
+                issues.push({
+                    type: 'missing_rank',
+                    severity: 'warning',
+                    message: rank - 1 === expected ? `Rank ${expected} is missing` : `Ranks ${expected}-${rank - 1} are missing`,
+                    rows: []
+                });
+            }
+            expected = rank + 1;
+        });
+
+        // Points should never increase further down the ranking
+        const sorted = [...entries].sort((a, b) => a.ranking - b.ranking);
+        for (let i = 1; i < sorted.length; i++) {
+            const above = sorted[i - 1];
+            const below = sorted[i];
+            if (below.ranking !== above.ranking && below.points > above.points) {
+                issues.push({
+                    type: 'non_monotonic_points',
+                    severity: 'warning',
+                    message: `Rank ${below.ranking} (${below.commander}) has more points than rank ${above.ranking} (${above.commander})`,
+                    rows: [above.row, below.row].filter(Boolean)
+                });
+            }
+        }
+
+        // Values far outside the rest of the list usually mean a parsing slip
+        // (a dropped separator, a rank column read as points, ...)
+        const points = entries.map(entry => entry.points).sort((a, b) => a - b);
+        const median = points.length > 0 ? points[Math.floor(points.length / 2)] : 0;
+        entries.forEach(entry => {
+            if (median > 0 && points.length >= 5 && (entry.points > median * 100 || entry.points * 100 < median)) {
+                issues.push({
+                    type: 'suspicious_points',
+                    severity: 'warning',
+                    message: `${entry.commander} has ${entry.points.toLocaleString()} points, far from the typical ${median.toLocaleString()} (${describe(entry)})`,
+                    rows: [entry.row].filter(Boolean)
+                });
+            } else if (entry.points > 10000000000) {
+                issues.push({
+                    type: 'suspicious_points',
+                    severity: 'warning',
+                    message: `${entry.commander} has an implausibly large score of ${entry.points.toLocaleString()} (${describe(entry)})`,
+                    rows: [entry.row].filter(Boolean)
+                });
+            }
+        });
+
+        // The same commander listed more than once
+        const byCommander = new Map();
+        entries.forEach(entry => {
+            const key = entry.commander.toLowerCase();
+            if (!byCommander.has(key)) byCommander.set(key, []);
+            byCommander.get(key).push(entry);
+        });
+        byCommander.forEach(group => {
+            if (group.length > 1) {
+                issues.push({
+                    type: 'duplicate_commander',
+                    severity: 'warning',
+                    message: `${group[0].commander} appears at ranks ${group.map(entry => entry.ranking).join(', ')}`,
+                    rows: group.map(entry => entry.row).filter(Boolean)
+                });
+            }
+        });
+
+        return { skipped: [], issues };
+    }
+
+    /**
+     * Split a table with a day/date column into one table per day
+     * Each day's table keeps the header row so it can be imported with the
+     * same mapping. Rows whose day can't be read are returned separately.
+     * @param {Object} table - Result of parseTable
+     * @param {Object} mapping - Field key -> column index, with mapping.day set
+     * @param {boolean} hasHeader - First record is a header
+     * @param {string} referenceDateKey - YYYY-MM-DD for weekday names and missing years
+     * @returns {Object} { days: [{ dateKey, label, table }], unassigned: [{ row, reason, values }] }
+     */
+    splitByDayColumn(table, mapping, hasHeader, referenceDateKey) {
+        const headerRecord = hasHeader ? table.records[0] : null;
+        const byDate = new Map();
+        const unassigned = [];
 
-            if (ranking > 0 && commander && points) {
-                rankings.push({
-                    ranking: ranking,
-                    commander: commander,
-                    points: parseInt(points) // Ensure points is stored as integer
+        table.records.slice(hasHeader ? 1 : 0).forEach((record, rowIndex) => {
+            const label = (record[mapping.day] || '').trim();
+            const dateKey = this.guessSheetDate(label, referenceDateKey);
+            if (!dateKey) {
+                unassigned.push({
+                    row: rowIndex + (hasHeader ? 2 : 1),
+                    reason: label ? `Unrecognized day "${label}"` : 'Missing day',
+                    values: record.map(field => field.trim()).filter(Boolean).join(', ')
                 });
+                return;
             }
+
+            if (!byDate.has(dateKey)) byDate.set(dateKey, { label, records: [] });
+            byDate.get(dateKey).records.push(record);
+        });
+
+        const days = [...byDate.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([dateKey, { label, records }]) => ({
+                dateKey,
+                label,
+                table: {
+                    ...table,
+                    records: headerRecord ? [headerRecord, ...records] : records,
+                    hasHeader
+                }
+            }));
+
+        return { days, unassigned };
+    }
+
+    /**
+     * Split pasted text or a file with one section per day, where each
+     * section starts with a line naming the day ("Monday", "2025-01-13",
+     * "## Tue 1/14:"). Lines before the first heading (usually a shared
+     * header row) are copied to the top of every section that lacks one.
+     * @param {string} text - Raw CSV text
+     * @param {string} referenceDateKey - YYYY-MM-DD for weekday names and missing years
+     * @returns {Array} { dateKey, label, table } per section; empty if the text has no day headings
+     */
+    splitDaySections(text, referenceDateKey) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(source);
+        const preamble = [];
+        const sections = [];
+
+        // Headings are found on parsed records, so quoted names holding the
+        // delimiter or a line break can't pass for one
+        this.tokenize(source, delimiter).forEach(record => {
+            const fields = record.map(field => field.trim()).filter(Boolean);
+            const heading = fields.length === 1
+                ? fields[0].replace(/^[#=\-\s]+|[:=\-\s]+$/g, '').replace(/^day\s*:?\s*/i, '')
+                : null;
+            const dateKey = heading && !/^\d+$/.test(heading) ? this.guessSheetDate(heading, referenceDateKey) : null;
+
+            if (dateKey) {
+                sections.push({ dateKey, label: heading, records: [] });
+            } else if (sections.length > 0) {
+                sections[sections.length - 1].records.push(record);
+            } else if (fields.length > 0) {
+                preamble.push(record);
+            }
+        });
+
+        return sections
+            .map(section => {
+                let table = this.tableFromRows(section.records, delimiter);
+                if (!table.hasHeader && preamble.length > 0) {
+                    table = this.tableFromRows([...preamble, ...section.records], delimiter);
+                }
+                return { dateKey: section.dateKey, label: section.label, table };
+            })
+            // A heading with no rows under it only has the copied header
+            .filter(section => section.table.records.length > (section.table.hasHeader ? 1 : 0));
+    }
+
+    /**
+     * Check that a mapping covers every required field
+     * @returns {Array<string>} Labels of required fields that are unmapped
+     */
+    getMissingFields(mapping) {
+        return this.fields
+            .filter(field => field.required && (mapping[field.key] === null || mapping[field.key] === undefined))
+            .map(field => field.label);
+    }
+
+    /**
+     * Saved import profiles, keyed by name
+     * @returns {Object} name -> { mapping, headers, hasHeader, savedAt }
+     */
+    getProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('Error reading CSV import profiles:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save a column mapping under a name for reuse with later exports
+     * Header names are stored alongside the indexes so the profile still
+     * works if the exporting tool reorders its columns.
+     */
+    saveProfile(name, table, mapping, hasHeader) {
+        const profileName = String(name || '').trim();
+        if (!profileName) {
+            throw new Error('Profile name is required.');
         }
 
-        return rankings;
+        const headers = {};
+        if (hasHeader && table.header) {
+            Object.entries(mapping).forEach(([key, index]) => {
+                if (index !== null && index !== undefined) {
+                    headers[key] = this.normalizeHeader(table.header[index]);
+                }
+            });
+        }
+
+        const profiles = this.getProfiles();
+        profiles[profileName] = {
+            mapping: { ...mapping },
+            headers,
+            hasHeader,
+            savedAt: new Date().toISOString()
+        };
+        localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+        return profiles[profileName];
+    }
+
+    deleteProfile(name) {
+        const profiles = this.getProfiles();
+        delete profiles[name];
+        localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+    }
+
+    /**
+     * Resolve a saved profile against a table, preferring header names over
+     * stored column positions
+     * @returns {Object} Field key -> column index
+     */
+    resolveProfileMapping(profile, table) {
+        const names = table.header ? table.header.map(name => this.normalizeHeader(name)) : [];
+
+        return Object.fromEntries(this.fields.map(field => {
+            const headerName = profile.headers && profile.headers[field.key];
+            if (headerName && table.header) {
+                return [field.key, names.includes(headerName) ? names.indexOf(headerName) : null];
+            }
+            const index = profile.mapping[field.key];
+            return [field.key, index !== null && index !== undefined && index < table.columnCount ? index : null];
+        }));
+    }
+
+    /**
+     * Find the saved profile whose headers all appear in this table
+     * @returns {string|null} Profile name
+     */
+    findMatchingProfile(table) {
+        if (!table.header) return null;
+        const names = table.header.map(name => this.normalizeHeader(name));
+
+        const match = Object.entries(this.getProfiles()).find(([, profile]) => {
+            const headers = Object.values(profile.headers || {});
+            return headers.length > 0 && headers.every(header => names.includes(header));
+        });
+
+        return match ? match[0] : null;
     }
 
     extractNumber(str) {
@@ -109,15 +755,8 @@ export class CSVProcessor {
         // Extract only digits
         const digits = cleaned.replace(/[^\d]/g, '');
         
-        // Convert to integer, but limit to reasonable size
-        const result = digits ? parseInt(digits) : 0;
-        
-        // Log if we're getting unusually large numbers
-        if (result > 1000000) {
-            console.warn(`Large number detected: ${str} -> ${result}`);
-        }
-        
-        return result;
+        // Implausible values are flagged by validateRankings in the import report
+        return digits ? parseInt(digits) : 0;
     }
 
     cleanQuotedString(str) {
@@ -155,33 +794,25 @@ export class CSVProcessor {
     }
 
     validateCSVFormat(csvContent) {
-        const lines = csvContent.split(/\r?\n/).filter(line => line.trim().length > 0);
-        
-        if (lines.length === 0) {
+        const table = this.parseTable(csvContent);
+
+        if (table.records.length === 0) {
             return { valid: false, error: 'CSV file is empty' };
         }
 
-        // Check if first line looks like a header
-        const firstLine = lines[0].toLowerCase();
-        const hasValidHeader = firstLine.includes('ranking') || firstLine.includes('rank');
-
         // Check if we have at least one data line
-        const dataStartIndex = hasValidHeader ? 1 : 0;
-        if (lines.length <= dataStartIndex) {
+        if (table.records.length <= (table.hasHeader ? 1 : 0)) {
             return { valid: false, error: 'No data rows found in CSV' };
         }
 
-        // Validate format of first data row
-        const firstDataLine = lines[dataStartIndex];
-        const parts = firstDataLine.match(/("[^"]*"|[^,]+)/g);
-        
-        if (!parts || parts.length < 3) {
-            return { 
-                valid: false, 
-                error: 'Invalid CSV format. Expected at least 3 columns: ranking, commander, points (faction/clan columns will be ignored)' 
+        const missing = this.getMissingFields(this.guessMapping(table));
+        if (missing.length > 0) {
+            return {
+                valid: false,
+                error: `Could not find these columns: ${missing.join(', ')}. Map them manually when importing.`
             };
         }
 
         return { valid: true };
     }
-}
\ No newline at end of file
+}
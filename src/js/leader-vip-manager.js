@@ -1,4 +1,7 @@
-import { supabase } from './supabase-client.js';
+import { supabase, isConnectionError } from './supabase-client.js';
+import { auditLog } from './audit-log-service.js';
+import { syncQueue } from './sync-queue.js';
+import { localStore } from './local-store.js';
 
 export class LeaderVIPManager {
     constructor() {
@@ -6,6 +9,109 @@ export class LeaderVIPManager {
         this.trainConductorRotation = [];
         this.vipSelections = {};
         this.isOnline = true;
+        // Viewers can read but not write until an officer signs in
+        this.readOnly = true;
+    }
+
+    /**
+     * Allow or block writes. Anonymous viewers are read-only; the database
+     * enforces the same through row level security.
+     * @param {boolean} readOnly
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = Boolean(readOnly);
+    }
+
+    ensureWritable(action) {
+        if (this.readOnly) {
+            throw new Error(`Sign in as an officer to ${action}`);
+        }
+    }
+
+    // Rotation as it stands, for before/after entries in the audit log
+    getRotationSnapshot() {
+        return this.trainConductorRotation.map(entry => ({
+            player_name: entry.player_name,
+            rotation_order: entry.rotation_order,
+            is_active: entry.is_active
+        }));
+    }
+
+    /**
+     * Save a change: applied to the database when online, otherwise kept in
+     * the local cache and queued for replay. Its audit entry is saved once
+     * the database has the change (for a queued change, when it is replayed).
+     * @param {Array<Object>} mutations - SyncQueue mutations describing the change
+     * @param {Object|null} audit - Entry from auditLog.entry()
+     * @throws If the database refused the change; the state is reloaded from it
+     */
+    async persist(mutations, audit = null) {
+        if (this.isOnline) {
+            try {
+                for (const mutation of mutations) {
+                    const written = await syncQueue.apply(mutation);
+                    if (mutation.match) {
+                        syncQueue.markPulled(mutation.table, written, mutation.match);
+                    }
+                }
+                this.saveToStorage();
+                if (audit) {
+                    await auditLog.save(audit);
+                }
+                return;
+            } catch (error) {
+                if (!isConnectionError(error)) {
+                    console.error('Database refused leader system change:', error);
+                    await this.loadFromDatabase();
+                    throw error;
+                }
+                console.warn('Connection lost, queuing leader system change:', error);
+                this.isOnline = false;
+            }
+        }
+
+        this.saveToStorage();
+        mutations.forEach((mutation, index) => syncQueue.enqueue(
+            audit && index === mutations.length - 1 ? { ...mutation, audit } : mutation
+        ));
+    }
+
+    vipMutation(vip) {
+        return {
+            table: 'vip_selections',
+            action: 'upsert',
+            match: { date: vip.date, train_time: vip.train_time || '04:00:00' },
+            rows: [{
+                date: vip.date,
+                train_conductor: vip.train_conductor,
+                vip_player: vip.vip_player,
+                notes: vip.notes || '',
+                train_time: vip.train_time || '04:00:00'
+            }],
+            onConflict: 'date,train_time',
+            description: `VIP for ${vip.date}`
+        };
+    }
+
+    leaderMutation(leader) {
+        return {
+            table: 'alliance_leaders',
+            action: 'upsert',
+            match: { player_name: leader.player_name },
+            rows: [{ player_name: leader.player_name, is_active: leader.is_active !== undefined ? leader.is_active : true }],
+            onConflict: 'player_name',
+            description: `Leader ${leader.player_name}`
+        };
+    }
+
+    rotationMutation() {
+        return {
+            table: 'train_conductor_rotation',
+            action: 'upsert',
+            rows: this.getRotationSnapshot(),
+            onConflict: 'rotation_order',
+            description: 'Train rotation order'
+        };
     }
 
     async initializeConnection() {
@@ -13,16 +119,18 @@ export class LeaderVIPManager {
             // Test if Supabase is available
             const { data, error } = await supabase.from('alliance_leaders').select('count').limit(1);
             if (error) {
-                console.warn('Supabase not available for leader system, falling back to localStorage:', error);
+                console.warn('Supabase not available for leader system, falling back to local cache:', error);
                 this.isOnline = false;
                 this.loadFromStorage();
             } else {
                 console.log('Connected to leader system database');
                 this.isOnline = true;
+                // Send changes made while offline before reloading over them
+                await syncQueue.replay();
                 await this.loadFromDatabase();
             }
         } catch (error) {
-            console.warn('Leader system connection failed, using localStorage:', error);
+            console.warn('Leader system connection failed, using local cache:', error);
             this.isOnline = false;
             this.loadFromStorage();
         }
@@ -95,105 +203,36 @@ export class LeaderVIPManager {
             
 
 
-            // Save to localStorage as backup
+            // Save to local cache as backup
             this.saveToStorage();
+            syncQueue.markPulled('alliance_leaders', leaders);
+            syncQueue.markPulled('train_conductor_rotation', rotation);
+            syncQueue.markPulled('vip_selections', vipData);
         } catch (error) {
-            console.error('Database error, falling back to localStorage:', error);
+            console.error('Database error, falling back to local cache:', error);
             this.isOnline = false;
             this.loadFromStorage();
         }
     }
 
-    // Sync local data to database
+    // Send changes queued while offline, then reload so local data matches the server
     async syncLocalDataToDatabase() {
+        this.ensureWritable('sync leader data');
+
         if (!this.isOnline) {
             console.log('Cannot sync: Supabase not available');
-            return;
+            return null;
         }
 
-        console.log('Starting local data sync to database...');
-        
-        try {
-            // Sync alliance leaders
-            if (this.allianceLeaders.length > 0) {
-                console.log(`Syncing ${this.allianceLeaders.length} alliance leaders...`);
-                for (const leader of this.allianceLeaders) {
-                    const { error } = await supabase
-                        .from('alliance_leaders')
-                        .upsert({
-                            player_name: leader.player_name,
-                            is_active: leader.is_active !== undefined ? leader.is_active : true
-                        }, { onConflict: 'player_name' });
-                    
-                    if (error) {
-                        console.error(`Error syncing leader ${leader.player_name}:`, error);
-                    } else {
-                        console.log(`Successfully synced alliance leader: ${leader.player_name} (is_active: ${leader.is_active})`);
-                    }
-                }
-            }
-
-            // Sync train conductor rotation
-            if (this.trainConductorRotation.length > 0) {
-                console.log(`Syncing ${this.trainConductorRotation.length} rotation entries...`);
-                for (const rotation of this.trainConductorRotation) {
-                    const { error } = await supabase
-                        .from('train_conductor_rotation')
-                        .upsert({
-                            player_name: rotation.player_name,
-                            rotation_order: rotation.rotation_order,
-                            is_active: rotation.is_active || true,
-                            conductor_name: rotation.conductor_name || null,
-                            train_date: rotation.train_date || null,
-                            train_time: rotation.train_time || '04:00:00'
-                        }, { onConflict: 'rotation_order' });
-                    
-                    if (error) {
-                        console.error(`Error syncing rotation for ${rotation.player_name}:`, error);
-                    }
-                }
-            }
-
-            // Sync VIP selections
-            const vipKeys = Object.keys(this.vipSelections);
-            if (vipKeys.length > 0) {
-                console.log(`Syncing ${vipKeys.length} VIP selections...`);
-                for (const key of vipKeys) {
-                    const vip = this.vipSelections[key];
-                    console.log(`Syncing VIP selection: ${key}`, vip);
-                    const { error } = await supabase
-                        .from('vip_selections')
-                        .upsert({
-                            date: vip.date,
-                            train_conductor: vip.train_conductor,
-                            vip_player: vip.vip_player,
-                            notes: vip.notes || '',
-                            train_time: vip.train_time || '04:00:00'
-                        }, { onConflict: 'date,train_time' });
-                    
-                    if (error) {
-                        console.error(`Error syncing VIP for ${key}:`, error);
-                    } else {
-                        console.log(`Successfully synced VIP selection: ${key}`);
-                    }
-                }
-            }
-
-            console.log('Local data sync completed successfully!');
-            
-            // Reload from database to ensure consistency
-            await this.loadFromDatabase();
-            
-        } catch (error) {
-            console.error('Error during local data sync:', error);
-        }
+        const result = await syncQueue.replay();
+        await this.loadFromDatabase();
+        return result;
     }
 
     loadFromStorage() {
         try {
-            const stored = localStorage.getItem('leaderVIPData');
-            if (stored) {
-                const data = JSON.parse(stored);
+            const data = localStore.get('leaderVIPData');
+            if (data) {
                 this.allianceLeaders = data.allianceLeaders || [];
                 this.trainConductorRotation = data.trainConductorRotation || [];
                 this.vipSelections = data.vipSelections || {};
@@ -213,14 +252,14 @@ export class LeaderVIPManager {
                 trainConductorRotation: this.trainConductorRotation,
                 vipSelections: this.vipSelections
             };
-            localStorage.setItem('leaderVIPData', JSON.stringify(data));
+            localStore.set('leaderVIPData', data);
         } catch (error) {
             console.error('Error saving leader system to storage:', error);
         }
     }
 
     async saveToDatabase() {
-        if (!this.isOnline) {
+        if (!this.isOnline || this.readOnly) {
             this.saveToStorage();
             return;
         }
@@ -346,12 +385,15 @@ export class LeaderVIPManager {
 
     // Advance rotation (move current leader to back, next leader to front)
     async advanceRotation() {
+        this.ensureWritable('change the train rotation');
+
         const activeRotation = this.trainConductorRotation.filter(entry => entry.is_active);
         if (activeRotation.length === 0) return;
         
         // Move the first leader to the end
         const firstLeader = activeRotation.find(entry => entry.rotation_order === 1);
         if (firstLeader) {
+            const before = this.getRotationSnapshot();
             firstLeader.rotation_order = activeRotation.length;
             
             // Move all other leaders up by one
@@ -361,7 +403,10 @@ export class LeaderVIPManager {
                 }
             });
             
-            await this.saveToDatabase();
+            await this.persist(
+                [this.rotationMutation()],
+                auditLog.entry('advance', 'train_rotation', firstLeader.player_name, before, this.getRotationSnapshot())
+            );
         }
     }
 
@@ -394,6 +439,25 @@ export class LeaderVIPManager {
         }
     }
 
+    /**
+     * Patch VIP selections with a change made in another session (see RealtimeService)
+     * @param {Object} change - { table, eventType, new, old }
+     * @returns {Array<string>} Dates whose VIP selection changed
+     */
+    applyRealtimeChange({ eventType, new: vip, old }) {
+        const keyOf = selection => `${selection.date}_${selection.train_time || '04:00:00'}`;
+
+        if (old) {
+            delete this.vipSelections[keyOf(old)];
+        }
+        if (vip && eventType !== 'DELETE') {
+            this.vipSelections[keyOf(vip)] = vip;
+        }
+
+        this.saveToStorage();
+        return [...new Set([old?.date, vip?.date].filter(Boolean))];
+    }
+
     // Check if a player is an active alliance leader
     isAllianceLeader(playerName) {
         return this.allianceLeaders.some(leader => 
@@ -457,10 +521,13 @@ export class LeaderVIPManager {
 
     // Set VIP for a specific date with manual conductor selection
     async setVIPForDate(date, conductorName, vipPlayer, trainTime = '04:00:00', notes = '') {
+        this.ensureWritable('set VIPs');
+
         // Format date as YYYY-MM-DD in local timezone to avoid timezone shift
         const dateString = this.formatDateForStorage(date);
         const timeString = trainTime || '04:00:00';
         const key = `${dateString}_${timeString}`;
+        const previous = this.vipSelections[key] ? { ...this.vipSelections[key] } : null;
         
         this.vipSelections[key] = {
             date: dateString,
@@ -470,7 +537,10 @@ export class LeaderVIPManager {
             notes: notes
         };
 
-        await this.saveToDatabase();
+        await this.persist(
+            [this.vipMutation(this.vipSelections[key])],
+            auditLog.entry(previous ? 'update' : 'create', 'vip', key, previous, this.vipSelections[key])
+        );
         return this.vipSelections[key];
     }
 
@@ -558,6 +628,8 @@ export class LeaderVIPManager {
 
     // Add new alliance leader or reactivate existing one
     async addAllianceLeader(playerName) {
+        this.ensureWritable('add alliance leaders');
+
         // Check if player is already an active leader
         if (this.isAllianceLeader(playerName)) {
             throw new Error('Player is already an active alliance leader');
@@ -590,7 +662,10 @@ export class LeaderVIPManager {
                 this.trainConductorRotation.push(newRotationEntry);
             }
             
-            await this.saveToDatabase();
+            await this.persist(
+                [this.leaderMutation(existingInactiveLeader), this.rotationMutation()],
+                auditLog.entry('update', 'alliance_leader', playerName, { ...existingInactiveLeader, is_active: false }, existingInactiveLeader)
+            );
             return existingInactiveLeader;
         } else {
             // Add completely new leader
@@ -609,13 +684,18 @@ export class LeaderVIPManager {
             };
             this.trainConductorRotation.push(newRotationEntry);
             
-            await this.saveToDatabase();
+            await this.persist(
+                [this.leaderMutation(newLeader), this.rotationMutation()],
+                auditLog.entry('create', 'alliance_leader', playerName, null, newLeader)
+            );
             return newLeader;
         }
     }
 
     // Remove alliance leader (soft delete - marks as inactive)
     async removeAllianceLeader(playerName) {
+        this.ensureWritable('remove alliance leaders');
+
         // Check if this leader has any VIP records as conductor
         const hasVIPRecords = Object.values(this.vipSelections).some(
             vip => vip.train_conductor.toLowerCase() === playerName.toLowerCase()
@@ -639,11 +719,17 @@ export class LeaderVIPManager {
                     rotationEntry.is_active = false;
                 }
                 
-                await this.saveToDatabase();
+                await this.persist(
+                    [this.leaderMutation(leader), this.rotationMutation()],
+                    auditLog.entry('update', 'alliance_leader', playerName, { ...leader, is_active: true }, leader)
+                );
                 throw new Error(`Cannot remove "${playerName}" - they have VIP records as train conductor. Status marked as inactive instead.`);
             }
         } else {
             // No VIP records, safe to hard delete
+            const removedLeader = this.allianceLeaders.find(
+                leader => leader.player_name.toLowerCase() === playerName.toLowerCase()
+            ) || null;
             this.allianceLeaders = this.allianceLeaders.filter(
                 leader => leader.player_name.toLowerCase() !== playerName.toLowerCase()
             );
@@ -658,43 +744,62 @@ export class LeaderVIPManager {
                 rotation.rotation_order = index + 1;
             });
             
-            await this.saveToDatabase();
+            await this.persist([
+                { table: 'train_conductor_rotation', action: 'delete', match: { player_name: playerName }, description: `Remove ${playerName} from rotation` },
+                { table: 'alliance_leaders', action: 'delete', match: { player_name: playerName }, description: `Remove leader ${playerName}` },
+                this.rotationMutation()
+            ], auditLog.entry('delete', 'alliance_leader', playerName, removedLeader, null));
         }
     }
 
     // Update train conductor rotation
     async updateTrainConductorRotation(rotation) {
+        this.ensureWritable('change the train rotation');
+
+        const before = this.getRotationSnapshot();
         this.trainConductorRotation = rotation;
-        await this.saveToDatabase();
+        await this.persist([this.rotationMutation()], auditLog.entry('reorder', 'train_rotation', '', before, this.getRotationSnapshot()));
     }
 
     // Remove player from train conductor rotation
     async removeFromTrainConductorRotation(index) {
+        this.ensureWritable('change the train rotation');
+
         if (index < 0 || index >= this.trainConductorRotation.length) {
             throw new Error('Invalid rotation index');
         }
         
         // Remove the player from rotation
-        this.trainConductorRotation.splice(index, 1);
+        const before = this.getRotationSnapshot();
+        const [removed] = this.trainConductorRotation.splice(index, 1);
         
         // Reorder the remaining rotation entries
         this.trainConductorRotation.forEach((rotation, i) => {
             rotation.rotation_order = i + 1;
         });
         
-        await this.saveToDatabase();
+        await this.persist([
+            { table: 'train_conductor_rotation', action: 'delete', match: { player_name: removed.player_name }, description: `Remove ${removed.player_name} from rotation` },
+            this.rotationMutation()
+        ], auditLog.entry('delete', 'train_rotation', removed.player_name, before, this.getRotationSnapshot()));
     }
 
     // Delete VIP for a specific date
     async deleteVIPForDate(date, trainTime = null) {
+        this.ensureWritable('delete VIPs');
+
         const dateString = this.formatDateForStorage(date);
         
         if (trainTime) {
             // Delete specific train
             const key = `${dateString}_${trainTime}`;
             if (this.vipSelections[key]) {
+                const deleted = this.vipSelections[key];
                 delete this.vipSelections[key];
-                await this.saveToDatabase();
+                await this.persist(
+                    [{ table: 'vip_selections', action: 'delete', match: { date: dateString, train_time: trainTime }, description: `Delete VIP for ${dateString}` }],
+                    auditLog.entry('delete', 'vip', key, deleted, null)
+                );
             }
         } else {
             // Delete all trains for this date
@@ -705,12 +810,16 @@ export class LeaderVIPManager {
                 }
             }
             
+            const deleted = keysToDelete.map(key => this.vipSelections[key]);
             keysToDelete.forEach(key => {
                 delete this.vipSelections[key];
             });
             
             if (keysToDelete.length > 0) {
-                await this.saveToDatabase();
+                await this.persist(
+                    [{ table: 'vip_selections', action: 'delete', match: { date: dateString }, description: `Delete VIPs for ${dateString}` }],
+                    auditLog.entry('delete', 'vip', dateString, deleted, null)
+                );
             }
         }
     }
@@ -825,6 +934,8 @@ export class LeaderVIPManager {
 
     // Force sync all data to database (useful for debugging)
     async forceSyncToDatabase() {
+        this.ensureWritable('sync leader data');
+
         console.log('Force syncing all leader system data to database...');
         console.log('Current state before sync:', {
             allianceLeaders: this.allianceLeaders.length,
@@ -845,46 +956,27 @@ export class LeaderVIPManager {
         });
     }
 
-    // Update player name across all leader and VIP tables
-    async updatePlayerName(oldName, newName) {
-        try {
-            // 1. Update alliance leaders
-            const leader = this.allianceLeaders.find(
-                l => l.player_name.toLowerCase() === oldName.toLowerCase()
-            );
-            if (leader) {
-                leader.player_name = newName;
-            }
-
-            // 2. Update train conductor rotation
-            const rotationEntry = this.trainConductorRotation.find(
-                r => r.player_name.toLowerCase() === oldName.toLowerCase()
-            );
-            if (rotationEntry) {
-                rotationEntry.player_name = newName;
-            }
+    /**
+     * Show a player's new name in the cached leaders, rotation and VIP picks.
+     * The database renames them itself when the player is renamed.
+     * @param {string} oldName - Name before the rename
+     * @param {string} newName - Name after the rename
+     */
+    applyPlayerRename(oldName, newName) {
+        const renamed = name => (name && name.toLowerCase() === oldName.toLowerCase() ? newName : name);
 
-            // 3. Update VIP selections where player was conductor
-            Object.values(this.vipSelections).forEach(vip => {
-                if (vip.train_conductor.toLowerCase() === oldName.toLowerCase()) {
-                    vip.train_conductor = newName;
-                }
-            });
-
-            // 4. Update VIP selections where player was VIP
-            Object.values(this.vipSelections).forEach(vip => {
-                if (vip.vip_player.toLowerCase() === oldName.toLowerCase()) {
-                    vip.vip_player = newName;
-                }
-            });
-
-            // 5. Save all changes to database
-            await this.saveToDatabase();
+        this.allianceLeaders.forEach(leader => {
+            leader.player_name = renamed(leader.player_name);
+        });
+        this.trainConductorRotation.forEach(entry => {
+            entry.player_name = renamed(entry.player_name);
+            entry.conductor_name = renamed(entry.conductor_name);
+        });
+        Object.values(this.vipSelections).forEach(vip => {
+            vip.train_conductor = renamed(vip.train_conductor);
+            vip.vip_player = renamed(vip.vip_player);
+        });
 
-            return true;
-        } catch (error) {
-            console.error('Error updating player name in LeaderVIPManager:', error);
-            throw new Error(`Failed to update player name in leader and VIP tables: ${error.message}`);
-        }
+        this.saveToStorage();
     }
 }
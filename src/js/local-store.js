@@ -0,0 +1,320 @@
+/**
+ * LocalStore - IndexedDB cache behind every manager's offline fallback
+ *
+ * Ranking rows are stored one per record so lookups can use an index
+ * instead of parsing all history at once:
+ * - `dailyRankings` - indexed by `day` and `commander` (lowercased)
+ * - `eventRankings` - indexed by `eventKey` and `commander` (lowercased)
+ * - `records`       - small named values (special events, removed and
+ *                     inactive players, ranking versions, leader/VIP data)
+ *
+ * `records` are also kept in memory after `open()`, so `get()` can stay
+ * synchronous for callers such as `isPlayerRemoved()`. Data previously
+ * cached in localStorage is moved over once, the first time the store opens.
+ */
+
+const DB_NAME = 'lastWarRankings';
+const DB_VERSION = 1;
+const MIGRATED_KEY = 'migratedFromLocalStorage';
+
+// Named values that used to be separate localStorage entries
+const RECORD_KEYS = ['specialEvents', 'removedPlayers', 'inactivePlayers', 'rankingVersions', 'leaderVIPData'];
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function commanderKey(commander) {
+    return (commander || '').trim().toLowerCase();
+}
+
+export class LocalStore {
+    constructor() {
+        this.db = null;
+        this.records = new Map();
+        this.ready = null;
+    }
+
+    /**
+     * Open the database, load `records` into memory and run the one-time
+     * localStorage migration. Safe to call more than once; never throws.
+     * Without IndexedDB, values are kept in memory for this session only.
+     */
+    async open() {
+        if (!this.ready) {
+            this.ready = this.openDatabase();
+        }
+        return this.ready;
+    }
+
+    async openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB not available, offline data will not be kept between visits');
+            return;
+        }
+
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const daily = db.createObjectStore('dailyRankings', { autoIncrement: true });
+                daily.createIndex('day', 'day');
+                daily.createIndex('commander', 'commanderKey');
+
+                const events = db.createObjectStore('eventRankings', { autoIncrement: true });
+                events.createIndex('eventKey', 'eventKey');
+                events.createIndex('commander', 'commanderKey');
+
+                db.createObjectStore('records');
+            };
+            this.db = await promisify(request);
+
+            const transaction = this.db.transaction('records', 'readonly');
+            const store = transaction.objectStore('records');
+            const [keys, values] = await Promise.all([
+                promisify(store.getAllKeys()),
+                promisify(store.getAll())
+            ]);
+            keys.forEach((key, index) => this.records.set(key, values[index]));
+
+            if (!this.records.get(MIGRATED_KEY)) {
+                await this.migrateFromLocalStorage();
+            }
+        } catch (error) {
+            console.error('Error opening local database, offline data will not be kept:', error);
+            this.db = null;
+        }
+    }
+
+    /**
+     * Move the old localStorage cache into IndexedDB, then free the space.
+     * localStorage is only cleared once everything has been written.
+     */
+    async migrateFromLocalStorage() {
+        const parse = (key, fallback) => {
+            try {
+                const stored = localStorage.getItem(key);
+                return stored ? JSON.parse(stored) : fallback;
+            } catch (error) {
+                console.error(`Skipping unreadable localStorage entry ${key}:`, error);
+                return fallback;
+            }
+        };
+
+        const dailyKey = localStorage.getItem('dailyRankingsData') ? 'dailyRankingsData' : 'rankingsData';
+        const dailyRankings = parse(dailyKey, {});
+        const eventKeys = Object.keys(localStorage).filter(key => key.startsWith('event_'));
+
+        await this.saveDailyRankings(dailyRankings);
+        for (const key of eventKeys) {
+            await this.saveEventRankings(key.slice('event_'.length), parse(key, []));
+        }
+        for (const key of RECORD_KEYS) {
+            const value = parse(key, null);
+            if (value !== null) {
+                await this.set(key, value);
+            }
+        }
+        await this.set(MIGRATED_KEY, new Date().toISOString());
+
+        ['dailyRankingsData', 'rankingsData', ...eventKeys, ...RECORD_KEYS].forEach(key => localStorage.removeItem(key));
+        console.log(`Moved offline data to IndexedDB: ${Object.keys(dailyRankings).length} days, ${eventKeys.length} events`);
+    }
+
+    /**
+     * Get a named value
+     * @param {string} key - e.g. 'specialEvents'
+     * @param {*} fallback - Returned when nothing is stored
+     * @returns {*} A copy of the stored value
+     */
+    get(key, fallback = null) {
+        return this.records.has(key) ? structuredClone(this.records.get(key)) : fallback;
+    }
+
+    /**
+     * Store a named value. The in-memory copy updates immediately; the
+     * returned promise settles once it is written (errors are logged).
+     */
+    async set(key, value) {
+        this.records.set(key, structuredClone(value));
+        if (!this.db) {
+            return;
+        }
+
+        try {
+            const transaction = this.db.transaction('records', 'readwrite');
+            transaction.objectStore('records').put(value, key);
+            await transactionDone(transaction);
+        } catch (error) {
+            console.error(`Error saving ${key} to local database:`, error);
+        }
+    }
+
+    async remove(key) {
+        this.records.delete(key);
+        if (!this.db) {
+            return;
+        }
+
+        try {
+            const transaction = this.db.transaction('records', 'readwrite');
+            transaction.objectStore('records').delete(key);
+            await transactionDone(transaction);
+        } catch (error) {
+            console.error(`Error removing ${key} from local database:`, error);
+        }
+    }
+
+    /**
+     * Every cached daily ranking, grouped by day
+     * @returns {Promise<Object>} { [day]: [{ ranking, commander, points }] }
+     */
+    async getAllDailyRankings() {
+        if (!this.db) {
+            return {};
+        }
+
+        try {
+            const transaction = this.db.transaction('dailyRankings', 'readonly');
+            const rows = await promisify(transaction.objectStore('dailyRankings').getAll());
+            const rankingsData = {};
+            rows.forEach(({ day, ranking, commander, points }) => {
+                if (!rankingsData[day]) {
+                    rankingsData[day] = [];
+                }
+                rankingsData[day].push({ ranking, commander, points });
+            });
+            Object.values(rankingsData).forEach(rankings => rankings.sort((a, b) => a.ranking - b.ranking));
+            return rankingsData;
+        } catch (error) {
+            console.error('Error reading rankings from local database:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Cache daily rankings
+     * @param {Object} rankingsData - { [day]: rankings }
+     * @param {Array<string>|null} days - Only replace these days (null replaces everything)
+     */
+    async saveDailyRankings(rankingsData, days = null) {
+        if (!this.db) {
+            return;
+        }
+
+        try {
+            const transaction = this.db.transaction('dailyRankings', 'readwrite');
+            const store = transaction.objectStore('dailyRankings');
+
+            if (days) {
+                for (const day of days) {
+                    const keys = await promisify(store.index('day').getAllKeys(IDBKeyRange.only(day)));
+                    keys.forEach(key => store.delete(key));
+                }
+            } else {
+                store.clear();
+            }
+
+            (days || Object.keys(rankingsData)).forEach(day => {
+                (rankingsData[day] || []).forEach(row => {
+                    store.add({
+                        day,
+                        ranking: row.ranking,
+                        commander: row.commander,
+                        commanderKey: commanderKey(row.commander),
+                        points: row.points
+                    });
+                });
+            });
+            await transactionDone(transaction);
+        } catch (error) {
+            console.error('Error saving rankings to local database:', error);
+        }
+    }
+
+    /**
+     * One commander's cached daily rankings, oldest first
+     * @param {string} commander - Name (case-insensitive)
+     * @param {string|null} fromDate - Skip YYYY-MM-DD days before this
+     * @returns {Promise<Array>} { date, ranking, points } rows
+     */
+    async getCommanderHistory(commander, fromDate = null) {
+        if (!this.db) {
+            return [];
+        }
+
+        try {
+            const transaction = this.db.transaction('dailyRankings', 'readonly');
+            const rows = await promisify(
+                transaction.objectStore('dailyRankings').index('commander').getAll(IDBKeyRange.only(commanderKey(commander)))
+            );
+            return rows
+                .filter(row => !fromDate || !/^\d{4}-\d{2}-\d{2}$/.test(row.day) || row.day >= fromDate)
+                .map(row => ({ date: row.day, ranking: row.ranking, points: row.points }))
+                .sort((a, b) => a.date.localeCompare(b.date));
+        } catch (error) {
+            console.error('Error reading player history from local database:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Cached rankings for a special event
+     * @param {string} eventKey - Special event key
+     * @returns {Promise<Array>} Rows as they were saved, by ranking
+     */
+    async getEventRankings(eventKey) {
+        if (!this.db) {
+            return [];
+        }
+
+        try {
+            const transaction = this.db.transaction('eventRankings', 'readonly');
+            const rows = await promisify(
+                transaction.objectStore('eventRankings').index('eventKey').getAll(IDBKeyRange.only(eventKey))
+            );
+            return rows
+                .map(({ eventKey: _eventKey, commanderKey: _commanderKey, ...row }) => row)
+                .sort((a, b) => a.ranking - b.ranking);
+        } catch (error) {
+            console.error('Error reading event rankings from local database:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Replace the cached rankings for a special event (an empty list removes them)
+     */
+    async saveEventRankings(eventKey, rankings) {
+        if (!this.db) {
+            return;
+        }
+
+        try {
+            const transaction = this.db.transaction('eventRankings', 'readwrite');
+            const store = transaction.objectStore('eventRankings');
+            const keys = await promisify(store.index('eventKey').getAllKeys(IDBKeyRange.only(eventKey)));
+            keys.forEach(key => store.delete(key));
+            (rankings || []).forEach(row => {
+                store.add({ ...row, eventKey, commanderKey: commanderKey(row.commander) });
+            });
+            await transactionDone(transaction);
+        } catch (error) {
+            console.error('Error saving event rankings to local database:', error);
+        }
+    }
+}
+
+// Shared by every manager; main.js opens it before the managers load
+export const localStore = new LocalStore();
@@ -3,10 +3,16 @@ import { CSVProcessor } from './csv-processor.js';
 import { UIManager } from './ui-manager.js';
 import { LeaderVIPManager } from './leader-vip-manager.js';
 import { AutocompleteService } from './autocomplete-service.js';
-import { SeasonRankingManager } from './season-ranking-manager.js';
+import { SeasonRankingManager, DEFAULT_SEASON_ELIGIBILITY } from './season-ranking-manager.js';
 import { PlayerAliasService } from './player-alias-service.js';
-import { config } from './config.js';
+import { PlayerMergeService, PLAYER_ROW_SOURCES } from './player-merge-service.js';
+import { AuthService, ROLES, ROLE_LABELS } from './auth-service.js';
+import { auditLog, AUDIT_ENTITY_TYPES } from './audit-log-service.js';
+import { syncQueue } from './sync-queue.js';
+import { localStore } from './local-store.js';
+import { realtime } from './realtime-service.js';
 import { supabase } from './supabase-client.js';
+import { normalizeScoringRules, validateScoringRules, weightedTotal, SCORE_COMPONENTS } from './scoring-rules.js';
 
 class DailyRankingsApp {
     constructor() {
@@ -15,18 +21,27 @@ class DailyRankingsApp {
         this.uiManager = new UIManager();
         this.leaderVIPManager = new LeaderVIPManager();
         this.playerAliasService = new PlayerAliasService();
+        this.playerMergeService = new PlayerMergeService(this.playerAliasService);
         this.autocompleteService = new AutocompleteService(this.rankingManager, this.leaderVIPManager, this.playerAliasService);
         this.seasonRankingManager = new SeasonRankingManager(this.rankingManager, this.leaderVIPManager);
+        this.authService = new AuthService();
         this.selectedDate = new Date();
         this.currentTabDate = null;
         this.adminAuthenticated = false;
         this.modalEventListenersSetup = false;
         this.memberActivityData = null; // Store full activity data for filtering
+        this.cachedDataTime = null; // Oldest offline data on screen, for the cached-data banner
+        this.realtimeChanges = new Set(); // What other sessions changed since the last refresh
+        this.realtimeRefreshTimer = null;
         
         // Set the leader VIP manager in the UI manager
         this.uiManager.setLeaderVIPManager(this.leaderVIPManager);
         this.uiManager.setRankingManager(this.rankingManager);
         
+        // Offline changes: ask which version wins on conflict, and show the count in the header
+        syncQueue.setConflictResolver(conflict => this.uiManager.showSyncConflict(conflict));
+        syncQueue.onChange(count => this.uiManager.updatePendingChanges(count));
+        
         // Wait for DOM to be ready before initializing
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => {
@@ -39,11 +54,10 @@ class DailyRankingsApp {
 
     async init() {
         this.setupEventListeners();
+        this.registerServiceWorker();
         
-        // Show admin features if admin code matches environment variable
-        const isAdmin = this.isAdmin();
-        console.log('Admin mode:', isAdmin);
-        this.uiManager.toggleAdminFeatures(isAdmin);
+        // Admin features stay hidden until an officer signs in
+        this.uiManager.toggleAdminFeatures(false);
         
         // Initialize Supabase connection
         try {
@@ -55,6 +69,9 @@ class DailyRankingsApp {
             console.warn('Supabase initialization failed:', error);
         }
         
+        // Offline fallbacks read from the local cache, so open it first
+        await localStore.open();
+        
         // Wait for data to load from database
         try {
             await this.rankingManager.initializeConnection();
@@ -88,6 +105,15 @@ class DailyRankingsApp {
             console.warn('Player alias service initialization failed:', error);
         }
         
+        // The current season is the default wherever a season applies
+        await this.seasonRankingManager.loadSeasons();
+        this.applyCurrentSeasonToReports();
+        
+        // Pick up an officer session that survived a page reload
+        if (await this.authService.restoreSession()) {
+            this.applySignedInUser();
+        }
+        
         // Set initial date to current week
         this.setDateToCurrentWeek();
         
@@ -95,6 +121,15 @@ class DailyRankingsApp {
         await this.updateWeeklyTabs();
         const connectionStatus = await this.rankingManager.getConnectionStatus();
         this.uiManager.updateConnectionStatus(connectionStatus);
+        this.uiManager.updatePendingChanges(syncQueue.getPendingCount());
+        this.updateCachedDataBanner();
+        
+        // Replay offline changes as soon as the browser is back online
+        window.addEventListener('online', () => this.reconnect());
+        window.addEventListener('offline', () => this.showCachedData(syncQueue.getLastPulled('rankings')));
+        
+        // Live updates from other officers' sessions
+        this.setupRealtime();
         
         // Admin functionality will be initialized when admin content loads
         // (Leader dropdowns, VIP lists, rotation management, special events)
@@ -201,9 +236,15 @@ class DailyRankingsApp {
         const adminLoginBtn = document.getElementById('adminLoginBtn');
         if (adminLoginBtn) {
             console.log('Admin login button found, adding event listener');
-            adminLoginBtn.addEventListener('click', () => {
+            adminLoginBtn.addEventListener('click', async () => {
                 console.log('Admin login button clicked');
-                this.showAdminLoginModal();
+                if (this.authService.isSignedIn()) {
+                    if (confirm(`Sign out ${this.authService.getDisplayName()}?`)) {
+                        await this.exitAdminMode();
+                    }
+                } else {
+                    this.showAdminLoginModal();
+                }
             });
         } else {
             console.error('Admin login button not found in DOM');
@@ -326,39 +367,218 @@ class DailyRankingsApp {
     }
 
     isAdmin() {
-        // Check if admin is authenticated via password
+        // Officers with at least the data entry role get the admin panel
         return this.adminAuthenticated;
     }
 
-    // Legacy admin code check (for backward compatibility)
-    checkLegacyAdmin() {
-        const params = new URLSearchParams(window.location.search);
-        const adminCode = params.get('admin');
-        const expectedCode = import.meta.env.VITE_ADMIN_CODE;
-        
-        if (!adminCode || !expectedCode) {
-            return false;
+    /**
+     * Check a role permission before running an admin action
+     * @param {string} permission - Key from PERMISSIONS in auth-service.js
+     * @returns {boolean} True if the signed-in officer may proceed
+     */
+    requirePermission(permission) {
+        if (this.authService.can(permission)) {
+            return true;
         }
-        
-        return adminCode === expectedCode;
+
+        this.uiManager.showError(`Your role (${this.authService.getRoleLabel() || 'signed out'}) can't do this.`);
+        return false;
+    }
+
+    /**
+     * Register the service worker that keeps the app usable offline.
+     * Skipped in development so Vite's live reload isn't served from cache.
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || import.meta.env.DEV) {
+            return;
+        }
+
+        navigator.serviceWorker.register('/sw.js')
+            .then(() => console.log('Service worker registered'))
+            .catch(error => console.warn('Service worker registration failed:', error));
+
+        // The worker answered a request from its cache because the network failed
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'cached-data') {
+                this.showCachedData(event.data.cachedAt);
+            }
+        });
+    }
+
+    /**
+     * Show the "viewing cached data" banner with the oldest cache time seen
+     * @param {string|null} cachedAt - ISO time the data was loaded
+     */
+    showCachedData(cachedAt) {
+        if (cachedAt && (!this.cachedDataTime || cachedAt < this.cachedDataTime)) {
+            this.cachedDataTime = cachedAt;
+        }
+        this.uiManager.showCachedDataBanner(this.cachedDataTime);
+    }
+
+    // The banner stays up while the managers are working from the local cache
+    updateCachedDataBanner() {
+        if (this.rankingManager.isOnline) {
+            this.cachedDataTime = null;
+            this.uiManager.hideCachedDataBanner();
+        } else {
+            this.showCachedData(syncQueue.getLastPulled('rankings'));
+        }
+    }
+
+    /**
+     * Apply changes other sessions make to the cached data, and refresh the
+     * current tab when they touch it
+     */
+    setupRealtime() {
+        const rankingChange = label => change => this.handleRealtimeChange(this.rankingManager.applyRealtimeChange(change), label);
+        realtime.on('rankings', rankingChange('Rankings'));
+        realtime.on('special_events', rankingChange('Special events'));
+        // Player status shows on every tab
+        realtime.on('removed_players', change => {
+            this.rankingManager.applyRealtimeChange(change);
+            this.handleRealtimeChange(null, 'Removed players');
+        });
+        realtime.on('inactive_players', change => {
+            this.rankingManager.applyRealtimeChange(change);
+            this.handleRealtimeChange(null, 'Inactive players');
+        });
+        realtime.on('player_aliases', change => {
+            this.playerAliasService.applyRealtimeChange(change);
+            this.handleRealtimeChange(null, 'Player aliases');
+        });
+        // A rename also sends the renamed rows of every other table
+        realtime.on('players', change => {
+            this.playerAliasService.applyRealtimeChange(change);
+            this.handleRealtimeChange(null, 'Players');
+        });
+        realtime.on('vip_selections', change => this.handleRealtimeChange(this.leaderVIPManager.applyRealtimeChange(change), 'VIP selection'));
+        // Not cached; only the season report (admin tab) reads these
+        realtime.on('kudos_points', () => this.handleRealtimeChange(['admin'], 'Kudos'));
+        realtime.on('excused_players', () => this.handleRealtimeChange(['admin'], 'Excused players'));
+
+        realtime.subscribe();
+    }
+
+    /**
+     * Write live changes to the local cache and refresh the current tab if
+     * they touched it. An upload arrives as one change per row, so both are
+     * batched until the changes stop for 500 ms.
+     * @param {Array<string>|null} keys - Day, event or tab keys changed (null: every tab)
+     * @param {string} label - What changed, for the toast
+     */
+    handleRealtimeChange(keys, label) {
+        if (this.currentTabDate && (!keys || keys.includes(this.currentTabDate))) {
+            this.realtimeChanges.add(label);
+        }
+
+        clearTimeout(this.realtimeRefreshTimer);
+        this.realtimeRefreshTimer = setTimeout(async () => {
+            await this.rankingManager.flushRealtimeChanges();
+
+            const labels = [...this.realtimeChanges].join(', ');
+            this.realtimeChanges.clear();
+            if (!labels) {
+                return;
+            }
+
+            // Re-rendering the admin tab would clear forms being filled in
+            if (this.currentTabDate === 'admin') {
+                this.uiManager.showToast(`🔄 ${labels} changed in another session`);
+                return;
+            }
+
+            await this.showTab(this.currentTabDate);
+            this.uiManager.showToast(`🔄 Updated: ${labels}`);
+        }, 500);
+    }
+
+    /**
+     * Reconnect after being offline: replay queued changes (done by the
+     * managers' initializeConnection) and reload the current view
+     */
+    async reconnect() {
+        try {
+            await this.rankingManager.initializeConnection();
+            await this.leaderVIPManager.initializeConnection();
+
+            this.playerAliasService.isOnline = this.rankingManager.isOnline;
+            await this.playerAliasService.loadAliasesFromDatabase();
+        } catch (error) {
+            console.warn('Reconnect failed:', error);
+        }
+
+        const connectionStatus = await this.rankingManager.getConnectionStatus();
+        this.uiManager.updateConnectionStatus(connectionStatus);
+        this.uiManager.updatePendingChanges(syncQueue.getPendingCount());
+        this.updateCachedDataBanner();
+        realtime.subscribe();
+
+        if (this.currentTabDate) {
+            await this.showTab(this.currentTabDate);
+        }
+    }
+
+    /**
+     * Turn on the admin features the signed-in officer's role allows
+     */
+    applySignedInUser() {
+        this.adminAuthenticated = this.authService.can('admin.access');
+        this.rankingManager.setCurrentEditor(this.authService.getDisplayName());
+        auditLog.setActor(this.authService.getDisplayName(), this.authService.user ? this.authService.user.id : null);
+        this.uiManager.toggleAdminFeatures(this.adminAuthenticated);
+        this.updateAdminLoginButton();
+        this.updateWriteAccess();
+
+        if (this.adminAuthenticated) {
+            this.loadAdminContent();
+
+            // Changes queued before signing in couldn't be sent yet
+            if (syncQueue.getPendingCount() > 0) {
+                this.reconnect();
+            } else {
+                auditLog.flush();
+            }
+        }
+    }
+
+    /**
+     * Viewers get read-only managers so nothing they do reaches the database
+     */
+    updateWriteAccess() {
+        const readOnly = !this.adminAuthenticated;
+        this.rankingManager.setReadOnly(readOnly);
+        this.leaderVIPManager.setReadOnly(readOnly);
+        this.seasonRankingManager.setReadOnly(readOnly);
+    }
+
+    updateAdminLoginButton() {
+        const adminLoginBtn = document.getElementById('adminLoginBtn');
+        if (!adminLoginBtn) return;
+
+        adminLoginBtn.textContent = this.authService.isSignedIn()
+            ? `👤 ${this.authService.getDisplayName()} (${this.authService.getRoleLabel()})`
+            : '🔐 Officer Sign In';
     }
 
-    exitAdminMode() {
-        // Clear admin authentication and hide admin features
+    async exitAdminMode() {
+        // Sign out and hide admin features
+        await this.authService.signOut();
+        auditLog.setActor(null);
         this.adminAuthenticated = false;
         this.uiManager.toggleAdminFeatures(false);
+        this.updateAdminLoginButton();
+        this.updateWriteAccess();
         
-        // Remove admin tab if it exists
-        const adminTab = document.querySelector('.tab[data-type="admin"]');
-        if (adminTab) {
-            adminTab.remove();
-        }
+        // Remove admin and rankings tabs if they exist
+        document.querySelectorAll('.tab[data-type="admin"], .tab[data-type="rankings"]').forEach(tab => tab.remove());
         
         // Clear admin-related data to prevent duplication on re-login
         this.leaderVIPManager.clearAdminData();
         
         // Show success message
-        this.uiManager.showSuccess('Admin mode exited successfully');
+        this.uiManager.showSuccess('Signed out successfully');
     }
 
     showAdminLoginModal() {
@@ -449,48 +669,35 @@ class DailyRankingsApp {
     }
 
     async authenticateAdmin() {
-        const password = document.getElementById('adminPassword').value;
+        const email = document.getElementById('adminEmail').value;
+        const passwordInput = document.getElementById('adminPassword');
         
-        // Try environment variable first, fall back to local config
-        let expectedPassword;
         try {
-            expectedPassword = import.meta.env.VITE_ADMIN_PASSWORD;
+            await this.authService.signIn(email, passwordInput.value);
         } catch (error) {
-            expectedPassword = config.adminPassword;
+            this.uiManager.showError(error.message);
+            passwordInput.value = '';
+            return;
         }
         
-        if (!expectedPassword) {
-            // Fallback to legacy admin code system
-            if (this.checkLegacyAdmin()) {
-                this.adminAuthenticated = true;
-                this.uiManager.toggleAdminFeatures(true);
-                document.getElementById('adminLoginModal').classList.remove('show');
-                this.uiManager.showSuccess('Admin access granted via legacy code');
-                return;
-            }
-            this.uiManager.showError('Admin system not configured');
+        passwordInput.value = '';
+        document.getElementById('adminLoginModal').classList.remove('show');
+        
+        // Load the admin content this role allows
+        this.applySignedInUser();
+        
+        if (!this.adminAuthenticated) {
+            this.uiManager.showInfo(`Signed in as ${this.authService.getDisplayName()} (Viewer). Ask an R5 admin for officer access.`);
             return;
         }
         
-        if (password === expectedPassword) {
-            this.adminAuthenticated = true;
-            this.uiManager.toggleAdminFeatures(true);
-            document.getElementById('adminLoginModal').classList.remove('show');
-            document.getElementById('adminPassword').value = '';
-            this.uiManager.showSuccess('Admin access granted');
-            
-            // Load secure admin content
-            this.loadAdminContent();
-            
-            // Recreate Rankings tab now that admin is authenticated
-            this.createRankingsTab();
-            
-            // Add admin tab
-            await this.updateWeeklyTabs();
-        } else {
-            this.uiManager.showError('Invalid admin password');
-            document.getElementById('adminPassword').value = '';
-        }
+        this.uiManager.showSuccess(`Signed in as ${this.authService.getDisplayName()} (${this.authService.getRoleLabel()})`);
+        
+        // Recreate Rankings tab now that admin is authenticated
+        this.createRankingsTab();
+        
+        // Add admin tab
+        await this.updateWeeklyTabs();
     }
 
             updateVersionNumber() {
@@ -829,8 +1036,8 @@ class DailyRankingsApp {
         console.log('All tabs in container:', tabsContainer.querySelectorAll('.tab').length);
         console.log('Reports tab computed styles:', window.getComputedStyle(reportsTab));
         
-        // Add Rankings Management tab (only for admin users)
-        if (this.isAdmin() && this.adminAuthenticated) {
+        // Add Rankings Management tab (only for officers who can import rankings)
+        if (this.isAdmin() && this.authService.can('rankings.import')) {
             const rankingsTab = document.createElement('button');
             rankingsTab.className = 'tab rankings-tab';
             rankingsTab.textContent = '📷 Rankings';
@@ -933,8 +1140,8 @@ class DailyRankingsApp {
         
         // Check if this is the Rankings tab
         if (dateKey === 'rankings') {
-            // Only allow access if user is admin
-            if (!this.isAdmin() || !this.adminAuthenticated) {
+            // Only allow access if the officer can import rankings
+            if (!this.isAdmin() || !this.authService.can('rankings.import')) {
                 console.log('Access denied to Rankings tab - not admin');
                 return;
             }
@@ -1103,74 +1310,46 @@ class DailyRankingsApp {
         }
 
         const file = fileInput.files[0];
+
+        if (this.csvProcessor.isSpreadsheetFile(file)) {
+            await this.processWorkbookFile(file, selectedDateKey);
+            fileInput.value = '';
+            return;
+        }
         
-        this.csvProcessor.processFile(file, async (rankings) => {
-            if (rankings.length === 0) {
-                alert('No valid rankings found in CSV.');
-                return;
-            }
+        let imported;
+        try {
+            const csvText = await this.csvProcessor.readFile(file);
+            imported = await this.mapCSVColumns(csvText, selectedDateKey);
+        } catch (error) {
+            console.error('Error reading CSV file:', error);
+            alert(error.message || 'Error reading CSV file.');
+            return;
+        }
 
-            // Check if this is a special event
-            const isSpecialEvent = selectedDateKey.startsWith('event_');
-            
-            // Show confirmation dialog with sample data
-            const confirmed = await this.showImportConfirmation(rankings, selectedDateKey);
-            
-            if (!confirmed) {
-                // Clear the file input if user cancels
-                fileInput.value = '';
-                return;
-            }
+        if (!imported) {
+            // Column mapping was cancelled
+            fileInput.value = '';
+            return;
+        }
 
-            const uniqueRankings = this.rankingManager.removeDuplicateRankings(rankings);
-            
-            if (isSpecialEvent) {
-                // Handle special event data
-                await this.rankingManager.setRankingsForSpecialEvent(selectedDateKey, uniqueRankings);
-                const eventName = selectedDateKey.split('_').slice(1, -2).join('_');
-                this.uiManager.showSuccess(`Successfully processed ${uniqueRankings.length} rankings for special event: ${eventName}!`);
-            } else {
-                // Handle regular date data
-                await this.rankingManager.setRankingsForDate(selectedDateKey, uniqueRankings);
-                
-                // Refresh data from database to ensure weekly statistics are accurate
-                await this.rankingManager.refreshDataFromDatabase();
-                
-                const selectedDate = new Date(selectedDateKey);
-                this.uiManager.showSuccess(`Successfully processed ${uniqueRankings.length} rankings for ${this.formatDateDisplay(selectedDate)}!`);
-            }
-            
-            // Get existing player names before adding new ones
-            const existingPlayers = new Set();
-            const allExistingRankings = await this.rankingManager.getAllRankings();
-            allExistingRankings.forEach(ranking => {
-                if (ranking.commander) {
-                    existingPlayers.add(ranking.commander);
-                }
-            });
-            
-            // Find new player names
-            const newPlayers = uniqueRankings
-                .filter(ranking => ranking.commander && !existingPlayers.has(ranking.commander))
-                .map(ranking => ranking.commander);
-            
-            // Show new player names if any
-            if (newPlayers.length > 0) {
-                const newPlayersList = newPlayers.join(', ');
-                this.uiManager.showInfo(`New players added to database: ${newPlayersList}`);
-                console.log('New players found:', newPlayers);
-            }
-            
-            // Refresh autocomplete with new player names
-            await this.autocompleteService.refreshPlayerNames();
-            
-            // Refresh the current tab to show new data
-            await this.showTab(selectedDateKey);
-            this.updateDataStatus();
-            
-            // Clear the file input
+        if (imported.days) {
+            await this.importWeek(imported.days, imported.unassigned);
             fileInput.value = '';
-        });
+            return;
+        }
+
+        const { rankings, report } = imported;
+
+        if (rankings.length === 0) {
+            alert('No valid rankings found in CSV.');
+            return;
+        }
+
+        await this.importRankings(selectedDateKey, rankings, report);
+        
+        // Clear the file input
+        fileInput.value = '';
     }
 
     async processPastedCSV(selectedDate) {
@@ -1185,80 +1364,200 @@ class DailyRankingsApp {
         try {
             // Process the pasted CSV data
             const csvText = rawCsvInput.value.trim();
-            const rankings = this.csvProcessor.processCSVText(csvText);
+            const imported = await this.mapCSVColumns(csvText, selectedDateKey);
             
+            if (!imported) {
+                return;
+            }
+
+            if (imported.days) {
+                if (await this.importWeek(imported.days, imported.unassigned)) {
+                    rawCsvInput.value = '';
+                }
+                return;
+            }
+
+            const { rankings, report } = imported;
+
             if (rankings.length === 0) {
                 alert('No valid rankings found in pasted CSV data.');
                 return;
             }
 
-            // Check if this is a special event
-            const isSpecialEvent = selectedDateKey.startsWith('event_');
+            const saved = await this.importRankings(selectedDateKey, rankings, report);
             
-            // Show confirmation dialog with sample data
-            const confirmed = await this.showImportConfirmation(rankings, selectedDateKey);
-            
-            if (!confirmed) {
-                return;
+            if (saved) {
+                // Clear the textarea
+                rawCsvInput.value = '';
             }
-
-            const uniqueRankings = this.rankingManager.removeDuplicateRankings(rankings);
             
-            if (isSpecialEvent) {
-                // Handle special event data
-                await this.rankingManager.setRankingsForSpecialEvent(selectedDateKey, uniqueRankings);
-                const eventName = selectedDateKey.split('_').slice(1, -2).join('_');
+        } catch (error) {
+            console.error('Error processing pasted CSV:', error);
+            alert('Error processing CSV data. Please check the format and try again.');
+        }
+    }
+
+    /**
+     * Confirm and save imported rankings for a day or special event, then
+     * refresh everything that depends on them
+     * @param {string} selectedDateKey - YYYY-MM-DD or special event key
+     * @param {Array} rankings - Parsed rankings
+     * @param {Object|null} report - Validation report shown in the confirmation
+     * @returns {Promise<boolean>} True if the rankings were imported
+     */
+    async importRankings(selectedDateKey, rankings, report = null) {
+        // Check if this is a special event
+        const isSpecialEvent = selectedDateKey.startsWith('event_');
+        
+        // Show confirmation dialog with sample data
+        const confirmed = await this.showImportConfirmation(rankings, selectedDateKey, report);
+        
+        if (!confirmed) {
+            return false;
+        }
+
+        const uniqueRankings = this.rankingManager.removeDuplicateRankings(rankings);
+        
+        let saved;
+        try {
+            saved = isSpecialEvent
+                ? await this.rankingManager.setRankingsForSpecialEvent(selectedDateKey, uniqueRankings)
+                : await this.rankingManager.setRankingsForDate(selectedDateKey, uniqueRankings);
+        } catch (error) {
+            this.uiManager.showError(`Rankings were not saved: ${error.message}`);
+            return false;
+        }
+
+        if (isSpecialEvent) {
+            // Handle special event data
+            const eventName = selectedDateKey.split('_').slice(1, -2).join('_');
+            if (saved) {
                 this.uiManager.showSuccess(`Successfully processed ${uniqueRankings.length} rankings for special event: ${eventName}!`);
             } else {
-                // Handle regular date data
-                await this.rankingManager.setRankingsForDate(selectedDateKey, uniqueRankings);
-                
+                this.uiManager.showInfo(`Saved ${uniqueRankings.length} rankings for special event ${eventName} on this device; they will be uploaded when the connection is back`);
+            }
+        } else {
+            // Handle regular date data
+            const selectedDate = new Date(selectedDateKey);
+            if (saved) {
                 // Refresh data from database to ensure weekly statistics are accurate
                 await this.rankingManager.refreshDataFromDatabase();
-                
-                const selectedDate = new Date(selectedDateKey);
                 this.uiManager.showSuccess(`Successfully processed ${uniqueRankings.length} rankings for ${this.formatDateDisplay(selectedDate)}!`);
+            } else {
+                this.uiManager.showInfo(`Saved ${uniqueRankings.length} rankings for ${this.formatDateDisplay(selectedDate)} on this device; they will be uploaded when the connection is back`);
             }
-            
-            // Get existing player names before adding new ones
-            const existingPlayers = new Set();
-            const allExistingRankings = await this.rankingManager.getAllRankings();
-            allExistingRankings.forEach(ranking => {
-                if (ranking.commander) {
-                    existingPlayers.add(ranking.commander);
-                }
-            });
-            
-            // Find new player names
-            const newPlayers = uniqueRankings
-                .filter(ranking => ranking.commander && !existingPlayers.has(ranking.commander))
-                .map(ranking => ranking.commander);
-            
-            // Show new player names if any
-            if (newPlayers.length > 0) {
-                const newPlayersList = newPlayers.join(', ');
-                this.uiManager.showInfo(`New players added to database: ${newPlayersList}`);
-                console.log('New players found:', newPlayers);
+        }
+        
+        await this.refreshAfterImport(selectedDateKey, uniqueRankings);
+        
+        return true;
+    }
+
+    /**
+     * Confirm and save rankings for several days from one file, then refresh once
+     * @param {Array} days - { dateKey, label, rankings, report } per day
+     * @param {Array} unassigned - Rows whose day couldn't be read
+     * @returns {Promise<boolean>} True if the rankings were imported
+     */
+    async importWeek(days, unassigned = []) {
+        const today = this.formatDateKey(new Date());
+        const futureDays = days.filter(day => day.dateKey > today);
+        const importable = days.filter(day => day.dateKey <= today && day.rankings.length > 0);
+
+        if (futureDays.length > 0) {
+            this.uiManager.showError(`Skipping future dates: ${futureDays.map(day => day.label || day.dateKey).join(', ')}`);
+        }
+        if (importable.length === 0) {
+            alert('No valid rankings found for any day in this file.');
+            return false;
+        }
+
+        const summaries = await Promise.all(importable.map(async day => ({
+            ...day,
+            displayDate: this.formatDateDisplay(new Date(day.dateKey + 'T00:00:00')),
+            existingData: await this.rankingManager.getRankingsForDate(day.dateKey)
+        })));
+
+        const confirmed = await this.uiManager.showWeekImportConfirmation(summaries, unassigned);
+        if (!confirmed) {
+            return false;
+        }
+
+        const allRankings = [];
+        const failed = [];
+        let queued = 0;
+        for (const day of importable) {
+            const uniqueRankings = this.rankingManager.removeDuplicateRankings(day.rankings);
+            try {
+                const saved = await this.rankingManager.setRankingsForDate(day.dateKey, uniqueRankings);
+                queued += saved ? 0 : 1;
+                allRankings.push(...uniqueRankings);
+            } catch (error) {
+                failed.push(`${day.label || day.dateKey} (${error.message})`);
             }
-            
-            // Refresh autocomplete with new player names
-            await this.autocompleteService.refreshPlayerNames();
-            
-            // Refresh the current tab to show new data
-            await this.showTab(selectedDateKey);
-            this.updateDataStatus();
-            
-            // Clear the textarea
-            rawCsvInput.value = '';
-            
-        } catch (error) {
-            console.error('Error processing pasted CSV:', error);
-            alert('Error processing CSV data. Please check the format and try again.');
         }
+
+        if (failed.length > 0) {
+            this.uiManager.showError(`Rankings were not saved for ${failed.join(', ')}`);
+        }
+        if (allRankings.length === 0) {
+            return false;
+        }
+
+        // Refresh data from database to ensure weekly statistics are accurate
+        await this.rankingManager.refreshDataFromDatabase();
+
+        const savedDays = importable.length - failed.length;
+        if (queued > 0) {
+            this.uiManager.showInfo(`Saved ${allRankings.length} rankings across ${savedDays} days; ${queued} day(s) will be uploaded when the connection is back`);
+        } else {
+            this.uiManager.showSuccess(`Successfully processed ${allRankings.length} rankings across ${savedDays} days!`);
+        }
+
+        await this.refreshAfterImport(importable[0].dateKey, allRankings);
+
+        return true;
+    }
+
+    /**
+     * Announce new players and refresh autocomplete and the visible tab after an import
+     * @param {string} dateKey - Tab to show afterwards
+     * @param {Array} importedRankings - Rankings that were saved
+     */
+    async refreshAfterImport(dateKey, importedRankings) {
+        // Get existing player names before adding new ones
+        const existingPlayers = new Set();
+        const allExistingRankings = await this.rankingManager.getAllRankings();
+        allExistingRankings.forEach(ranking => {
+            if (ranking.commander) {
+                existingPlayers.add(ranking.commander);
+            }
+        });
+        
+        // Find new player names
+        const newPlayers = importedRankings
+            .filter(ranking => ranking.commander && !existingPlayers.has(ranking.commander))
+            .map(ranking => ranking.commander);
+        
+        // Show new player names if any
+        if (newPlayers.length > 0) {
+            const newPlayersList = newPlayers.join(', ');
+            this.uiManager.showInfo(`New players added to database: ${newPlayersList}`);
+            console.log('New players found:', newPlayers);
+        }
+        
+        // Refresh autocomplete with new player names
+        await this.autocompleteService.refreshPlayerNames();
+        
+        // Refresh the current tab to show new data
+        await this.showTab(dateKey);
+        this.updateDataStatus();
     }
 
     // CSV upload handler methods for admin interface
     async handleCSVUpload() {
+        if (!this.requirePermission('rankings.import')) return;
+
         console.log('handleCSVUpload method called');
         try {
             // Validate date selection
@@ -1273,6 +1572,8 @@ class DailyRankingsApp {
     }
 
     async handlePasteCSVUpload() {
+        if (!this.requirePermission('rankings.import')) return;
+
         console.log('handlePasteCSVUpload method called');
         try {
             // Validate date selection
@@ -1318,8 +1619,160 @@ class DailyRankingsApp {
         return selectedDate;
     }
 
-    async showImportConfirmation(rankings, dateKey) {
-        // Check if this is a special event
+    /**
+     * Parse CSV text and let the admin confirm or adjust the column mapping
+     * Text with a section per day, or with a day/date column, is split into
+     * several days instead of one.
+     * @param {string} csvText - Raw CSV text
+     * @param {string} referenceDateKey - YYYY-MM-DD used to place weekday names
+     * @returns {Promise<Object|null>} { rankings, report } for one day,
+     *   { days: [{ dateKey, label, rankings, report }], unassigned } for several,
+     *   or null if the admin cancelled
+     */
+    async mapCSVColumns(csvText, referenceDateKey) {
+        if (!csvText || csvText.trim().length === 0) {
+            throw new Error('CSV file is empty.');
+        }
+
+        if (referenceDateKey && referenceDateKey.startsWith('event_')) {
+            // Weekday names are placed relative to the current week instead
+            referenceDateKey = null;
+        }
+
+        const sections = this.csvProcessor.splitDaySections(csvText, referenceDateKey);
+        if (sections.length > 0) {
+            return await this.mapDaySections(sections);
+        }
+
+        const table = this.csvProcessor.parseTable(csvText);
+        if (table.records.length === 0) {
+            throw new Error('CSV file is empty.');
+        }
+
+        const result = await this.uiManager.showColumnMapping(table, this.csvProcessor);
+        if (!result) {
+            return null;
+        }
+
+        if (result.mapping.day !== null && result.mapping.day !== undefined) {
+            const { days, unassigned } = this.csvProcessor.splitByDayColumn(table, result.mapping, result.hasHeader, referenceDateKey);
+            return {
+                days: days.map(day => ({
+                    dateKey: day.dateKey,
+                    label: day.label,
+                    ...this.csvProcessor.importWithReport(day.table, result.mapping, result.hasHeader)
+                })),
+                unassigned
+            };
+        }
+
+        return this.csvProcessor.importWithReport(table, result.mapping, result.hasHeader);
+    }
+
+    /**
+     * Map the columns of each per-day section; sections shaped like the
+     * previous one reuse its mapping
+     * @param {Array} sections - { dateKey, label, table } from splitDaySections
+     * @returns {Promise<Object|null>} { days, unassigned } or null if cancelled
+     */
+    async mapDaySections(sections) {
+        const days = [];
+        let previous = null;
+
+        for (const section of sections) {
+            let columns;
+            if (previous && previous.columnCount === section.table.columnCount) {
+                columns = { mapping: previous.columns.mapping, hasHeader: section.table.hasHeader };
+            } else {
+                columns = await this.uiManager.showColumnMapping(section.table, this.csvProcessor);
+                if (!columns) {
+                    return null;
+                }
+                previous = { columnCount: section.table.columnCount, columns };
+            }
+
+            days.push({
+                dateKey: section.dateKey,
+                label: section.label,
+                ...this.csvProcessor.importWithReport(section.table, columns.mapping, columns.hasHeader)
+            });
+        }
+
+        return { days, unassigned: [] };
+    }
+
+    /**
+     * Import an .xlsx/.ods workbook, one sheet per day or special event
+     * Each selected sheet goes through column mapping and the usual import
+     * confirmation. Sheets laid out like the previous one reuse its mapping.
+     * @param {File} file - Workbook file
+     * @param {string} selectedDateKey - Fallback reference date for sheet names like "Monday"
+     */
+    async processWorkbookFile(file, selectedDateKey) {
+        let sheets;
+        try {
+            sheets = await this.csvProcessor.readWorkbook(file);
+        } catch (error) {
+            console.error('Error reading workbook:', error);
+            alert('Error reading spreadsheet. Please check that it is a valid .xlsx or .ods file.');
+            return;
+        }
+
+        if (sheets.length === 0) {
+            alert('No data found in this workbook.');
+            return;
+        }
+
+        const referenceDate = selectedDateKey && !selectedDateKey.startsWith('event_')
+            ? selectedDateKey
+            : this.formatDateKey(new Date());
+        const specialEvents = await this.rankingManager.getSpecialEvents();
+        const selectedSheets = await this.uiManager.showSheetSelection(
+            sheets,
+            specialEvents,
+            name => this.csvProcessor.guessSheetDate(name, referenceDate)
+        );
+
+        if (!selectedSheets) {
+            return;
+        }
+
+        let previous = null;
+        const importedSheets = [];
+
+        for (const sheet of selectedSheets) {
+            const headerKey = sheet.table.header ? sheet.table.header.join('|').toLowerCase() : null;
+            let columns;
+
+            if (previous && headerKey && headerKey === previous.headerKey) {
+                columns = previous.columns;
+            } else {
+                columns = await this.uiManager.showColumnMapping(sheet.table, this.csvProcessor);
+                if (!columns) {
+                    // Cancelling the mapping stops the rest of the workbook
+                    break;
+                }
+                previous = { headerKey, columns };
+            }
+
+            const { rankings, report } = this.csvProcessor.importWithReport(sheet.table, columns.mapping, columns.hasHeader);
+            if (rankings.length === 0) {
+                this.uiManager.showError(`No valid rankings found on sheet "${sheet.name}".`);
+                continue;
+            }
+
+            if (await this.importRankings(sheet.dateKey, rankings, report)) {
+                importedSheets.push(sheet.name);
+            }
+        }
+
+        if (importedSheets.length > 1) {
+            this.uiManager.showSuccess(`Imported ${importedSheets.length} sheets: ${importedSheets.join(', ')}`);
+        }
+    }
+
+    async showImportConfirmation(rankings, dateKey, report = null) {
+        // Check if this is a special event
         const isSpecialEvent = dateKey.startsWith('event_');
         
         let displayDate;
@@ -1338,10 +1791,12 @@ class DailyRankingsApp {
         }
         
         // Use the custom modal from UI manager
-        return await this.uiManager.showImportConfirmation(rankings, dateKey, displayDate, existingData);
+        return await this.uiManager.showImportConfirmation(rankings, dateKey, displayDate, existingData, report);
     }
 
     async createSpecialEvent() {
+        if (!this.requirePermission('events.manage')) return;
+
         try {
             console.log('createSpecialEvent method called');
             
@@ -1547,6 +2002,8 @@ class DailyRankingsApp {
     }
 
     async addRemovedPlayer() {
+        if (!this.requirePermission('players.manage')) return;
+
         const removedPlayerInput = document.getElementById('removedPlayerName');
         const removalReasonInput = document.getElementById('removalReason');
         
@@ -1745,6 +2202,8 @@ class DailyRankingsApp {
     }
 
     async addInactivePlayer() {
+        if (!this.requirePermission('players.manage')) return;
+
         const inactivePlayerInput = document.getElementById('inactivePlayerName');
         const inactiveReasonInput = document.getElementById('inactiveReason');
         
@@ -1807,6 +2266,8 @@ class DailyRankingsApp {
     }
 
     async addExcusedPlayer() {
+        if (!this.requirePermission('players.manage')) return;
+
         const excusedPlayerInput = document.getElementById('excusedPlayerName');
         const excusedReasonInput = document.getElementById('excusedReason');
         const excusedApprovedByInput = document.getElementById('excusedApprovedBy');
@@ -1902,6 +2363,8 @@ class DailyRankingsApp {
     }
 
     async updatePlayerName() {
+        if (!this.requirePermission('players.manage')) return;
+
         const oldNameInput = document.getElementById('oldPlayerName');
         const newNameInput = document.getElementById('newPlayerName');
         
@@ -1924,7 +2387,7 @@ class DailyRankingsApp {
             return;
         }
         
-        const confirmed = confirm(`Are you sure you want to update all records for player "${oldName}" to "${newName}"? This will affect:\n\n• All ranking records\n• Alliance leader status\n• Train conductor rotation\n• VIP selections\n• Special event records\n\nThis action cannot be undone.`);
+        const confirmed = confirm(`Are you sure you want to rename player "${oldName}" to "${newName}"? Every record of this player will show the new name:\n\n• All ranking records\n• Alliance leader status\n• Train conductor rotation\n• VIP selections\n• Special event records\n• Kudos, season rankings and player status lists\n\n"${oldName}" is kept in the player's name history.`);
         
         if (!confirmed) {
             return;
@@ -1934,7 +2397,7 @@ class DailyRankingsApp {
             // Update all references across all tables
             await this.updatePlayerNameEverywhere(oldName, newName);
             
-            this.uiManager.showSuccess(`Successfully updated player name from "${oldName}" to "${newName}" across all tables.`);
+            this.uiManager.showSuccess(`Successfully renamed player "${oldName}" to "${newName}".`);
             
             // Clear form
             oldNameInput.value = '';
@@ -1955,33 +2418,281 @@ class DailyRankingsApp {
     }
 
     async updatePlayerNameEverywhere(oldName, newName) {
-        // 1. Update ranking records
-        await this.rankingManager.updatePlayerName(oldName, newName);
-        
-        // 2. Update alliance leaders
-        await this.leaderVIPManager.updatePlayerName(oldName, newName);
-        
-        // 3. Update special events (if they reference player names)
-        await this.rankingManager.updatePlayerNameInSpecialEvents(oldName, newName);
-        
-        // 4. Update seasonal rankings
-        await this.seasonRankingManager.updatePlayerNameInSeasonRankings(oldName, newName);
-        
-        // 5. Create an alias to link the old name to the new name
+        // 1. Rename the player; the database updates every table that references them
+        await this.playerAliasService.renamePlayer(oldName, newName);
+
+        // 2. Show the new name in the local caches right away (also covers offline renames)
+        await this.rankingManager.applyPlayerRename(oldName, newName);
+        this.leaderVIPManager.applyPlayerRename(oldName, newName);
+
+        // 3. Refresh all data to ensure consistency
+        await this.leaderVIPManager.loadFromDatabase();
+        await this.rankingManager.loadFromDatabase();
+    }
+
+    /**
+     * Show everything a merge will move, combine and drop, with a button to go ahead
+     */
+    async previewPlayerMerge() {
+        if (!this.requirePermission('players.manage')) return;
+
+        const previewContainer = document.getElementById('mergePreview');
+        const sourceName = document.getElementById('mergeSourcePlayer')?.value.trim();
+        const targetName = document.getElementById('mergeTargetPlayer')?.value.trim();
+        if (!previewContainer) return;
+
+        if (!sourceName || !targetName) {
+            this.uiManager.showError('Please enter both players.');
+            return;
+        }
+
+        previewContainer.innerHTML = '<p class="loading-activity">Loading preview...</p>';
+
+        try {
+            const preview = await this.playerMergeService.previewMerge(sourceName, targetName);
+            const { rows, conflicts } = preview;
+            const source = this.escapeHTML(preview.sourceName);
+            const target = this.escapeHTML(preview.targetName);
+            const total = PLAYER_ROW_SOURCES.reduce((sum, rowSource) => sum + rows[rowSource.key].length, 0);
+
+            let html = `<h4>Merge "${source}" into "${target}"</h4>`;
+            html += `<p class="history-diff-summary">${total} rows move to ${target}. "${source}" becomes an alias of ${target}.</p>`;
+
+            PLAYER_ROW_SOURCES.filter(rowSource => rows[rowSource.key].length > 0).forEach(rowSource => {
+                html += `
+                    <div class="history-diff-group">
+                        <strong>${rowSource.label} (${rows[rowSource.key].length})</strong>
+                        <ul>${rows[rowSource.key].map(row => `<li>${this.escapeHTML(row.description)}</li>`).join('')}</ul>
+                    </div>
+                `;
+            });
+
+            if (conflicts.sharedRankingDays.length || conflicts.combinedKudos.length) {
+                html += `
+                    <div class="history-diff-group changed">
+                        <strong>Combined</strong>
+                        <ul>
+                            ${conflicts.sharedRankingDays.map(day => `<li>Both ranked on ${this.escapeHTML(day)}: both rows are kept</li>`).join('')}
+                            ${conflicts.combinedKudos.map(kudos => `<li>Kudos on ${kudos.date} are added together: ${kudos.points} pts</li>`).join('')}
+                        </ul>
+                    </div>
+                `;
+            }
+
+            if (conflicts.dropped.length) {
+                html += `
+                    <div class="history-diff-group removed">
+                        <strong>Dropped (${target} already has one)</strong>
+                        <ul>${conflicts.dropped.map(entry => `<li>${this.escapeHTML(entry)}</li>`).join('')}</ul>
+                    </div>
+                `;
+            }
+
+            html += `
+                <div class="history-actions">
+                    <button type="button" id="confirmMergeBtn" class="activity-btn primary">🔀 Merge into ${target}</button>
+                    <small class="form-help">Can be undone from Recent merges</small>
+                </div>
+            `;
+
+            previewContainer.innerHTML = html;
+            document.getElementById('confirmMergeBtn')?.addEventListener('click', () => this.confirmPlayerMerge(preview));
+        } catch (error) {
+            console.error('Error previewing player merge:', error);
+            previewContainer.innerHTML = '';
+            this.uiManager.showError(`Cannot merge: ${error.message}`);
+        }
+    }
+
+    async confirmPlayerMerge(preview) {
+        if (!this.requirePermission('players.manage')) return;
+
+        if (!confirm(`Merge "${preview.sourceName}" into "${preview.targetName}"? Every record of "${preview.sourceName}" will show as "${preview.targetName}".`)) {
+            return;
+        }
+
         try {
-            await this.playerAliasService.createAlias(newName, oldName, 'Admin');
-            console.log(`Created alias: ${oldName} → ${newName}`);
+            await this.playerMergeService.mergePlayers(preview.sourceName, preview.targetName);
+            this.uiManager.showSuccess(`Merged "${preview.sourceName}" into "${preview.targetName}".`);
+
+            document.getElementById('mergeSourcePlayer').value = '';
+            document.getElementById('mergeTargetPlayer').value = '';
+            document.getElementById('mergePreview').innerHTML = '';
+
+            await this.refreshAfterPlayerChange();
+            await this.loadRecentMerges();
         } catch (error) {
-            console.warn('Failed to create alias during name update:', error);
-            // Don't fail the entire operation if alias creation fails
+            console.error('Error merging players:', error);
+            this.uiManager.showError(`Failed to merge players: ${error.message}`);
         }
-        
-        // 6. Refresh all data to ensure consistency
+    }
+
+    /**
+     * List recent merges, each with an Undo button until it's undone
+     */
+    async loadRecentMerges() {
+        const listContainer = document.getElementById('recentMergesList');
+        if (!listContainer) return;
+
+        listContainer.innerHTML = '<p class="loading-activity">Loading merges...</p>';
+
+        try {
+            const merges = await this.playerMergeService.getRecentMerges();
+
+            if (merges.length === 0) {
+                listContainer.innerHTML = '<p class="no-activity">No merges yet</p>';
+                return;
+            }
+
+            listContainer.innerHTML = merges.map((merge, index) => `
+                <div class="history-list-item">
+                    <div></div>
+                    <div class="history-item-when">${this.escapeHTML(merge.source_name)} → ${this.escapeHTML(merge.target_name)}</div>
+                    <div class="history-item-who">by ${this.escapeHTML(merge.merged_by)}</div>
+                    <div class="history-item-count">${new Date(merge.merged_at).toLocaleDateString()}</div>
+                    <div class="history-item-note">${merge.undone_at ? `Undone by ${this.escapeHTML(merge.undone_by || 'Admin')}` : ''}</div>
+                    <div class="history-item-actions">
+                        ${merge.undone_at ? '' : `<button type="button" class="restore-version-btn undo-merge-btn" data-index="${index}">↩️ Undo</button>`}
+                    </div>
+                </div>
+            `).join('');
+
+            listContainer.querySelectorAll('.undo-merge-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => this.undoPlayerMerge(merges[parseInt(e.target.dataset.index, 10)]));
+            });
+        } catch (error) {
+            console.error('Error loading player merges:', error);
+            listContainer.innerHTML = `<p class="no-activity">Failed to load merges: ${this.escapeHTML(error.message)}</p>`;
+        }
+    }
+
+    async undoPlayerMerge(merge) {
+        if (!this.requirePermission('players.manage')) return;
+
+        if (!confirm(`Undo the merge of "${merge.source_name}" into "${merge.target_name}"? "${merge.source_name}" gets its own records back. Anything recorded under "${merge.source_name}" since the merge stays with "${merge.target_name}".`)) {
+            return;
+        }
+
+        try {
+            await this.playerMergeService.undoMerge(merge);
+            this.uiManager.showSuccess(`"${merge.source_name}" is a separate player again.`);
+
+            await this.refreshAfterPlayerChange();
+            await this.loadRecentMerges();
+        } catch (error) {
+            console.error('Error undoing player merge:', error);
+            this.uiManager.showError(`Failed to undo merge: ${error.message}`);
+        }
+    }
+
+    /**
+     * List a player's historical rows with checkboxes for the split
+     */
+    async loadSplitRows() {
+        if (!this.requirePermission('players.manage')) return;
+
+        const listContainer = document.getElementById('splitRowsList');
+        const playerName = document.getElementById('splitPlayerName')?.value.trim();
+        if (!listContainer) return;
+
+        if (!playerName) {
+            this.uiManager.showError('Please enter the player to split.');
+            return;
+        }
+
+        listContainer.innerHTML = '<p class="loading-activity">Loading rows...</p>';
+
+        try {
+            const playerId = this.playerMergeService.requirePlayerId(playerName);
+            const rows = await this.playerMergeService.getPlayerRows(playerId);
+            const sources = PLAYER_ROW_SOURCES.filter(rowSource => rowSource.splittable && rows[rowSource.key].length > 0);
+
+            if (sources.length === 0) {
+                listContainer.innerHTML = '<p class="no-activity">This player has no rankings, kudos, VIP, excused or season rows</p>';
+                return;
+            }
+
+            listContainer.innerHTML = sources.map(rowSource => `
+                <div class="history-diff-group">
+                    <strong>${rowSource.label}</strong>
+                    <ul>
+                        ${rows[rowSource.key].map(row => `
+                            <li><label>
+                                <input type="checkbox" class="split-row" data-table="${rowSource.table}" data-column="${rowSource.column}" value="${row.id}">
+                                ${this.escapeHTML(row.description)}
+                            </label></li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `).join('');
+            listContainer.dataset.playerName = playerName;
+        } catch (error) {
+            console.error('Error loading player rows:', error);
+            listContainer.innerHTML = '';
+            this.uiManager.showError(`Failed to load rows: ${error.message}`);
+        }
+    }
+
+    async splitSelectedRows() {
+        if (!this.requirePermission('players.manage')) return;
+
+        const listContainer = document.getElementById('splitRowsList');
+        const newNameInput = document.getElementById('splitNewName');
+        if (!listContainer || !newNameInput) return;
+
+        const playerName = listContainer.dataset.playerName;
+        const newName = newNameInput.value.trim();
+        const rowRefs = [...listContainer.querySelectorAll('.split-row:checked')].map(checkbox => ({
+            table: checkbox.dataset.table,
+            column: checkbox.dataset.column,
+            id: checkbox.value
+        }));
+
+        if (!playerName || rowRefs.length === 0) {
+            this.uiManager.showError('Load the player\'s rows and tick the ones that belong to the new player.');
+            return;
+        }
+        if (!newName) {
+            this.uiManager.showError('Please enter a name for the new player.');
+            return;
+        }
+
+        if (!confirm(`Move ${rowRefs.length} rows of "${playerName}" to a new player "${newName}"?`)) {
+            return;
+        }
+
+        try {
+            await this.playerMergeService.splitPlayer(playerName, newName, rowRefs);
+            this.uiManager.showSuccess(`Moved ${rowRefs.length} rows to "${newName}".`);
+
+            listContainer.innerHTML = '';
+            delete listContainer.dataset.playerName;
+            newNameInput.value = '';
+
+            await this.refreshAfterPlayerChange();
+        } catch (error) {
+            console.error('Error splitting player:', error);
+            this.uiManager.showError(`Failed to split player: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reload what a merge or split may have changed and redraw it
+     */
+    async refreshAfterPlayerChange() {
         await this.leaderVIPManager.loadFromDatabase();
         await this.rankingManager.loadFromDatabase();
-        
-        // 7. Refresh alias service cache
-        await this.playerAliasService.loadAliasesFromDatabase();
+        await this.autocompleteService.refreshPlayerNames();
+
+        this.updateLeaderDropdowns();
+        this.updateRotationOrderList();
+        this.updateRecentVIPsList();
+        await this.updateRemovedPlayersList();
+        await this.updateInactivePlayersList();
+
+        if (this.currentTabDate) {
+            await this.showTab(this.currentTabDate);
+        }
     }
 
     async checkForNewNames() {
@@ -2079,12 +2790,12 @@ class DailyRankingsApp {
         adminTab.innerHTML = `
             <div class="admin-header">
                 <h2>🔐 Admin Panel</h2>
-                <p>Manage system settings, data, and configurations</p>
+                <p>Signed in as ${this.escapeHTML(this.authService.getDisplayName())} · ${this.authService.getRoleLabel()}</p>
             </div>
             
             <div class="admin-sections">
                 <!-- CSV Upload Section -->
-                <div class="admin-section collapsible">
+                <div class="admin-section collapsible" data-permission="rankings.import">
                     <div class="collapsible-header" data-target="csvUploadContent">
                     <h3>📁 CSV Upload</h3>
                         <span class="collapsible-icon">▼</span>
@@ -2107,8 +2818,8 @@ class DailyRankingsApp {
                         
                         <div class="upload-option">
                             <h4>📄 File Upload</h4>
-                            <label for="csvFileUpload">Upload CSV File:</label>
-                            <input type="file" id="csvFileUpload" accept=".csv">
+                            <label for="csvFileUpload">Upload CSV or Spreadsheet:</label>
+                            <input type="file" id="csvFileUpload" accept=".csv,.xlsx,.xlsm,.xls,.ods">
                             <button id="uploadBtn" class="upload-btn">Upload File</button>
                         </div>
                         
@@ -2129,7 +2840,8 @@ class DailyRankingsApp {
                                 <strong>Example:</strong><br>
                                 1,PlayerName,1000<br>
                                 2,AnotherPlayer,950<br>
-                                3,ThirdPlayer,900
+                                3,ThirdPlayer,900<br>
+                                <strong>Spreadsheets:</strong> .xlsx and .ods workbooks can hold one sheet per day or event
                             </small>
                         </div>
                         </div>
@@ -2137,7 +2849,7 @@ class DailyRankingsApp {
                 </div>
                 
                 <!-- Special Event Management Section -->
-                <div class="admin-section collapsible">
+                <div class="admin-section collapsible" data-permission="events.manage">
                     <div class="collapsible-header" data-target="specialEventContent">
                     <h3>🎯 Special Event Management</h3>
                         <span class="collapsible-icon">▼</span>
@@ -2205,7 +2917,7 @@ class DailyRankingsApp {
                 </div>
                 
                 <!-- Player Name Management Section -->
-                <div class="admin-section collapsible">
+                <div class="admin-section collapsible" data-permission="players.manage">
                     <div class="collapsible-header" data-target="playerNameContent">
                     <h3>👤 Player Name Management</h3>
                         <span class="collapsible-icon">▼</span>
@@ -2242,8 +2954,63 @@ class DailyRankingsApp {
                     </div>
                 </div>
 
+                <!-- Merge & Split Players Section -->
+                <div class="admin-section collapsible" data-permission="players.manage">
+                    <div class="collapsible-header" data-target="playerMergeContent">
+                        <h3>🔀 Merge & Split Players</h3>
+                        <span class="collapsible-icon">▼</span>
+                    </div>
+                    <div id="playerMergeContent" class="collapsible-content collapsed">
+                    <div class="player-merge">
+                        <h4>Merge two players</h4>
+                        <p class="form-help">For one person recorded under two names. Every row of the merged player moves to the kept one and the merged name becomes an alias.</p>
+                        <div class="form-group">
+                            <label for="mergeSourcePlayer">Merge this player:</label>
+                            <div class="autocomplete-container">
+                                <input type="text" id="mergeSourcePlayer" placeholder="Player to merge away" class="form-input">
+                                <div id="mergeSourceAutocomplete" class="autocomplete-dropdown"></div>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="mergeTargetPlayer">Into this player:</label>
+                            <div class="autocomplete-container">
+                                <input type="text" id="mergeTargetPlayer" placeholder="Player to keep" class="form-input">
+                                <div id="mergeTargetAutocomplete" class="autocomplete-dropdown"></div>
+                            </div>
+                        </div>
+                        <button type="button" id="previewMergeBtn" class="activity-btn primary">🔍 Preview Merge</button>
+                        <div id="mergePreview" class="player-merge-preview"></div>
+
+                        <div class="history-actions">
+                            <h4>Recent merges</h4>
+                            <button type="button" id="loadMergesBtn" class="activity-btn">🔄 Load Merges</button>
+                        </div>
+                        <div id="recentMergesList" class="ranking-history-list">
+                            <p class="loading-activity">Merges can be undone from here.</p>
+                        </div>
+
+                        <h4>Split a player</h4>
+                        <p class="form-help">For two people who have shared one name. Tick the rows that belong to the other person; they move to a new player.</p>
+                        <div class="form-group">
+                            <label for="splitPlayerName">Player to split:</label>
+                            <div class="autocomplete-container">
+                                <input type="text" id="splitPlayerName" placeholder="Enter player name" class="form-input">
+                                <div id="splitPlayerAutocomplete" class="autocomplete-dropdown"></div>
+                            </div>
+                        </div>
+                        <button type="button" id="loadSplitRowsBtn" class="activity-btn primary">📋 Load Rows</button>
+                        <div id="splitRowsList" class="player-merge-preview"></div>
+                        <div class="form-group">
+                            <label for="splitNewName">New player name:</label>
+                            <input type="text" id="splitNewName" placeholder="Name for the ticked rows" class="form-input">
+                        </div>
+                        <button type="button" id="splitPlayerBtn" class="activity-btn">✂️ Split Selected Rows</button>
+                    </div>
+                    </div>
+                </div>
+
                 <!-- Removed Players Management Section -->
-                <div class="admin-section collapsible">
+                <div class="admin-section collapsible" data-permission="players.manage">
                     <div class="collapsible-header" data-target="removedPlayersContent">
                         <h3>🚫 Removed Players Management</h3>
                         <span class="collapsible-icon">▼</span>
@@ -2280,7 +3047,7 @@ class DailyRankingsApp {
                 </div>
 
                 <!-- Inactive Players Management Section -->
-                <div class="admin-section collapsible">
+                <div class="admin-section collapsible" data-permission="players.manage">
                     <div class="collapsible-header" data-target="inactivePlayersContent">
                         <h3>⏸️ Inactive Players Management</h3>
                         <span class="collapsible-icon">▼</span>
@@ -2317,7 +3084,7 @@ class DailyRankingsApp {
                 </div>
 
                 <!-- Alliance Leader Management Section -->
-                <div class="admin-section collapsible">
+                <div class="admin-section collapsible" data-permission="vip.manage">
                     <div class="collapsible-header" data-target="allianceLeaderContent">
                         <h3>👑 Alliance Leader Management</h3>
                         <span class="collapsible-icon">▼</span>
@@ -2356,7 +3123,7 @@ class DailyRankingsApp {
                 </div>
 
                 <!-- Train Conductor Rotation Management Section -->
-                <div class="admin-section collapsible">
+                <div class="admin-section collapsible" data-permission="vip.manage">
                     <div class="collapsible-header" data-target="trainRotationContent">
                         <h3>🚂 Train Conductor Rotation</h3>
                         <span class="collapsible-icon">▼</span>
@@ -2391,7 +3158,7 @@ class DailyRankingsApp {
                 </div>
 
                 <!-- VIP Management Section -->
-                <div class="admin-section collapsible">
+                <div class="admin-section collapsible" data-permission="vip.manage">
                     <div class="collapsible-header" data-target="vipManagementContent">
                     <h3>⭐ VIP Management</h3>
                         <span class="collapsible-icon">▼</span>
@@ -2492,7 +3259,7 @@ class DailyRankingsApp {
                 </div>
 
                 <!-- Excused Players Management Section -->
-                <div class="admin-section collapsible">
+                <div class="admin-section collapsible" data-permission="players.manage">
                     <div class="collapsible-header" data-target="excusedPlayersContent">
                         <h3>✅ Excused Players Management</h3>
                         <span class="collapsible-icon">▼</span>
@@ -2531,7 +3298,7 @@ class DailyRankingsApp {
                 </div>
 
                 <!-- Season Ranking System Section -->
-                <div class="admin-section collapsible">
+                <div class="admin-section collapsible" data-permission="seasons.manage">
                     <div class="collapsible-header" data-target="seasonRankingContent">
                         <h3>🏆 Season Ranking System</h3>
                         <span class="collapsible-icon">▼</span>
@@ -2540,6 +3307,13 @@ class DailyRankingsApp {
                         <div class="season-ranking-form">
                             <div class="season-config">
                                 <h4>📅 Season Configuration</h4>
+                                <div class="form-group">
+                                    <label for="seasonSelect">Season:</label>
+                                    <select id="seasonSelect" class="form-input">
+                                        <option value="">➕ New season</option>
+                                    </select>
+                                    <div id="seasonStatus" class="season-status"></div>
+                                </div>
                                 <div class="form-group">
                                     <label for="seasonName">Season Name:</label>
                                     <input type="text" id="seasonName" placeholder="e.g., Winter 2025 Season" class="form-input">
@@ -2554,6 +3328,19 @@ class DailyRankingsApp {
                                         <input type="date" id="seasonEndDate" class="form-input">
                                     </div>
                                 </div>
+                                <div class="form-row season-eligibility">
+                                    <label><input type="checkbox" id="seasonExcludeRemoved" checked> Exclude removed players</label>
+                                    <label><input type="checkbox" id="seasonExcludeLeaders" checked> Exclude alliance leaders</label>
+                                    <div class="form-group">
+                                        <label for="seasonMinDays">Minimum days ranked:</label>
+                                        <input type="number" id="seasonMinDays" min="0" value="0" class="form-input">
+                                    </div>
+                                </div>
+                                <div class="season-actions">
+                                    <button type="button" id="saveSeasonBtn" class="season-btn secondary">💾 Save Season</button>
+                                    <button type="button" id="activateSeasonBtn" class="season-btn secondary">⭐ Make Current</button>
+                                    <button type="button" id="finalizeSeasonBtn" class="season-btn secondary">🔒 Finalize</button>
+                                </div>
                             </div>
 
                             <div class="weight-config">
@@ -2574,33 +3361,189 @@ class DailyRankingsApp {
                                         <input type="number" id="specialEventsWeight" value="25" min="0" max="100" class="form-input">
                                         <span class="weight-percent">%</span>
                                     </div>
+                                    <div class="form-group">
+                                        <label for="allianceContributionWeight">Alliance Contribution (if weighted):</label>
+                                        <input type="number" id="allianceContributionWeight" value="0" min="0" max="100" class="form-input" disabled>
+                                        <span class="weight-percent">%</span>
+                                    </div>
                                 </div>
                                 <div class="weight-total">
                                     <span>Total: <span id="weightTotal">100</span>%</span>
                                 </div>
                             </div>
 
-                            <div class="season-actions">
-                                <button type="button" id="generateSeasonReportBtn" class="season-btn primary">🏆 Generate Season Report</button>
-                                <button type="button" id="loadExistingReportBtn" class="season-btn secondary">📊 Load Existing Report</button>
-                                <button type="button" id="listAvailableReportsBtn" class="season-btn secondary">📋 List Available Reports</button>
-                                <button type="button" id="clearSeasonDataBtn" class="season-btn secondary">🗑️ Clear Season Data</button>
-                            </div>
-                        </div>
-
-                        <div class="kudos-management">
-                            <h4>⭐ Kudos Points Management</h4>
-                            <div class="kudos-form">
+                            <div class="scoring-rules-config">
+                                <h4>📐 Scoring Rules</h4>
                                 <div class="form-group">
-                                    <label for="kudosPlayerName">Player Name:</label>
-                                    <div class="autocomplete-container">
-                                        <input type="text" id="kudosPlayerName" placeholder="Enter player name" class="form-input">
-                                        <div id="kudosPlayerAutocomplete" class="autocomplete-dropdown"></div>
-                                    </div>
+                                    <label for="scoringRulesVersion">Version:</label>
+                                    <select id="scoringRulesVersion" class="form-input"></select>
+                                    <small class="form-help">Reports are generated with the newest version and record which one they used. Pick an older version to start from it.</small>
                                 </div>
-                                <div class="form-group">
-                                    <label for="kudosPoints">Points (1-10):</label>
-                                    <input type="number" id="kudosPoints" min="1" max="10" value="5" class="form-input">
+                                <div class="form-row">
+                                    <div class="form-group">
+                                        <label for="ruleKudosUse">Kudos award that counts:</label>
+                                        <select id="ruleKudosUse" data-rule="kudos.use" class="form-input">
+                                            <option value="latest">Latest</option>
+                                            <option value="highest">Highest</option>
+                                            <option value="total">Total</option>
+                                        </select>
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="ruleKudosCap">Kudos score cap:</label>
+                                        <input type="number" id="ruleKudosCap" data-rule="kudos.cap" data-rule-type="optional" placeholder="No cap" class="form-input">
+                                    </div>
+                                </div>
+                                <div class="form-row">
+                                    <div class="form-group">
+                                        <label for="ruleVsBase">VS base points:</label>
+                                        <input type="number" id="ruleVsBase" data-rule="vsPerformance.basePoints" data-rule-type="number" class="form-input">
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="ruleVsTopRank">Top ranks (rank ≤):</label>
+                                        <input type="number" id="ruleVsTopRank" data-rule="vsPerformance.topRank" data-rule-type="number" min="1" class="form-input">
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="ruleVsTopPoints">Points per top day:</label>
+                                        <input type="number" id="ruleVsTopPoints" data-rule="vsPerformance.topPoints" data-rule-type="number" step="0.5" class="form-input">
+                                    </div>
+                                </div>
+                                <div class="form-row">
+                                    <div class="form-group">
+                                        <label for="ruleVsBottomRank">Bottom ranks (rank ≥):</label>
+                                        <input type="number" id="ruleVsBottomRank" data-rule="vsPerformance.bottomRank" data-rule-type="number" min="1" class="form-input">
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="ruleVsBottomPoints">Points per bottom day:</label>
+                                        <input type="number" id="ruleVsBottomPoints" data-rule="vsPerformance.bottomPoints" data-rule-type="number" step="0.5" class="form-input">
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="ruleVsCap">VS score cap:</label>
+                                        <input type="number" id="ruleVsCap" data-rule="vsPerformance.cap" data-rule-type="optional" placeholder="No cap" class="form-input">
+                                    </div>
+                                </div>
+                                <div class="form-group">
+                                    <label><input type="checkbox" data-rule="vsPerformance.excusedSkipsBottom" data-rule-type="bool"> Excused days are not penalised</label>
+                                </div>
+                                <div class="form-row">
+                                    <div class="form-group">
+                                        <label for="ruleEventsBonus">Event points: participants + </label>
+                                        <input type="number" id="ruleEventsBonus" data-rule="specialEvents.participantBonus" data-rule-type="number" class="form-input">
+                                        <small class="form-help">minus rank, times the event's multiplier</small>
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="ruleEventsCapPerEvent">Cap per event:</label>
+                                        <input type="number" id="ruleEventsCapPerEvent" data-rule="specialEvents.capPerEvent" data-rule-type="optional" placeholder="No cap" class="form-input">
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="ruleEventsCap">Special events cap:</label>
+                                        <input type="number" id="ruleEventsCap" data-rule="specialEvents.cap" data-rule-type="optional" placeholder="No cap" class="form-input">
+                                    </div>
+                                </div>
+                                <div class="form-group">
+                                    <label for="ruleEventsMultipliers">Special event multipliers:</label>
+                                    <textarea id="ruleEventsMultipliers" data-rule="specialEvents.multipliers" data-rule-type="multipliers" rows="2" placeholder="Arms Race = 1.5" class="form-input"></textarea>
+                                    <small class="form-help">One per line: part of the event name = multiplier. Other events count once.</small>
+                                </div>
+                                <div class="form-row">
+                                    <div class="form-group">
+                                        <label for="ruleAllianceBonus">Alliance points: participants + </label>
+                                        <input type="number" id="ruleAllianceBonus" data-rule="allianceContribution.participantBonus" data-rule-type="number" class="form-input">
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="ruleAllianceCap">Alliance contribution cap:</label>
+                                        <input type="number" id="ruleAllianceCap" data-rule="allianceContribution.cap" data-rule-type="optional" placeholder="No cap" class="form-input">
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="ruleAllianceKeywords">Alliance events contain:</label>
+                                        <input type="text" id="ruleAllianceKeywords" data-rule="allianceEventKeywords" data-rule-type="list" class="form-input">
+                                    </div>
+                                </div>
+                                <div class="form-group">
+                                    <label for="ruleAllianceMultipliers">Alliance event multipliers:</label>
+                                    <textarea id="ruleAllianceMultipliers" data-rule="allianceContribution.multipliers" data-rule-type="multipliers" rows="2" placeholder="Alliance Duel = 2" class="form-input"></textarea>
+                                </div>
+                                <div class="form-group">
+                                    <span>Weighted components (the others are added as is):</span>
+                                    <label><input type="checkbox" data-rule="weighted.kudos" data-rule-type="bool"> Kudos</label>
+                                    <label><input type="checkbox" data-rule="weighted.vsPerformance" data-rule-type="bool"> VS Performance</label>
+                                    <label><input type="checkbox" data-rule="weighted.specialEvents" data-rule-type="bool"> Special Events</label>
+                                    <label><input type="checkbox" data-rule="weighted.allianceContribution" data-rule-type="bool"> Alliance Contribution</label>
+                                </div>
+                                <div class="form-row">
+                                    <div class="form-group">
+                                        <label for="scoringRulesName">Name for the new version:</label>
+                                        <input type="text" id="scoringRulesName" placeholder="e.g., Spring 2025 rules" class="form-input">
+                                    </div>
+                                </div>
+                                <button type="button" id="saveScoringRulesBtn" class="season-btn secondary">💾 Save as New Version</button>
+                            </div>
+
+                            <div class="season-actions">
+                                <button type="button" id="generateSeasonReportBtn" class="season-btn primary">🏆 Generate Season Report</button>
+                                <button type="button" id="loadExistingReportBtn" class="season-btn secondary">📊 Load Existing Report</button>
+                                <button type="button" id="listAvailableReportsBtn" class="season-btn secondary">📋 List Available Reports</button>
+                                <button type="button" id="clearSeasonDataBtn" class="season-btn secondary">🗑️ Clear Season Data</button>
+                            </div>
+                            <div class="season-progress" id="seasonProgress" style="display: none;">
+                                <progress id="seasonProgressBar" max="100" value="0"></progress>
+                                <span id="seasonProgressLabel"></span>
+                            </div>
+
+                            <div class="season-simulator">
+                                <h4>🧪 What-If Simulator</h4>
+                                <small class="form-help">Compare the saved report for the season above with the weights in the form and hypothetical kudos or excusals. Nothing is saved.</small>
+                                <div class="season-actions">
+                                    <button type="button" id="startSeasonSimulationBtn" class="season-btn secondary">🧪 Start Simulation</button>
+                                    <button type="button" id="resetSeasonSimulationBtn" class="season-btn secondary" disabled>↩️ Clear Hypotheticals</button>
+                                </div>
+                                <div id="seasonSimulatorControls" style="display: none;">
+                                    <div class="form-row">
+                                        <div class="form-group">
+                                            <label for="simKudosPlayer">Hypothetical kudos for:</label>
+                                            <div class="autocomplete-container">
+                                                <input type="text" id="simKudosPlayer" placeholder="Player name" class="form-input">
+                                                <div id="simKudosPlayerAutocomplete" class="autocomplete-dropdown"></div>
+                                            </div>
+                                        </div>
+                                        <div class="form-group">
+                                            <label for="simKudosPoints">Points (1-10):</label>
+                                            <input type="number" id="simKudosPoints" min="1" max="10" value="5" class="form-input">
+                                        </div>
+                                        <button type="button" id="addSimKudosBtn" class="season-btn secondary">➕ Add Kudos</button>
+                                    </div>
+                                    <div class="form-row">
+                                        <div class="form-group">
+                                            <label for="simExcusePlayer">Hypothetical excusal for:</label>
+                                            <div class="autocomplete-container">
+                                                <input type="text" id="simExcusePlayer" placeholder="Player name" class="form-input">
+                                                <div id="simExcusePlayerAutocomplete" class="autocomplete-dropdown"></div>
+                                            </div>
+                                        </div>
+                                        <div class="form-group">
+                                            <label for="simExcuseDate">Excused from:</label>
+                                            <input type="date" id="simExcuseDate" class="form-input">
+                                        </div>
+                                        <button type="button" id="addSimExcusalBtn" class="season-btn secondary">➕ Add Excusal</button>
+                                    </div>
+                                    <ul id="simHypotheticals" class="sim-hypotheticals"></ul>
+                                    <div id="seasonSimulationResults"></div>
+                                </div>
+                            </div>
+                        </div>
+
+                        <div class="kudos-management">
+                            <h4>⭐ Kudos Points Management</h4>
+                            <div class="kudos-form">
+                                <div class="form-group">
+                                    <label for="kudosPlayerName">Player Name:</label>
+                                    <div class="autocomplete-container">
+                                        <input type="text" id="kudosPlayerName" placeholder="Enter player name" class="form-input">
+                                        <div id="kudosPlayerAutocomplete" class="autocomplete-dropdown"></div>
+                                    </div>
+                                </div>
+                                <div class="form-group">
+                                    <label for="kudosPoints">Points (1-10):</label>
+                                    <input type="number" id="kudosPoints" min="1" max="10" value="5" class="form-input">
                                 </div>
                                 <div class="form-group">
                                     <label for="kudosReason">Reason:</label>
@@ -2624,7 +3567,7 @@ class DailyRankingsApp {
         
         // Add Player Aliases Section
         const playerAliasesSection = `
-            <div class="admin-section collapsible">
+            <div class="admin-section collapsible" data-permission="players.manage">
                 <div class="collapsible-header" data-target="playerAliasesContent">
                     <h3>👤 Player Aliases</h3>
                     <span class="collapsible-icon">▼</span>
@@ -2684,7 +3627,7 @@ class DailyRankingsApp {
         
         // Add Alliance Member Activity Section
         const allianceMemberActivitySection = `
-            <div class="admin-section collapsible">
+            <div class="admin-section collapsible" data-permission="players.manage">
                 <div class="collapsible-header" data-target="allianceMemberActivityContent">
                     <h3>👥 Alliance Member Activity</h3>
                     <span class="collapsible-icon">▼</span>
@@ -2726,9 +3669,100 @@ class DailyRankingsApp {
             </div>
         `;
         
+        // Add Ranking History Section
+        const rankingHistorySection = `
+            <div class="admin-section collapsible" data-permission="rankings.history">
+                <div class="collapsible-header" data-target="rankingHistoryContent">
+                    <h3>🕘 Ranking History</h3>
+                    <span class="collapsible-icon">▼</span>
+                </div>
+                <div id="rankingHistoryContent" class="collapsible-content collapsed">
+                    <div class="ranking-history">
+                        <div class="history-controls">
+                            <div class="form-group">
+                                <label for="historyTarget">Day or Event:</label>
+                                <select id="historyTarget" class="filter-input">
+                                    <option value="">Click "Load History"...</option>
+                                </select>
+                            </div>
+                            <button type="button" id="loadHistoryBtn" class="activity-btn primary">🔄 Load History</button>
+                        </div>
+                        <div id="rankingHistoryList" class="ranking-history-list">
+                            <p class="loading-activity">Every time a day's or event's rankings are replaced, the previous rows are kept here.</p>
+                        </div>
+                        <div class="history-actions">
+                            <button type="button" id="compareVersionsBtn" class="activity-btn" disabled>Compare Selected</button>
+                            <small class="form-help">Tick two versions (or one version and Current) to compare them</small>
+                        </div>
+                        <div id="rankingHistoryDiff" class="ranking-history-diff"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        // Add Officer Roles Section
+        const officerRolesSection = `
+            <div class="admin-section collapsible" data-permission="roles.manage">
+                <div class="collapsible-header" data-target="officerRolesContent">
+                    <h3>🛡️ Officer Roles</h3>
+                    <span class="collapsible-icon">▼</span>
+                </div>
+                <div id="officerRolesContent" class="collapsible-content collapsed">
+                    <div class="officer-roles">
+                        <div class="activity-controls">
+                            <button type="button" id="refreshOfficerRolesBtn" class="activity-btn primary">🔄 Refresh Officers</button>
+                            <small class="form-help">Officers sign up with their own account and start as Viewers. Data Entry officers import rankings; R4 leaders also manage events, players, VIPs and history and review the Activity log; R5 admins also run seasons and assign roles.</small>
+                        </div>
+                        <div id="officerRolesList" class="officer-roles-list">
+                            <p class="loading-activity">Click "Refresh Officers" to load accounts...</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        // Add Activity (audit log) Section
+        const activityLogSection = `
+            <div class="admin-section collapsible" data-permission="activity.view">
+                <div class="collapsible-header" data-target="activityLogContent">
+                    <h3>📜 Activity</h3>
+                    <span class="collapsible-icon">▼</span>
+                </div>
+                <div id="activityLogContent" class="collapsible-content collapsed">
+                    <div class="activity-log">
+                        <div class="activity-filters">
+                            <div class="filter-group">
+                                <label for="activityUserFilter">User:</label>
+                                <select id="activityUserFilter" class="filter-input">
+                                    <option value="">All users</option>
+                                </select>
+                            </div>
+                            <div class="filter-group">
+                                <label for="activityEntityFilter">Type:</label>
+                                <select id="activityEntityFilter" class="filter-input">
+                                    <option value="">Everything</option>
+                                    ${Object.entries(AUDIT_ENTITY_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="filter-group">
+                                <label for="activityFromDate">From:</label>
+                                <input type="date" id="activityFromDate" class="filter-input">
+                                <label for="activityToDate">To:</label>
+                                <input type="date" id="activityToDate" class="filter-input">
+                            </div>
+                            <button type="button" id="loadActivityLogBtn" class="activity-btn primary">🔄 Load Activity</button>
+                        </div>
+                        <div id="activityLogList" class="activity-log-list">
+                            <p class="loading-activity">Every admin change is logged with who made it. Click "Load Activity" to see them.</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
         // Add Season Report Display Section (separate from collapsible sections)
         const seasonReportSection = `
-            <div class="admin-section">
+            <div class="admin-section" data-permission="seasons.manage">
                 <div class="collapsible">
                     <div class="collapsible-header">
                         <h3>📊 Season Report Results</h3>
@@ -2763,6 +3797,12 @@ class DailyRankingsApp {
         if (adminSectionsContainerActivity) {
             adminSectionsContainerActivity.innerHTML += allianceMemberActivitySection;
             console.log('Alliance member activity section added to admin sections');
+            adminSectionsContainerActivity.innerHTML += rankingHistorySection;
+            console.log('Ranking history section added to admin sections');
+            adminSectionsContainerActivity.innerHTML += officerRolesSection;
+            console.log('Officer roles section added to admin sections');
+            adminSectionsContainerActivity.innerHTML += activityLogSection;
+            console.log('Activity section added to admin sections');
         } else {
             console.error('Admin sections container not found');
         }
@@ -2776,6 +3816,9 @@ class DailyRankingsApp {
             console.error('Admin sections container not found');
         }
         
+        // Drop the sections this officer's role doesn't allow
+        this.applyAdminPermissions();
+        
         // Ensure season report elements are available
         this.ensureSeasonReportElements();
         
@@ -2815,6 +3858,17 @@ class DailyRankingsApp {
         console.log('Admin content loaded and initialized successfully');
     }
 
+    /**
+     * Remove admin sections whose data-permission the signed-in role lacks
+     */
+    applyAdminPermissions() {
+        document.querySelectorAll('#adminTab .admin-section[data-permission]').forEach(section => {
+            if (!this.authService.can(section.dataset.permission)) {
+                section.remove();
+            }
+        });
+    }
+
     addAdminModals() {
         // Add special event edit modal
         const eventEditModal = document.createElement('div');
@@ -3030,6 +4084,12 @@ class DailyRankingsApp {
             console.error('Update player button not found');
         }
         
+        // Merge & split players
+        document.getElementById('previewMergeBtn')?.addEventListener('click', () => this.previewPlayerMerge());
+        document.getElementById('loadMergesBtn')?.addEventListener('click', () => this.loadRecentMerges());
+        document.getElementById('loadSplitRowsBtn')?.addEventListener('click', () => this.loadSplitRows());
+        document.getElementById('splitPlayerBtn')?.addEventListener('click', () => this.splitSelectedRows());
+        
         // Add leader button
         const addLeaderBtn = document.getElementById('addLeaderBtn');
         if (addLeaderBtn) {
@@ -3249,6 +4309,54 @@ class DailyRankingsApp {
             });
         }
 
+        // Ranking history controls
+        const loadHistoryBtn = document.getElementById('loadHistoryBtn');
+        if (loadHistoryBtn) {
+            loadHistoryBtn.addEventListener('click', async () => {
+                await this.updateRankingHistoryTargets();
+                await this.loadRankingHistory();
+            });
+        }
+
+        const historyTarget = document.getElementById('historyTarget');
+        if (historyTarget) {
+            historyTarget.addEventListener('change', async () => {
+                await this.loadRankingHistory();
+            });
+        }
+
+        const compareVersionsBtn = document.getElementById('compareVersionsBtn');
+        if (compareVersionsBtn) {
+            compareVersionsBtn.addEventListener('click', () => {
+                this.compareSelectedVersions();
+            });
+        }
+
+        // Officer roles (R5 only)
+        const refreshOfficerRolesBtn = document.getElementById('refreshOfficerRolesBtn');
+        if (refreshOfficerRolesBtn) {
+            refreshOfficerRolesBtn.addEventListener('click', async () => {
+                await this.updateOfficerRolesList();
+            });
+        }
+
+        // Activity (audit log)
+        const loadActivityLogBtn = document.getElementById('loadActivityLogBtn');
+        if (loadActivityLogBtn) {
+            loadActivityLogBtn.addEventListener('click', async () => {
+                await this.loadActivityLog();
+            });
+        }
+
+        ['activityUserFilter', 'activityEntityFilter', 'activityFromDate', 'activityToDate'].forEach(id => {
+            const filter = document.getElementById(id);
+            if (filter) {
+                filter.addEventListener('change', async () => {
+                    await this.loadActivityLog();
+                });
+            }
+        });
+
         // Season Ranking System Event Listeners
         this.setupSeasonRankingEventListeners();
         
@@ -3271,7 +4379,7 @@ class DailyRankingsApp {
         console.log('=== ATTACHING SEASON RANKING EVENT LISTENERS ===');
 
         // Weight total calculation
-        const weightInputs = ['kudosWeight', 'vsPerformanceWeight', 'specialEventsWeight'];
+        const weightInputs = ['kudosWeight', 'vsPerformanceWeight', 'specialEventsWeight', 'allianceContributionWeight'];
         weightInputs.forEach(inputId => {
             const input = document.getElementById(inputId);
             if (input) {
@@ -3279,6 +4387,16 @@ class DailyRankingsApp {
             }
         });
 
+        // Scoring rules: pick a version to start from, save a new one
+        document.getElementById('scoringRulesVersion')?.addEventListener('change', (e) => {
+            const selected = this.seasonRankingManager.getScoringRules(parseInt(e.target.value, 10));
+            if (selected) {
+                this.fillScoringRulesForm(selected.rules);
+            }
+        });
+        document.getElementById('saveScoringRulesBtn')?.addEventListener('click', () => this.saveScoringRules());
+        this.loadScoringRulesForm();
+
         // Award Kudos button
         const awardKudosBtn = document.getElementById('awardKudosBtn');
         if (awardKudosBtn) {
@@ -3354,85 +4472,648 @@ class DailyRankingsApp {
                 console.log('Target element:', e.target);
             }
         });
-        
-        // Delayed check to see if button appears later
-        setTimeout(() => {
-            console.log('=== DELAYED BUTTON CHECK (2 seconds) ===');
-            const delayedBtn = document.getElementById('generateSeasonReportBtn');
-            console.log('Delayed button check - found:', !!delayedBtn);
-            if (delayedBtn) {
-                console.log('Button found in delayed check, re-attaching event listeners...');
-                delayedBtn.onclick = (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    console.log('Delayed onclick handler triggered!');
-                    this.generateSeasonReport();
-                };
-            }
-        }, 2000);
+        
+        // Delayed check to see if button appears later
+        setTimeout(() => {
+            console.log('=== DELAYED BUTTON CHECK (2 seconds) ===');
+            const delayedBtn = document.getElementById('generateSeasonReportBtn');
+            console.log('Delayed button check - found:', !!delayedBtn);
+            if (delayedBtn) {
+                console.log('Button found in delayed check, re-attaching event listeners...');
+                delayedBtn.onclick = (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    console.log('Delayed onclick handler triggered!');
+                    this.generateSeasonReport();
+                };
+            }
+        }, 2000);
+
+        // Load Existing Report button
+        const loadExistingReportBtn = document.getElementById('loadExistingReportBtn');
+        console.log('Load Existing Report button found:', loadExistingReportBtn);
+        if (loadExistingReportBtn) {
+            loadExistingReportBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                console.log('Load Existing Report button clicked!');
+                this.loadExistingSeasonReport();
+            });
+            console.log('Load Existing Report event listener attached');
+        } else {
+            console.error('Load Existing Report button not found!');
+        }
+
+        // List Available Reports button
+        const listReportsBtn = document.getElementById('listAvailableReportsBtn');
+        console.log('List Available Reports button found:', listReportsBtn);
+        if (listReportsBtn) {
+            listReportsBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                console.log('List Available Reports button clicked!');
+                this.listAvailableSeasonReports();
+            });
+            console.log('List Available Reports event listener attached');
+        } else {
+            console.error('List Available Reports button not found!');
+        }
+
+        // Refresh Season Report button
+        const refreshSeasonReportBtn = document.getElementById('refreshSeasonReportBtn');
+        if (refreshSeasonReportBtn) {
+            refreshSeasonReportBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                console.log('Refresh Season Report button clicked!');
+                this.refreshCurrentSeasonReport();
+            });
+        }
+
+        // Clear Season Data button
+        const clearSeasonDataBtn = document.getElementById('clearSeasonDataBtn');
+        if (clearSeasonDataBtn) {
+            clearSeasonDataBtn.addEventListener('click', () => {
+                this.clearSeasonData();
+            });
+        }
+
+        // Seasons: pick one, save it, make it current, finalize it
+        document.getElementById('seasonSelect')?.addEventListener('change', (e) => this.selectSeason(e.target.value || null));
+        document.getElementById('saveSeasonBtn')?.addEventListener('click', () => this.saveSeasonFromForm());
+        document.getElementById('activateSeasonBtn')?.addEventListener('click', () => this.activateSelectedSeason());
+        document.getElementById('finalizeSeasonBtn')?.addEventListener('click', () => this.finalizeSelectedSeason());
+        this.loadSeasonsForm();
+
+        // What-if simulator
+        document.getElementById('startSeasonSimulationBtn')?.addEventListener('click', () => this.startSeasonSimulation());
+        document.getElementById('resetSeasonSimulationBtn')?.addEventListener('click', () => this.clearSimulatedChanges());
+        document.getElementById('addSimKudosBtn')?.addEventListener('click', () => this.addSimulatedKudos());
+        document.getElementById('addSimExcusalBtn')?.addEventListener('click', () => this.addSimulatedExcusal());
+        document.getElementById('simHypotheticals')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-sim-remove]');
+            if (button) {
+                this.removeSimulatedChange(button.dataset.simRemove, parseInt(button.dataset.index, 10));
+            }
+        });
+
+        // Setup autocomplete for kudos player input
+        this.setupKudosPlayerAutocomplete();
+
+        console.log('Season ranking event listeners setup complete');
+    }
+
+    /**
+     * Weight % per component from the season form
+     */
+    getSeasonWeights() {
+        const read = id => parseInt(document.getElementById(id)?.value || 0);
+        return {
+            kudos: read('kudosWeight'),
+            vsPerformance: read('vsPerformanceWeight'),
+            specialEvents: read('specialEventsWeight'),
+            allianceContribution: read('allianceContributionWeight')
+        };
+    }
+
+    /**
+     * Eligibility rules from the season form
+     */
+    getSeasonEligibility() {
+        return {
+            excludeRemoved: document.getElementById('seasonExcludeRemoved')?.checked ?? true,
+            excludeLeaders: document.getElementById('seasonExcludeLeaders')?.checked ?? true,
+            minDays: Math.max(0, parseInt(document.getElementById('seasonMinDays')?.value || 0, 10) || 0)
+        };
+    }
+
+    /**
+     * The season form as saveSeason() takes it
+     */
+    readSeasonForm() {
+        return {
+            id: this.selectedSeasonId || null,
+            name: document.getElementById('seasonName')?.value.trim(),
+            startDate: document.getElementById('seasonStartDate')?.value,
+            endDate: document.getElementById('seasonEndDate')?.value,
+            weights: this.getSeasonWeights(),
+            eligibility: this.getSeasonEligibility()
+        };
+    }
+
+    /**
+     * Load the seasons and select the current one in the season form
+     */
+    async loadSeasonsForm() {
+        await this.seasonRankingManager.loadSeasons();
+        const current = this.seasonRankingManager.currentSeason;
+        this.renderSeasonSelect(current?.id);
+        this.selectSeason(current?.id || null);
+    }
+
+    renderSeasonSelect(selectedId = null) {
+        const select = document.getElementById('seasonSelect');
+        if (!select) return;
+
+        const statusLabels = { draft: 'Draft', active: 'Current', finalized: 'Final' };
+        select.innerHTML = `
+            <option value="">➕ New season</option>
+            ${this.seasonRankingManager.seasons.map(season => `
+                <option value="${season.id}" ${season.id === selectedId ? 'selected' : ''}>
+                    ${this.escapeHTML(season.name)} (${season.start_date} to ${season.end_date}) - ${statusLabels[season.status]}
+                </option>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Fill the season form from a saved season (or clear it for a new one)
+     * @param {string|null} seasonId
+     */
+    selectSeason(seasonId) {
+        const season = seasonId ? this.seasonRankingManager.getSeason(seasonId) : null;
+        this.selectedSeasonId = season?.id || null;
+
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        };
+        setValue('seasonName', season?.name || '');
+        setValue('seasonStartDate', season?.start_date || '');
+        setValue('seasonEndDate', season?.end_date || '');
+
+        if (season) {
+            setValue('kudosWeight', season.weights?.kudos ?? 0);
+            setValue('vsPerformanceWeight', season.weights?.vsPerformance ?? 0);
+            setValue('specialEventsWeight', season.weights?.specialEvents ?? 0);
+            setValue('allianceContributionWeight', season.weights?.allianceContribution ?? 0);
+        }
+
+        const eligibility = season?.eligibility || DEFAULT_SEASON_ELIGIBILITY;
+        const excludeRemoved = document.getElementById('seasonExcludeRemoved');
+        const excludeLeaders = document.getElementById('seasonExcludeLeaders');
+        if (excludeRemoved) excludeRemoved.checked = eligibility.excludeRemoved !== false;
+        if (excludeLeaders) excludeLeaders.checked = eligibility.excludeLeaders !== false;
+        setValue('seasonMinDays', eligibility.minDays || 0);
+
+        this.applySeasonLock(season);
+        this.updateWeightTotal();
+    }
+
+    /**
+     * Show the season's status; a finalized season's form is read-only
+     */
+    applySeasonLock(season) {
+        const locked = season?.status === 'finalized';
+        const { rules } = this.seasonRankingManager.getScoringRules();
+
+        ['seasonName', 'seasonStartDate', 'seasonEndDate', 'seasonExcludeRemoved', 'seasonExcludeLeaders', 'seasonMinDays',
+            'saveSeasonBtn', 'generateSeasonReportBtn', 'clearSeasonDataBtn', 'finalizeSeasonBtn', 'activateSeasonBtn'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.disabled = locked;
+        });
+        SCORE_COMPONENTS.forEach(component => {
+            const input = document.getElementById(`${component}Weight`);
+            if (input) input.disabled = locked || !rules.weighted[component];
+        });
+
+        const activateBtn = document.getElementById('activateSeasonBtn');
+        const finalizeBtn = document.getElementById('finalizeSeasonBtn');
+        if (activateBtn) activateBtn.disabled = locked || !season || season.status === 'active';
+        if (finalizeBtn) finalizeBtn.disabled = locked || !season;
+
+        const status = document.getElementById('seasonStatus');
+        if (status) {
+            status.innerHTML = this.renderSeasonStatus(season);
+        }
+    }
+
+    renderSeasonStatus(season) {
+        if (!season) {
+            return '<span class="season-badge draft">New</span> Save the season or generate a report to create it.';
+        }
+        if (season.status === 'finalized') {
+            return `<span class="season-badge finalized">🔒 Final</span> Finalized ${new Date(season.finalized_at).toLocaleDateString()}${season.finalized_by ? ` by ${this.escapeHTML(season.finalized_by)}` : ''}. The report can't be changed.`;
+        }
+        if (season.status === 'active') {
+            return '<span class="season-badge active">⭐ Current</span> Reports are previews until the season is finalized.';
+        }
+        return '<span class="season-badge draft">📝 Draft</span> Reports are previews until the season is finalized.';
+    }
+
+    async saveSeasonFromForm() {
+        if (!this.requirePermission('seasons.manage')) return;
+
+        const form = this.readSeasonForm();
+        if (!this.validateSeasonWeights(form.weights)) {
+            return;
+        }
+
+        try {
+            const season = await this.seasonRankingManager.saveSeason(form);
+            this.renderSeasonSelect(season.id);
+            this.selectSeason(season.id);
+            this.applyCurrentSeasonToReports();
+            this.uiManager.showSuccess(`Saved season ${season.name}`);
+        } catch (error) {
+            console.error('Error saving season:', error);
+            this.uiManager.showError(`Error saving season: ${error.message}`);
+        }
+    }
+
+    async activateSelectedSeason() {
+        if (!this.requirePermission('seasons.manage')) return;
+
+        try {
+            await this.seasonRankingManager.setActiveSeason(this.selectedSeasonId);
+            this.renderSeasonSelect(this.selectedSeasonId);
+            this.selectSeason(this.selectedSeasonId);
+            this.applyCurrentSeasonToReports();
+            this.uiManager.showSuccess(`${this.seasonRankingManager.getSeason(this.selectedSeasonId).name} is now the current season`);
+        } catch (error) {
+            console.error('Error setting the current season:', error);
+            this.uiManager.showError(`Error setting the current season: ${error.message}`);
+        }
+    }
+
+    async finalizeSelectedSeason() {
+        if (!this.requirePermission('seasons.manage')) return;
+
+        const season = this.seasonRankingManager.getSeason(this.selectedSeasonId);
+        if (!season) return;
+
+        if (!confirm(`Finalize "${season.name}"? Its saved report becomes the final result and neither the season nor the report can be changed afterwards.`)) {
+            return;
+        }
+
+        try {
+            await this.seasonRankingManager.finalizeSeason(season.id);
+            this.renderSeasonSelect(season.id);
+            this.selectSeason(season.id);
+            this.applyCurrentSeasonToReports();
+            await this.loadExistingSeasonReport();
+            this.uiManager.showSuccess(`${season.name} is finalized`);
+        } catch (error) {
+            console.error('Error finalizing season:', error);
+            this.uiManager.showError(`Error finalizing season: ${error.message}`);
+        }
+    }
+
+    /**
+     * Offer the current season in the Reports tab's date range, selected by default
+     */
+    applyCurrentSeasonToReports() {
+        const dateRange = document.getElementById('dateRange');
+        const season = this.seasonRankingManager.currentSeason;
+        if (!dateRange) return;
+
+        let option = dateRange.querySelector('option[value="season"]');
+        if (!season) {
+            option?.remove();
+            return;
+        }
+
+        const isNew = !option;
+        if (isNew) {
+            option = document.createElement('option');
+            option.value = 'season';
+            dateRange.prepend(option);
+        }
+        option.textContent = `Current Season (${season.name})`;
+        if (isNew) {
+            dateRange.value = 'season';
+        }
+    }
+
+    /**
+     * The weights of the components the current rules weight must total 100%
+     * @returns {boolean} True if they do (otherwise an error is shown)
+     */
+    validateSeasonWeights(weights) {
+        const totalWeight = weightedTotal(weights, this.seasonRankingManager.getScoringRules().rules);
+        if (totalWeight === 100) {
+            return true;
+        }
+
+        const difference = 100 - totalWeight;
+        this.uiManager.showError(`Weights must total exactly 100%. Current total: ${totalWeight}% (${difference > 0 ? 'need' : 'over by'} ${Math.abs(difference)}%)`);
+        return false;
+    }
+
+    updateWeightTotal() {
+        const total = weightedTotal(this.getSeasonWeights(), this.seasonRankingManager.getScoringRules().rules);
+        const totalElement = document.getElementById('weightTotal');
+        if (totalElement) {
+            totalElement.textContent = total;
+            totalElement.style.color = total === 100 ? '#059669' : '#ef4444';
+        }
+
+        // Rank changes follow the weights while a simulation is open
+        if (this.seasonSimulation) {
+            this.runSeasonSimulation();
+        }
+    }
+
+    /**
+     * Load the season in the form and its saved report for the what-if simulator
+     */
+    async startSeasonSimulation() {
+        const seasonName = document.getElementById('seasonName')?.value.trim();
+        const startDate = document.getElementById('seasonStartDate')?.value;
+        const endDate = document.getElementById('seasonEndDate')?.value;
+
+        if (!seasonName || !startDate || !endDate) {
+            this.uiManager.showError('Please fill in the season name and dates to simulate');
+            return;
+        }
+
+        try {
+            const [data, saved] = await Promise.all([
+                this.seasonRankingManager.loadSeasonData(startDate, endDate, progress => this.showSeasonProgress(progress)),
+                this.seasonRankingManager.getSeasonRankings(seasonName, startDate, endDate)
+            ]);
+
+            this.seasonSimulation = { seasonName, startDate, endDate, data, saved, kudos: [], excusals: [] };
+
+            const excuseDate = document.getElementById('simExcuseDate');
+            if (excuseDate) {
+                excuseDate.min = startDate;
+                excuseDate.max = endDate;
+                excuseDate.value = startDate;
+            }
+            document.getElementById('seasonSimulatorControls').style.display = 'block';
+            document.getElementById('resetSeasonSimulationBtn').disabled = false;
+            this.setupSimulatorAutocomplete();
+
+            if (saved.length === 0) {
+                this.uiManager.showError(`No saved report for ${seasonName} (${startDate} to ${endDate}); every player will show as new`);
+            }
+
+            this.renderSimulatedChanges();
+            this.runSeasonSimulation();
+        } catch (error) {
+            console.error('Error starting season simulation:', error);
+            this.uiManager.showError(`Error starting simulation: ${error.message}`);
+        } finally {
+            this.showSeasonProgress(null);
+        }
+    }
+
+    setupSimulatorAutocomplete() {
+        [['simKudosPlayer', 'simKudosPlayerAutocomplete'], ['simExcusePlayer', 'simExcusePlayerAutocomplete']].forEach(([inputId, dropdownId]) => {
+            const input = document.getElementById(inputId);
+            const dropdown = document.getElementById(dropdownId);
+            if (!input || !dropdown || input.dataset.autocomplete) return;
+
+            input.dataset.autocomplete = 'true';
+            this.autocompleteService.setupAutocomplete(
+                input,
+                dropdown,
+                (selectedName) => {
+                    input.value = selectedName;
+                },
+                false,
+                true
+            );
+        });
+    }
+
+    addSimulatedKudos() {
+        const simulation = this.seasonSimulation;
+        const playerName = document.getElementById('simKudosPlayer')?.value.trim();
+        const points = parseInt(document.getElementById('simKudosPoints')?.value, 10);
+        if (!simulation) return;
+
+        if (!playerName || !(points >= 1 && points <= 10)) {
+            this.uiManager.showError('Enter a player and 1-10 kudos points');
+            return;
+        }
+
+        // Dated at the end of the season so it's the latest award
+        simulation.kudos.push({ player_name: playerName, points, date_awarded: simulation.endDate });
+        document.getElementById('simKudosPlayer').value = '';
+        this.renderSimulatedChanges();
+        this.runSeasonSimulation();
+    }
+
+    addSimulatedExcusal() {
+        const simulation = this.seasonSimulation;
+        const playerName = document.getElementById('simExcusePlayer')?.value.trim();
+        const date = document.getElementById('simExcuseDate')?.value;
+        if (!simulation) return;
+
+        if (!playerName || !date) {
+            this.uiManager.showError('Enter a player and the date they are excused from');
+            return;
+        }
+
+        simulation.excusals.push({ player_name: playerName, date_excused: date });
+        document.getElementById('simExcusePlayer').value = '';
+        this.renderSimulatedChanges();
+        this.runSeasonSimulation();
+    }
+
+    removeSimulatedChange(type, index) {
+        if (!this.seasonSimulation?.[type]) return;
+
+        this.seasonSimulation[type].splice(index, 1);
+        this.renderSimulatedChanges();
+        this.runSeasonSimulation();
+    }
+
+    clearSimulatedChanges() {
+        if (!this.seasonSimulation) return;
+
+        this.seasonSimulation.kudos = [];
+        this.seasonSimulation.excusals = [];
+        this.renderSimulatedChanges();
+        this.runSeasonSimulation();
+    }
+
+    renderSimulatedChanges() {
+        const list = document.getElementById('simHypotheticals');
+        const simulation = this.seasonSimulation;
+        if (!list || !simulation) return;
+
+        const items = [
+            ...simulation.kudos.map((award, index) => ({
+                type: 'kudos', index, text: `⭐ ${award.player_name}: ${award.points} kudos points`
+            })),
+            ...simulation.excusals.map((excusal, index) => ({
+                type: 'excusals', index, text: `🛡️ ${excusal.player_name}: excused from ${excusal.date_excused}`
+            }))
+        ];
+
+        list.innerHTML = items.map(item => `
+            <li>
+                ${this.escapeHTML(item.text)}
+                <button type="button" class="sim-remove-btn" data-sim-remove="${item.type}" data-index="${item.index}" title="Remove">✕</button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Recalculate the simulated rankings and show them against the saved report
+     */
+    runSeasonSimulation() {
+        const simulation = this.seasonSimulation;
+        const results = document.getElementById('seasonSimulationResults');
+        if (!simulation || !results) return;
+
+        const weights = this.getSeasonWeights();
+        const total = weightedTotal(weights, this.seasonRankingManager.getScoringRules().rules);
+        const rankings = this.seasonRankingManager.simulateSeasonRankings(simulation.data, weights, {
+            kudos: simulation.kudos,
+            excusals: simulation.excusals
+        }, this.seasonRankingManager.getScoringRules(), this.getSeasonEligibility());
+        const diff = this.seasonRankingManager.diffSeasonRankings(simulation.saved, rankings);
+        const moved = diff.filter(entry => entry.rankChange).length;
+
+        const changeCell = (entry) => {
+            if (entry.rank === null) return '<span class="sim-change">Not ranked</span>';
+            if (entry.savedRank === null) return '<span class="sim-change new">New</span>';
+            if (entry.rankChange > 0) return `<span class="sim-change up">▲ ${entry.rankChange}</span>`;
+            if (entry.rankChange < 0) return `<span class="sim-change down">▼ ${-entry.rankChange}</span>`;
+            return '<span class="sim-change">–</span>';
+        };
+        const score = value => (value === null ? '-' : value.toFixed(2));
+
+        results.innerHTML = `
+            <p class="sim-summary">
+                ${moved} of ${diff.length} players change rank compared with the saved report for ${this.escapeHTML(simulation.seasonName)}.
+                ${total === 100 ? '' : `<strong>Weights total ${total}%; a report needs 100%.</strong>`}
+            </p>
+            <div class="report-table-container">
+                <table class="report-table">
+                    <thead>
+                        <tr><th>Rank</th><th>Player</th><th>Saved Rank</th><th>Change</th><th>Score</th><th>Saved Score</th></tr>
+                    </thead>
+                    <tbody>
+                        ${diff.map(entry => `
+                            <tr class="${entry.rankChange ? 'sim-moved' : ''}">
+                                <td>${entry.rank ?? '-'}</td>
+                                <td>${this.escapeHTML(entry.playerName)}</td>
+                                <td>${entry.savedRank ?? '-'}</td>
+                                <td>${changeCell(entry)}</td>
+                                <td>${score(entry.score)}</td>
+                                <td>${score(entry.savedScore)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Load the saved scoring rules versions and show the current one
+     */
+    async loadScoringRulesForm() {
+        const versions = await this.seasonRankingManager.loadScoringRules();
+        const current = this.seasonRankingManager.getScoringRules();
+
+        const select = document.getElementById('scoringRulesVersion');
+        if (select) {
+            select.innerHTML = versions.map(entry => `
+                <option value="${entry.version}" ${entry.version === current.version ? 'selected' : ''}>
+                    v${entry.version} - ${this.escapeHTML(entry.name)}${entry.version === current.version ? ' (current)' : ''}
+                </option>
+            `).join('');
+        }
+
+        this.fillScoringRulesForm(current.rules);
+
+        // Only weighted components take a weight
+        Object.entries(current.rules.weighted).forEach(([component, weighted]) => {
+            const input = document.getElementById(`${component}Weight`);
+            if (input) {
+                input.disabled = !weighted;
+            }
+        });
+        this.updateWeightTotal();
+    }
+
+    fillScoringRulesForm(rules) {
+        document.querySelectorAll('.scoring-rules-config [data-rule]').forEach(input => {
+            const value = input.dataset.rule.split('.').reduce((node, key) => node?.[key], rules);
+
+            switch (input.dataset.ruleType) {
+                case 'bool':
+                    input.checked = Boolean(value);
+                    break;
+                case 'multipliers':
+                    input.value = (value || []).map(entry => `${entry.match} = ${entry.multiplier}`).join('\n');
+                    break;
+                case 'list':
+                    input.value = (value || []).join(', ');
+                    break;
+                default:
+                    input.value = value ?? '';
+            }
+        });
+    }
+
+    /**
+     * Build a rules definition from the form, starting from the selected
+     * version so settings without an input carry over
+     */
+    readScoringRulesForm() {
+        const selectedVersion = parseInt(document.getElementById('scoringRulesVersion')?.value, 10);
+        const base = this.seasonRankingManager.getScoringRules(selectedVersion) || this.seasonRankingManager.getScoringRules();
+        const rules = normalizeScoringRules(JSON.parse(JSON.stringify(base.rules)));
+
+        document.querySelectorAll('.scoring-rules-config [data-rule]').forEach(input => {
+            const path = input.dataset.rule.split('.');
+            const key = path.pop();
+            const parent = path.reduce((node, part) => node[part], rules);
+
+            switch (input.dataset.ruleType) {
+                case 'bool':
+                    parent[key] = input.checked;
+                    break;
+                case 'number':
+                    parent[key] = input.value === '' ? NaN : Number(input.value);
+                    break;
+                case 'optional':
+                    parent[key] = input.value === '' ? null : Number(input.value);
+                    break;
+                case 'multipliers':
+                    parent[key] = input.value.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+                        const [match, multiplier] = line.split('=');
+                        return { match: (match || '').trim(), multiplier: Number(multiplier) };
+                    });
+                    break;
+                case 'list':
+                    parent[key] = input.value.split(',').map(entry => entry.trim()).filter(Boolean);
+                    break;
+                default:
+                    parent[key] = input.value;
+            }
+        });
 
-        // Load Existing Report button
-        const loadExistingReportBtn = document.getElementById('loadExistingReportBtn');
-        console.log('Load Existing Report button found:', loadExistingReportBtn);
-        if (loadExistingReportBtn) {
-            loadExistingReportBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                console.log('Load Existing Report button clicked!');
-                this.loadExistingSeasonReport();
-            });
-            console.log('Load Existing Report event listener attached');
-        } else {
-            console.error('Load Existing Report button not found!');
-        }
+        return rules;
+    }
 
-        // List Available Reports button
-        const listReportsBtn = document.getElementById('listAvailableReportsBtn');
-        console.log('List Available Reports button found:', listReportsBtn);
-        if (listReportsBtn) {
-            listReportsBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                console.log('List Available Reports button clicked!');
-                this.listAvailableSeasonReports();
-            });
-            console.log('List Available Reports event listener attached');
-        } else {
-            console.error('List Available Reports button not found!');
-        }
+    async saveScoringRules() {
+        if (!this.requirePermission('seasons.manage')) return;
 
-        // Refresh Season Report button
-        const refreshSeasonReportBtn = document.getElementById('refreshSeasonReportBtn');
-        if (refreshSeasonReportBtn) {
-            refreshSeasonReportBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                console.log('Refresh Season Report button clicked!');
-                this.refreshCurrentSeasonReport();
-            });
+        const rules = this.readScoringRulesForm();
+        const errors = validateScoringRules(rules);
+        if (errors.length > 0) {
+            this.uiManager.showError(`Scoring rules not saved: ${errors.join('; ')}`);
+            return;
         }
 
-        // Clear Season Data button
-        const clearSeasonDataBtn = document.getElementById('clearSeasonDataBtn');
-        if (clearSeasonDataBtn) {
-            clearSeasonDataBtn.addEventListener('click', () => {
-                this.clearSeasonData();
-            });
+        if (!confirm('Save these rules as a new version? Season reports generated from now on will use it.')) {
+            return;
         }
 
-        // Setup autocomplete for kudos player input
-        this.setupKudosPlayerAutocomplete();
-
-        console.log('Season ranking event listeners setup complete');
-    }
-
-    updateWeightTotal() {
-        const kudosWeight = parseInt(document.getElementById('kudosWeight')?.value || 0);
-        const vsWeight = parseInt(document.getElementById('vsPerformanceWeight')?.value || 0);
-        const eventsWeight = parseInt(document.getElementById('specialEventsWeight')?.value || 0);
-        
-        const total = kudosWeight + vsWeight + eventsWeight;
-        const totalElement = document.getElementById('weightTotal');
-        if (totalElement) {
-            totalElement.textContent = total;
-            totalElement.style.color = total === 100 ? '#059669' : '#ef4444';
+        const nameInput = document.getElementById('scoringRulesName');
+        try {
+            const saved = await this.seasonRankingManager.saveScoringRules(nameInput?.value.trim(), rules);
+            this.uiManager.showSuccess(`Saved scoring rules v${saved.version}`);
+            if (nameInput) nameInput.value = '';
+            await this.loadScoringRulesForm();
+        } catch (error) {
+            console.error('Error saving scoring rules:', error);
+            this.uiManager.showError(`Error saving scoring rules: ${error.message}`);
         }
     }
 
@@ -3500,9 +5181,10 @@ class DailyRankingsApp {
                 return;
             }
 
-            // Get the weights from the first record (they should all be the same)
+            // The season keeps the weights its report was generated with
+            const season = this.seasonRankingManager.findSeason(seasonName, startDate, endDate);
             const sampleRecord = existingRankings[0];
-            const weights = {
+            const weights = season?.weights || {
                 kudos: sampleRecord.kudos_weight || 0,
                 vsPerformance: sampleRecord.vs_performance_weight || 0,
                 specialEvents: sampleRecord.special_events_weight || 0
@@ -3510,8 +5192,9 @@ class DailyRankingsApp {
 
             console.log('Loading existing season report:', { seasonName, startDate, endDate, rankings: existingRankings.length, weights });
             
-            // Display the existing report
-            await this.displaySeasonReport(seasonName, startDate, endDate, existingRankings, weights);
+            // Display the existing report, with the breakdowns saved alongside it
+            const rankings = this.seasonRankingManager.fromSeasonRankingRows(existingRankings);
+            await this.displaySeasonReport(seasonName, startDate, endDate, rankings, weights);
             
             this.uiManager.showSuccess(`Loaded existing season report with ${existingRankings.length} players`);
             
@@ -3546,11 +5229,13 @@ class DailyRankingsApp {
                             ${availableReports.map((report, index) => `
                                 <div class="report-item" data-index="${index}">
                                     <div class="report-info">
-                                        <strong>${report.season_name}</strong>
-                                        <div class="report-dates">${report.start_date} to ${report.end_date}</div>
-                                        <div class="report-created">Created: ${new Date(report.created_at).toLocaleString()}</div>
+                                        <strong>${this.escapeHTML(report.season_name)}</strong>
+                                        <span class="season-badge ${report.status}">${{ draft: '📝 Draft', active: '⭐ Current', finalized: '🔒 Final' }[report.status]}</span>
+                                        <div class="report-dates">${report.start_date} to ${report.end_date} · ${report.players} players</div>
+                                        <div class="report-created">Updated: ${new Date(report.updated_at).toLocaleString()}</div>
+                                        <div class="report-created">Scoring rules: ${report.scoring_rules_version ? `v${report.scoring_rules_version}` : 'preview'}</div>
                                     </div>
-                                    <button class="load-report-btn" data-season="${report.season_name}" data-start="${report.start_date}" data-end="${report.end_date}">
+                                    <button class="load-report-btn">
                                         Load Report
                                     </button>
                                 </div>
@@ -3565,14 +5250,16 @@ class DailyRankingsApp {
             // Add event listeners to load report buttons
             modal.querySelectorAll('.load-report-btn').forEach(btn => {
                 btn.addEventListener('click', async (e) => {
-                    const seasonName = e.target.getAttribute('data-season');
-                    const startDate = e.target.getAttribute('data-start');
-                    const endDate = e.target.getAttribute('data-end');
+                    const report = availableReports[e.target.closest('.report-item').dataset.index];
                     
-                    // Fill in the form fields
-                    document.getElementById('seasonName').value = seasonName;
-                    document.getElementById('seasonStartDate').value = startDate;
-                    document.getElementById('seasonEndDate').value = endDate;
+                    // Select the season in the form (a report without one only fills in its name and dates)
+                    this.renderSeasonSelect(report.season_id);
+                    this.selectSeason(report.season_id);
+                    if (!report.season_id) {
+                        document.getElementById('seasonName').value = report.season_name;
+                        document.getElementById('seasonStartDate').value = report.start_date;
+                        document.getElementById('seasonEndDate').value = report.end_date;
+                    }
                     
                     // Close modal and load the report
                     modal.remove();
@@ -3601,34 +5288,38 @@ class DailyRankingsApp {
             return;
         }
 
+        // A finalized report is never recalculated
+        if (this.seasonRankingManager.findSeason(seasonName, startDate, endDate)?.status === 'finalized') {
+            await this.loadExistingSeasonReport();
+            return;
+        }
+
         try {
             // Get current weights from the form
-            const weights = {
-                kudos: parseInt(document.getElementById('kudosWeight')?.value || 0),
-                vsPerformance: parseInt(document.getElementById('vsPerformanceWeight')?.value || 0),
-                specialEvents: parseInt(document.getElementById('specialEventsWeight')?.value || 0)
-            };
+            const weights = this.getSeasonWeights();
 
             console.log('Refreshing season report with current weights:', weights);
             
             // Validate weights
-            const totalWeight = weights.kudos + weights.vsPerformance + weights.specialEvents;
-            if (totalWeight !== 100) {
-                const difference = 100 - totalWeight;
-                const message = `Weights must total exactly 100%. Current total: ${totalWeight}% (${difference > 0 ? 'need' : 'over by'} ${Math.abs(difference)}%)`;
-                this.uiManager.showError(message);
+            if (!this.validateSeasonWeights(weights)) {
                 return;
             }
             
             // Regenerate the report with current logic and weights
             console.log('Regenerating season rankings...');
-            const rankings = await this.seasonRankingManager.generateSeasonRankings(seasonName, startDate, endDate, weights);
+            const rankings = await this.seasonRankingManager.generateSeasonRankings(seasonName, startDate, endDate, weights, {
+                scoringRules: this.seasonRankingManager.getScoringRules(),
+                eligibility: this.getSeasonEligibility(),
+                onProgress: progress => this.showSeasonProgress(progress)
+            });
             
             console.log('Regenerated rankings:', rankings.length, 'players');
             
-            // Save updated rankings to database
-            await this.seasonRankingManager.saveSeasonRankings(seasonName, startDate, endDate, rankings);
-            console.log('Updated rankings saved to database');
+            // Save updated rankings to database (viewers only see the refreshed copy)
+            if (!this.seasonRankingManager.readOnly) {
+                await this.seasonRankingManager.saveSeasonRankings(seasonName, startDate, endDate, rankings);
+                console.log('Updated rankings saved to database');
+            }
             
             // Display the refreshed report
             await this.displaySeasonReport(seasonName, startDate, endDate, rankings, weights);
@@ -3643,10 +5334,108 @@ class DailyRankingsApp {
                 stack: error.stack
             });
             this.uiManager.showError(`Error refreshing season report: ${error.message}`);
+        } finally {
+            this.showSeasonProgress(null);
+        }
+    }
+
+    /**
+     * Every day, event and kudos award behind a player's season score
+     * @param {Object} ranking - A ranking from generateSeasonRankings() or fromSeasonRankingRows()
+     * @param {Object} rules - The scoring rules the report used
+     */
+    renderScoreDrilldown(ranking, rules) {
+        if (ranking.hasBreakdown === false) {
+            return `
+                <div class="score-component score-drilldown">
+                    <div class="score-component-label">Why this rank</div>
+                    <div class="score-component-details">This report was saved before score details were kept. Refresh it to see them.</div>
+                </div>
+            `;
+        }
+
+        const vs = ranking.vsBreakdown || {};
+        const topPoints = vs.topPoints ?? rules.vsPerformance.topPoints;
+        const bottomPoints = vs.bottomPoints ?? rules.vsPerformance.bottomPoints;
+        const signed = value => (value > 0 ? `+${value}` : `${value}`);
+        const list = (items, empty) => (items.length > 0 ? `<ul>${items.join('')}</ul>` : `<p class="drilldown-empty">${empty}</p>`);
+
+        const topDays = (vs.topDays || []).map(day => `<li>${day.date}: #${day.ranking} (${signed(topPoints)})</li>`);
+        const bottomDays = (vs.bottomDays || []).map(day => (day.excused
+            ? `<li class="drilldown-excused">${day.date}: #${day.ranking} (excused, no penalty)</li>`
+            : `<li>${day.date}: #${day.ranking} (${signed(bottomPoints)})</li>`));
+
+        const eventRows = [
+            ...(ranking.specialEventsBreakdown?.events || []).map(event => ({ ...event, type: 'Special' })),
+            ...(ranking.allianceBreakdown?.events || []).map(event => ({ ...event, type: 'Alliance' }))
+        ].map(event => `
+            <tr>
+                <td>${this.escapeHTML(event.eventName)}</td>
+                <td>${event.type}</td>
+                <td>#${event.rank}</td>
+                <td>${event.totalParticipants}</td>
+                <td>${event.multiplier && event.multiplier !== 1 ? `×${event.multiplier}` : '-'}</td>
+                <td>${event.points}</td>
+            </tr>
+        `);
+
+        const awards = (ranking.kudosBreakdown?.awards || []).map(award => `
+            <li class="${award.counted ? 'drilldown-counted' : ''}">
+                ${award.dateAwarded}: ${award.points} pts${award.reason ? ` - ${this.escapeHTML(award.reason)}` : ''}${award.counted ? ' ✓ counted' : ''}
+            </li>
+        `);
+
+        return `
+            <div class="score-component score-drilldown">
+                <div class="score-component-label">Why this rank</div>
+                <div class="drilldown-grid">
+                    <div>
+                        <h6>Top ${vs.topRank ?? rules.vsPerformance.topRank} days</h6>
+                        ${list(topDays, 'None')}
+                    </div>
+                    <div>
+                        <h6>Rank ${vs.bottomRank ?? rules.vsPerformance.bottomRank}+ days</h6>
+                        ${list(bottomDays, 'None')}
+                    </div>
+                    <div>
+                        <h6>Kudos awards</h6>
+                        ${list(awards, 'No kudos in this season')}
+                    </div>
+                </div>
+                <h6>Events</h6>
+                ${eventRows.length > 0 ? `
+                    <table class="drilldown-events">
+                        <thead><tr><th>Event</th><th>Type</th><th>Rank</th><th>Participants</th><th>Multiplier</th><th>Points</th></tr></thead>
+                        <tbody>${eventRows.join('')}</tbody>
+                    </table>
+                ` : '<p class="drilldown-empty">No events in this season</p>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Show how far season report generation has got
+     * @param {Object|null} progress - { stage, done, total } from generateSeasonRankings(), or null to hide
+     */
+    showSeasonProgress(progress) {
+        const container = document.getElementById('seasonProgress');
+        const bar = document.getElementById('seasonProgressBar');
+        const label = document.getElementById('seasonProgressLabel');
+        if (!container || !bar || !label) return;
+
+        if (!progress) {
+            container.style.display = 'none';
+            return;
         }
+
+        container.style.display = 'flex';
+        bar.value = Math.round((progress.done / progress.total) * 100);
+        label.textContent = `${progress.stage} (${progress.done}/${progress.total})`;
     }
 
     async generateSeasonReport() {
+        if (!this.requirePermission('seasons.manage')) return;
+
         console.log('=== GENERATE SEASON REPORT METHOD CALLED ===');
         console.log('Method execution started at:', new Date().toISOString());
         console.log('this context:', this);
@@ -3688,21 +5477,12 @@ class DailyRankingsApp {
 
         console.log('Date validation passed, getting weights...');
 
-        const weights = {
-            kudos: parseInt(document.getElementById('kudosWeight')?.value || 0),
-            vsPerformance: parseInt(document.getElementById('vsPerformanceWeight')?.value || 0),
-            specialEvents: parseInt(document.getElementById('specialEventsWeight')?.value || 0)
-        };
+        const weights = this.getSeasonWeights();
 
         console.log('Weights retrieved:', weights);
 
-        // Validate that the main weights (excluding alliance contribution) total 100%
-        const totalWeight = weights.kudos + weights.vsPerformance + weights.specialEvents;
-        if (totalWeight !== 100) {
-            console.log('ERROR: Weights do not total 100%:', totalWeight);
-            const difference = 100 - totalWeight;
-            const message = `Weights must total exactly 100%. Current total: ${totalWeight}% (${difference > 0 ? 'need' : 'over by'} ${Math.abs(difference)}%)`;
-            this.uiManager.showError(message);
+        // Validate that the weights of the weighted components total 100%
+        if (!this.validateSeasonWeights(weights)) {
             return;
         }
 
@@ -3720,14 +5500,22 @@ class DailyRankingsApp {
             console.log('Starting season report generation...');
             this.uiManager.showSuccess('Generating season report... This may take a moment.');
             
+            // Save the season first so the report is linked to it
+            const season = await this.seasonRankingManager.saveSeason(this.readSeasonForm());
+            this.renderSeasonSelect(season.id);
+            this.selectedSeasonId = season.id;
+            this.applySeasonLock(season);
+
             // Generate rankings
             console.log('Calling generateSeasonRankings...');
-            const rankings = await this.seasonRankingManager.generateSeasonRankings(
-                seasonName, startDate, endDate, weights
-            );
+            const rankings = await this.seasonRankingManager.generateSeasonRankings(seasonName, startDate, endDate, weights, {
+                scoringRules: this.seasonRankingManager.getScoringRules(),
+                eligibility: season.eligibility,
+                onProgress: progress => this.showSeasonProgress(progress)
+            });
             console.log('Generated rankings:', rankings);
 
-            // Save to database
+            // Save to database as the season's preview until it is finalized
             console.log('Saving rankings to database...');
             await this.seasonRankingManager.saveSeasonRankings(seasonName, startDate, endDate, rankings);
             console.log('Rankings saved successfully');
@@ -3750,9 +5538,10 @@ class DailyRankingsApp {
         } finally {
             // Restore button state
             if (generateBtn) {
-                generateBtn.disabled = false;
+                generateBtn.disabled = this.seasonRankingManager.getSeason(this.selectedSeasonId)?.status === 'finalized';
                 generateBtn.innerHTML = originalBtnText || '🏆 Generate Season Report';
             }
+            this.showSeasonProgress(null);
         }
     }
 
@@ -3770,7 +5559,7 @@ class DailyRankingsApp {
         
         // Create the season report section if it doesn't exist
         const seasonReportSection = `
-            <div class="admin-section">
+            <div class="admin-section" data-permission="seasons.manage">
                 <div class="collapsible">
                     <div class="collapsible-header">
                         <h3>📊 Season Report Results</h3>
@@ -3803,6 +5592,8 @@ class DailyRankingsApp {
     }
 
     async clearSeasonData() {
+        if (!this.requirePermission('seasons.manage')) return;
+
         const seasonName = document.getElementById('seasonName')?.value.trim();
         const startDate = document.getElementById('seasonStartDate')?.value;
         const endDate = document.getElementById('seasonEndDate')?.value;
@@ -3868,15 +5659,35 @@ class DailyRankingsApp {
 
         const eligiblePlayers = rankings.length;
         const excludedPlayers = await this.getExcludedPlayersInfo(startDate, endDate);
+        const season = this.seasonRankingManager.findSeason(seasonName, startDate, endDate);
+
+        // The rules version the report was produced with
+        const rulesVersion = rankings[0]?.scoringRulesVersion ?? rankings[0]?.scoring_rules_version;
+        const scoringRules = (rulesVersion && this.seasonRankingManager.getScoringRules(rulesVersion)) || this.seasonRankingManager.getScoringRules();
+        const { rules } = scoringRules;
+        const componentLabels = { kudos: 'Kudos', vsPerformance: 'VS', specialEvents: 'Events', allianceContribution: 'Alliance' };
+        const weightSummary = SCORE_COMPONENTS
+            .map(component => (rules.weighted[component]
+                ? `${componentLabels[component]} ${weights[component] || 0}%`
+                : `${componentLabels[component]} added as is`))
+            .join(', ');
+        // One component's part of the total, e.g. "VS: 62.0 pts × 35% = 21.7 pts"
+        const totalPart = (component, score, unit) => (rules.weighted[component]
+            ? `${componentLabels[component]}: ${score.toFixed(1)}${unit} × ${weights[component] || 0}% = ${(score * (weights[component] || 0) / 100).toFixed(1)} pts`
+            : `${componentLabels[component]}: ${score.toFixed(1)} pts = ${score.toFixed(1)} pts`);
 
         const summaryHTML = `
             <div class="season-summary">
                 <h5>📊 Season Summary</h5>
-                <p><strong>Season:</strong> ${seasonName}</p>
+                <p><strong>Season:</strong> ${this.escapeHTML(seasonName)}</p>
+                <p><strong>Status:</strong> ${season?.status === 'finalized'
+                    ? `🔒 Final (finalized ${new Date(season.finalized_at).toLocaleDateString()}${season.finalized_by ? ` by ${this.escapeHTML(season.finalized_by)}` : ''})`
+                    : '📝 Preview - can still change until the season is finalized'}</p>
                 <p><strong>Period:</strong> ${startDate} to ${endDate}</p>
                 <p><strong>Eligible Players:</strong> ${eligiblePlayers}</p>
                 <p><strong>Excluded:</strong> ${excludedPlayers.leaders} Leaders, ${excludedPlayers.removed} Removed</p>
-                <p><strong>Weights:</strong> Kudos ${weights.kudos}%, VS ${weights.vsPerformance}%, Events ${weights.specialEvents}%, Alliance ${weights.allianceContribution}%</p>
+                <p><strong>Weights:</strong> ${weightSummary}</p>
+                <p><strong>Scoring Rules:</strong> ${rulesVersion ? `v${scoringRules.version} - ${this.escapeHTML(scoringRules.name)}` : 'Not recorded'}</p>
             </div>
         `;
 
@@ -3919,9 +5730,9 @@ class DailyRankingsApp {
                             <div class="score-component-value">${ranking.vsPerformanceScore.toFixed(1)} pts</div>
                             <div class="score-component-rank">Rank: #${ranking.vsRank || 'N/A'}</div>
                             <div class="score-component-details">
-                                Base: ${ranking.vsBreakdown?.basePoints || 50} pts | 
-                                Top 10: ${ranking.vsBreakdown?.top10Occurrences || 0} occurrences (+${(ranking.vsBreakdown?.top10Occurrences || 0) * 2} pts) | 
-                                Bottom 20: ${ranking.vsBreakdown?.bottom20Occurrences || 0} occurrences (-${ranking.vsBreakdown?.bottom20Occurrences || 0} pts) | 
+                                Base: ${ranking.vsBreakdown?.basePoints ?? rules.vsPerformance.basePoints} pts | 
+                                Top ${ranking.vsBreakdown?.topRank ?? rules.vsPerformance.topRank}: ${ranking.vsBreakdown?.topOccurrences || 0} occurrences (${(ranking.vsBreakdown?.topOccurrences || 0) * (ranking.vsBreakdown?.topPoints ?? rules.vsPerformance.topPoints)} pts) | 
+                                Rank ${ranking.vsBreakdown?.bottomRank ?? rules.vsPerformance.bottomRank}+: ${ranking.vsBreakdown?.bottomOccurrences || 0} occurrences (${(ranking.vsBreakdown?.bottomOccurrences || 0) * (ranking.vsBreakdown?.bottomPoints ?? rules.vsPerformance.bottomPoints)} pts)${ranking.vsBreakdown?.excusedOccurrences ? `, ${ranking.vsBreakdown.excusedOccurrences} excused` : ''} | 
                                 Total days: ${ranking.vsBreakdown?.totalDays || 0}
                             </div>
                         </div>
@@ -3932,7 +5743,7 @@ class DailyRankingsApp {
                             <div class="score-component-details">
                                 ${ranking.specialEventsBreakdown?.events?.length > 0 ? 
                                     ranking.specialEventsBreakdown.events.map(event => 
-                                        `${event.eventName}: Rank ${event.rank} (${event.points} pts)`
+                                        `${event.eventName}: Rank ${event.rank} (${event.points} pts${event.multiplier && event.multiplier !== 1 ? `, ×${event.multiplier}` : ''})`
                                     ).join(' | ') : 
                                     'No special events participated'
                                 }
@@ -3945,19 +5756,20 @@ class DailyRankingsApp {
                             <div class="score-component-details">
                                 ${ranking.allianceBreakdown?.events?.length > 0 ? 
                                     ranking.allianceBreakdown.events.map(event => 
-                                        `${event.eventName}: Rank ${event.rank} (${event.points} pts)`
+                                        `${event.eventName}: Rank ${event.rank} (${event.points} pts${event.multiplier && event.multiplier !== 1 ? `, ×${event.multiplier}` : ''})`
                                     ).join(' | ') : 
                                     'No alliance contribution events participated'
                                 }
                             </div>
                         </div>
+                        ${this.renderScoreDrilldown(ranking, rules)}
                         <div class="score-component total-breakdown">
                             <div class="score-component-label">Total Calculation</div>
                             <div class="score-component-details">
-                                Kudos: ${ranking.kudosScore.toFixed(1)}% × ${weights.kudos}% = ${(ranking.kudosScore * weights.kudos / 100).toFixed(1)} pts | 
-                                VS: ${ranking.vsPerformanceScore.toFixed(1)} pts × ${weights.vsPerformance}% = ${(ranking.vsPerformanceScore * weights.vsPerformance / 100).toFixed(1)} pts | 
-                                Events: ${ranking.specialEventsScore.toFixed(1)} pts × ${weights.specialEvents}% = ${(ranking.specialEventsScore * weights.specialEvents / 100).toFixed(1)} pts | 
-                                Alliance: ${ranking.allianceContributionScore.toFixed(1)} pts = ${(ranking.allianceContributionScore).toFixed(1)} pts
+                                ${totalPart('kudos', ranking.kudosScore, '%')} | 
+                                ${totalPart('vsPerformance', ranking.vsPerformanceScore, ' pts')} | 
+                                ${totalPart('specialEvents', ranking.specialEventsScore, ' pts')} | 
+                                ${totalPart('allianceContribution', ranking.allianceContributionScore, ' pts')}
                             </div>
                         </div>
                     </div>
@@ -4124,6 +5936,8 @@ class DailyRankingsApp {
     }
 
     async addAllianceLeader() {
+        if (!this.requirePermission('vip.manage')) return;
+
         const newLeaderInput = document.getElementById('newLeaderName');
         if (!newLeaderInput) {
             console.error('New leader input not found - admin content not loaded');
@@ -4156,6 +5970,8 @@ class DailyRankingsApp {
     }
 
     async removeAllianceLeader() {
+        if (!this.requirePermission('vip.manage')) return;
+
         console.log('removeAllianceLeader method called');
         const removeLeaderSelect = document.getElementById('removeLeaderName');
         if (!removeLeaderSelect) {
@@ -4199,6 +6015,8 @@ class DailyRankingsApp {
     }
 
     async setVIPForDate() {
+        if (!this.requirePermission('vip.manage')) return;
+
         const vipDateInput = document.getElementById('vipDate');
         const vipPlayerInput = document.getElementById('vipPlayer');
         const vipConductorInput = document.getElementById('vipConductor');
@@ -4419,7 +6237,8 @@ class DailyRankingsApp {
             console.log('Train conductor rotation:', this.leaderVIPManager.trainConductorRotation);
             
             // Only create sample data if we truly have no data AND we're in development mode
-            if (!hasLeaders && !hasRotation && window.location.hostname === 'localhost') {
+            // with an officer signed in (viewers can't write)
+            if (!hasLeaders && !hasRotation && window.location.hostname === 'localhost' && !this.leaderVIPManager.readOnly) {
                 console.log('No data found in development mode, creating sample alliance leaders...');
                 
                 // Create some sample alliance leaders for testing
@@ -4598,6 +6417,8 @@ class DailyRankingsApp {
 
     // Delete special event
     async deleteSpecialEvent(eventKey) {
+        if (!this.requirePermission('events.manage')) return;
+
         try {
             if (!eventKey) {
                 console.error('No event key provided for deletion');
@@ -5586,6 +7407,324 @@ class DailyRankingsApp {
         }
     }
 
+    /**
+     * Fill the ranking history target dropdown with days that have data and special events
+     */
+    async updateRankingHistoryTargets() {
+        const select = document.getElementById('historyTarget');
+        if (!select) return;
+
+        const previous = select.value;
+        const dates = this.rankingManager.getDatesWithData().sort().reverse();
+        const specialEvents = await this.rankingManager.getSpecialEvents();
+
+        let options = '<option value="">Select a day or event...</option>';
+        if (dates.length > 0) {
+            options += '<optgroup label="Days">';
+            dates.forEach(date => {
+                options += `<option value="${date}">${this.formatDateForDisplay(date)}</option>`;
+            });
+            options += '</optgroup>';
+        }
+        if (specialEvents.length > 0) {
+            options += '<optgroup label="Special Events">';
+            specialEvents.forEach(event => {
+                options += `<option value="${this.escapeHTML(event.key)}">${this.escapeHTML(event.name)}</option>`;
+            });
+            options += '</optgroup>';
+        }
+
+        select.innerHTML = options;
+        if (previous && select.querySelector(`option[value="${CSS.escape(previous)}"]`)) {
+            select.value = previous;
+        }
+    }
+
+    /**
+     * Load and render the saved versions for the selected day or event
+     */
+    async loadRankingHistory() {
+        const select = document.getElementById('historyTarget');
+        const listContainer = document.getElementById('rankingHistoryList');
+        const diffContainer = document.getElementById('rankingHistoryDiff');
+        if (!select || !listContainer) return;
+
+        const targetKey = select.value;
+        if (diffContainer) diffContainer.innerHTML = '';
+        if (!targetKey) {
+            this.rankingHistory = null;
+            listContainer.innerHTML = '<p class="no-activity">Select a day or event to see its history</p>';
+            this.updateCompareButton();
+            return;
+        }
+
+        listContainer.innerHTML = '<p class="loading-activity">Loading history...</p>';
+
+        try {
+            const isSpecialEvent = targetKey.startsWith('event_');
+            const [versions, current] = await Promise.all([
+                this.rankingManager.getVersions(targetKey),
+                isSpecialEvent
+                    ? this.rankingManager.getRankingsForSpecialEvent(targetKey)
+                    : this.rankingManager.getRankingsForDate(targetKey)
+            ]);
+
+            this.rankingHistory = { targetKey, versions, current };
+            this.renderRankingHistory();
+        } catch (error) {
+            console.error('Error loading ranking history:', error);
+            listContainer.innerHTML = '<p class="no-activity">Failed to load ranking history</p>';
+        }
+    }
+
+    /**
+     * Render the version list for the loaded ranking history
+     */
+    renderRankingHistory() {
+        const listContainer = document.getElementById('rankingHistoryList');
+        if (!listContainer || !this.rankingHistory) return;
+
+        const { versions, current } = this.rankingHistory;
+
+        let html = `
+            <div class="history-list-item current">
+                <input type="checkbox" class="history-compare" value="current" title="Select to compare">
+                <div class="history-item-when">Current</div>
+                <div class="history-item-who">-</div>
+                <div class="history-item-count">${current.length} rows</div>
+                <div class="history-item-note"></div>
+                <div class="history-item-actions"></div>
+            </div>
+        `;
+
+        if (versions.length === 0) {
+            html += '<p class="no-activity">No earlier versions saved yet</p>';
+        }
+
+        versions.forEach((version, index) => {
+            html += `
+                <div class="history-list-item">
+                    <input type="checkbox" class="history-compare" value="${index}" title="Select to compare">
+                    <div class="history-item-when">Replaced ${new Date(version.replaced_at).toLocaleString()}</div>
+                    <div class="history-item-who">by ${this.escapeHTML(version.replaced_by || 'Admin')}</div>
+                    <div class="history-item-count">${version.row_count} rows</div>
+                    <div class="history-item-note">${version.note ? this.escapeHTML(version.note) : ''}</div>
+                    <div class="history-item-actions">
+                        <button type="button" class="restore-version-btn" data-index="${index}">↩️ Restore</button>
+                    </div>
+                </div>
+            `;
+        });
+
+        listContainer.innerHTML = html;
+
+        listContainer.querySelectorAll('.history-compare').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.updateCompareButton());
+        });
+
+        listContainer.querySelectorAll('.restore-version-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                await this.restoreRankingVersion(parseInt(e.target.dataset.index, 10));
+            });
+        });
+
+        this.updateCompareButton();
+    }
+
+    updateCompareButton() {
+        const compareBtn = document.getElementById('compareVersionsBtn');
+        if (!compareBtn) return;
+
+        const selected = document.querySelectorAll('#rankingHistoryList .history-compare:checked');
+        compareBtn.disabled = selected.length !== 2;
+    }
+
+    /**
+     * Diff the two ticked versions, oldest on the left
+     */
+    compareSelectedVersions() {
+        const diffContainer = document.getElementById('rankingHistoryDiff');
+        if (!diffContainer || !this.rankingHistory) return;
+
+        const selected = [...document.querySelectorAll('#rankingHistoryList .history-compare:checked')]
+            .map(checkbox => checkbox.value);
+        if (selected.length !== 2) return;
+
+        const { versions, current } = this.rankingHistory;
+        const describe = value => value === 'current'
+            ? { label: 'Current', rankings: current, time: Infinity }
+            : {
+                label: `Version replaced ${new Date(versions[value].replaced_at).toLocaleString()}`,
+                rankings: versions[value].rankings,
+                time: new Date(versions[value].replaced_at).getTime()
+            };
+
+        const [older, newer] = selected.map(describe).sort((a, b) => a.time - b.time);
+        const diff = this.rankingManager.diffRankings(older.rankings, newer.rankings);
+        const formatRow = row => `#${row.ranking} ${this.escapeHTML(row.commander)} (${Number(row.points).toLocaleString()})`;
+
+        let html = `
+            <h4>${older.label} → ${newer.label}</h4>
+            <p class="history-diff-summary">
+                ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged} unchanged
+            </p>
+        `;
+
+        if (diff.added.length > 0) {
+            html += `<div class="history-diff-group added"><strong>Added</strong><ul>${diff.added.map(row => `<li>${formatRow(row)}</li>`).join('')}</ul></div>`;
+        }
+        if (diff.removed.length > 0) {
+            html += `<div class="history-diff-group removed"><strong>Removed</strong><ul>${diff.removed.map(row => `<li>${formatRow(row)}</li>`).join('')}</ul></div>`;
+        }
+        if (diff.changed.length > 0) {
+            html += `<div class="history-diff-group changed"><strong>Changed</strong><ul>${diff.changed.map(change => `
+                <li>${this.escapeHTML(change.commander)}: #${change.before.ranking} → #${change.after.ranking},
+                    ${Number(change.before.points).toLocaleString()} → ${Number(change.after.points).toLocaleString()}</li>
+            `).join('')}</ul></div>`;
+        }
+        if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+            html += '<p class="no-activity">The two versions are identical</p>';
+        }
+
+        diffContainer.innerHTML = html;
+    }
+
+    /**
+     * Restore a saved version; the rows it replaces are kept as a new version
+     */
+    async restoreRankingVersion(index) {
+        if (!this.requirePermission('rankings.history')) return;
+
+        if (!this.rankingHistory) return;
+
+        const version = this.rankingHistory.versions[index];
+        if (!version) return;
+
+        const when = new Date(version.replaced_at).toLocaleString();
+        if (!confirm(`Restore the ${version.row_count} rows that were replaced on ${when}? The current rankings will be kept in the history, so this can be undone.`)) {
+            return;
+        }
+
+        try {
+            if (await this.rankingManager.restoreVersion(version)) {
+                this.uiManager.showSuccess(`Restored version from ${when}`);
+            } else {
+                this.uiManager.showInfo(`Restored version from ${when} on this device; it will be uploaded when the connection is back`);
+            }
+
+            await this.loadRankingHistory();
+            this.updateDataStatus();
+            await this.autocompleteService.refreshPlayerNames();
+            if (version.target_key === this.currentTabDate) {
+                await this.showTab(version.target_key);
+            }
+        } catch (error) {
+            console.error('Error restoring ranking version:', error);
+            this.uiManager.showError(`Error restoring version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render every officer account with a role picker
+     */
+    async updateOfficerRolesList() {
+        const listContainer = document.getElementById('officerRolesList');
+        if (!listContainer) return;
+
+        listContainer.innerHTML = '<p class="loading-activity">Loading officers...</p>';
+        const officers = await this.authService.getUserRoles();
+
+        if (officers.length === 0) {
+            listContainer.innerHTML = '<p class="no-activity">No officer accounts found</p>';
+            return;
+        }
+
+        const currentUser = this.authService.getDisplayName();
+        listContainer.innerHTML = officers.map(officer => `
+            <div class="officer-role-item">
+                <div class="officer-role-email">${this.escapeHTML(officer.email)}</div>
+                <select class="filter-input officer-role-select" data-user-id="${this.escapeHTML(officer.user_id)}" ${officer.email === currentUser ? 'disabled title="You can\'t change your own role"' : ''}>
+                    ${ROLES.map(role => `<option value="${role}" ${role === officer.role ? 'selected' : ''}>${ROLE_LABELS[role]}</option>`).join('')}
+                </select>
+            </div>
+        `).join('');
+
+        listContainer.querySelectorAll('.officer-role-select').forEach(select => {
+            select.addEventListener('change', async (e) => {
+                if (!this.requirePermission('roles.manage')) return;
+
+                const saved = await this.authService.setUserRole(e.target.dataset.userId, e.target.value);
+                if (saved) {
+                    this.uiManager.showSuccess(`Role updated to ${ROLE_LABELS[e.target.value]}`);
+                } else {
+                    this.uiManager.showError('Failed to update role. Please try again.');
+                    await this.updateOfficerRolesList();
+                }
+            });
+        });
+    }
+
+    /**
+     * Load the audit log with the Activity view's filters and render it
+     */
+    async loadActivityLog() {
+        const listContainer = document.getElementById('activityLogList');
+        if (!listContainer) return;
+        if (!this.requirePermission('activity.view')) return;
+
+        const userFilter = document.getElementById('activityUserFilter');
+        const filters = {
+            actor: userFilter ? userFilter.value : '',
+            entityType: document.getElementById('activityEntityFilter')?.value || '',
+            fromDate: document.getElementById('activityFromDate')?.value || '',
+            toDate: document.getElementById('activityToDate')?.value || ''
+        };
+
+        listContainer.innerHTML = '<p class="loading-activity">Loading activity...</p>';
+
+        try {
+            const [entries, actors] = await Promise.all([
+                auditLog.getEntries(filters),
+                auditLog.getActors()
+            ]);
+
+            // Refresh the user list, keeping the current choice
+            if (userFilter) {
+                const selected = userFilter.value;
+                userFilter.innerHTML = '<option value="">All users</option>' +
+                    actors.map(actor => `<option value="${this.escapeHTML(actor)}">${this.escapeHTML(actor)}</option>`).join('');
+                userFilter.value = actors.includes(selected) ? selected : '';
+            }
+
+            if (entries.length === 0) {
+                listContainer.innerHTML = '<p class="no-activity">No activity matches these filters</p>';
+                return;
+            }
+
+            listContainer.innerHTML = entries.map(entry => `
+                <div class="activity-log-item">
+                    <div class="activity-log-summary">
+                        <span class="activity-log-when">${new Date(entry.created_at).toLocaleString()}</span>
+                        <span class="activity-log-who">${this.escapeHTML(entry.actor)}</span>
+                        <span class="activity-log-action ${this.escapeHTML(entry.action)}">${this.escapeHTML(entry.action)}</span>
+                        <span class="activity-log-entity">${this.escapeHTML(AUDIT_ENTITY_TYPES[entry.entity_type] || entry.entity_type)}</span>
+                        <span class="activity-log-key">${this.escapeHTML(entry.entity_key || '')}</span>
+                    </div>
+                    <details class="activity-log-details">
+                        <summary>Before / after</summary>
+                        <div class="activity-log-diff">
+                            <pre>${this.escapeHTML(JSON.stringify(entry.before_data, null, 2) || 'null')}</pre>
+                            <pre>${this.escapeHTML(JSON.stringify(entry.after_data, null, 2) || 'null')}</pre>
+                        </div>
+                    </details>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading activity log:', error);
+            listContainer.innerHTML = '<p class="no-activity">Failed to load activity</p>';
+        }
+    }
+
     updateDataStatus() {
         const dataStatus = document.getElementById('dataStatus');
         const dataCount = document.getElementById('dataCount');
@@ -5909,7 +8048,7 @@ class DailyRankingsApp {
         // Import and initialize the RankingsManager
         import('./rankings-manager.js').then(({ RankingsManager }) => {
             if (!window.rankingsManager) {
-                window.rankingsManager = new RankingsManager();
+                window.rankingsManager = new RankingsManager({ playerAliasService: this.playerAliasService });
                 console.log('RankingsManager initialized successfully');
             }
         }).catch(error => {
@@ -5918,8 +8057,8 @@ class DailyRankingsApp {
     }
 
     createRankingsTab() {
-        // Only create Rankings tab if user is admin
-        if (!this.adminAuthenticated) {
+        // Only create Rankings tab for officers who can import rankings
+        if (!this.adminAuthenticated || !this.authService.can('rankings.import')) {
             console.log('Rankings tab not created - not in admin mode');
             return;
         }
@@ -6685,6 +8824,21 @@ class DailyRankingsApp {
             console.warn('Old player autocomplete elements not found');
         }
         
+        // Setup autocomplete for the merge and split player fields
+        [
+            ['mergeSourcePlayer', 'mergeSourceAutocomplete'],
+            ['mergeTargetPlayer', 'mergeTargetAutocomplete'],
+            ['splitPlayerName', 'splitPlayerAutocomplete']
+        ].forEach(([inputId, dropdownId]) => {
+            const input = document.getElementById(inputId);
+            const dropdown = document.getElementById(dropdownId);
+            if (input && dropdown) {
+                this.autocompleteService.setupAutocomplete(input, dropdown, (selectedName) => {
+                    input.value = selectedName;
+                });
+            }
+        });
+        
         // Setup autocomplete for edit VIP player (now includes alliance leaders)
         const editVipInput = document.getElementById('editVipPlayer');
         const editVipDropdown = document.getElementById('editVipAutocomplete');
@@ -7392,8 +9546,17 @@ class DailyRankingsApp {
     async syncLocalData() {
         try {
             this.uiManager.showSuccess('Starting data sync...');
-            await this.leaderVIPManager.syncLocalDataToDatabase();
-            this.uiManager.showSuccess('Data sync completed successfully!');
+            const result = await this.leaderVIPManager.syncLocalDataToDatabase();
+            if (!result) {
+                this.uiManager.showError('Database unavailable - changes stay queued until the connection is back');
+                return;
+            }
+            if (result.remaining > 0) {
+                this.uiManager.showError(`Synced ${result.applied} change(s); ${result.remaining} still pending`);
+            } else {
+                this.uiManager.showSuccess(`Data sync completed: ${result.applied} change(s) sent, ${result.discarded} kept from the server`);
+            }
+            this.uiManager.updatePendingChanges(syncQueue.getPendingCount());
             
             // Refresh UI to show synced data
             this.updateLeaderDropdowns();
@@ -8139,6 +10302,12 @@ class DailyRankingsApp {
         }
         
         if (dateRange === 'all') return rankings;
+
+        if (dateRange === 'season') {
+            const season = this.seasonRankingManager.currentSeason;
+            if (!season) return rankings;
+            return rankings.filter(ranking => ranking?.day && ranking.day >= season.start_date && ranking.day <= season.end_date);
+        }
         
         const now = new Date();
         let cutoffDate;
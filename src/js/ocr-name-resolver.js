@@ -0,0 +1,330 @@
+/**
+ * OCRNameResolver - Maps commander names read by OCR onto known players
+ *
+ * This resolver handles:
+ * - Exact matches against known player names and active aliases
+ * - Fuzzy matching that treats common OCR misreads as near-matches
+ *   (l/1/I, O/0, rn/m, stripped diacritics, unicode lookalikes)
+ * - Resolving any match to the player's canonical primary name
+ * - Explaining why each candidate matched so admins can judge it
+ */
+
+// Characters that render almost identically in game fonts; each maps to a
+// plain ASCII stand-in so "Ⅼuna" and "Luna" compare as equal
+const UNICODE_LOOKALIKES = {
+    'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'ɡ': 'g',
+    'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P', 'С': 'C', 'Т': 'T', 'Х': 'X', 'І': 'I',
+    'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N', 'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X',
+    'ο': 'o', 'ν': 'v', 'ι': 'i', 'κ': 'k',
+    'ł': 'l', 'Ł': 'L', 'ø': 'o', 'Ø': 'O', 'đ': 'd', 'Đ': 'D', 'ı': 'i', 'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE',
+    'Ⅰ': 'I', 'Ⅼ': 'L', 'ℓ': 'l', '｜': '|'
+};
+
+// Groups of characters OCR confuses with each other. Substituting within a
+// group costs far less than an ordinary edit.
+const CONFUSION_GROUPS = [
+    ['l', '1', 'i', '|', '!'],
+    ['o', '0', 'q'],
+    ['s', '5', '$'],
+    ['b', '8'],
+    ['z', '2'],
+    ['g', '9'],
+    ['u', 'v']
+];
+
+// Multi-character misreads, applied when building the comparison skeleton
+const SEQUENCE_CONFUSIONS = [
+    [/rn/g, 'm'],
+    [/vv/g, 'w'],
+    [/cl/g, 'd']
+];
+
+const CONFUSABLE_COST = 0.25;
+
+export class OCRNameResolver {
+    /**
+     * @param {Object} options
+     * @param {PlayerAliasService} [options.aliasService] - Source of active aliases
+     * @param {number} [options.autoResolveThreshold] - Minimum score to resolve without review
+     * @param {number} [options.autoResolveMargin] - Required lead over the runner-up
+     */
+    constructor({ aliasService = null, autoResolveThreshold = 0.9, autoResolveMargin = 0.08 } = {}) {
+        this.aliasService = aliasService;
+        this.autoResolveThreshold = autoResolveThreshold;
+        this.autoResolveMargin = autoResolveMargin;
+
+        this.confusableChars = new Map();
+        CONFUSION_GROUPS.forEach((group, groupIndex) => {
+            group.forEach(char => this.confusableChars.set(char, groupIndex));
+        });
+    }
+
+    /**
+     * Set the alias service used for alias lookups
+     * @param {PlayerAliasService} aliasService - Loaded alias service
+     */
+    setAliasService(aliasService) {
+        this.aliasService = aliasService;
+    }
+
+    /**
+     * Resolve an OCR-read name against known players and aliases
+     * @param {string} ocrName - Name as read from the screenshot
+     * @param {Array<string>} knownPlayers - Existing player names
+     * @returns {Object} { name, resolved, candidates: [{ name, matchedName, score, reasons }] }
+     *   name is the canonical name when resolved, otherwise the OCR text
+     */
+    resolve(ocrName, knownPlayers = []) {
+        const name = String(ocrName || '').trim();
+        if (!name) {
+            return { name, resolved: false, candidates: [] };
+        }
+
+        // Active aliases first: an alias hit is authoritative
+        const alias = this.lookupAlias(name);
+        if (alias) {
+            const reasons = alias.primaryName.toLowerCase() === name.toLowerCase()
+                ? ['exact match']
+                : [`alias of ${alias.primaryName}`];
+            const candidate = { name: alias.primaryName, matchedName: alias.aliasName, score: 1, reasons };
+            return { name: alias.primaryName, resolved: true, candidates: [candidate] };
+        }
+
+        const candidates = this.rankCandidates(name, knownPlayers);
+        const [best, runnerUp] = candidates;
+        const resolved = Boolean(best)
+            && best.score >= this.autoResolveThreshold
+            && (!runnerUp || best.score - runnerUp.score >= this.autoResolveMargin);
+
+        return {
+            name: resolved ? best.name : name,
+            resolved,
+            candidates
+        };
+    }
+
+    /**
+     * Look up an exact (case-insensitive) alias match
+     * @param {string} name - Name to look up
+     * @returns {Object|null} Alias cache entry with primaryName and aliasName
+     */
+    lookupAlias(name) {
+        if (!this.aliasService || !this.aliasService.aliasesCache) return null;
+        return this.aliasService.aliasesCache.get(name.toLowerCase().trim()) || null;
+    }
+
+    /**
+     * Score every known player and alias against the OCR name
+     * @param {string} name - OCR-read name
+     * @param {Array<string>} knownPlayers - Existing player names
+     * @returns {Array} Candidates by canonical name, best first
+     */
+    rankCandidates(name, knownPlayers) {
+        const best = new Map();
+
+        this.getComparisonNames(knownPlayers).forEach(({ matchedName, primaryName }) => {
+            const { score, reasons } = this.scoreMatch(name, matchedName);
+            if (score < 0.5) return;
+
+            if (matchedName !== primaryName) {
+                reasons.push(`alias of ${primaryName}`);
+            }
+
+            const key = primaryName.toLowerCase();
+            const existing = best.get(key);
+            if (!existing || score > existing.score) {
+                best.set(key, { name: primaryName, matchedName, score, reasons });
+            }
+        });
+
+        return [...best.values()]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 5);
+    }
+
+    /**
+     * Collect every name worth comparing against: players plus their aliases
+     * @param {Array<string>} knownPlayers - Existing player names
+     * @returns {Array} { matchedName, primaryName } pairs
+     */
+    getComparisonNames(knownPlayers) {
+        const names = new Map();
+        const add = (matchedName, primaryName) => {
+            if (matchedName && !names.has(matchedName.toLowerCase())) {
+                names.set(matchedName.toLowerCase(), { matchedName, primaryName });
+            }
+        };
+
+        (knownPlayers || []).forEach(player => {
+            add(player, this.aliasService ? this.aliasService.resolvePlayerName(player) : player);
+        });
+
+        if (this.aliasService && this.aliasService.aliasesCache) {
+            for (const entry of this.aliasService.aliasesCache.values()) {
+                add(entry.aliasName, entry.primaryName);
+            }
+        }
+
+        return [...names.values()];
+    }
+
+    /**
+     * Score how likely an OCR reading is a misread of a known name
+     * @param {string} ocrName - Name as read
+     * @param {string} knownName - Candidate name
+     * @returns {Object} { score: 0-1, reasons: [string] }
+     */
+    scoreMatch(ocrName, knownName) {
+        if (ocrName.toLowerCase() === knownName.toLowerCase()) {
+            return { score: 1, reasons: ['exact match'] };
+        }
+
+        const ocrNormalized = this.normalize(ocrName);
+        const knownNormalized = this.normalize(knownName);
+
+        if (ocrNormalized === knownNormalized) {
+            return { score: 0.97, reasons: ['same name ignoring accents and lookalike letters'] };
+        }
+
+        if (this.skeleton(ocrNormalized) === this.skeleton(knownNormalized)) {
+            return { score: 0.94, reasons: [this.describeConfusions(ocrNormalized, knownNormalized)] };
+        }
+
+        const distance = this.ocrDistance(ocrNormalized, knownNormalized);
+        const longest = Math.max(ocrNormalized.length, knownNormalized.length) || 1;
+        const score = Math.max(0, (longest - distance) / longest);
+        const reasons = [`${Math.round(score * 100)}% similar spelling`];
+
+        const plainDistance = this.levenshteinDistance(ocrNormalized, knownNormalized);
+        if (plainDistance > distance) {
+            reasons.push('differences look like OCR misreads');
+        }
+
+        return { score, reasons };
+    }
+
+    /**
+     * Fold case, strip diacritics and replace unicode lookalikes
+     * @param {string} name - Raw name
+     * @returns {string} Comparable name
+     */
+    normalize(name) {
+        const replaced = [...String(name)]
+            .map(char => UNICODE_LOOKALIKES[char] ?? char)
+            .join('');
+
+        return replaced
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Collapse every OCR confusion to one representative so misreads compare equal
+     * @param {string} normalized - Output of normalize()
+     * @returns {string} Skeleton string
+     */
+    skeleton(normalized) {
+        let result = normalized;
+        SEQUENCE_CONFUSIONS.forEach(([pattern, replacement]) => {
+            result = result.replace(pattern, replacement);
+        });
+
+        return [...result]
+            .map(char => this.confusableChars.has(char) ? CONFUSION_GROUPS[this.confusableChars.get(char)][0] : char)
+            .join('');
+    }
+
+    /**
+     * Name the confusions that separate two names with the same skeleton
+     * @param {string} a - Normalized OCR name
+     * @param {string} b - Normalized known name
+     * @returns {string} Human-readable reason
+     */
+    describeConfusions(a, b) {
+        const found = new Set();
+
+        SEQUENCE_CONFUSIONS.forEach(([pattern, replacement]) => {
+            const source = pattern.source;
+            if ((a.includes(source) && b.includes(replacement)) || (b.includes(source) && a.includes(replacement))) {
+                found.add(`${source}/${replacement}`);
+            }
+        });
+
+        if (a.length === b.length) {
+            for (let i = 0; i < a.length; i++) {
+                if (a[i] !== b[i]) found.add(`${b[i]}/${a[i]}`);
+            }
+        }
+
+        return found.size > 0
+            ? `OCR lookalikes: ${[...found].join(', ')}`
+            : 'differs only by OCR lookalike characters';
+    }
+
+    /**
+     * Levenshtein distance where confusable substitutions, and "rn" read
+     * for "m" (or the reverse), are cheap
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Weighted edit distance
+     */
+    ocrDistance(a, b) {
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const substitution = a[i - 1] === b[j - 1]
+                    ? 0
+                    : this.areConfusable(a[i - 1], b[j - 1]) ? CONFUSABLE_COST : 1;
+
+                d[i][j] = Math.min(
+                    d[i - 1][j - 1] + substitution,
+                    d[i - 1][j] + 1,
+                    d[i][j - 1] + 1
+                );
+
+                if (i >= 2 && a.slice(i - 2, i) === 'rn' && b[j - 1] === 'm') {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 1] + CONFUSABLE_COST);
+                }
+                if (j >= 2 && b.slice(j - 2, j) === 'rn' && a[i - 1] === 'm') {
+                    d[i][j] = Math.min(d[i][j], d[i - 1][j - 2] + CONFUSABLE_COST);
+                }
+            }
+        }
+
+        return d[a.length][b.length];
+    }
+
+    /**
+     * Check whether OCR commonly confuses two characters
+     */
+    areConfusable(x, y) {
+        const group = this.confusableChars.get(x);
+        return group !== undefined && group === this.confusableChars.get(y);
+    }
+
+    /**
+     * Plain Levenshtein distance
+     */
+    levenshteinDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+                    previous[j] + 1,
+                    current[j - 1] + 1
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+}
@@ -1,12 +1,29 @@
 /**
  * OCR Service for extracting ranking data from screenshots
  * Handles image processing and text extraction for game leaderboards
+ *
+ * Text recognition runs fully in the browser using Tesseract.js. The worker,
+ * WASM core and English language data are served from /tesseract (copied out
+ * of node_modules by scripts/copy-ocr-assets.js) so no CDN is needed.
  */
 
+import { config } from './config.js';
+import { OCRNameResolver } from './ocr-name-resolver.js';
+
 export class OCRService {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {PlayerAliasService} [options.aliasService] - Used to resolve names through active aliases
+     */
+    constructor({ aliasService = null } = {}) {
         this.canvas = null;
         this.ctx = null;
+        this.worker = null;
+        this.workerPromise = null;
+        this.tesseract = null;
+        // Fields recognized below this confidence (0-1) are flagged for review
+        this.lowConfidenceThreshold = 0.75;
+        this.nameResolver = new OCRNameResolver({ aliasService });
         this.initCanvas();
     }
 
@@ -32,8 +49,7 @@ export class OCRService {
      */
     async processImage(imageFile) {
         try {
-            const imageData = await this.loadImage(imageFile);
-            const extractedData = await this.extractRankingData(imageData);
+            const extractedData = await this.processWithRealOCR(imageFile);
             return this.validateAndCleanData(extractedData);
         } catch (error) {
             console.error('Error processing image:', error);
@@ -41,6 +57,132 @@ export class OCRService {
         }
     }
 
+    /**
+     * Process a batch of scrolled screenshots of the same leaderboard and
+     * stitch them into one list
+     * @param {Array<File>} imageFiles - Screenshots, in any order
+     * @param {Function} onProgress - Optional callback (completed, total)
+     * @returns {Promise<Object>} Merged result from mergeScreenshotResults
+     */
+    async processImages(imageFiles, onProgress = null) {
+        const batches = [];
+
+        for (let i = 0; i < imageFiles.length; i++) {
+            if (onProgress) onProgress(i, imageFiles.length);
+            try {
+                batches.push(await this.processImage(imageFiles[i]));
+            } catch (error) {
+                console.error(`Error processing screenshot ${i + 1}:`, error);
+                batches.push([]);
+            }
+        }
+
+        if (onProgress) onProgress(imageFiles.length, imageFiles.length);
+        return this.mergeScreenshotResults(batches);
+    }
+
+    /**
+     * Merge rows from overlapping screenshots into a single ranking list.
+     * Rows with the same rank and a matching name are the same entry seen twice.
+     * The same rank with different names, or the same name at different ranks,
+     * is kept once and flagged as a conflict for review.
+     * @param {Array<Array>} batches - Cleaned rows for each screenshot
+     * @returns {Object} { rows, gaps: [{from, to}], emptyScreenshots: [index] }
+     */
+    mergeScreenshotResults(batches) {
+        const byRank = new Map();
+        const rankByName = new Map();
+        const emptyScreenshots = [];
+
+        batches.forEach((rows, screenshotIndex) => {
+            if (rows.length === 0) {
+                emptyScreenshots.push(screenshotIndex);
+                return;
+            }
+
+            rows.forEach(row => {
+                const nameKey = row.commander.toLowerCase();
+                const existing = byRank.get(row.ranking);
+
+                if (existing) {
+                    const sameName = this.calculateSimilarity(nameKey, existing.commander.toLowerCase()) >= 0.8;
+                    if (!sameName && !existing.conflicts.includes(row.commander)) {
+                        existing.conflicts.push(row.commander);
+                    }
+                    // The same row seen twice: keep whichever reading was clearer
+                    if (sameName && this.getRowConfidence(row) > this.getRowConfidence(existing)) {
+                        Object.assign(existing, {
+                            commander: row.commander,
+                            points: row.points,
+                            alliance: row.alliance,
+                            confidence: row.confidence,
+                            snippet: row.snippet
+                        });
+                    }
+                    if (!existing.screenshots.includes(screenshotIndex)) {
+                        existing.screenshots.push(screenshotIndex);
+                    }
+                    return;
+                }
+
+                const otherRank = rankByName.get(nameKey);
+                const merged = {
+                    ...row,
+                    screenshots: [screenshotIndex],
+                    conflicts: otherRank !== undefined ? [`also read at rank ${otherRank}`] : []
+                };
+                byRank.set(row.ranking, merged);
+                if (otherRank === undefined) {
+                    rankByName.set(nameKey, row.ranking);
+                }
+            });
+        });
+
+        const rows = [...byRank.values()].sort((a, b) => a.ranking - b.ranking);
+        return { rows, gaps: this.findRankGaps(rows), emptyScreenshots };
+    }
+
+    /**
+     * Lowest field confidence of a row, or 1 when no confidence is known
+     * @param {Object} row - Row with optional confidence { ranking, commander, points }
+     * @returns {number} Confidence between 0 and 1
+     */
+    getRowConfidence(row) {
+        if (!row.confidence) return 1;
+        const values = Object.values(row.confidence).filter(value => value !== null && value !== undefined);
+        return values.length > 0 ? Math.min(...values) : 1;
+    }
+
+    /**
+     * Check whether a single field was read with low confidence
+     * @param {Object} row - Row with optional confidence
+     * @param {string} field - 'ranking', 'commander' or 'points'
+     * @returns {boolean} True if the field should be reviewed
+     */
+    isLowConfidence(row, field) {
+        const value = row.confidence ? row.confidence[field] : null;
+        return value !== null && value !== undefined && value < this.lowConfidenceThreshold;
+    }
+
+    /**
+     * Find missing stretches in a sorted rank sequence
+     * @param {Array} rows - Rows sorted by ranking
+     * @returns {Array<{from: number, to: number}>} Missing rank ranges
+     */
+    findRankGaps(rows) {
+        const gaps = [];
+        let expected = 1;
+
+        rows.forEach(row => {
+            if (row.ranking > expected) {
+                gaps.push({ from: expected, to: row.ranking - 1 });
+            }
+            expected = Math.max(expected, row.ranking + 1);
+        });
+
+        return gaps;
+    }
+
     /**
      * Load image file and prepare for processing
      * @param {File} imageFile - The image file
@@ -62,27 +204,389 @@ export class OCRService {
     }
 
     /**
-     * Extract ranking data from image using OCR simulation
-     * This is a simplified version - in production, you'd use a real OCR service
+     * Lazily create the Tesseract worker using the locally bundled assets
+     * @returns {Promise<Object>} Initialized Tesseract worker
+     */
+    async getWorker() {
+        if (this.worker) return this.worker;
+
+        if (!this.workerPromise) {
+            this.workerPromise = (async () => {
+                this.tesseract = await import('tesseract.js');
+                const { createWorker } = this.tesseract;
+                const ocrConfig = config.ocr || {};
+
+                const worker = await createWorker(ocrConfig.language || 'eng', 1, {
+                    workerPath: ocrConfig.workerPath,
+                    corePath: ocrConfig.corePath,
+                    langPath: ocrConfig.langPath,
+                    gzip: true
+                });
+
+                await worker.setParameters(this.getRecognitionParameters('page'));
+
+                console.log('OCR worker initialized');
+                this.worker = worker;
+                return worker;
+            })().catch(error => {
+                this.workerPromise = null;
+                throw error;
+            });
+        }
+
+        return this.workerPromise;
+    }
+
+    /**
+     * Tesseract parameters for each kind of text region
+     * @param {string} region - 'page', 'name' or a numeric column ('rank', 'points')
+     * @returns {Object} Parameters for worker.setParameters
+     */
+    getRecognitionParameters(region) {
+        const { PSM } = this.tesseract;
+
+        if (region === 'rank' || region === 'points') {
+            return {
+                tessedit_pageseg_mode: PSM.SINGLE_LINE,
+                tessedit_char_whitelist: '0123456789,.'
+            };
+        }
+
+        // Whole pages and name cells are uniform blocks of text (name plus alliance tag line)
+        return {
+            tessedit_pageseg_mode: PSM.SINGLE_BLOCK,
+            tessedit_char_whitelist: '',
+            preserve_interword_spaces: '1'
+        };
+    }
+
+    /**
+     * Release the Tesseract worker and its memory
+     */
+    async terminate() {
+        if (this.worker) {
+            await this.worker.terminate();
+        }
+        this.worker = null;
+        this.workerPromise = null;
+    }
+
+    /**
+     * Convert the screenshot into a high-contrast grayscale image.
+     * Game leaderboards use light text on dark backgrounds, so dark images are
+     * inverted to give Tesseract the dark-on-light text it expects.
+     * @param {ImageData} imageData - The image data to process
+     * @returns {HTMLCanvasElement} Canvas holding the prepared image
+     */
+    preprocessImage(imageData) {
+        const { width, height } = imageData;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const output = ctx.createImageData(width, height);
+
+        const luminance = this.getLuminance(imageData);
+        const totalLuminance = luminance.reduce((sum, value) => sum + value, 0);
+        const invert = totalLuminance / luminance.length < 128;
+        for (let p = 0; p < luminance.length; p++) {
+            const value = invert ? 255 - luminance[p] : luminance[p];
+            // Stretch contrast around the midpoint so faint text stays readable
+            const stretched = Math.max(0, Math.min(255, (value - 128) * 1.5 + 128));
+            const i = p * 4;
+            output.data[i] = stretched;
+            output.data[i + 1] = stretched;
+            output.data[i + 2] = stretched;
+            output.data[i + 3] = 255;
+        }
+
+        ctx.putImageData(output, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Convert RGBA pixels to a single luminance channel
+     * @param {ImageData} imageData - The image data to convert
+     * @returns {Uint8ClampedArray} One luminance value (0-255) per pixel
+     */
+    getLuminance(imageData) {
+        const { data } = imageData;
+        const luminance = new Uint8ClampedArray(data.length / 4);
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            luminance[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+        return luminance;
+    }
+
+    /**
+     * Find the leaderboard grid in a screenshot using projection profiles.
+     * Text lines are found from the horizontal ink profile and merged into
+     * row bands (name + alliance tag lines sit closer together than rows do,
+     * so gaps are split into an in-row and a between-row group).
+     * Columns come from the vertical ink profile across all rows: the
+     * leftmost narrow block is the rank badge, the rightmost is points, and
+     * the dense square block after the rank is the avatar, which is skipped.
+     * @param {ImageData} imageData - The screenshot pixels from loadImage
+     * @returns {Object|null} { rows: [{top, bottom}], columns: {rank, name, points} } or null if no grid was found
+     */
+    analyzeLayout(imageData) {
+        const { width, height } = imageData;
+        const luminance = this.getLuminance(imageData);
+        const background = this.estimateBackground(luminance);
+
+        // Mark pixels that differ clearly from the background as "ink"
+        const ink = new Uint8Array(width * height);
+        const rowProfile = new Array(height).fill(0);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                if (Math.abs(luminance[p] - background) > 48) {
+                    ink[p] = 1;
+                    rowProfile[y]++;
+                }
+            }
+        }
+
+        const lineBands = this.findBands(rowProfile, Math.max(2, width * 0.01), 4);
+        if (lineBands.length < 2) return null;
+
+        const lineHeights = lineBands.map(band => band.end - band.start + 1).sort((a, b) => a - b);
+        const medianLineHeight = lineHeights[Math.floor(lineHeights.length / 2)];
+
+        // Gaps fall into two groups: small ones inside a row, large ones between rows
+        const gaps = lineBands.slice(1).map((band, i) => band.start - lineBands[i].end - 1);
+        const smallestGap = Math.min(...gaps);
+        const largestGap = Math.max(...gaps);
+        const rowGap = largestGap >= smallestGap * 2 ? (smallestGap + largestGap) / 2 : 0;
+
+        const rows = this.mergeBands(lineBands, rowGap)
+            .filter(band => band.end - band.start + 1 >= medianLineHeight * 0.8)
+            .map(band => ({ top: band.start, bottom: band.end }));
+        if (rows.length < 2) return null;
+
+        const columnProfile = new Array(width).fill(0);
+        let totalRowHeight = 0;
+        rows.forEach(row => {
+            totalRowHeight += row.bottom - row.top + 1;
+            for (let y = row.top; y <= row.bottom; y++) {
+                for (let x = 0; x < width; x++) {
+                    columnProfile[x] += ink[y * width + x];
+                }
+            }
+        });
+
+        const segments = this.mergeBands(
+            this.findBands(columnProfile, Math.max(1, rows.length * 0.5), 2),
+            width * 0.02
+        );
+        if (segments.length < 2) return null;
+
+        const averageRowHeight = totalRowHeight / rows.length;
+        const density = segment => {
+            let sum = 0;
+            for (let x = segment.start; x <= segment.end; x++) sum += columnProfile[x];
+            return sum / ((segment.end - segment.start + 1) * totalRowHeight);
+        };
+
+        const pointsSegment = segments[segments.length - 1];
+        const rankSegment = segments.length >= 3 && segments[0].end < width * 0.2 ? segments[0] : null;
+        const middle = segments.slice(rankSegment ? 1 : 0, -1);
+        const nameSegments = middle.filter(segment => {
+            const segmentWidth = segment.end - segment.start + 1;
+            const isAvatar = density(segment) > 0.45 && Math.abs(segmentWidth - averageRowHeight) < averageRowHeight * 0.5;
+            return !isAvatar;
+        });
+        const nameSource = nameSegments.length > 0 ? nameSegments : middle;
+        if (nameSource.length === 0) return null;
+
+        const toColumn = segment => ({ left: segment.start, right: segment.end });
+        return {
+            rows,
+            columns: {
+                rank: rankSegment ? toColumn(rankSegment) : null,
+                name: { left: nameSource[0].start, right: nameSource[nameSource.length - 1].end },
+                points: toColumn(pointsSegment)
+            }
+        };
+    }
+
+    /**
+     * Estimate the dominant background luminance (histogram mode)
+     * @param {Uint8ClampedArray} luminance - Luminance values
+     * @returns {number} Background luminance
+     */
+    estimateBackground(luminance) {
+        const histogram = new Array(256).fill(0);
+        for (let i = 0; i < luminance.length; i++) {
+            histogram[luminance[i]]++;
+        }
+        return histogram.indexOf(Math.max(...histogram));
+    }
+
+    /**
+     * Find runs in a projection profile where the value exceeds a threshold
+     * @param {Array<number>} profile - Ink count per row or column
+     * @param {number} threshold - Minimum ink count to count as content
+     * @param {number} minLength - Minimum run length to keep
+     * @returns {Array<{start: number, end: number}>} Content runs
+     */
+    findBands(profile, threshold, minLength) {
+        const bands = [];
+        let start = -1;
+
+        for (let i = 0; i <= profile.length; i++) {
+            const active = i < profile.length && profile[i] >= threshold;
+            if (active && start === -1) {
+                start = i;
+            } else if (!active && start !== -1) {
+                if (i - start >= minLength) {
+                    bands.push({ start, end: i - 1 });
+                }
+                start = -1;
+            }
+        }
+
+        return bands;
+    }
+
+    /**
+     * Merge neighbouring bands separated by less than maxGap
+     * @param {Array<{start: number, end: number}>} bands - Sorted bands
+     * @param {number} maxGap - Largest gap to bridge
+     * @returns {Array<{start: number, end: number}>} Merged bands
+     */
+    mergeBands(bands, maxGap) {
+        const merged = [];
+        bands.forEach(band => {
+            const previous = merged[merged.length - 1];
+            if (previous && band.start - previous.end - 1 < maxGap) {
+                previous.end = band.end;
+            } else {
+                merged.push({ ...band });
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Copy one cell of the prepared image into its own canvas, scaled up so
+     * small leaderboard text has enough pixels for recognition
+     * @param {HTMLCanvasElement} source - Preprocessed screenshot
+     * @param {Object} row - Row band { top, bottom }
+     * @param {Object} column - Column region { left, right }
+     * @returns {HTMLCanvasElement} Canvas containing the cell
+     */
+    cropCell(source, row, column) {
+        const padding = 4;
+        const scale = 2;
+        const x = Math.max(0, column.left - padding);
+        const y = Math.max(0, row.top - padding);
+        const width = Math.min(source.width, column.right + padding + 1) - x;
+        const height = Math.min(source.height, row.bottom + padding + 1) - y;
+
+        const cell = document.createElement('canvas');
+        cell.width = width * scale;
+        cell.height = height * scale;
+        const ctx = cell.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(source, x, y, width, height, 0, 0, cell.width, cell.height);
+        return cell;
+    }
+
+    /**
+     * OCR every cell of the detected grid, one column at a time so the
+     * recognition parameters only change once per column
+     * @param {Object} worker - Tesseract worker
+     * @param {HTMLCanvasElement} prepared - Preprocessed screenshot
+     * @param {Object} layout - Result of analyzeLayout
+     * @param {HTMLCanvasElement} source - Original screenshot, for row snippets
+     * @returns {Promise<Array>} One { rowIndex, rank, name, points, confidence, snippet } object per row
+     */
+    async recognizeCells(worker, prepared, layout, source) {
+        const cells = layout.rows.map((row, rowIndex) => ({
+            rowIndex,
+            rank: '',
+            name: '',
+            points: '',
+            confidence: { rank: null, name: null, points: null },
+            snippet: this.createRowSnippet(source, row.top, row.bottom)
+        }));
+
+        for (const field of ['rank', 'points', 'name']) {
+            const column = layout.columns[field];
+            if (!column) continue;
+
+            await worker.setParameters(this.getRecognitionParameters(field));
+            for (let i = 0; i < layout.rows.length; i++) {
+                const { data } = await worker.recognize(this.cropCell(prepared, layout.rows[i], column));
+                cells[i][field] = data.text.trim();
+                cells[i].confidence[field] = data.confidence / 100;
+            }
+        }
+
+        await worker.setParameters(this.getRecognitionParameters('page'));
+        return cells;
+    }
+
+    /**
+     * Extract ranking data from image using client-side OCR.
+     * Cells are read individually when the leaderboard grid can be found;
+     * otherwise the whole screenshot is read as one block of text.
      * @param {ImageData} imageData - The image data to process
      * @returns {Promise<Array>} Extracted ranking data
      */
     async extractRankingData(imageData) {
-        // For now, we'll simulate OCR extraction
-        // In a real implementation, you'd integrate with services like:
-        // - Google Cloud Vision API
-        // - AWS Textract
-        // - Azure Computer Vision
-        // - Tesseract.js for client-side OCR
-        
-        return new Promise((resolve) => {
-            // Simulate processing time
-            setTimeout(() => {
-                // Return empty array to indicate no data extracted
-                // This will prompt the user to manually enter data or try a different image
-                resolve([]);
-            }, 1000);
-        });
+        const worker = await this.getWorker();
+        const prepared = this.preprocessImage(imageData);
+        const source = this.createCanvasFromImageData(imageData);
+        const layout = this.analyzeLayout(imageData);
+
+        if (layout) {
+            console.log(`OCR layout: ${layout.rows.length} rows detected`, layout.columns);
+            const cells = await this.recognizeCells(worker, prepared, layout, source);
+            const rows = this.parseOCRResults({ cells });
+            if (rows.length > 0) return rows;
+            console.warn('Cell OCR found no rows, falling back to full-page OCR');
+        }
+
+        const { data } = await worker.recognize(prepared);
+        return this.parseOCRResults(data).map(({ bbox, ...row }) => ({
+            ...row,
+            snippet: bbox ? this.createRowSnippet(source, bbox.y0, bbox.y1) : null
+        }));
+    }
+
+    /**
+     * Draw ImageData onto a new canvas
+     * @param {ImageData} imageData - Pixels to draw
+     * @returns {HTMLCanvasElement} Canvas holding the pixels
+     */
+    createCanvasFromImageData(imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Crop one leaderboard row out of the original screenshot so admins can
+     * compare it with the values read from it
+     * @param {HTMLCanvasElement} source - Original screenshot
+     * @param {number} top - First pixel row of the band
+     * @param {number} bottom - Last pixel row of the band
+     * @returns {string} JPEG data URL of the row
+     */
+    createRowSnippet(source, top, bottom) {
+        const maxWidth = 600;
+        const scale = Math.min(1, maxWidth / source.width);
+        const bandHeight = Math.max(1, bottom - top + 1);
+
+        const snippet = document.createElement('canvas');
+        snippet.width = Math.round(source.width * scale);
+        snippet.height = Math.max(1, Math.round(bandHeight * scale));
+        snippet.getContext('2d').drawImage(source, 0, top, source.width, bandHeight, 0, 0, snippet.width, snippet.height);
+        return snippet.toDataURL('image/jpeg', 0.8);
     }
 
     /**
@@ -97,16 +601,19 @@ export class OCRService {
             
             // Clean commander name - remove alliance tags and extra whitespace
             let commander = item.commander || '';
-            commander = commander.replace(/\[PDX1\]\s*xParaDoXx/gi, '').trim();
+            commander = commander.replace(/\[[^\]]*\]/g, '').replace(/\s+/g, ' ').trim();
             
-            // Clean points - remove commas and ensure it's numeric
-            let points = item.points || '0';
-            points = points.replace(/,/g, '');
+            // Clean points - remove thousands separators and ensure it's numeric
+            let points = String(item.points || '0');
+            points = points.replace(/[,.\s]/g, '');
             
             return {
                 ranking: ranking,
                 commander: commander,
                 points: points,
+                alliance: item.alliance || '',
+                confidence: item.confidence || null,
+                snippet: item.snippet || null,
                 originalCommander: item.commander, // Keep original for reference
                 isValid: ranking > 0 && commander.length > 0 && !isNaN(parseInt(points))
             };
@@ -184,40 +691,140 @@ export class OCRService {
     }
 
     /**
-     * Process image with real OCR service (placeholder for future implementation)
+     * Run the full OCR pipeline on an uploaded screenshot
      * @param {File} imageFile - Image file to process
      * @returns {Promise<Array>} Extracted data
      */
     async processWithRealOCR(imageFile) {
-        // This would integrate with a real OCR service
-        // Example with Google Cloud Vision API:
-        /*
-        const vision = require('@google-cloud/vision');
-        const client = new vision.ImageAnnotatorClient();
-        
-        const [result] = await client.textDetection({
-            image: {
-                content: await imageFile.arrayBuffer()
-            }
-        });
-        
-        const detections = result.textAnnotations;
-        return this.parseOCRResults(detections);
-        */
-        
-        throw new Error('Real OCR service not implemented yet');
+        const imageData = await this.loadImage(imageFile);
+        return this.extractRankingData(imageData);
     }
 
     /**
      * Parse OCR results into structured data
-     * @param {Array} ocrResults - Raw OCR results
+     * Each leaderboard row reads as "<rank> <commander> <points>". The rank is
+     * missing for rows whose badge is an icon, so it is carried on from the
+     * previous row.
+     * @param {Object|Array} ocrResults - Tesseract result data, an array of text lines, or { cells } from recognizeCells
      * @returns {Array} Structured ranking data
      */
     parseOCRResults(ocrResults) {
-        // This would parse the OCR results based on the detected text positions
-        // and extract ranking, commander names, and points
-        // Implementation would depend on the specific OCR service used
-        
-        return [];
+        if (!ocrResults) return [];
+
+        if (Array.isArray(ocrResults.cells)) {
+            return this.parseCellResults(ocrResults.cells);
+        }
+
+        // Plain strings carry no confidence; Tesseract lines do (0-100)
+        const lines = Array.isArray(ocrResults)
+            ? ocrResults.map(text => ({ text, confidence: null, bbox: null }))
+            : (ocrResults.lines || []).map(line => ({ text: line.text, confidence: line.confidence, bbox: line.bbox }));
+
+        const rowPattern = /^\s*(?:#?(\d{1,3})[.)]?\s+)?(.+?)\s+(\d{1,3}(?:[,.\s]\d{3})+|\d{4,})\s*$/;
+        const rows = [];
+        let lastRank = 0;
+
+        lines.forEach(ocrLine => {
+            const line = String(ocrLine.text || '').replace(/[|]/g, ' ').trim();
+            if (!line) return;
+
+            const match = line.match(rowPattern);
+            if (!match) return;
+
+            const ranking = match[1] ? parseInt(match[1]) : lastRank + 1;
+            const commander = match[2].trim();
+            if (!commander || /^(rank|ranking|commander|points)\b/i.test(commander)) return;
+
+            lastRank = ranking;
+            const lineConfidence = ocrLine.confidence === null ? null : ocrLine.confidence / 100;
+            rows.push({
+                ranking: String(ranking),
+                commander: commander,
+                points: match[3],
+                confidence: lineConfidence === null ? null : {
+                    ranking: match[1] ? lineConfidence : Math.min(lineConfidence, 0.5),
+                    commander: lineConfidence,
+                    points: lineConfidence
+                },
+                bbox: ocrLine.bbox
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Parse per-cell OCR text into ranking rows
+     * @param {Array} cells - { rowIndex, rank, name, points, confidence, snippet } per row
+     * @returns {Array} Structured ranking data
+     */
+    parseCellResults(cells) {
+        const rows = cells.map(cell => {
+            const rankDigits = (cell.rank || '').replace(/\D/g, '');
+            const nameText = cell.name || '';
+            const tagMatch = nameText.match(/\[([^\]]+)\]/);
+            const commander = nameText
+                .split('\n')
+                .map(line => line.replace(/\[[^\]]*\]/g, '').trim())
+                .find(line => line.length > 0) || '';
+
+            const confidence = cell.confidence || {};
+
+            return {
+                rowIndex: cell.rowIndex,
+                ranking: rankDigits ? parseInt(rankDigits) : null,
+                commander: commander,
+                alliance: tagMatch ? tagMatch[1].trim() : '',
+                points: (cell.points || '').replace(/\D/g, ''),
+                confidence: {
+                    ranking: rankDigits ? confidence.rank ?? null : null,
+                    commander: confidence.name ?? null,
+                    points: confidence.points ?? null
+                },
+                snippet: cell.snippet || null
+            };
+        }).filter(row => row.commander && row.points);
+
+        this.inferMissingRanks(rows);
+
+        return rows.map(row => ({
+            ranking: String(row.ranking),
+            commander: row.commander,
+            alliance: row.alliance,
+            points: row.points,
+            confidence: row.confidence,
+            snippet: row.snippet
+        }));
+    }
+
+    /**
+     * Fill in ranks that could not be read. Places 1-3 use icon badges with no
+     * digits, so ranks are inferred from row order relative to the nearest row
+     * whose rank was read, or from the top of the list if none were read.
+     * Inferred ranks take a confidence based on how solid that anchor is.
+     * @param {Array} rows - Parsed rows with ranking null where unreadable
+     */
+    inferMissingRanks(rows) {
+        const anchors = rows
+            .map((row, index) => ({ index, ranking: row.ranking }))
+            .filter(anchor => anchor.ranking !== null);
+
+        rows.forEach((row, index) => {
+            if (row.ranking !== null) return;
+
+            if (anchors.length === 0) {
+                row.ranking = index + 1;
+                if (row.confidence) row.confidence.ranking = 0.5;
+                return;
+            }
+
+            const nearest = anchors.reduce((best, anchor) =>
+                Math.abs(anchor.index - index) < Math.abs(best.index - index) ? anchor : best
+            );
+            row.ranking = Math.max(1, nearest.ranking + (index - nearest.index));
+            if (row.confidence) {
+                row.confidence.ranking = rows[nearest.index].confidence?.ranking ?? 0.5;
+            }
+        });
     }
 }
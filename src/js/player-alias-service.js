@@ -1,18 +1,24 @@
 /**
- * PlayerAliasService - Manages player name variations and aliases
+ * PlayerAliasService - Manages players, their names and aliases
  * 
  * This service handles:
- * - Creating and managing player aliases
+ * - Looking up players by name and their stable IDs (`players` table)
+ * - Renaming players
+ * - Each player's name history: former names and aliases (`player_aliases`)
  * - Resolving aliases to primary names
  * - Finding all variations of a player name
  * - Integration with existing player management systems
  */
 
 import { supabase } from './supabase-client.js';
+import { auditLog } from './audit-log-service.js';
+import { syncQueue } from './sync-queue.js';
 
 export class PlayerAliasService {
     constructor() {
         this.aliasesCache = new Map(); // Cache for alias lookups
+        this.players = new Map(); // Player ID -> current name
+        this.playerIds = new Map(); // Lowercased current name -> player ID
         this.isOnline = true;
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
         this.lastCacheUpdate = 0;
@@ -32,12 +38,25 @@ export class PlayerAliasService {
     }
 
     /**
-     * Load all active aliases from database
+     * Load all players and active aliases from database
      */
     async loadAliasesFromDatabase() {
         if (!this.isOnline) return;
 
         try {
+            const { data: players, error: playersError } = await supabase
+                .from('players')
+                .select('id, name');
+
+            if (playersError) {
+                console.error('Error loading players:', playersError);
+                return;
+            }
+
+            this.players.clear();
+            this.playerIds.clear();
+            players.forEach(player => this.cachePlayer(player));
+
             const { data, error } = await supabase
                 .from('player_aliases')
                 .select('*')
@@ -53,31 +72,10 @@ export class PlayerAliasService {
             this.aliasesCache.clear();
 
             // Build cache: alias -> primary name mapping
-            data.forEach(alias => {
-                const aliasKey = alias.alias_name.toLowerCase().trim();
-                const primaryKey = alias.primary_name.toLowerCase().trim();
-                
-                // Store both directions for efficient lookup
-                this.aliasesCache.set(aliasKey, {
-                    primaryName: alias.primary_name,
-                    aliasName: alias.alias_name,
-                    createdBy: alias.created_by,
-                    createdAt: alias.created_at
-                });
-
-                // Also store primary name as its own entry for consistency
-                if (!this.aliasesCache.has(primaryKey)) {
-                    this.aliasesCache.set(primaryKey, {
-                        primaryName: alias.primary_name,
-                        aliasName: alias.primary_name,
-                        createdBy: alias.created_by,
-                        createdAt: alias.created_at
-                    });
-                }
-            });
+            data.forEach(alias => this.cacheAlias(alias));
 
             this.lastCacheUpdate = Date.now();
-            console.log(`Loaded ${data.length} player aliases into cache`);
+            console.log(`Loaded ${players.length} players and ${data.length} player aliases into cache`);
 
         } catch (error) {
             console.error('Database error loading player aliases:', error);
@@ -85,6 +83,181 @@ export class PlayerAliasService {
         }
     }
 
+    /**
+     * Add a player row to the lookup cache
+     * @param {Object} player - Row from players
+     */
+    cachePlayer(player) {
+        this.players.set(player.id, player.name);
+        this.playerIds.set(player.name.toLowerCase().trim(), player.id);
+    }
+
+    /**
+     * Add an alias row to the lookup cache
+     * @param {Object} alias - Row from player_aliases
+     */
+    cacheAlias(alias) {
+        const aliasKey = alias.alias_name.toLowerCase().trim();
+        const primaryKey = alias.primary_name.toLowerCase().trim();
+        
+        // Store both directions for efficient lookup
+        this.aliasesCache.set(aliasKey, {
+            playerId: alias.player_id || null,
+            primaryName: alias.primary_name,
+            aliasName: alias.alias_name,
+            createdBy: alias.created_by,
+            createdAt: alias.created_at
+        });
+
+        // Also store primary name as its own entry for consistency
+        if (!this.aliasesCache.has(primaryKey)) {
+            this.aliasesCache.set(primaryKey, {
+                playerId: alias.player_id || null,
+                primaryName: alias.primary_name,
+                aliasName: alias.primary_name,
+                createdBy: alias.created_by,
+                createdAt: alias.created_at
+            });
+        }
+    }
+
+    /**
+     * Patch the cache with a player or alias change made in another session (see RealtimeService)
+     * @param {Object} change - { table, eventType, new, old }
+     */
+    applyRealtimeChange({ table, eventType, new: alias, old }) {
+        if (table === 'players') {
+            this.applyPlayerChange(eventType, alias, old);
+            return;
+        }
+
+        if (old) {
+            const oldKey = old.alias_name.toLowerCase().trim();
+            if (this.aliasesCache.get(oldKey)?.primaryName === old.primary_name) {
+                this.aliasesCache.delete(oldKey);
+            }
+        }
+
+        // Deactivated aliases stay in the table but no longer resolve
+        if (alias && eventType !== 'DELETE' && alias.is_active !== false) {
+            this.cacheAlias(alias);
+        }
+    }
+
+    applyPlayerChange(eventType, player, old) {
+        if (old) {
+            const oldKey = old.name.toLowerCase().trim();
+            if (this.playerIds.get(oldKey) === old.id) {
+                this.playerIds.delete(oldKey);
+            }
+            this.players.delete(old.id);
+        }
+
+        if (player && eventType !== 'DELETE') {
+            this.cachePlayer(player);
+        }
+    }
+
+    /**
+     * Stable ID of the player currently or formerly known by a name
+     * @param {string} playerName - Current name, former name or alias
+     * @returns {string|null} Player ID, or null if no player goes by that name
+     */
+    getPlayerId(playerName) {
+        if (!playerName || typeof playerName !== 'string') {
+            return null;
+        }
+
+        const normalizedName = playerName.toLowerCase().trim();
+        return this.playerIds.get(normalizedName) || this.aliasesCache.get(normalizedName)?.playerId || null;
+    }
+
+    /**
+     * @param {string} playerId - Player ID
+     * @returns {string|null} The player's current name
+     */
+    getPlayerName(playerId) {
+        return this.players.get(playerId) || null;
+    }
+
+    /**
+     * Names a player has gone by besides the current one, newest first:
+     * names from before a rename and aliases linked by an admin
+     * @param {string} playerId - Player ID
+     * @returns {Array} { name, createdBy, createdAt }
+     */
+    getNameHistory(playerId) {
+        const currentName = this.getPlayerName(playerId);
+
+        return [...this.aliasesCache.values()]
+            .filter(entry => entry.playerId === playerId && entry.aliasName !== entry.primaryName && entry.aliasName !== currentName)
+            .map(entry => ({ name: entry.aliasName, createdBy: entry.createdBy, createdAt: entry.createdAt }))
+            .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+    }
+
+    /**
+     * Rename a player. Only the player's row changes: the database carries
+     * the new name to every table that references the player and keeps the
+     * old name in the player's name history.
+     * @param {string} oldName - Current name
+     * @param {string} newName - New name
+     * @returns {Promise<string|null>} The player's ID (null if queued offline for an unknown player)
+     * @throws {Error} If the player doesn't exist or the new name belongs to another player
+     */
+    async renamePlayer(oldName, newName) {
+        oldName = oldName.trim();
+        newName = newName.trim();
+
+        const playerId = this.getPlayerId(oldName);
+        const existingId = this.playerIds.get(newName.toLowerCase());
+        if (existingId && existingId !== playerId) {
+            throw new Error(`"${newName}" is already another player`);
+        }
+
+        const audit = auditLog.entry('rename', 'player_name', oldName, { id: playerId, name: oldName }, { id: playerId, name: newName });
+        if (this.isOnline) {
+            if (!playerId) {
+                throw new Error(`No player named "${oldName}"`);
+            }
+
+            const { data, error } = await supabase
+                .from('players')
+                .update({ name: newName })
+                .eq('id', playerId)
+                .select('id');
+
+            if (error) {
+                console.error('Error renaming player:', error);
+                throw error;
+            }
+            // RLS filters a refused update down to no rows rather than failing
+            if (!data || data.length === 0) {
+                throw new Error(`"${oldName}" was not renamed: player not found or not allowed`);
+            }
+
+            await this.loadAliasesFromDatabase();
+            await auditLog.save(audit);
+        } else {
+            syncQueue.enqueue({
+                table: 'players',
+                action: 'update',
+                match: playerId ? { id: playerId } : { name: oldName },
+                values: { name: newName },
+                description: `Rename ${oldName} to ${newName}`,
+                audit
+            });
+
+            // What the rename trigger will do once it's replayed
+            if (playerId) {
+                this.applyPlayerChange('UPDATE', { id: playerId, name: newName }, { id: playerId, name: this.getPlayerName(playerId) || oldName });
+                this.cacheAlias({ player_id: playerId, primary_name: newName, alias_name: oldName, created_by: 'Admin', created_at: new Date().toISOString() });
+            }
+        }
+
+        console.log(`Renamed player: ${oldName} -> ${newName}`);
+        return playerId;
+    }
+
     /**
      * Resolve a player name to its primary/canonical name
      * @param {string} playerName - The name to resolve
@@ -99,7 +272,8 @@ export class PlayerAliasService {
         const aliasData = this.aliasesCache.get(normalizedName);
         
         if (aliasData) {
-            return aliasData.primaryName;
+            // The player may have been renamed since the alias was cached
+            return this.getPlayerName(aliasData.playerId) || aliasData.primaryName;
         }
 
         return playerName; // Return original if no alias found
@@ -169,6 +343,8 @@ export class PlayerAliasService {
             const { error } = await supabase
                 .from('player_aliases')
                 .insert({
+                    // The database links the primary name to its player when the ID isn't known here
+                    player_id: this.getPlayerId(primaryName),
                     primary_name: primaryName.trim(),
                     alias_name: aliasName.trim(),
                     created_by: createdBy.trim(),
@@ -187,6 +363,7 @@ export class PlayerAliasService {
             await this.loadAliasesFromDatabase();
             
             console.log(`Created alias: ${aliasName} -> ${primaryName}`);
+            await auditLog.record('create', 'player_alias', aliasName.trim(), null, { primaryName: primaryName.trim(), aliasName: aliasName.trim() });
             return true;
 
         } catch (error) {
@@ -203,21 +380,27 @@ export class PlayerAliasService {
      */
     async deactivateAlias(primaryName, aliasName) {
         try {
-            const { error } = await supabase
+            const { data, error } = await supabase
                 .from('player_aliases')
                 .update({ is_active: false })
                 .eq('primary_name', primaryName.trim())
-                .eq('alias_name', aliasName.trim());
+                .eq('alias_name', aliasName.trim())
+                .select('id');
 
             if (error) {
                 console.error('Error deactivating player alias:', error);
                 return false;
             }
+            if (!data || data.length === 0) {
+                console.error('Alias not deactivated: not found or not allowed');
+                return false;
+            }
 
             // Refresh cache
             await this.loadAliasesFromDatabase();
             
             console.log(`Deactivated alias: ${aliasName} -> ${primaryName}`);
+            await auditLog.record('delete', 'player_alias', aliasName.trim(), { primaryName: primaryName.trim(), aliasName: aliasName.trim(), isActive: true }, { isActive: false });
             return true;
 
         } catch (error) {
@@ -232,11 +415,13 @@ export class PlayerAliasService {
      * @returns {Array} Array of alias objects
      */
     async getAliasesForPlayer(primaryName) {
+        const playerId = this.getPlayerId(primaryName);
+
         try {
             const { data, error } = await supabase
                 .from('player_aliases')
                 .select('*')
-                .eq('primary_name', primaryName.trim())
+                .match(playerId ? { player_id: playerId } : { primary_name: primaryName.trim() })
                 .eq('is_active', true)
                 .order('created_at', { ascending: false });
 
@@ -0,0 +1,280 @@
+/**
+ * PlayerMergeService - Merges duplicate players and splits shared names
+ *
+ * This service handles:
+ * - Listing every row that belongs to a player, for previews and splits
+ * - Previewing what a merge will move, combine and drop
+ * - Merging two players (and undoing a merge)
+ * - Splitting selected historical rows off to a new player
+ *
+ * Merges and splits run in the database (`merge_players`,
+ * `undo_player_merge`, `split_player`) so a player's rows move in a single
+ * transaction; they need a connection.
+ */
+
+import { supabase } from './supabase-client.js';
+import { auditLog } from './audit-log-service.js';
+
+/**
+ * Where a player's rows live. `splittable` rows are history that can be
+ * handed to another player; the rest are the player's current state.
+ */
+export const PLAYER_ROW_SOURCES = [
+    {
+        key: 'rankings', label: 'Rankings', table: 'rankings', column: 'player_id',
+        select: 'id, day, ranking, points', splittable: true,
+        describe: row => `${row.day}: #${row.ranking} (${Number(row.points || 0).toLocaleString()} pts)`
+    },
+    {
+        key: 'kudos', label: 'Kudos', table: 'kudos_points', column: 'player_id',
+        select: 'id, date_awarded, points, reason', splittable: true,
+        describe: row => `${row.date_awarded}: ${row.points} pts${row.reason ? ` - ${row.reason}` : ''}`
+    },
+    {
+        key: 'vip', label: 'VIP picks', table: 'vip_selections', column: 'vip_player_id',
+        select: 'id, date, train_time', splittable: true,
+        describe: row => `${row.date} ${(row.train_time || '').slice(0, 5)}`
+    },
+    {
+        key: 'conducted', label: 'Trains conducted', table: 'vip_selections', column: 'train_conductor_id',
+        select: 'id, date, train_time', splittable: true,
+        describe: row => `${row.date} ${(row.train_time || '').slice(0, 5)}`
+    },
+    {
+        key: 'excused', label: 'Excused days', table: 'excused_players', column: 'player_id',
+        select: 'id, date_excused, reason', splittable: true,
+        describe: row => `${row.date_excused}: ${row.reason}`
+    },
+    {
+        key: 'seasons', label: 'Season rankings', table: 'season_rankings', column: 'player_id',
+        select: 'id, season_name, start_date, end_date, final_rank, total_weighted_score', splittable: true,
+        describe: row => `${row.season_name}: #${row.final_rank ?? '-'} (${row.total_weighted_score ?? 0})`
+    },
+    {
+        key: 'leader', label: 'Alliance leader', table: 'alliance_leaders', column: 'player_id',
+        select: 'id, is_active', splittable: false,
+        describe: row => (row.is_active ? 'Active leader' : 'Inactive leader')
+    },
+    {
+        key: 'rotation', label: 'Train rotation', table: 'train_conductor_rotation', column: 'player_id',
+        select: 'id, rotation_order', splittable: false,
+        describe: row => `Position ${row.rotation_order}`
+    },
+    {
+        key: 'removed', label: 'Removed', table: 'removed_players', column: 'player_id',
+        select: 'id, removed_date, reason', splittable: false,
+        describe: row => `${row.removed_date}${row.reason ? `: ${row.reason}` : ''}`
+    },
+    {
+        key: 'inactive', label: 'Inactive', table: 'inactive_players', column: 'player_id',
+        select: 'id, marked_inactive_date, reason', splittable: false,
+        describe: row => `${row.marked_inactive_date}${row.reason ? `: ${row.reason}` : ''}`
+    }
+];
+
+export class PlayerMergeService {
+    /**
+     * @param {PlayerAliasService} playerAliasService - Player lookups; reloaded after each change
+     */
+    constructor(playerAliasService) {
+        this.playerAliasService = playerAliasService;
+    }
+
+    /**
+     * Fail early when the database functions can't be reached
+     */
+    requireConnection() {
+        if (!this.playerAliasService.isOnline || typeof supabase.rpc !== 'function') {
+            throw new Error('Merging and splitting players needs a connection to the database');
+        }
+    }
+
+    /**
+     * Look up a player's ID by current or former name
+     * @throws {Error} If there is no such player
+     */
+    requirePlayerId(playerName) {
+        const playerId = this.playerAliasService.getPlayerId(playerName);
+        if (!playerId) {
+            throw new Error(`No player named "${playerName}"`);
+        }
+        return playerId;
+    }
+
+    /**
+     * Every row that belongs to a player, grouped by PLAYER_ROW_SOURCES key
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object<string, Array>>} Rows per source; each row has `description`
+     */
+    async getPlayerRows(playerId) {
+        const rows = {};
+
+        for (const source of PLAYER_ROW_SOURCES) {
+            const { data, error } = await supabase
+                .from(source.table)
+                .select(source.select)
+                .eq(source.column, playerId);
+
+            if (error) {
+                console.error(`Error loading ${source.table} for player:`, error);
+                throw error;
+            }
+
+            rows[source.key] = (data || []).map(row => ({ ...row, description: source.describe(row) }));
+        }
+
+        return rows;
+    }
+
+    /**
+     * Preview merging `sourceName` into `targetName` without changing anything
+     * @returns {Promise<Object>} { sourceId, targetId, sourceName, targetName, rows, conflicts }
+     *   `rows` are the source's rows (all of them move); `conflicts` lists
+     *   ranking days both played, kudos days that will be added together,
+     *   and rows dropped because the target already has one
+     */
+    async previewMerge(sourceName, targetName) {
+        this.requireConnection();
+
+        const sourceId = this.requirePlayerId(sourceName);
+        const targetId = this.requirePlayerId(targetName);
+        if (sourceId === targetId) {
+            throw new Error(`"${sourceName}" and "${targetName}" are already the same player`);
+        }
+
+        const [rows, targetRows] = await Promise.all([this.getPlayerRows(sourceId), this.getPlayerRows(targetId)]);
+        const targetRankingDays = new Set(targetRows.rankings.map(row => row.day));
+        const targetKudos = new Map(targetRows.kudos.map(row => [row.date_awarded, row]));
+        const seasonKey = row => `${row.season_name}|${row.start_date}|${row.end_date}`;
+        const targetSeasons = new Set(targetRows.seasons.map(seasonKey));
+
+        const conflicts = {
+            // Both will show in the same day's results
+            sharedRankingDays: rows.rankings.filter(row => targetRankingDays.has(row.day)).map(row => row.day),
+            combinedKudos: rows.kudos
+                .filter(row => targetKudos.has(row.date_awarded))
+                .map(row => ({
+                    date: row.date_awarded,
+                    points: Math.min(row.points + targetKudos.get(row.date_awarded).points, 10)
+                })),
+            dropped: [
+                ...rows.seasons.filter(row => targetSeasons.has(seasonKey(row))).map(row => `Season ranking ${row.season_name}`),
+                ...(rows.leader.length && targetRows.leader.length ? ['Alliance leader entry'] : []),
+                ...(rows.removed.length && targetRows.removed.length ? ['Removed entry'] : []),
+                ...(rows.inactive.length && targetRows.inactive.length ? ['Inactive entry'] : [])
+            ]
+        };
+
+        return {
+            sourceId,
+            targetId,
+            sourceName: this.playerAliasService.getPlayerName(sourceId) || sourceName,
+            targetName: this.playerAliasService.getPlayerName(targetId) || targetName,
+            rows,
+            conflicts
+        };
+    }
+
+    /**
+     * Merge one player into another. All of the source's rows move to the
+     * target, its name becomes an alias of the target, and the source player
+     * is deleted. Can be undone with undoMerge().
+     * @returns {Promise<string>} The merge ID
+     */
+    async mergePlayers(sourceName, targetName) {
+        this.requireConnection();
+
+        const sourceId = this.requirePlayerId(sourceName);
+        const targetId = this.requirePlayerId(targetName);
+
+        const { data: mergeId, error } = await supabase.rpc('merge_players', { source_id: sourceId, target_id: targetId });
+
+        if (error) {
+            console.error('Error merging players:', error);
+            throw error;
+        }
+
+        console.log(`Merged player ${sourceName} into ${targetName}`);
+        await auditLog.record('merge', 'player_name', sourceName, { id: sourceId, name: sourceName }, { id: targetId, name: targetName, merge_id: mergeId });
+        await this.playerAliasService.loadAliasesFromDatabase();
+        return mergeId;
+    }
+
+    /**
+     * Recent merges, newest first
+     * @param {number} limit - How many to load
+     * @returns {Promise<Array>} player_merges rows (without the change record)
+     */
+    async getRecentMerges(limit = 20) {
+        this.requireConnection();
+
+        const { data, error } = await supabase
+            .from('player_merges')
+            .select('id, source_name, target_name, merged_by, merged_at, undone_by, undone_at')
+            .order('merged_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            console.error('Error loading player merges:', error);
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Undo a merge: the merged-away player comes back with its ID, name and rows.
+     * Rows recorded under its name since the merge stay with the kept player.
+     * @param {Object} merge - A row from getRecentMerges()
+     */
+    async undoMerge(merge) {
+        this.requireConnection();
+
+        const { error } = await supabase.rpc('undo_player_merge', { merge_id: merge.id });
+
+        if (error) {
+            console.error('Error undoing player merge:', error);
+            throw error;
+        }
+
+        console.log(`Undid merge of ${merge.source_name} into ${merge.target_name}`);
+        await auditLog.record('undo_merge', 'player_name', merge.source_name, { merged_into: merge.target_name }, { name: merge.source_name });
+        await this.playerAliasService.loadAliasesFromDatabase();
+    }
+
+    /**
+     * Move selected historical rows of a player to a new player
+     * @param {string} playerName - Player the rows belong to now
+     * @param {string} newName - Name for the new player (must not be taken)
+     * @param {Array<{table: string, column: string, id: string|number}>} rowRefs - Rows to move
+     * @returns {Promise<string>} The new player's ID
+     */
+    async splitPlayer(playerName, newName, rowRefs) {
+        this.requireConnection();
+
+        newName = newName.trim();
+        if (!newName) {
+            throw new Error('The new player needs a name');
+        }
+        if (!rowRefs.length) {
+            throw new Error('Select the rows that belong to the new player');
+        }
+
+        const playerId = this.requirePlayerId(playerName);
+        const { data: newId, error } = await supabase.rpc('split_player', {
+            source_id: playerId,
+            new_name: newName,
+            row_refs: rowRefs.map(({ table, column, id }) => ({ table, column, id: String(id) }))
+        });
+
+        if (error) {
+            console.error('Error splitting player:', error);
+            throw error;
+        }
+
+        console.log(`Split ${rowRefs.length} rows of ${playerName} to ${newName}`);
+        await auditLog.record('split', 'player_name', playerName, { id: playerId, name: playerName }, { id: newId, name: newName, rows: rowRefs.length });
+        await this.playerAliasService.loadAliasesFromDatabase();
+        return newId;
+    }
+}
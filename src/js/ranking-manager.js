@@ -1,9 +1,50 @@
-import { supabase } from './supabase-client.js';
+import { supabase, isPermissionError, isConnectionError } from './supabase-client.js';
+import { auditLog } from './audit-log-service.js';
+import { syncQueue } from './sync-queue.js';
+import { localStore } from './local-store.js';
+
+/**
+ * Points as stored in the bigint `points` column, read the way the
+ * database's parse_ranking_points() reads legacy text: "1,234,567" and
+ * "1.234.567" are thousands, "1,234.5" and "1.234,5" are rounded decimals,
+ * and anything else is 0
+ * @param {number|string} points
+ * @returns {number}
+ */
+export function parsePoints(points) {
+    if (typeof points === 'number') {
+        return Math.round(points);
+    }
+
+    const compact = String(points ?? '').replace(/[\s']/g, '');
+    // Only thousands separators: 1,234,567 / 1.234.567
+    if (/^\d{1,3}(,\d{3})+$/.test(compact) || /^\d{1,3}(\.\d{3})+$/.test(compact)) {
+        return parseInt(compact.replace(/[,.]/g, ''), 10);
+    }
+    // Comma thousands, point decimals: 1,234.5 / 1234.5
+    if (/^(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/.test(compact)) {
+        return Math.round(parseFloat(compact.replace(/,/g, '')));
+    }
+    // Point thousands, comma decimals: 1.234,5 / 1234,5
+    if (/^(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$/.test(compact)) {
+        return Math.round(parseFloat(compact.replace(/\./g, '').replace(',', '.')));
+    }
+    return 0;
+}
 
 export class RankingManager {
     constructor() {
         this.rankingsData = {};
+        // special_events ids by event key, for the rankings.event_id filter
+        this.eventIds = new Map();
         this.isOnline = true;
+        // Viewers can read but not write until an officer signs in
+        this.readOnly = true;
+        // Name recorded in ranking history when data is replaced
+        this.currentEditor = localStorage.getItem('rankingEditorName') || 'Admin';
+        // Days and events live changes touched, written to the local cache
+        // once per batch (see flushRealtimeChanges)
+        this.pendingCacheKeys = new Set();
     }
 
     async initializeConnection() {
@@ -11,24 +52,27 @@ export class RankingManager {
             // Test if Supabase is available
             const { data, error } = await supabase.from('rankings').select('count').limit(1);
             if (error) {
-                console.warn('Supabase not available, falling back to localStorage:', error);
+                console.warn('Supabase not available, falling back to local cache:', error);
                 this.isOnline = false;
-                this.loadFromStorage();
+                await this.loadFromStorage();
             } else {
                 console.log('Connected to Supabase database');
                 this.isOnline = true;
+                // Send changes made while offline before reloading over them
+                await syncQueue.replay();
+                await auditLog.flush();
                 await this.loadFromDatabase();
             }
         } catch (error) {
-            console.warn('Database connection failed, using localStorage:', error);
+            console.warn('Database connection failed, using local cache:', error);
             this.isOnline = false;
-            this.loadFromStorage();
+            await this.loadFromStorage();
         }
     }
 
     async loadFromDatabase() {
         if (!this.isOnline) {
-            this.loadFromStorage();
+            await this.loadFromStorage();
             return;
         }
 
@@ -42,7 +86,7 @@ export class RankingManager {
 
             if (error) {
                 console.error('Error loading from database:', error);
-                this.loadFromStorage();
+                await this.loadFromStorage();
                 return;
             }
 
@@ -64,22 +108,19 @@ export class RankingManager {
             });
 
             console.log('Loaded rankings from database:', Object.keys(this.rankingsData).length, 'days', this.rankingsData);
+            syncQueue.markPulled('rankings', data);
+            // Keep the offline copy in step with the server
+            this.saveToStorage();
         } catch (error) {
-            console.error('Database error, falling back to localStorage:', error);
+            console.error('Database error, falling back to local cache:', error);
             this.isOnline = false;
-            this.loadFromStorage();
+            await this.loadFromStorage();
         }
     }
 
-    loadFromStorage() {
-        try {
-            const stored = localStorage.getItem('dailyRankingsData');
-            this.rankingsData = stored ? JSON.parse(stored) : {};
-            console.log('Loaded rankings from localStorage');
-        } catch (error) {
-            console.error('Error loading data from storage:', error);
-            this.rankingsData = {};
-        }
+    async loadFromStorage() {
+        this.rankingsData = await localStore.getAllDailyRankings();
+        console.log('Loaded rankings from local cache');
     }
 
     async saveToDatabase() {
@@ -90,7 +131,7 @@ export class RankingManager {
 
         try {
             console.log('Saved rankings to database');
-            // Also save to localStorage as backup
+            // Also save to local cache as backup
             this.saveToStorage();
         } catch (error) {
             console.error('Database save error:', error);
@@ -98,12 +139,12 @@ export class RankingManager {
         }
     }
 
-    saveToStorage() {
-        try {
-            localStorage.setItem('dailyRankingsData', JSON.stringify(this.rankingsData));
-        } catch (error) {
-            console.error('Error saving data to storage:', error);
-        }
+    /**
+     * Write rankings to the local cache
+     * @param {Array<string>|null} days - Only these days changed (null rewrites all)
+     */
+    saveToStorage(days = null) {
+        return localStore.saveDailyRankings(this.rankingsData, days);
     }
 
     async getAllRankings() {
@@ -144,7 +185,7 @@ export class RankingManager {
             const { data, error } = await supabase
                 .from('rankings')
                 .select('*')
-                .eq('day', dateKey)
+                .match(await this.rankingTarget(dateKey))
                 .order('ranking');
 
             if (error) {
@@ -169,56 +210,316 @@ export class RankingManager {
         }
     }
 
-    async setRankingsForDate(dateKey, rankings) {
+    /**
+     * Allow or block writes. Anonymous viewers are read-only; the database
+     * enforces the same through row level security.
+     * @param {boolean} readOnly
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = Boolean(readOnly);
+    }
+
+    ensureWritable(action) {
+        if (this.readOnly) {
+            throw new Error(`Sign in as an officer to ${action}`);
+        }
+    }
+
+    /**
+     * A refused write means the session lost its permissions, not that the
+     * database is down, so switch to read-only instead of offline mode. Any
+     * other refusal (a bad row) leaves the mode as it is.
+     */
+    handleWriteError(error) {
+        if (isPermissionError(error)) {
+            this.readOnly = true;
+        } else if (isConnectionError(error)) {
+            this.isOnline = false;
+        }
+    }
+
+    /**
+     * Columns selecting one day's or one event's rows in the rankings table
+     * @param {string} key - Day (YYYY-MM-DD) or special event key
+     * @returns {Promise<Object>} { date }, { event_id }, or { day } for legacy
+     *   day names and events the database doesn't know yet (created offline)
+     */
+    async rankingTarget(key) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(key)) {
+            return { date: key };
+        }
+
+        const eventId = key.startsWith('event_') && this.isOnline ? await this.getEventId(key) : null;
+        return eventId ? { event_id: eventId } : { day: key };
+    }
+
+    /**
+     * Database id of a special event
+     * @param {string} eventKey - Special event key
+     * @returns {Promise<string|null>} null if there's no such event
+     */
+    async getEventId(eventKey) {
+        if (this.eventIds.has(eventKey)) {
+            return this.eventIds.get(eventKey);
+        }
+
+        const { data, error } = await supabase
+            .from('special_events')
+            .select('id')
+            .eq('key', eventKey)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error looking up special event id:', error);
+            return null;
+        }
+
+        if (data) {
+            this.eventIds.set(eventKey, data.id);
+        }
+        return data ? data.id : null;
+    }
+
+    /**
+     * Rows to insert into the rankings table (the database fills in `day`)
+     * @param {Object} target - From rankingTarget()
+     * @param {Array} rankings - { ranking, commander, points } rows
+     */
+    toRankingRows(target, rankings) {
+        return rankings.map(ranking => ({
+            ...target,
+            ranking: ranking.ranking,
+            commander: ranking.commander,
+            points: parsePoints(ranking.points)
+        }));
+    }
+
+    /**
+     * Replace a day's rankings. Online, the server copy is replaced first and
+     * the local cache, history and audit log only follow once it is stored;
+     * offline, the upload is queued and sent when the connection is back.
+     * @param {string} dateKey - Day (YYYY-MM-DD)
+     * @param {Array} rankings - { ranking, commander, points } rows
+     * @param {string|null} note - Optional note for the ranking history
+     * @returns {Promise<boolean>} True if saved to the database, false if
+     *   queued to send later
+     * @throws If the database refused the rankings; nothing is changed then
+     */
+    async setRankingsForDate(dateKey, rankings, note = null) {
+        this.ensureWritable('replace rankings');
+
         const sortedRankings = [...rankings].sort((a, b) => a.ranking - b.ranking);
-        this.rankingsData[dateKey] = sortedRankings;
-        
+
+        // Keep the rows being replaced so the upload can be undone
+        const previousRankings = await this.getRankingsForDate(dateKey);
+
         console.log(`Setting ${sortedRankings.length} rankings for date ${dateKey}`);
         
-        // Save to database if online
+        const target = await this.rankingTarget(dateKey);
+        const rankingsToInsert = this.toRankingRows(target, sortedRankings);
+        const audit = auditLog.entry('replace', 'rankings', dateKey, this.summarizeRankings(previousRankings), this.summarizeRankings(sortedRankings));
+        let saved = false;
+
         if (this.isOnline) {
             try {
-                // First, delete existing rankings for this date
-                console.log(`Deleting existing rankings for ${dateKey}`);
-                const { error: deleteError } = await supabase
-                    .from('rankings')
-                    .delete()
-                    .eq('day', dateKey);
+                await this.replaceRankings(target, rankingsToInsert);
+                saved = true;
+                console.log(`Successfully saved ${sortedRankings.length} rankings for ${dateKey}`);
+            } catch (error) {
+                // Only a dropped connection falls through to the offline queue
+                if (!isConnectionError(error)) {
+                    throw error;
+                }
+            }
+        }
+
+        // Offline (or the connection just dropped): send the upload when it's back
+        if (!saved) {
+            syncQueue.enqueue({
+                table: 'rankings',
+                action: 'replace',
+                match: target,
+                rows: rankingsToInsert,
+                knownRows: previousRankings.length,
+                description: `Rankings for ${dateKey}`,
+                audit
+            });
+        }
+
+        await this.recordVersion(dateKey, previousRankings, note);
+        this.rankingsData[dateKey] = sortedRankings;
+        this.saveToStorage([dateKey]);
+        if (saved) {
+            await auditLog.save(audit);
+        }
+        return saved;
+    }
+
+    /**
+     * Swap the rows matching `target` for `rows` in one transaction
+     * @param {Object} target - From rankingTarget()
+     * @param {Array} rows - From toRankingRows()
+     * @returns {Promise<Array>} The inserted rows
+     * @throws The Supabase error if the swap failed (nothing changed)
+     */
+    async replaceRankings(target, rows) {
+        const { data, error } = await supabase.rpc('replace_rankings', { target, new_rows: rows });
+
+        if (error) {
+            console.error('Error replacing rankings:', error);
+            this.handleWriteError(error);
+            throw error;
+        }
+
+        syncQueue.markPulled('rankings', data, target);
+        return data || [];
+    }
+
+    // Ranking History
+    setCurrentEditor(name) {
+        this.currentEditor = (name || '').trim() || 'Admin';
+        localStorage.setItem('rankingEditorName', this.currentEditor);
+    }
 
-                if (deleteError) {
-                    console.error('Error deleting existing rankings:', deleteError);
-                    this.isOnline = false;
-                    this.saveToStorage();
+    /**
+     * Save a snapshot of a day's or event's rankings before they are replaced
+     * @param {string} targetKey - Day (YYYY-MM-DD) or special event key
+     * @param {Array} previousRankings - Rows about to be replaced
+     * @param {string|null} note - Optional note, e.g. for restores
+     */
+    async recordVersion(targetKey, previousRankings, note = null) {
+        this.ensureWritable('record ranking history');
+
+        if (!previousRankings || previousRankings.length === 0) {
+            return; // Nothing to lose
+        }
+
+        const version = {
+            target_key: targetKey,
+            target_type: targetKey.startsWith('event_') ? 'event' : 'day',
+            rankings: this.summarizeRankings(previousRankings),
+            row_count: previousRankings.length,
+            replaced_by: this.currentEditor,
+            replaced_at: new Date().toISOString(),
+            note
+        };
+
+        if (this.isOnline) {
+            try {
+                const { error } = await supabase
+                    .from('ranking_versions')
+                    .insert([version]);
+
+                if (!error) {
                     return;
                 }
+                console.error('Error saving ranking version, keeping it locally:', error);
+            } catch (error) {
+                console.error('Database error saving ranking version, keeping it locally:', error);
+            }
+        }
 
-                // Insert new rankings for this date
-                const rankingsToInsert = sortedRankings.map(ranking => ({
-                    day: dateKey,
-                    ranking: ranking.ranking,
-                    commander: ranking.commander,
-                    points: ranking.points
-                }));
+        // Fall back to local cache
+        const versions = localStore.get('rankingVersions', []);
+        versions.push({ ...version, id: `local_${Date.now()}_${Math.random().toString(36).slice(2, 8)}` });
+        localStore.set('rankingVersions', versions);
+    }
 
-                console.log('Inserting rankings:', rankingsToInsert);
-                const { error: insertError } = await supabase
-                    .from('rankings')
-                    .insert(rankingsToInsert);
+    /**
+     * Just the fields worth keeping in history and the audit log
+     * @param {Array} rankings - Ranking rows
+     * @returns {Array} { ranking, commander, points } rows
+     */
+    summarizeRankings(rankings) {
+        return (rankings || []).map(ranking => ({
+            ranking: ranking.ranking,
+            commander: ranking.commander,
+            points: ranking.points
+        }));
+    }
+
+    /**
+     * Get every saved version for a day or event, newest first
+     * @param {string} targetKey - Day (YYYY-MM-DD) or special event key
+     * @returns {Promise<Array>} Versions with rankings, replaced_by, replaced_at and note
+     */
+    async getVersions(targetKey) {
+        const localVersions = localStore.get('rankingVersions', [])
+            .filter(version => version.target_key === targetKey);
+        let versions = localVersions;
+
+        if (this.isOnline) {
+            try {
+                const { data, error } = await supabase
+                    .from('ranking_versions')
+                    .select('*')
+                    .eq('target_key', targetKey)
+                    .order('replaced_at', { ascending: false });
 
-                if (insertError) {
-                    console.error('Error inserting rankings:', insertError);
-                    this.isOnline = false;
+                if (error) {
+                    console.error('Error loading ranking versions:', error);
                 } else {
-                    console.log(`Successfully saved ${sortedRankings.length} rankings for ${dateKey}`);
+                    versions = [...data, ...localVersions];
                 }
             } catch (error) {
-                console.error('Database save error:', error);
-                this.isOnline = false;
+                console.error('Database error loading ranking versions:', error);
             }
         }
-        
-        // Always save to localStorage as backup
-        this.saveToStorage();
+
+        return versions.sort((a, b) => new Date(b.replaced_at) - new Date(a.replaced_at));
+    }
+
+    /**
+     * Compare two sets of rankings by commander
+     * @param {Array} oldRankings - Earlier rows
+     * @param {Array} newRankings - Later rows
+     * @returns {Object} { added, removed, changed: [{ commander, before, after }], unchanged }
+     */
+    diffRankings(oldRankings, newRankings) {
+        const index = rows => new Map(rows.map(row => [row.commander.toLowerCase(), row]));
+        const before = index(oldRankings || []);
+        const after = index(newRankings || []);
+        const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+        after.forEach((row, key) => {
+            const previous = before.get(key);
+            if (!previous) {
+                diff.added.push(row);
+            } else if (previous.ranking !== row.ranking || Number(previous.points) !== Number(row.points)) {
+                diff.changed.push({ commander: row.commander, before: previous, after: row });
+            } else {
+                diff.unchanged++;
+            }
+        });
+
+        before.forEach((row, key) => {
+            if (!after.has(key)) {
+                diff.removed.push(row);
+            }
+        });
+
+        const byRank = (a, b) => a.ranking - b.ranking;
+        diff.added.sort(byRank);
+        diff.removed.sort(byRank);
+        diff.changed.sort((a, b) => a.after.ranking - b.after.ranking);
+
+        return diff;
+    }
+
+    /**
+     * Put a saved version back. The rows it replaces are versioned too, so a
+     * restore can itself be undone.
+     * @param {Object} version - Version from getVersions
+     * @returns {Promise<boolean>} True if saved to the database, false if
+     *   queued to send later
+     */
+    async restoreVersion(version) {
+        const note = `Restored version from ${new Date(version.replaced_at).toLocaleString()}`;
+
+        if (version.target_type === 'event') {
+            return this.setRankingsForSpecialEvent(version.target_key, version.rankings, note);
+        }
+        return this.setRankingsForDate(version.target_key, version.rankings, note);
     }
 
     hasDataForDate(dateKey) {
@@ -237,7 +538,7 @@ export class RankingManager {
         
         rankings.forEach(rank => {
             const existing = rankMap.get(rank.ranking);
-            if (!existing || parseFloat(rank.points.replace(/,/g, '')) > parseFloat(existing.points.replace(/,/g, ''))) {
+            if (!existing || parseFloat(String(rank.points).replace(/,/g, '')) > parseFloat(String(existing.points).replace(/,/g, ''))) {
                 rankMap.set(rank.ranking, rank);
             }
         });
@@ -258,6 +559,8 @@ export class RankingManager {
     }
 
     async clearDate(dateKey) {
+        this.ensureWritable('clear rankings');
+
         if (this.hasDataForDate(dateKey)) {
             this.rankingsData[dateKey] = [];
             await this.saveToDatabase();
@@ -282,6 +585,8 @@ export class RankingManager {
     }
 
     async clearAllData() {
+        this.ensureWritable('clear rankings');
+
         this.rankingsData = {};
         await this.saveToDatabase();
     }
@@ -557,6 +862,8 @@ export class RankingManager {
 
     // Special Event Management
     async createSpecialEvent(eventName, startDate, endDate, eventWeight = 10.0) {
+        this.ensureWritable('create special events');
+
         console.log('rankingManager.createSpecialEvent called with:', { eventName, startDate, endDate, eventWeight });
         
         const eventKey = `event_${eventName.replace(/\s+/g, '_').toLowerCase()}_${startDate}_${endDate}`;
@@ -599,37 +906,47 @@ export class RankingManager {
                         hint: error.hint,
                         code: error.code
                     });
-                    // Fall back to localStorage
-                    const events = JSON.parse(localStorage.getItem('specialEvents') || '[]');
+                    // Fall back to local cache
+                    const events = localStore.get('specialEvents', []);
                     events.push(eventData);
-                    localStorage.setItem('specialEvents', JSON.stringify(events));
-                    console.log('Saved to localStorage as fallback');
+                    localStore.set('specialEvents', events);
+                    console.log('Saved to local cache as fallback');
                     return false; // Return false on database error
                 } else {
                     console.log('Successfully saved to database:', data);
-                    // Successfully saved to database, also save to localStorage as backup
-                    const events = JSON.parse(localStorage.getItem('specialEvents') || '[]');
+                    // Successfully saved to database, also save to local cache as backup
+                    const events = localStore.get('specialEvents', []);
                     events.push(eventData);
-                    localStorage.setItem('specialEvents', JSON.stringify(events));
-                    console.log('Also saved to localStorage as backup');
+                    localStore.set('specialEvents', events);
+                    console.log('Also saved to local cache as backup');
+                    await auditLog.record('create', 'special_event', eventKey, null, { ...eventData, eventWeight });
                     return true;
                 }
             } catch (error) {
                 console.error('Exception during database save:', error);
-                // Fall back to localStorage
-                const events = JSON.parse(localStorage.getItem('specialEvents') || '[]');
+                // Fall back to local cache
+                const events = localStore.get('specialEvents', []);
                 events.push(eventData);
-                localStorage.setItem('specialEvents', JSON.stringify(events));
-                console.log('Saved to localStorage as fallback after exception');
+                localStore.set('specialEvents', events);
+                console.log('Saved to local cache as fallback after exception');
                 return false; // Return false on exception
             }
         } else {
-            console.log('Offline mode - using localStorage only');
-            // Offline mode - use localStorage
-            const events = JSON.parse(localStorage.getItem('specialEvents') || '[]');
+            console.log('Offline mode - using local cache only');
+            // Offline mode - use local cache
+            const events = localStore.get('specialEvents', []);
             events.push(eventData);
-            localStorage.setItem('specialEvents', JSON.stringify(events));
-            console.log('Saved to localStorage in offline mode');
+            localStore.set('specialEvents', events);
+            console.log('Saved to local cache in offline mode');
+            syncQueue.enqueue({
+                table: 'special_events',
+                action: 'upsert',
+                match: { key: eventKey },
+                rows: [{ name: eventName, start_date: startDate, end_date: endDate, key: eventKey, pinned: false, event_weight: eventWeight }],
+                onConflict: 'key',
+                description: `Create event ${eventName}`,
+                audit: auditLog.entry('create', 'special_event', eventKey, null, { ...eventData, eventWeight })
+            });
             return true;
         }
     }
@@ -644,119 +961,73 @@ export class RankingManager {
                     .order('created', { ascending: false });
                 
                 if (error) {
-                    console.warn('Database error fetching events, using localStorage:', error);
-                    return JSON.parse(localStorage.getItem('specialEvents') || '[]');
+                    console.warn('Database error fetching events, using local cache:', error);
+                    return localStore.get('specialEvents', []);
                 }
                 
                 // Successfully got data from database
                 if (data && data.length > 0) {
                     // Convert database field names (snake_case) to camelCase for consistency
-                    const convertedData = data.map(event => ({
-                        name: event.name,
-                        startDate: event.start_date,
-                        endDate: event.end_date,
-                        key: event.key,
-                        pinned: event.pinned || false,
-                        created: event.created
-                    }));
+                    const convertedData = data.map(event => this.convertSpecialEvent(event));
                     
-                    // Also update localStorage as backup
-                    localStorage.setItem('specialEvents', JSON.stringify(convertedData));
+                    // Also update local cache as backup
+                    localStore.set('specialEvents', convertedData);
+                    syncQueue.markPulled('special_events', data);
                     return convertedData;
                 }
             } catch (error) {
-                console.warn('Database error fetching events, using localStorage:', error);
-                return JSON.parse(localStorage.getItem('specialEvents') || '[]');
+                console.warn('Database error fetching events, using local cache:', error);
+                return localStore.get('specialEvents', []);
             }
         }
         
-        // Fall back to localStorage
-        return JSON.parse(localStorage.getItem('specialEvents') || '[]');
+        // Fall back to local cache
+        return localStore.get('specialEvents', []);
     }
 
     // Player Name Management
-    async updatePlayerName(oldName, newName) {
-        if (!oldName || !newName || oldName.trim() === '' || newName.trim() === '') {
-            return false;
-        }
-        
+    /**
+     * Show a player's new name in the cached daily and special event rankings.
+     * The database renames the ranking rows itself when the player is renamed.
+     * @param {string} oldName - Name before the rename
+     * @param {string} newName - Name after the rename
+     * @returns {Promise<number>} Cached rows renamed
+     */
+    async applyPlayerRename(oldName, newName) {
         let updatedCount = 0;
-        
-        // Update in memory
-        Object.keys(this.rankingsData).forEach(dateKey => {
-            const rankings = this.rankingsData[dateKey];
+        const rename = rankings => {
+            let renamed = false;
             rankings.forEach(ranking => {
                 if (ranking.commander === oldName) {
                     ranking.commander = newName;
+                    renamed = true;
                     updatedCount++;
                 }
             });
-        });
-        
-        // Update in database
-        if (this.isOnline) {
-            try {
-                const { error } = await supabase
-                    .from('rankings')
-                    .update({ commander: newName })
-                    .eq('commander', oldName);
-                
-                if (error) {
-                    console.error('Error updating player name in database:', error);
-                    return false;
-                }
-            } catch (error) {
-                console.error('Database error updating player name:', error);
-                return false;
-            }
+            return renamed;
+        };
+
+        const renamedDays = Object.keys(this.rankingsData).filter(dateKey => rename(this.rankingsData[dateKey]));
+        if (renamedDays.length > 0) {
+            await this.saveToStorage(renamedDays);
         }
-        
-        // Save to localStorage
-        this.saveToStorage();
-        
-        console.log(`Updated ${updatedCount} records for player name change: ${oldName} → ${newName}`);
-        return updatedCount > 0;
-    }
 
-    // Update player name in special events
-    async updatePlayerNameInSpecialEvents(oldName, newName) {
-        try {
-            // Get all special events
-            const events = await this.getSpecialEvents();
-            let updatedCount = 0;
-            
-            // Update player names in special event rankings
-            for (const event of events) {
-                const eventRankings = await this.getRankingsForSpecialEvent(event.key);
-                let eventUpdated = false;
-                
-                eventRankings.forEach(ranking => {
-                    if (ranking.commander === oldName) {
-                        ranking.commander = newName;
-                        eventUpdated = true;
-                        updatedCount++;
-                    }
-                });
-                
-                // Save updated event rankings if changes were made
-                if (eventUpdated) {
-                    await this.setRankingsForSpecialEvent(event.key, eventRankings);
-                }
+        for (const event of localStore.get('specialEvents', [])) {
+            const eventRankings = await localStore.getEventRankings(event.key);
+            if (rename(eventRankings)) {
+                await localStore.saveEventRankings(event.key, eventRankings);
             }
-            
-            console.log(`Updated ${updatedCount} special event records for player name change: ${oldName} → ${newName}`);
-            return updatedCount > 0;
-        } catch (error) {
-            console.error('Error updating player name in special events:', error);
-            return false;
         }
+
+        console.log(`Renamed ${updatedCount} cached rankings: ${oldName} → ${newName}`);
+        return updatedCount;
     }
 
     // Special Event Data Management
     async getRankingsForSpecialEvent(eventKey) {
         try {
-            // First try to get from localStorage
-            const localData = JSON.parse(localStorage.getItem(`event_${eventKey}`) || '[]');
+            // First try to get from local cache
+            const localData = await localStore.getEventRankings(eventKey);
             
             // If we have local data, return it
             if (localData && localData.length > 0) {
@@ -768,7 +1039,7 @@ export class RankingManager {
                 const { data, error } = await supabase
                     .from('rankings')
                     .select('*')
-                    .eq('day', eventKey)
+                    .match(await this.rankingTarget(eventKey))
                     .order('ranking', { ascending: true });
                 
                 if (error) {
@@ -776,9 +1047,9 @@ export class RankingManager {
                     return [];
                 }
                 
-                // Cache the data in localStorage for future use
+                // Cache the data locally for future use
                 if (data && data.length > 0) {
-                    localStorage.setItem(`event_${eventKey}`, JSON.stringify(data));
+                    await localStore.saveEventRankings(eventKey, data);
                 }
                 
                 return data || [];
@@ -791,14 +1062,61 @@ export class RankingManager {
         }
     }
 
-    async setRankingsForSpecialEvent(eventKey, rankings) {
+    /**
+     * Replace a special event's rankings, the same way setRankingsForDate
+     * replaces a day's: the server copy first, then the local cache, history
+     * and audit log; offline, the upload is queued.
+     * @param {string} eventKey - Special event key
+     * @param {Array} rankings - { ranking, commander, points } rows
+     * @param {string|null} note - Optional note for the ranking history
+     * @returns {Promise<boolean>} True if saved to the database, false if
+     *   queued to send later
+     * @throws If the database refused the rankings; nothing is changed then
+     */
+    async setRankingsForSpecialEvent(eventKey, rankings, note = null) {
+        this.ensureWritable('replace event rankings');
+
         const sortedRankings = [...rankings].sort((a, b) => a.ranking - b.ranking);
-        
-        // Store in localStorage
-        localStorage.setItem(`event_${eventKey}`, JSON.stringify(sortedRankings));
-        
-        console.log(`Saved ${sortedRankings.length} rankings for special event: ${eventKey}`);
-        return true;
+
+        // Keep the rows being replaced so the upload can be undone
+        const previousRankings = await this.getRankingsForSpecialEvent(eventKey);
+
+        const target = await this.rankingTarget(eventKey);
+        const rankingsToInsert = this.toRankingRows(target, sortedRankings);
+        const audit = auditLog.entry('replace', 'rankings', eventKey, this.summarizeRankings(previousRankings), this.summarizeRankings(sortedRankings));
+        let saved = false;
+
+        if (this.isOnline) {
+            try {
+                await this.replaceRankings(target, rankingsToInsert);
+                saved = true;
+                console.log(`Saved ${sortedRankings.length} rankings for special event: ${eventKey}`);
+            } catch (error) {
+                // Only a dropped connection falls through to the offline queue
+                if (!isConnectionError(error)) {
+                    throw error;
+                }
+            }
+        }
+
+        if (!saved) {
+            syncQueue.enqueue({
+                table: 'rankings',
+                action: 'replace',
+                match: target,
+                rows: rankingsToInsert,
+                knownRows: previousRankings.length,
+                description: `Event rankings for ${eventKey}`,
+                audit
+            });
+        }
+
+        await this.recordVersion(eventKey, previousRankings, note);
+        await localStore.saveEventRankings(eventKey, this.summarizeRankings(sortedRankings));
+        if (saved) {
+            await auditLog.save(audit);
+        }
+        return saved;
     }
 
     // Get all special events that fall within a date range
@@ -856,43 +1174,62 @@ export class RankingManager {
 
     // Update special event details
     async updateSpecialEvent(eventKey, updates) {
+        this.ensureWritable('update special events');
+
         try {
+            const updateData = {
+                name: updates.name,
+                start_date: updates.start_date,
+                end_date: updates.end_date,
+                updated_at: new Date().toISOString()
+            };
+            
+            // Add event_weight if provided
+            if (updates.event_weight !== undefined) {
+                updateData.event_weight = updates.event_weight;
+            }
+            
+            const events = localStore.get('specialEvents', []);
+            const eventIndex = events.findIndex(e => e.key === eventKey);
+            const previousEvent = eventIndex !== -1 ? { ...events[eventIndex] } : null;
+            const audit = auditLog.entry('update', 'special_event', eventKey, previousEvent, updates);
+            
             if (this.isOnline) {
                 // Update in database
-                const updateData = {
-                    name: updates.name,
-                    start_date: updates.start_date,
-                    end_date: updates.end_date,
-                    updated_at: new Date().toISOString()
-                };
-                
-                // Add event_weight if provided
-                if (updates.event_weight !== undefined) {
-                    updateData.event_weight = updates.event_weight;
-                }
-                
-                const { error } = await supabase
+                const { data, error } = await supabase
                     .from('special_events')
                     .update(updateData)
-                    .eq('key', eventKey);
+                    .eq('key', eventKey)
+                    .select('id');
                 
                 if (error) {
                     console.error('Database error updating special event:', error);
                     throw new Error(`Database error: ${error.message}`);
                 }
+                // RLS filters a refused update down to no rows rather than failing
+                if (!data || data.length === 0) {
+                    throw new Error('Special event not updated: not found or not allowed');
+                }
+                await auditLog.save(audit);
+            } else {
+                syncQueue.enqueue({
+                    table: 'special_events',
+                    action: 'update',
+                    match: { key: eventKey },
+                    values: updateData,
+                    description: `Edit event ${updates.name || eventKey}`,
+                    audit
+                });
             }
             
-            // Update in localStorage as backup
-            const events = JSON.parse(localStorage.getItem('specialEvents') || '[]');
-            const eventIndex = events.findIndex(e => e.key === eventKey);
-            
+            // Update in local cache as backup
             if (eventIndex !== -1) {
                 events[eventIndex] = {
                     ...events[eventIndex],
                     ...updates,
                     updated_at: new Date().toISOString()
                 };
-                localStorage.setItem('specialEvents', JSON.stringify(events));
+                localStore.set('specialEvents', events);
             }
             
             console.log(`Updated special event: ${eventKey}`);
@@ -906,13 +1243,19 @@ export class RankingManager {
 
     // Delete special event and its rankings
     async deleteSpecialEvent(eventKey) {
+        this.ensureWritable('delete special events');
+
         try {
+            const events = localStore.get('specialEvents', []);
+            const deletedEvent = events.find(e => e.key === eventKey) || null;
+            const audit = auditLog.entry('delete', 'special_event', eventKey, deletedEvent, null);
+
             if (this.isOnline) {
                 // First, delete all related ranking records from the database
                 const { error: rankingsError } = await supabase
                     .from('rankings')
                     .delete()
-                    .eq('day', eventKey);
+                    .match(await this.rankingTarget(eventKey));
                 
                 if (rankingsError) {
                     console.error('Database error deleting special event rankings:', rankingsError);
@@ -931,20 +1274,25 @@ export class RankingManager {
                 }
                 
                 console.log(`Deleted special event and all related rankings: ${eventKey}`);
+                await auditLog.save(audit);
+            } else {
+                // Matched by key: an event created offline has no id yet
+                syncQueue.enqueue({ table: 'rankings', action: 'delete', match: { day: eventKey }, description: `Delete rankings for ${eventKey}` });
+                syncQueue.enqueue({ table: 'special_events', action: 'delete', match: { key: eventKey }, description: `Delete event ${eventKey}`, audit });
             }
             
-            // Remove from localStorage
-            const events = JSON.parse(localStorage.getItem('specialEvents') || '[]');
+            // Remove from local cache
             const filteredEvents = events.filter(e => e.key !== eventKey);
-            localStorage.setItem('specialEvents', JSON.stringify(filteredEvents));
+            localStore.set('specialEvents', filteredEvents);
             
-            // Remove event rankings from localStorage
-            localStorage.removeItem(`event_${eventKey}`);
+            // Remove event rankings from local cache
+            await localStore.saveEventRankings(eventKey, []);
+            this.eventIds.delete(eventKey);
             
             // Also remove from rankingsData if it exists
             if (this.rankingsData[eventKey]) {
                 delete this.rankingsData[eventKey];
-                this.saveToStorage();
+                this.saveToStorage([eventKey]);
             }
             
             console.log(`Deleted special event: ${eventKey}`);
@@ -957,12 +1305,19 @@ export class RankingManager {
     }
 
     async saveSpecialEventRankings(rankings) {
+        this.ensureWritable('save event rankings');
+
+        let previousRankings = [];
+        let rankingsToInsert = [];
+        let data = [];
         try {
             if (this.isOnline) {
                 // For special events, we need to handle upserts (update existing, insert new)
                 if (rankings.length > 0) {
                     const eventKey = rankings[0].day; // All rankings should have the same day field
                     
+                    previousRankings = await this.getRankingsForSpecialEvent(eventKey);
+                    
                     console.log(`Processing ${rankings.length} rankings for event: ${eventKey}`);
                     console.log('Sample ranking:', rankings[0]);
                     
@@ -986,33 +1341,13 @@ export class RankingManager {
                         console.log(`After deduplication: ${rankings.length} rankings`);
                     }
                     
-                    // Delete existing rankings for this event to avoid conflicts
-                    console.log(`Deleting existing rankings for event: ${eventKey}`);
-                    const { error: deleteError } = await supabase
-                        .from('rankings')
-                        .delete()
-                        .eq('day', eventKey);
-                    
-                    if (deleteError) {
-                        console.error('Error deleting existing rankings:', deleteError);
-                        throw deleteError;
-                    }
-                    
-                    console.log('Successfully deleted existing rankings');
-                    
-                    // Add a small delay to ensure delete operation completes
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
-                
-                // Now insert the new rankings
-                console.log(`Inserting ${rankings.length} new rankings`);
-                const { data, error } = await supabase
-                    .from('rankings')
-                    .insert(rankings);
-                    
-                if (error) {
-                    console.error('Error inserting rankings:', error);
-                    throw error;
+                    const target = await this.rankingTarget(eventKey);
+                    rankingsToInsert = this.toRankingRows(target, rankings);
+
+                    // Old and new rows are swapped in one transaction
+                    console.log(`Replacing rankings for event: ${eventKey}`);
+                    data = await this.replaceRankings(target, rankingsToInsert);
+                    await this.recordVersion(eventKey, previousRankings);
                 }
                 
                 // Also save to local storage for immediate use
@@ -1025,9 +1360,12 @@ export class RankingManager {
                 });
                 
                 this.saveToStorage();
+                if (rankings.length > 0) {
+                    await auditLog.record('replace', 'rankings', rankings[0].day, this.summarizeRankings(previousRankings), this.summarizeRankings(rankings));
+                }
                 return data;
             } else {
-                // Offline mode - save to localStorage only
+                // Offline mode - save to local cache only
                 rankings.forEach(ranking => {
                     const dateKey = ranking.day || ranking.date; // Use day field for special events, date for regular
                     if (!this.rankingsData[dateKey]) {
@@ -1037,6 +1375,20 @@ export class RankingManager {
                 });
                 
                 this.saveToStorage();
+                if (rankings.length > 0) {
+                    // Matched by key: an event created offline has no id yet
+                    const target = { day: rankings[0].day };
+                    previousRankings = await this.getRankingsForSpecialEvent(rankings[0].day);
+                    syncQueue.enqueue({
+                        table: 'rankings',
+                        action: 'replace',
+                        match: target,
+                        rows: this.toRankingRows(target, rankings),
+                        knownRows: previousRankings.length,
+                        description: `Event rankings for ${rankings[0].day}`,
+                        audit: auditLog.entry('replace', 'rankings', rankings[0].day, this.summarizeRankings(previousRankings), this.summarizeRankings(rankings))
+                    });
+                }
                 return rankings;
             }
         } catch (error) {
@@ -1047,6 +1399,8 @@ export class RankingManager {
 
     // Removed Players Management
     async addRemovedPlayer(playerName, removedBy, reason = null) {
+        this.ensureWritable('remove players');
+
         try {
             if (this.isOnline) {
                 const { data, error } = await supabase
@@ -1062,27 +1416,37 @@ export class RankingManager {
                     return false;
                 }
                 
-                // Also save to localStorage as backup
-                const removedPlayers = JSON.parse(localStorage.getItem('removedPlayers') || '[]');
+                // Also save to local cache as backup
+                const removedPlayers = localStore.get('removedPlayers', []);
                 removedPlayers.push({
                     playerName: playerName,
                     removedBy: removedBy,
                     reason: reason,
                     removedDate: new Date().toISOString().split('T')[0]
                 });
-                localStorage.setItem('removedPlayers', JSON.stringify(removedPlayers));
+                localStore.set('removedPlayers', removedPlayers);
                 
+                await auditLog.record('create', 'removed_player', playerName, null, { playerName, removedBy, reason });
                 return true;
             } else {
-                // Offline mode - save to localStorage only
-                const removedPlayers = JSON.parse(localStorage.getItem('removedPlayers') || '[]');
+                // Offline mode - save to local cache only
+                syncQueue.enqueue({
+                    table: 'removed_players',
+                    action: 'upsert',
+                    match: { player_name: playerName },
+                    rows: [{ player_name: playerName, removed_by: removedBy, reason: reason }],
+                    onConflict: 'player_name',
+                    description: `Remove ${playerName}`,
+                    audit: auditLog.entry('create', 'removed_player', playerName, null, { playerName, removedBy, reason })
+                });
+                const removedPlayers = localStore.get('removedPlayers', []);
                 removedPlayers.push({
                     playerName: playerName,
                     removedBy: removedBy,
                     reason: reason,
                     removedDate: new Date().toISOString().split('T')[0]
                 });
-                localStorage.setItem('removedPlayers', JSON.stringify(removedPlayers));
+                localStore.set('removedPlayers', removedPlayers);
                 return true;
             }
         } catch (error) {
@@ -1093,6 +1457,8 @@ export class RankingManager {
 
     // Inactive Players Management
     async addInactivePlayer(playerName, markedBy, reason = null) {
+        this.ensureWritable('mark players inactive');
+
         try {
             if (this.isOnline) {
                 const { data, error } = await supabase
@@ -1108,27 +1474,37 @@ export class RankingManager {
                     return false;
                 }
                 
-                // Also save to localStorage as backup
-                const inactivePlayers = JSON.parse(localStorage.getItem('inactivePlayers') || '[]');
+                // Also save to local cache as backup
+                const inactivePlayers = localStore.get('inactivePlayers', []);
                 inactivePlayers.push({
                     playerName: playerName,
                     markedBy: markedBy,
                     reason: reason,
                     markedInactiveDate: new Date().toISOString().split('T')[0]
                 });
-                localStorage.setItem('inactivePlayers', JSON.stringify(inactivePlayers));
+                localStore.set('inactivePlayers', inactivePlayers);
                 
+                await auditLog.record('create', 'inactive_player', playerName, null, { playerName, markedBy, reason });
                 return true;
             } else {
-                // Offline mode - save to localStorage only
-                const inactivePlayers = JSON.parse(localStorage.getItem('inactivePlayers') || '[]');
+                // Offline mode - save to local cache only
+                syncQueue.enqueue({
+                    table: 'inactive_players',
+                    action: 'upsert',
+                    match: { player_name: playerName },
+                    rows: [{ player_name: playerName, marked_by: markedBy, reason: reason }],
+                    onConflict: 'player_name',
+                    description: `Mark ${playerName} inactive`,
+                    audit: auditLog.entry('create', 'inactive_player', playerName, null, { playerName, markedBy, reason })
+                });
+                const inactivePlayers = localStore.get('inactivePlayers', []);
                 inactivePlayers.push({
                     playerName: playerName,
                     markedBy: markedBy,
                     reason: reason,
                     markedInactiveDate: new Date().toISOString().split('T')[0]
                 });
-                localStorage.setItem('inactivePlayers', JSON.stringify(inactivePlayers));
+                localStore.set('inactivePlayers', inactivePlayers);
                 return true;
             }
         } catch (error) {
@@ -1147,25 +1523,32 @@ export class RankingManager {
                 
                 if (error) {
                     console.error('Database error getting inactive players:', error);
-                    // Fall back to localStorage
-                    return JSON.parse(localStorage.getItem('inactivePlayers') || '[]');
+                    // Fall back to local cache
+                    return localStore.get('inactivePlayers', []);
                 }
                 
-                // Also save to localStorage as backup
-                localStorage.setItem('inactivePlayers', JSON.stringify(data));
+                // Also save to local cache as backup
+                localStore.set('inactivePlayers', data);
+                syncQueue.markPulled('inactive_players', data);
                 return data || [];
             } else {
-                // Offline mode - use localStorage
-                return JSON.parse(localStorage.getItem('inactivePlayers') || '[]');
+                // Offline mode - use local cache
+                return localStore.get('inactivePlayers', []);
             }
         } catch (error) {
             console.error('Error getting inactive players:', error);
-            return JSON.parse(localStorage.getItem('inactivePlayers') || '[]');
+            return localStore.get('inactivePlayers', []);
         }
     }
 
     async removeInactivePlayer(playerName) {
+        this.ensureWritable('reactivate players');
+
         try {
+            const inactivePlayers = localStore.get('inactivePlayers', []);
+            const previous = inactivePlayers.find(p => p.player_name === playerName || p.playerName === playerName) || null;
+            const audit = auditLog.entry('delete', 'inactive_player', playerName, previous, null);
+
             if (this.isOnline) {
                 const { error } = await supabase
                     .from('inactive_players')
@@ -1176,13 +1559,14 @@ export class RankingManager {
                     console.error('Database error removing inactive player:', error);
                     return false;
                 }
+                await auditLog.save(audit);
+            } else {
+                syncQueue.enqueue({ table: 'inactive_players', action: 'delete', match: { player_name: playerName }, description: `Reactivate ${playerName}`, audit });
             }
             
-            // Remove from localStorage
-            const inactivePlayers = JSON.parse(localStorage.getItem('inactivePlayers') || '[]');
+            // Remove from local cache
             const updated = inactivePlayers.filter(p => p.player_name !== playerName && p.playerName !== playerName);
-            localStorage.setItem('inactivePlayers', JSON.stringify(updated));
-            
+            localStore.set('inactivePlayers', updated);
             return true;
         } catch (error) {
             console.error('Error removing inactive player:', error);
@@ -1212,33 +1596,35 @@ export class RankingManager {
                     .order('removed_date', { ascending: false });
                 
                 if (error) {
-                    console.warn('Database error fetching removed players, using localStorage:', error);
-                    return JSON.parse(localStorage.getItem('removedPlayers') || '[]');
+                    console.warn('Database error fetching removed players, using local cache:', error);
+                    return localStore.get('removedPlayers', []);
                 }
                 
                 // Convert database format to consistent format
-                const convertedData = data.map(player => ({
-                    playerName: player.player_name,
-                    removedBy: player.removed_by,
-                    reason: player.reason,
-                    removedDate: player.removed_date
-                }));
+                const convertedData = data.map(player => this.convertRemovedPlayer(player));
                 
-                // Also update localStorage as backup
-                localStorage.setItem('removedPlayers', JSON.stringify(convertedData));
+                // Also update local cache as backup
+                localStore.set('removedPlayers', convertedData);
+                syncQueue.markPulled('removed_players', data);
                 return convertedData;
             }
             
-            // Fall back to localStorage
-            return JSON.parse(localStorage.getItem('removedPlayers') || '[]');
+            // Fall back to local cache
+            return localStore.get('removedPlayers', []);
         } catch (error) {
             console.error('Error getting removed players:', error);
-            return JSON.parse(localStorage.getItem('removedPlayers') || '[]');
+            return localStore.get('removedPlayers', []);
         }
     }
 
     async removePlayerFromRemovedList(playerName) {
+        this.ensureWritable('restore removed players');
+
         try {
+            const removedPlayers = localStore.get('removedPlayers', []);
+            const previous = removedPlayers.find(p => p.playerName === playerName) || null;
+            const audit = auditLog.entry('delete', 'removed_player', playerName, previous, null);
+
             if (this.isOnline) {
                 const { error } = await supabase
                     .from('removed_players')
@@ -1249,13 +1635,14 @@ export class RankingManager {
                     console.error('Database error removing player from removed list:', error);
                     return false;
                 }
+                await auditLog.save(audit);
+            } else {
+                syncQueue.enqueue({ table: 'removed_players', action: 'delete', match: { player_name: playerName }, description: `Restore ${playerName}`, audit });
             }
             
-            // Remove from localStorage
-            const removedPlayers = JSON.parse(localStorage.getItem('removedPlayers') || '[]');
+            // Remove from local cache
             const filteredPlayers = removedPlayers.filter(p => p.playerName !== playerName);
-            localStorage.setItem('removedPlayers', JSON.stringify(filteredPlayers));
-            
+            localStore.set('removedPlayers', filteredPlayers);
             return true;
         } catch (error) {
             console.error('Error removing player from removed list:', error);
@@ -1264,34 +1651,51 @@ export class RankingManager {
     }
 
     isPlayerRemoved(playerName) {
-        const removedPlayers = JSON.parse(localStorage.getItem('removedPlayers') || '[]');
+        const removedPlayers = localStore.get('removedPlayers', []);
         return removedPlayers.some(p => p.playerName === playerName);
     }
 
     getRemovedPlayersSync() {
-        return JSON.parse(localStorage.getItem('removedPlayers') || '[]');
+        return localStore.get('removedPlayers', []);
     }
 
     async toggleSpecialEventPinned(eventKey, pinned) {
+        this.ensureWritable('pin special events');
+
         try {
             if (this.isOnline) {
-                const { error } = await supabase
+                const { data, error } = await supabase
                     .from('special_events')
                     .update({ pinned: pinned })
-                    .eq('key', eventKey);
+                    .eq('key', eventKey)
+                    .select('id');
                 
                 if (error) {
                     console.error('Database error toggling event pinned status:', error);
                     return false;
                 }
+                if (!data || data.length === 0) {
+                    console.error('Pinned status not changed: event not found or not allowed');
+                    return false;
+                }
+                await auditLog.record('update', 'special_event', eventKey, { pinned: !pinned }, { pinned });
+            } else {
+                syncQueue.enqueue({
+                    table: 'special_events',
+                    action: 'update',
+                    match: { key: eventKey },
+                    values: { pinned: pinned },
+                    description: `${pinned ? 'Pin' : 'Unpin'} ${eventKey}`,
+                    audit: auditLog.entry('update', 'special_event', eventKey, { pinned: !pinned }, { pinned })
+                });
             }
             
-            // Update localStorage
-            const events = JSON.parse(localStorage.getItem('specialEvents') || '[]');
+            // Update local cache
+            const events = localStore.get('specialEvents', []);
             const eventIndex = events.findIndex(e => e.key === eventKey);
             if (eventIndex !== -1) {
                 events[eventIndex].pinned = pinned;
-                localStorage.setItem('specialEvents', JSON.stringify(events));
+                localStore.set('specialEvents', events);
             }
             
             return true;
@@ -1302,7 +1706,131 @@ export class RankingManager {
     }
 
     getPinnedSpecialEvents() {
-        const events = JSON.parse(localStorage.getItem('specialEvents') || '[]');
+        const events = localStore.get('specialEvents', []);
         return events.filter(event => event.pinned);
     }
+
+    convertSpecialEvent(event) {
+        return {
+            name: event.name,
+            startDate: event.start_date,
+            endDate: event.end_date,
+            key: event.key,
+            pinned: event.pinned || false,
+            created: event.created
+        };
+    }
+
+    convertRemovedPlayer(player) {
+        return {
+            playerName: player.player_name,
+            removedBy: player.removed_by,
+            reason: player.reason,
+            removedDate: player.removed_date
+        };
+    }
+
+    // Realtime Updates
+    /**
+     * Patch the in-memory rankings and the local cache with a change made
+     * in another session (see RealtimeService). Ranking changes arrive one
+     * row at a time, so they only reach the local cache on the next
+     * flushRealtimeChanges().
+     * @param {Object} change - { table, eventType, new, old }
+     * @returns {Array<string>} Day or event keys whose data changed
+     */
+    applyRealtimeChange(change) {
+        switch (change.table) {
+            case 'rankings':
+                return this.applyRankingChange(change);
+            case 'special_events':
+                return this.applyListChange('specialEvents', change, event => this.convertSpecialEvent(event), event => event.key);
+            case 'removed_players':
+                return this.applyListChange('removedPlayers', change, player => this.convertRemovedPlayer(player), player => player.playerName);
+            case 'inactive_players':
+                return this.applyListChange('inactivePlayers', change, player => player, player => player.player_name);
+            default:
+                return [];
+        }
+    }
+
+    applyRankingChange({ eventType, new: row, old }) {
+        const sameEntry = (a, b) => a.ranking === b.ranking && a.commander === b.commander;
+        const days = new Set();
+
+        if (old && eventType !== 'INSERT') {
+            const rankings = this.rankingsData[old.day] || [];
+            const index = rankings.findIndex(entry => sameEntry(entry, old));
+            if (index !== -1) {
+                rankings.splice(index, 1);
+            }
+            if (rankings.length === 0) {
+                delete this.rankingsData[old.day];
+            }
+            days.add(old.day);
+        }
+
+        if (row && eventType !== 'DELETE') {
+            if (!this.rankingsData[row.day]) {
+                this.rankingsData[row.day] = [];
+            }
+            const rankings = this.rankingsData[row.day];
+            const entry = { ranking: row.ranking, commander: row.commander, points: row.points };
+            const index = rankings.findIndex(existing => sameEntry(existing, row));
+            if (index === -1) {
+                rankings.push(entry);
+            } else {
+                rankings[index] = entry;
+            }
+            rankings.sort((a, b) => a.ranking - b.ranking);
+            days.add(row.day);
+        }
+
+        days.forEach(day => this.pendingCacheKeys.add(day));
+        return [...days];
+    }
+
+    /**
+     * Write the days and events live changes touched to the local cache,
+     * each once however many of its rows changed
+     */
+    async flushRealtimeChanges() {
+        const keys = [...this.pendingCacheKeys];
+        this.pendingCacheKeys.clear();
+        if (keys.length === 0) {
+            return;
+        }
+
+        await this.saveToStorage(keys);
+        // Cached event rankings are reloaded from the database on next use
+        for (const eventKey of keys.filter(key => key.startsWith('event_'))) {
+            await localStore.saveEventRankings(eventKey, []);
+        }
+    }
+
+    /**
+     * Apply a change to one of the lists kept in the local cache
+     * @param {string} storeKey - localStore key of the list
+     * @param {Object} change - Realtime change
+     * @param {Function} convert - Database row to list item
+     * @param {Function} keyOf - Identifies a list item
+     * @returns {Array<string>} Keys of the items that changed
+     */
+    applyListChange(storeKey, change, convert, keyOf) {
+        const list = localStore.get(storeKey, []);
+        const oldKey = change.old ? keyOf(convert(change.old)) : null;
+        const item = change.new && change.eventType !== 'DELETE' ? convert(change.new) : null;
+        const newKey = item ? keyOf(item) : null;
+
+        const index = list.findIndex(existing => keyOf(existing) === (oldKey ?? newKey));
+        if (index !== -1) {
+            list.splice(index, 1);
+        }
+        if (item) {
+            list.splice(index === -1 ? 0 : index, 0, item);
+        }
+
+        localStore.set(storeKey, list);
+        return [...new Set([oldKey, newKey].filter(Boolean))];
+    }
 }
\ No newline at end of file
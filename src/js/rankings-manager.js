@@ -1,15 +1,27 @@
 /**
  * Rankings Management Page
- * Handles CSV upload/paste and managing ranking data
+ * Handles screenshot OCR, CSV upload/paste and managing ranking data
  */
 
 import { supabase } from './supabase-client.js';
+import { OCRService } from './ocr-service.js';
+import { CSVProcessor } from './csv-processor.js';
+import { localStore } from './local-store.js';
+import { parsePoints } from './ranking-manager.js';
 
 export class RankingsManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {PlayerAliasService} [options.playerAliasService] - Shared alias service for OCR name resolution
+     */
+    constructor({ playerAliasService = null } = {}) {
         this.currentDate = new Date().toISOString().split('T')[0];
         this.existingPlayers = [];
         this.parsedData = [];
+        this.uncertainOnly = false;
+        this.ocrService = new OCRService({ aliasService: playerAliasService });
+        this.csvProcessor = new CSVProcessor();
+        this.workbookSheets = [];
         
         // Don't initialize immediately - wait for DOM to be ready
         if (document.readyState === 'loading') {
@@ -108,7 +120,11 @@ export class RankingsManager {
                 e.preventDefault();
                 csvUploadArea.classList.remove('dragover');
                 const files = e.dataTransfer.files;
-                if (files.length > 0 && files[0].type === 'text/csv') {
+                const imageFiles = [...files].filter(file => file.type.startsWith('image/'));
+                if (imageFiles.length > 0) {
+                    // Screenshots dropped here go through the OCR path
+                    this.handleImageUpload(imageFiles);
+                } else if (files.length > 0 && (files[0].type === 'text/csv' || this.csvProcessor.isSpreadsheetFile(files[0]))) {
                     csvFileInput.files = files;
                     this.handleCsvFileUpload(files[0]);
                 }
@@ -121,6 +137,39 @@ export class RankingsManager {
             });
         }
 
+        // Screenshot upload for OCR
+        const imageFileInput = document.getElementById('imageFileUpload');
+        const imageUploadArea = document.getElementById('uploadArea');
+        
+        if (imageFileInput && imageUploadArea) {
+            imageUploadArea.addEventListener('click', () => imageFileInput.click());
+            
+            imageUploadArea.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                imageUploadArea.classList.add('dragover');
+            });
+            
+            imageUploadArea.addEventListener('dragleave', (e) => {
+                e.preventDefault();
+                imageUploadArea.classList.remove('dragover');
+            });
+            
+            imageUploadArea.addEventListener('drop', (e) => {
+                e.preventDefault();
+                imageUploadArea.classList.remove('dragover');
+                const imageFiles = [...e.dataTransfer.files].filter(file => file.type.startsWith('image/'));
+                if (imageFiles.length > 0) {
+                    this.handleImageUpload(imageFiles);
+                }
+            });
+            
+            imageFileInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.handleImageUpload([...e.target.files]);
+                }
+            });
+        }
+
         // CSV paste functionality
         const csvPasteArea = document.getElementById('csvPasteArea');
         const parseCsvBtn = document.getElementById('parseCsvBtn');
@@ -156,6 +205,15 @@ export class RankingsManager {
             resetBtn.addEventListener('click', () => this.resetUpload());
         }
 
+        // Uncertain-row review filter for screenshot imports
+        const uncertainOnlyToggle = document.getElementById('uncertainOnlyToggle');
+        if (uncertainOnlyToggle) {
+            uncertainOnlyToggle.addEventListener('change', () => {
+                this.uncertainOnly = uncertainOnlyToggle.checked;
+                this.renderParsedData();
+            });
+        }
+
         // Player search
         const searchInput = document.getElementById('playerSearchInput');
         if (searchInput) {
@@ -198,6 +256,20 @@ export class RankingsManager {
                 </div>
 
                 <div class="rankings-content">
+                    <!-- Screenshot Upload Section -->
+                    <div class="upload-section" id="imageUploadSection">
+                        <h3>Upload Ranking Screenshot</h3>
+                        <div class="upload-area" id="uploadArea">
+                            <input type="file" id="imageFileUpload" accept="image/*" multiple style="display: none;">
+                            <div class="upload-content">
+                                <span class="upload-icon">📷</span>
+                                <h4>Drag & Drop Screenshots or Click to Browse</h4>
+                                <p>Select all scrolled screenshots of one day's leaderboard - overlapping rows are merged. Text is read on this device.</p>
+                                <button type="button" class="upload-btn" id="imageUploadBtn">Choose Screenshots</button>
+                            </div>
+                        </div>
+                    </div>
+
                     <!-- CSV Upload Section -->
                     <div class="csv-upload-section" id="csvUploadSection">
                         <div class="upload-section-header">
@@ -208,14 +280,20 @@ export class RankingsManager {
                         </div>
                         <div class="upload-section-content" id="uploadSectionContent">
                             <div class="upload-area" id="csvUploadArea">
-                                <input type="file" id="csvFileUpload" accept=".csv,text/csv" style="display: none;">
+                                <input type="file" id="csvFileUpload" accept=".csv,text/csv,.xlsx,.xlsm,.xls,.ods" style="display: none;">
                                 <div class="upload-content">
                                     <span class="upload-icon">📄</span>
-                                    <h4>Drag & Drop CSV File or Click to Browse</h4>
-                                    <p>Supports CSV files with Ranking, Commander, Points columns</p>
-                                    <button type="button" class="upload-btn" id="csvUploadBtn">Choose CSV File</button>
+                                    <h4>Drag & Drop CSV or Spreadsheet or Click to Browse</h4>
+                                    <p>Supports CSV, .xlsx and .ods files with Ranking, Commander, Points columns</p>
+                                    <button type="button" class="upload-btn" id="csvUploadBtn">Choose File</button>
                                 </div>
                             </div>
+
+                            <div class="sheet-picker" id="sheetPicker" style="display: none;">
+                                <label for="sheetSelect">Sheet:</label>
+                                <select id="sheetSelect"></select>
+                                <small id="sheetDateHint"></small>
+                            </div>
                             
                             <div class="csv-paste-section">
                                 <h4>📋 Or Paste CSV Data</h4>
@@ -234,8 +312,8 @@ export class RankingsManager {
                     <div class="processing-section" id="processingSection" style="display: none;">
                         <div class="loading-spinner"></div>
                         <div class="processing-content">
-                            <h3>Processing CSV Data...</h3>
-                            <p>Parsing and validating ranking data. This may take a moment.</p>
+                            <h3 id="processingTitle">Processing CSV Data...</h3>
+                            <p id="processingMessage">Parsing and validating ranking data. This may take a moment.</p>
                         </div>
                     </div>
 
@@ -244,10 +322,14 @@ export class RankingsManager {
                         <div class="results-header">
                             <h3>Parsed Rankings</h3>
                             <div class="results-actions">
+                                <label class="uncertain-only-toggle" id="uncertainOnlyLabel" style="display: none;">
+                                    <input type="checkbox" id="uncertainOnlyToggle"> Review only uncertain rows
+                                </label>
                                 <button type="button" class="btn primary" id="submitRankingsBtn">✅ Submit Rankings</button>
                                 <button type="button" class="btn secondary" id="resetUploadBtn">🔄 Reset</button>
                             </div>
                         </div>
+                        <div class="ocr-batch-summary" id="ocrBatchSummary" style="display: none;"></div>
                         <div class="data-table">
                             <div class="table-header">
                                 <div>Rank</div>
@@ -309,9 +391,14 @@ export class RankingsManager {
     async handleCsvFileUpload(file) {
         if (!file) return;
 
+        if (this.csvProcessor.isSpreadsheetFile(file)) {
+            await this.handleWorkbookUpload(file);
+            return;
+        }
+
         // Validate file type
         if (!file.type.includes('csv') && !file.name.endsWith('.csv')) {
-            this.showMessage('Please upload a valid CSV file.', 'error');
+            this.showMessage('Please upload a valid CSV or spreadsheet file.', 'error');
             return;
         }
 
@@ -328,6 +415,180 @@ export class RankingsManager {
         }
     }
 
+    /**
+     * Handle an .xlsx/.ods upload
+     * The page imports one day at a time, so multi-sheet workbooks get a
+     * sheet picker; the sheet named after the selected date is opened first.
+     */
+    async handleWorkbookUpload(file) {
+        this.showProcessing('Reading Spreadsheet...', 'Loading the workbook and its sheets.');
+
+        try {
+            this.workbookSheets = await this.csvProcessor.readWorkbook(file);
+        } catch (error) {
+            console.error('Error reading workbook:', error);
+            this.showMessage('Error reading spreadsheet. Please check that it is a valid .xlsx or .ods file.', 'error');
+            this.hideProcessing();
+            return;
+        }
+
+        if (this.workbookSheets.length === 0) {
+            this.hideProcessing();
+            this.showMessage('No data found in this workbook.', 'warning');
+            return;
+        }
+
+        const sheetPicker = document.getElementById('sheetPicker');
+        const sheetSelect = document.getElementById('sheetSelect');
+        const preferred = Math.max(0, this.workbookSheets.findIndex(sheet =>
+            this.csvProcessor.guessSheetDate(sheet.name, this.currentDate) === this.currentDate
+        ));
+
+        if (sheetPicker && sheetSelect) {
+            sheetSelect.innerHTML = this.workbookSheets.map((sheet, index) => `
+                <option value="${index}" ${index === preferred ? 'selected' : ''}>${this.escapeAttribute(sheet.name)}</option>
+            `).join('');
+            sheetSelect.onchange = () => this.showWorkbookSheet(parseInt(sheetSelect.value));
+            sheetPicker.style.display = this.workbookSheets.length > 1 ? 'flex' : 'none';
+        }
+
+        await this.showWorkbookSheet(preferred);
+    }
+
+    /**
+     * Parse one sheet of the uploaded workbook, switching the ranking date to
+     * the sheet's date when its name contains one
+     */
+    async showWorkbookSheet(index) {
+        const sheet = this.workbookSheets[index];
+        if (!sheet) return;
+
+        const sheetDate = this.csvProcessor.guessSheetDate(sheet.name, this.currentDate);
+        const hint = document.getElementById('sheetDateHint');
+        if (sheetDate && sheetDate !== this.currentDate) {
+            this.currentDate = sheetDate;
+            const dateInput = document.getElementById('rankingDate');
+            if (dateInput) dateInput.value = sheetDate;
+        }
+        if (hint) {
+            hint.textContent = sheetDate ? `Ranking date set to ${sheetDate} from the sheet name` : '';
+        }
+
+        await this.parseTableData(sheet.table);
+    }
+
+    /**
+     * Handle ranking screenshot upload and run OCR on it
+     * Several scrolled screenshots of the same leaderboard can be uploaded
+     * together; their rows are merged into one list.
+     */
+    async handleImageUpload(files) {
+        const imageFiles = Array.isArray(files) ? files : [files].filter(Boolean);
+        if (imageFiles.length === 0) return;
+
+        if (imageFiles.some(file => !file.type.startsWith('image/'))) {
+            this.showMessage('Please upload image files only (PNG or JPG).', 'error');
+            return;
+        }
+
+        this.showProcessing('Reading Screenshots...', 'Running text recognition on your device. The first scan loads the OCR engine and may take a little longer.');
+
+        try {
+            const merged = await this.ocrService.processImages(imageFiles, (completed, total) => {
+                if (completed < total) {
+                    this.showProcessing('Reading Screenshots...', `Reading screenshot ${completed + 1} of ${total}...`);
+                }
+            });
+
+            if (merged.rows.length === 0) {
+                this.hideProcessing();
+                this.showMessage('No rankings could be read from these screenshots. Try sharper images or paste the data as CSV.', 'warning');
+                return;
+            }
+
+            this.parsedData = merged.rows.map(row => this.applyNameSuggestions({
+                ranking: row.ranking,
+                commander: row.commander,
+                points: row.points,
+                screenshots: row.screenshots,
+                conflicts: row.conflicts,
+                confidence: row.confidence,
+                snippet: row.snippet
+            }));
+
+            const existingRankings = await this.checkExistingRankings(this.parsedData);
+            this.markDuplicates(this.parsedData, existingRankings);
+
+            this.hideProcessing();
+            this.showResults();
+            this.renderBatchSummary(imageFiles.length, merged);
+
+            const uncertainCount = this.parsedData.filter(item => this.isUncertainRow(item)).length;
+            this.setUncertainOnly(uncertainCount > 0);
+            this.renderParsedData();
+
+            const needsReview = uncertainCount > 0 || merged.gaps.length > 0;
+            this.showMessage(
+                `Read ${this.parsedData.length} rankings from ${imageFiles.length} screenshot(s). ${uncertainCount} row(s) are uncertain - please review before submitting.`,
+                needsReview ? 'warning' : 'success'
+            );
+        } catch (error) {
+            console.error('Error processing screenshots:', error);
+            this.showMessage(error.message || 'Error processing screenshots. Please try again.', 'error');
+            this.hideProcessing();
+        } finally {
+            const imageFileInput = document.getElementById('imageFileUpload');
+            if (imageFileInput) imageFileInput.value = '';
+        }
+    }
+
+    /**
+     * Summarize a screenshot batch above the review table: missing rank
+     * ranges and screenshots nothing could be read from
+     */
+    renderBatchSummary(screenshotCount, merged) {
+        const container = document.getElementById('ocrBatchSummary');
+        if (!container) return;
+
+        const notes = [];
+        if (merged.gaps.length > 0) {
+            const ranges = merged.gaps.map(gap => gap.from === gap.to ? `#${gap.from}` : `#${gap.from}-#${gap.to}`);
+            notes.push(`⚠️ Missing ranks: ${ranges.join(', ')}. A screenshot may be missing or a row was not read.`);
+        }
+        if (merged.emptyScreenshots.length > 0) {
+            notes.push(`⚠️ Nothing could be read from screenshot(s) ${merged.emptyScreenshots.map(index => index + 1).join(', ')}.`);
+        }
+
+        container.innerHTML = `
+            <div>📷 ${screenshotCount} screenshot(s) merged into ${merged.rows.length} rankings.</div>
+            ${notes.map(note => `<div class="ocr-batch-warning">${note}</div>`).join('')}
+        `;
+        container.style.display = 'block';
+    }
+
+    /**
+     * Resolve an OCR row's name against known players and aliases
+     * Confident matches are replaced by the canonical primary name (the read
+     * text is kept in resolvedFrom); anything else keeps the read name and
+     * lists the closest candidates, with why they matched, for review.
+     */
+    applyNameSuggestions(item) {
+        const result = this.ocrService.nameResolver.resolve(item.commander, this.existingPlayers);
+
+        if (result.resolved) {
+            const resolvedFrom = result.name !== item.commander ? item.commander : null;
+            return { ...item, commander: result.name, resolvedFrom, suggestions: [] };
+        }
+
+        const suggestions = result.candidates.slice(0, 3).map(candidate => ({
+            name: candidate.name,
+            confidence: candidate.score,
+            reasons: candidate.reasons
+        }));
+
+        return { ...item, resolvedFrom: null, suggestions };
+    }
+
     /**
      * Read file as text
      */
@@ -352,7 +613,7 @@ export class RankingsManager {
             const { data: existingRankings, error } = await supabase
                 .from('rankings')
                 .select('commander, ranking, points')
-                .eq('day', this.currentDate)
+                .eq('date', this.currentDate)
                 .in('commander', commanders);
 
             if (error) {
@@ -391,52 +652,33 @@ export class RankingsManager {
      * Parse CSV data
      */
     async parseCsvData(csvData) {
+        await this.parseTableData(this.csvProcessor.parseTable(csvData));
+    }
+
+    /**
+     * Parse a CSV or spreadsheet table into rankings for review
+     */
+    async parseTableData(table) {
         try {
             this.showProcessing();
+            this.hideBatchSummary();
             
-            // Parse CSV
-            const lines = csvData.trim().split('\n');
-            if (lines.length < 2) {
+            if (table.records.length < 2) {
                 throw new Error('CSV must have at least a header row and one data row');
             }
 
-            // Parse header
-            const header = lines[0].split(',').map(h => h.trim().toLowerCase());
-            const expectedHeaders = ['ranking', 'commander', 'points'];
-            
-            // Check if headers match expected format
-            const hasValidHeaders = expectedHeaders.every(expected => 
-                header.some(h => h.includes(expected))
-            );
-            
-            if (!hasValidHeaders) {
-                throw new Error('CSV must contain columns: Ranking, Commander, Points');
+            const mapping = this.csvProcessor.guessMapping(table);
+            const missing = this.csvProcessor.getMissingFields(mapping);
+            if (missing.length > 0) {
+                throw new Error(`Could not find these columns: ${missing.join(', ')}`);
             }
 
-            // Find column indices
-            const rankingIndex = header.findIndex(h => h.includes('ranking'));
-            const commanderIndex = header.findIndex(h => h.includes('commander'));
-            const pointsIndex = header.findIndex(h => h.includes('points'));
-
-            // Parse data rows
-            this.parsedData = [];
-            for (let i = 1; i < lines.length; i++) {
-                const row = lines[i].split(',').map(cell => cell.trim());
-                
-                if (row.length < 3) continue; // Skip incomplete rows
-                
-                const ranking = parseInt(row[rankingIndex]);
-                const commander = row[commanderIndex];
-                const points = row[pointsIndex].replace(/,/g, ''); // Remove commas from points
-                
-                if (isNaN(ranking) || !commander || !points) continue; // Skip invalid rows
-                
-                this.parsedData.push({
-                    ranking: ranking,
-                    commander: commander,
-                    points: points
-                });
-            }
+            const { rankings, report } = this.csvProcessor.importWithReport(table, mapping);
+            this.parsedData = rankings.map(row => ({
+                ranking: row.ranking,
+                commander: row.commander,
+                points: String(row.points)
+            }));
 
             if (this.parsedData.length === 0) {
                 throw new Error('No valid ranking data found in CSV');
@@ -452,10 +694,11 @@ export class RankingsManager {
             this.renderParsedData();
             
             const duplicateCount = this.parsedData.filter(item => item.isDuplicate).length;
+            const skippedNote = report.skipped.length > 0 ? ` ${report.skipped.length} row(s) skipped.` : '';
             const message = duplicateCount > 0 
-                ? `Successfully parsed ${this.parsedData.length} rankings from CSV. ${duplicateCount} duplicate(s) detected and highlighted.`
-                : `Successfully parsed ${this.parsedData.length} rankings from CSV.`;
-            this.showMessage(message, duplicateCount > 0 ? 'warning' : 'success');
+                ? `Successfully parsed ${this.parsedData.length} rankings from CSV. ${duplicateCount} duplicate(s) detected and highlighted.${skippedNote}`
+                : `Successfully parsed ${this.parsedData.length} rankings from CSV.${skippedNote}`;
+            this.showMessage(message, duplicateCount > 0 || skippedNote ? 'warning' : 'success');
             
         } catch (error) {
             console.error('Error parsing CSV:', error);
@@ -467,7 +710,12 @@ export class RankingsManager {
     /**
      * Show processing section
      */
-    showProcessing() {
+    showProcessing(title = 'Processing CSV Data...', message = 'Parsing and validating ranking data. This may take a moment.') {
+        const titleElement = document.getElementById('processingTitle');
+        const messageElement = document.getElementById('processingMessage');
+        if (titleElement) titleElement.textContent = title;
+        if (messageElement) messageElement.textContent = message;
+
         document.getElementById('processingSection').style.display = 'block';
         document.getElementById('resultsSection').style.display = 'none';
     }
@@ -497,21 +745,56 @@ export class RankingsManager {
         container.innerHTML = '';
 
         this.parsedData.forEach((item, index) => {
+            if (this.uncertainOnly && !this.isUncertainRow(item)) return;
+
             const row = document.createElement('div');
             row.className = `table-row ${item.isDuplicate ? 'duplicate-row' : ''}`;
+            const rankConfidence = this.getConfidenceMarkup(item, 'ranking');
+            const commanderConfidence = this.getConfidenceMarkup(item, 'commander');
+            const pointsConfidence = this.getConfidenceMarkup(item, 'points');
+
+            // Screenshot rows can have their rank and points corrected in place
+            const isOCRRow = Boolean(item.confidence);
+            const rankCell = isOCRRow
+                ? `<input type="number" min="1" class="ocr-field-input rank-input ${rankConfidence.className}" data-index="${index}" data-field="ranking" value="${this.escapeAttribute(item.ranking)}" ${rankConfidence.title}>`
+                : `<span class="ranking-number">${item.ranking}</span>`;
+            const pointsCell = isOCRRow
+                ? `<input type="text" inputmode="numeric" class="ocr-field-input points-input ${pointsConfidence.className}" data-index="${index}" data-field="points" value="${this.escapeAttribute(item.points)}" ${pointsConfidence.title}>`
+                : `<span class="points-value">${this.formatPoints(item.points)}</span>`;
+            const snippet = item.snippet
+                ? `<img class="ocr-row-snippet" src="${item.snippet}" alt="Screenshot row ${this.escapeAttribute(item.ranking)}">`
+                : '';
             
             const duplicateWarning = item.isDuplicate 
                 ? `<div class="duplicate-warning">⚠️ Duplicate: Rank ${item.existingRanking}, ${this.formatPoints(item.existingPoints)} points</div>`
                 : '';
             
+            const conflictWarning = item.conflicts && item.conflicts.length > 0
+                ? `<div class="duplicate-warning">Screenshots disagree: ${item.conflicts.map(conflict => this.escapeAttribute(conflict)).join(', ')}</div>`
+                : '';
+            
+            const nameSuggestions = item.suggestions && item.suggestions.length > 0
+                ? `<div class="ocr-name-suggestions">Did you mean: ${item.suggestions.map(sim => `
+                        <button type="button" class="ocr-suggestion-chip" data-index="${index}" data-name="${this.escapeAttribute(sim.name)}" title="${this.escapeAttribute((sim.reasons || []).join('; '))}">
+                            ${this.escapeAttribute(sim.name)} <span class="confidence">(${Math.round(sim.confidence * 100)}%${sim.reasons && sim.reasons.length > 0 ? ` - ${this.escapeAttribute(sim.reasons[0])}` : ''})</span>
+                        </button>`).join('')}
+                   </div>`
+                : '';
+
+            const resolvedNote = item.resolvedFrom
+                ? `<div class="ocr-resolved-note">Read as "${this.escapeAttribute(item.resolvedFrom)}"</div>`
+                : '';
+            
             row.innerHTML = `
-                <div class="col-ranking"><span class="ranking-number">${item.ranking}</span></div>
+                <div class="col-ranking">${rankCell}</div>
                 <div class="col-commander">
+                    ${snippet}
                     <div class="commander-input-group">
                         <input type="text" 
-                               value="${item.commander}" 
-                               class="commander-input" 
+                               value="${this.escapeAttribute(item.commander)}" 
+                               class="commander-input ${commanderConfidence.className}" 
                                data-index="${index}"
+                               ${commanderConfidence.title}
                                readonly>
                         <button type="button" 
                                 class="edit-commander-btn" 
@@ -522,9 +805,12 @@ export class RankingsManager {
                     <div class="commander-suggestions" id="suggestions-${index}" style="display: none;">
                         <!-- Suggestions will be populated here -->
                     </div>
+                    ${nameSuggestions}
+                    ${resolvedNote}
+                    ${conflictWarning}
                     ${duplicateWarning}
                 </div>
-                <div class="col-points"><span class="points-value">${this.formatPoints(item.points)}</span></div>
+                <div class="col-points">${pointsCell}</div>
                 <div class="col-actions">
                     <button type="button" 
                             class="btn small danger" 
@@ -549,9 +835,70 @@ export class RankingsManager {
             if (editBtn) {
                 editBtn.addEventListener('click', () => this.toggleCommanderEdit(commanderInput, editBtn));
             }
+
+            row.querySelectorAll('.ocr-suggestion-chip').forEach(chip => {
+                chip.addEventListener('click', () => this.selectCommander(index, chip.dataset.name));
+            });
+
+            // A corrected value is trusted from here on
+            row.querySelectorAll('.ocr-field-input').forEach(input => {
+                input.addEventListener('change', () => {
+                    const field = input.dataset.field;
+                    const value = input.value.replace(/\D/g, '');
+                    this.parsedData[index][field] = field === 'ranking' ? parseInt(value) || item.ranking : value;
+                    this.parsedData[index].confidence[field] = 1;
+                    input.value = this.parsedData[index][field];
+                    input.classList.remove('low-confidence');
+                    input.removeAttribute('title');
+                });
+            });
         });
     }
 
+    /**
+     * Show similar existing player names while a commander name is edited
+     */
+    handleCommanderInput(input, suggestionsContainer) {
+        if (!input || !suggestionsContainer || input.hasAttribute('readonly')) return;
+
+        const index = parseInt(input.dataset.index);
+        if (this.parsedData[index]) {
+            this.parsedData[index].commander = input.value.trim();
+        }
+
+        const similarNames = this.ocrService.findSimilarNames(input.value, this.existingPlayers);
+        if (similarNames.length === 0) {
+            suggestionsContainer.style.display = 'none';
+            return;
+        }
+
+        suggestionsContainer.innerHTML = `
+            <div class="suggestions-header">Similar players found:</div>
+            ${similarNames.map(sim => `
+                <div class="suggestion-item" data-name="${this.escapeAttribute(sim.name)}">
+                    ${this.escapeAttribute(sim.name)} <span class="confidence">(${Math.round(sim.confidence * 100)}% match)</span>
+                </div>
+            `).join('')}
+        `;
+        suggestionsContainer.querySelectorAll('.suggestion-item').forEach(item => {
+            item.addEventListener('mousedown', () => this.selectCommander(index, item.dataset.name));
+        });
+        suggestionsContainer.style.display = 'block';
+    }
+
+    /**
+     * Escape a value for use inside HTML text or attributes
+     */
+    escapeAttribute(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
     /**
      * Setup manual entry event listeners
      */
@@ -659,7 +1006,7 @@ export class RankingsManager {
      * Edit commander name with suggestions
      */
     editCommander(index) {
-        const input = document.querySelector(`[data-index="${index}"]`);
+        const input = document.querySelector(`.commander-input[data-index="${index}"]`);
         const suggestions = document.getElementById(`suggestions-${index}`);
         
         if (!input || !suggestions) return;
@@ -721,7 +1068,7 @@ export class RankingsManager {
      * Select commander name from suggestions
      */
     selectCommander(index, name) {
-        const input = document.querySelector(`[data-index="${index}"]`);
+        const input = document.querySelector(`.commander-input[data-index="${index}"]`);
         const suggestions = document.getElementById(`suggestions-${index}`);
         
         if (input) {
@@ -732,6 +1079,16 @@ export class RankingsManager {
         if (suggestions) {
             suggestions.style.display = 'none';
         }
+
+        // Keep parsed data in sync so the chosen name is what gets submitted
+        if (this.parsedData[index]) {
+            this.parsedData[index].commander = name;
+            this.parsedData[index].suggestions = [];
+            if (this.parsedData[index].confidence) {
+                this.parsedData[index].confidence.commander = 1;
+            }
+            this.renderParsedData();
+        }
     }
 
     /**
@@ -752,7 +1109,58 @@ export class RankingsManager {
         document.getElementById('csvUploadSection').style.display = 'block';
         document.getElementById('processingSection').style.display = 'none';
         document.getElementById('resultsSection').style.display = 'none';
+        document.getElementById('sheetPicker').style.display = 'none';
+        this.hideBatchSummary();
         this.parsedData = [];
+        this.workbookSheets = [];
+    }
+
+    /**
+     * Hide the screenshot batch summary and review filter (not relevant for CSV data)
+     */
+    hideBatchSummary() {
+        const container = document.getElementById('ocrBatchSummary');
+        if (container) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+        }
+
+        const toggleLabel = document.getElementById('uncertainOnlyLabel');
+        if (toggleLabel) toggleLabel.style.display = 'none';
+        this.uncertainOnly = false;
+    }
+
+    /**
+     * Show the uncertain-row filter and set whether it is active
+     */
+    setUncertainOnly(enabled) {
+        this.uncertainOnly = enabled;
+
+        const toggleLabel = document.getElementById('uncertainOnlyLabel');
+        const toggle = document.getElementById('uncertainOnlyToggle');
+        if (toggleLabel) toggleLabel.style.display = 'inline-flex';
+        if (toggle) toggle.checked = enabled;
+    }
+
+    /**
+     * Check whether an OCR row needs a human look: a low-confidence field,
+     * screenshots that disagree, or a name that didn't match a known player
+     */
+    isUncertainRow(item) {
+        return ['ranking', 'commander', 'points'].some(field => this.ocrService.isLowConfidence(item, field))
+            || (item.conflicts && item.conflicts.length > 0)
+            || (item.suggestions && item.suggestions.length > 0);
+    }
+
+    /**
+     * Class and tooltip for a field the OCR engine was unsure about
+     */
+    getConfidenceMarkup(item, field) {
+        if (!this.ocrService.isLowConfidence(item, field)) {
+            return { className: '', title: '' };
+        }
+        const percent = Math.round(item.confidence[field] * 100);
+        return { className: 'low-confidence', title: `title="Read with ${percent}% confidence - please check"` };
     }
 
     /**
@@ -767,11 +1175,10 @@ export class RankingsManager {
         try {
             // Prepare data for insertion
             const rankingsData = this.parsedData.map(item => ({
-                date: null,  // Leave blank/null
-                day: this.currentDate,  // Use selected date (YYYY-MM-DD format)
+                date: this.currentDate,  // Selected date (YYYY-MM-DD); the database fills in day
                 ranking: item.ranking,
                 commander: item.commander,
-                points: item.points
+                points: parsePoints(item.points)
             }));
 
             // Insert into database
@@ -922,11 +1329,13 @@ export class RankingsManager {
                 const thirtyDaysAgo = new Date();
                 thirtyDaysAgo.setDate(today.getDate() - 30);
                 
-                // Get all rankings for this player (legacy format doesn't have date filtering)
+                // Get this player's legacy rankings: neither dated nor part of an event
                 const { data: legacyData, error: legacyError } = await supabase
                     .from('rankings')
                     .select('day, ranking, points')
                     .eq('commander', playerName)
+                    .is('date', null)
+                    .is('event_id', null)
                     .order('day', { ascending: true });
 
                 if (!legacyError && legacyData && legacyData.length > 0) {
@@ -945,12 +1354,12 @@ export class RankingsManager {
 
             if (error) {
                 console.error('Database error:', error);
-                console.log('Attempting to use localStorage fallback...');
+                console.log('Attempting to use local cache fallback...');
                 
-                // Try localStorage fallback
-                const localData = this.getLocalPerformanceData(playerName, dateString);
+                // Try local cache fallback
+                const localData = await this.getLocalPerformanceData(playerName, dateString);
                 if (localData && localData.length > 0) {
-                    console.log('Using localStorage data:', localData);
+                    console.log('Using local cache data:', localData);
                     this.renderPerformanceChart(playerName, localData);
                 } else {
                     this.renderPerformanceChart(playerName, []);
@@ -970,57 +1379,12 @@ export class RankingsManager {
     }
 
     /**
-     * Get performance data from localStorage as fallback
+     * Get performance data from the local cache as fallback
      */
-    getLocalPerformanceData(playerName, fromDate) {
-        try {
-            const storedData = localStorage.getItem('rankingsData');
-            if (!storedData) {
-                console.log('No localStorage data found');
-                return [];
-            }
-
-            const rankingsData = JSON.parse(storedData);
-            const playerData = [];
-
-            console.log('Searching localStorage for player:', playerName, 'from date:', fromDate);
-            console.log('Available dates in localStorage:', Object.keys(rankingsData));
-
-            // Filter data for the specific player and date range
-            Object.keys(rankingsData).forEach(date => {
-                // Check if date is after fromDate (for YYYY-MM-DD format) or if it's a day name
-                const isRecentDate = date >= fromDate || 
-                    ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].includes(date.toLowerCase());
-                
-                if (isRecentDate) {
-                    const dayData = rankingsData[date];
-                    if (Array.isArray(dayData)) {
-                        const playerRecord = dayData.find(record => 
-                            record.commander && record.commander.toLowerCase() === playerName.toLowerCase()
-                        );
-                        if (playerRecord) {
-                            playerData.push({
-                                date: date,
-                                ranking: playerRecord.ranking,
-                                points: playerRecord.points
-                            });
-                        }
-                    }
-                }
-            });
-
-            console.log('Found localStorage data for player:', playerData);
-            return playerData.sort((a, b) => {
-                // Handle both date formats for sorting
-                if (a.date.match(/^\d{4}-\d{2}-\d{2}$/) && b.date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                    return new Date(a.date) - new Date(b.date);
-                }
-                return a.date.localeCompare(b.date);
-            });
-        } catch (error) {
-            console.error('Error getting local performance data:', error);
-            return [];
-        }
+    async getLocalPerformanceData(playerName, fromDate) {
+        const playerData = await localStore.getCommanderHistory(playerName, fromDate);
+        console.log('Found local cache data for player:', playerName, playerData);
+        return playerData;
     }
 
     /**
@@ -1029,14 +1393,13 @@ export class RankingsManager {
     async debugDataSources() {
         console.log('=== DEBUGGING DATA SOURCES ===');
         
-        // Check localStorage
-        const storedData = localStorage.getItem('rankingsData');
-        if (storedData) {
-            const rankingsData = JSON.parse(storedData);
-            console.log('localStorage data:', Object.keys(rankingsData));
-            console.log('Sample localStorage data:', rankingsData);
+        // Check the local cache
+        const rankingsData = await localStore.getAllDailyRankings();
+        if (Object.keys(rankingsData).length > 0) {
+            console.log('Local cache data:', Object.keys(rankingsData));
+            console.log('Sample local cache data:', rankingsData);
         } else {
-            console.log('No localStorage data found');
+            console.log('No local cache data found');
         }
         
         // Check database - try both columns
@@ -0,0 +1,110 @@
+import { supabase } from './supabase-client.js';
+
+/**
+ * RealtimeService - Live database changes from other sessions
+ *
+ * Subscribes to Supabase Realtime on one channel and hands each row change
+ * to the listeners registered for its table. Managers use this to patch
+ * their in-memory caches instead of reloading everything.
+ *
+ * A change is passed on as { table, eventType, new, old }, where eventType
+ * is 'INSERT', 'UPDATE' or 'DELETE'. `old` holds the full previous row
+ * (the tables use REPLICA IDENTITY FULL).
+ */
+
+// Tables whose changes are pushed to open sessions
+export const REALTIME_TABLES = [
+    'rankings',
+    'special_events',
+    'vip_selections',
+    'kudos_points',
+    'removed_players',
+    'inactive_players',
+    'excused_players',
+    'player_aliases',
+    'players'
+];
+
+const CHANNEL_NAME = 'lwrank-changes';
+
+export class RealtimeService {
+    /**
+     * @param {Object|null} client - Supabase client (or a test mock); defaults to the shared client
+     */
+    constructor(client = null) {
+        this.client = client;
+        this.channel = null;
+        this.listeners = new Map();
+    }
+
+    /**
+     * Call `listener(change)` for every change to a table
+     * @param {string} table - One of REALTIME_TABLES
+     * @param {Function} listener
+     */
+    on(table, listener) {
+        if (!this.listeners.has(table)) {
+            this.listeners.set(table, []);
+        }
+        this.listeners.get(table).push(listener);
+    }
+
+    /**
+     * Start listening. Does nothing if already subscribed or if the client
+     * has no realtime support (offline / not configured).
+     * @returns {boolean} True if a subscription was started
+     */
+    subscribe() {
+        if (this.channel) {
+            return true;
+        }
+
+        // The shared client is replaced once Supabase initializes, so read it now
+        const client = this.client || supabase;
+        if (typeof client.channel !== 'function') {
+            console.warn('Realtime not available, live updates are off');
+            return false;
+        }
+
+        this.channel = client.channel(CHANNEL_NAME);
+        REALTIME_TABLES.forEach(table => {
+            this.channel.on('postgres_changes', { event: '*', schema: 'public', table }, payload => this.dispatch(payload));
+        });
+        this.channel.subscribe((status, error) => {
+            if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                console.error('Realtime channel failed, live updates are paused:', status, error || '');
+            }
+        });
+        return true;
+    }
+
+    async unsubscribe() {
+        if (!this.channel) {
+            return;
+        }
+
+        const client = this.client || supabase;
+        await client.removeChannel(this.channel);
+        this.channel = null;
+    }
+
+    dispatch(payload) {
+        const change = {
+            table: payload.table,
+            eventType: payload.eventType,
+            new: payload.new && Object.keys(payload.new).length > 0 ? payload.new : null,
+            old: payload.old && Object.keys(payload.old).length > 0 ? payload.old : null
+        };
+
+        (this.listeners.get(change.table) || []).forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error(`Error applying realtime change to ${change.table}:`, error);
+            }
+        });
+    }
+}
+
+// Shared so every manager listens on the same channel
+export const realtime = new RealtimeService();
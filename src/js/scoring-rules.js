@@ -0,0 +1,302 @@
+/**
+ * Season scoring rules
+ *
+ * The season formula as data: thresholds, point values, per-event
+ * multipliers, caps and which components are weighted. Versions are saved
+ * in the `scoring_rules` table and SeasonRankingManager evaluates them with
+ * the functions below. Everything here is pure so the same rules give the
+ * same scores wherever they're evaluated.
+ */
+
+// Version 1, the formula as it was hard-coded (also seeded by the migration)
+export const DEFAULT_SCORING_RULES = {
+    kudos: {
+        use: 'latest',      // Which award in the period counts: latest, highest or total
+        maxPoints: 10,      // Award scale; use / maxPoints * scale
+        scale: 100,
+        cap: null
+    },
+    vsPerformance: {
+        basePoints: 50,
+        topRank: 10,        // Rank <= topRank earns topPoints
+        topPoints: 2,
+        bottomRank: 21,     // Rank >= bottomRank earns bottomPoints (a penalty)
+        bottomPoints: -1,
+        excusedSkipsBottom: true,
+        min: 0,
+        cap: null
+    },
+    specialEvents: {
+        participantBonus: 10, // Per event: (participants + bonus - rank) * multiplier
+        minPerEvent: 0,
+        capPerEvent: null,
+        cap: null,
+        multipliers: []     // [{ match: 'arms race', multiplier: 1.5 }], matched on the event name
+    },
+    allianceContribution: {
+        participantBonus: 10,
+        minPerEvent: 0,
+        capPerEvent: null,
+        cap: null,
+        multipliers: []
+    },
+    // Events whose name contains one of these count as alliance contribution
+    allianceEventKeywords: ['alliance', 'contribution'],
+    // Weighted components are multiplied by their weight %; the rest are added as is
+    weighted: {
+        kudos: true,
+        vsPerformance: true,
+        specialEvents: true,
+        allianceContribution: false
+    }
+};
+
+export const SCORE_COMPONENTS = ['kudos', 'vsPerformance', 'specialEvents', 'allianceContribution'];
+
+const KUDOS_USES = ['latest', 'highest', 'total'];
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Apply an optional lower bound and cap
+function clamp(value, min, cap) {
+    let result = value;
+    if (min !== null && min !== undefined) result = Math.max(min, result);
+    if (cap !== null && cap !== undefined) result = Math.min(cap, result);
+    return result;
+}
+
+/**
+ * Fill in anything a saved definition leaves out from the defaults, so
+ * versions saved before a setting existed still evaluate
+ * @param {Object} rules - A saved rules definition (may be partial)
+ * @returns {Object} A complete rules definition
+ */
+export function normalizeScoringRules(rules = {}) {
+    const normalized = {};
+
+    for (const [key, defaults] of Object.entries(DEFAULT_SCORING_RULES)) {
+        const value = rules[key];
+        if (Array.isArray(defaults)) {
+            normalized[key] = Array.isArray(value) ? [...value] : [...defaults];
+        } else {
+            normalized[key] = { ...defaults, ...(value || {}) };
+        }
+    }
+
+    normalized.specialEvents.multipliers = [...(normalized.specialEvents.multipliers || [])];
+    normalized.allianceContribution.multipliers = [...(normalized.allianceContribution.multipliers || [])];
+    return normalized;
+}
+
+/**
+ * Check a rules definition before it's saved
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateScoringRules(rules) {
+    const errors = [];
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isOptionalNumber = value => value === null || value === undefined || isNumber(value);
+
+    if (!KUDOS_USES.includes(rules.kudos?.use)) {
+        errors.push(`Kudos must use one of: ${KUDOS_USES.join(', ')}`);
+    }
+    if (!isNumber(rules.kudos?.maxPoints) || rules.kudos.maxPoints <= 0) {
+        errors.push('Kudos max points must be above 0');
+    }
+    if (!isNumber(rules.kudos?.scale)) {
+        errors.push('Kudos scale must be a number');
+    }
+
+    const vs = rules.vsPerformance || {};
+    ['basePoints', 'topRank', 'topPoints', 'bottomRank', 'bottomPoints'].forEach(field => {
+        if (!isNumber(vs[field])) errors.push(`VS performance ${field} must be a number`);
+    });
+    if (isNumber(vs.topRank) && isNumber(vs.bottomRank) && vs.topRank >= vs.bottomRank) {
+        errors.push('VS performance top ranks must end before bottom ranks start');
+    }
+
+    ['specialEvents', 'allianceContribution'].forEach(component => {
+        const eventRules = rules[component] || {};
+        if (!isNumber(eventRules.participantBonus)) {
+            errors.push(`${component} participant bonus must be a number`);
+        }
+        (eventRules.multipliers || []).forEach(entry => {
+            if (!entry?.match || !isNumber(entry.multiplier) || entry.multiplier < 0) {
+                errors.push(`${component} multipliers need an event name and a multiplier of 0 or more`);
+            }
+        });
+    });
+
+    SCORE_COMPONENTS.forEach(component => {
+        if (!isOptionalNumber(rules[component]?.cap)) {
+            errors.push(`${component} cap must be a number or empty`);
+        }
+    });
+
+    if (!SCORE_COMPONENTS.some(component => rules.weighted?.[component])) {
+        errors.push('At least one component must be weighted');
+    }
+
+    return errors;
+}
+
+/**
+ * Whether an event counts as alliance contribution rather than a special event
+ */
+export function isAllianceEvent(event, rules) {
+    const name = (event?.name || '').toLowerCase();
+    return (rules.allianceEventKeywords || []).some(keyword => keyword && name.includes(keyword.toLowerCase()));
+}
+
+/**
+ * Kudos score from the period's awards
+ * @param {Array<{points: number, date_awarded: string, reason?: string}>} awards
+ */
+export function scoreKudos(awards, rules) {
+    const kudosRules = rules.kudos;
+    if (!awards || awards.length === 0) {
+        return { score: 0, breakdown: { points: 0, hasKudos: false, use: kudosRules.use, awards: [] } };
+    }
+
+    const sorted = [...awards].sort((a, b) => new Date(b.date_awarded) - new Date(a.date_awarded));
+    let points;
+    let counted;
+    if (kudosRules.use === 'total') {
+        points = sorted.reduce((sum, award) => sum + award.points, 0);
+        counted = sorted;
+    } else if (kudosRules.use === 'highest') {
+        counted = [sorted.reduce((best, award) => (award.points > best.points ? award : best))];
+        points = counted[0].points;
+    } else {
+        counted = [sorted[0]];
+        points = counted[0].points;
+    }
+
+    const score = clamp((points / kudosRules.maxPoints) * kudosRules.scale, null, kudosRules.cap);
+
+    return {
+        score,
+        breakdown: {
+            points,
+            hasKudos: true,
+            use: kudosRules.use,
+            dateAwarded: counted[0].date_awarded,
+            // Every award in the period, newest first
+            awards: sorted.map(award => ({
+                dateAwarded: award.date_awarded,
+                points: award.points,
+                reason: award.reason || null,
+                counted: counted.includes(award)
+            }))
+        }
+    };
+}
+
+/**
+ * VS performance score from the player's daily ranks
+ * @param {Array<{ranking: number, date: string, excused?: boolean}>} days
+ */
+export function scoreVSPerformance(days, rules) {
+    const vsRules = rules.vsPerformance;
+    const breakdown = {
+        basePoints: vsRules.basePoints,
+        topRank: vsRules.topRank,
+        topPoints: vsRules.topPoints,
+        bottomRank: vsRules.bottomRank,
+        bottomPoints: vsRules.bottomPoints,
+        topOccurrences: 0,
+        bottomOccurrences: 0,
+        excusedOccurrences: 0,
+        totalDays: days.length,
+        // The days that earned or cost points; excused bottom days are marked
+        topDays: [],
+        bottomDays: []
+    };
+
+    if (days.length === 0) {
+        return { score: 0, breakdown };
+    }
+
+    let points = vsRules.basePoints;
+    for (const day of days) {
+        if (day.ranking <= vsRules.topRank) {
+            points += vsRules.topPoints;
+            breakdown.topOccurrences++;
+            breakdown.topDays.push({ date: day.date, ranking: day.ranking });
+        }
+        if (day.ranking >= vsRules.bottomRank) {
+            const excused = Boolean(day.excused && vsRules.excusedSkipsBottom);
+            if (excused) {
+                breakdown.excusedOccurrences++;
+            } else {
+                points += vsRules.bottomPoints;
+                breakdown.bottomOccurrences++;
+            }
+            breakdown.bottomDays.push({ date: day.date, ranking: day.ranking, excused });
+        }
+    }
+
+    return { score: clamp(points, vsRules.min, vsRules.cap), breakdown };
+}
+
+/**
+ * A saved VS breakdown with the current field names. Reports saved before
+ * the rank thresholds were configurable counted `top10Occurrences` and
+ * `bottom20Occurrences`.
+ * @param {Object|null} breakdown - From `season_rankings.breakdown.vsPerformance`
+ */
+export function normalizeVSBreakdown(breakdown) {
+    if (!breakdown) return null;
+
+    const { top10Occurrences, bottom20Occurrences, ...rest } = breakdown;
+    return {
+        ...rest,
+        topOccurrences: rest.topOccurrences ?? top10Occurrences ?? 0,
+        bottomOccurrences: rest.bottomOccurrences ?? bottom20Occurrences ?? 0
+    };
+}
+
+/**
+ * Special event or alliance contribution score
+ * @param {Array<{eventName: string, rank: number, totalParticipants: number}>} entries
+ * @param {string} component - 'specialEvents' or 'allianceContribution'
+ */
+export function scoreEvents(entries, rules, component = 'specialEvents') {
+    const eventRules = rules[component];
+    const events = entries.map(entry => {
+        const name = (entry.eventName || '').toLowerCase();
+        const match = (eventRules.multipliers || []).find(rule => name.includes(rule.match.toLowerCase()));
+        const multiplier = match ? match.multiplier : 1;
+        const points = clamp(
+            Math.max(eventRules.minPerEvent ?? 0, entry.totalParticipants + eventRules.participantBonus - entry.rank) * multiplier,
+            null,
+            eventRules.capPerEvent
+        );
+
+        return { ...entry, multiplier, points };
+    });
+
+    const total = events.reduce((sum, event) => sum + event.points, 0);
+    return { score: round2(clamp(total, null, eventRules.cap)), breakdown: { events } };
+}
+
+/**
+ * Combine component scores into the season total
+ * @param {Object} scores - { kudos, vsPerformance, specialEvents, allianceContribution }
+ * @param {Object} weights - Weight % per weighted component
+ */
+export function combineScores(scores, weights, rules) {
+    return SCORE_COMPONENTS.reduce((total, component) => {
+        const score = scores[component] || 0;
+        return total + (rules.weighted[component] ? score * (weights[component] || 0) / 100 : score);
+    }, 0);
+}
+
+/**
+ * Sum of the weights that apply under these rules (should be 100)
+ */
+export function weightedTotal(weights, rules) {
+    return SCORE_COMPONENTS
+        .filter(component => rules.weighted[component])
+        .reduce((total, component) => total + (weights[component] || 0), 0);
+}
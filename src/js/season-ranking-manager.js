@@ -1,15 +1,108 @@
 import { supabase } from './supabase-client.js';
+import { auditLog } from './audit-log-service.js';
+import {
+    DEFAULT_SCORING_RULES,
+    normalizeScoringRules,
+    validateScoringRules,
+    isAllianceEvent,
+    scoreKudos,
+    scoreVSPerformance,
+    scoreEvents,
+    normalizeVSBreakdown,
+    combineScores
+} from './scoring-rules.js';
+
+// Supabase returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+// Load rankings, events, event rankings, kudos and excusals, then calculate
+const SEASON_STEPS = 6;
+
+/**
+ * Fetch every row of a query, a page at a time
+ * @param {Function} buildQuery - Returns a fresh query (ordered, so pages don't overlap)
+ */
+async function fetchAllRows(buildQuery) {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+        if (error) {
+            console.error('Error loading season data:', error);
+            throw error;
+        }
+
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) {
+            return rows;
+        }
+    }
+}
+
+// Who a season ranks unless its own eligibility rules say otherwise
+export const DEFAULT_SEASON_ELIGIBILITY = {
+    excludeRemoved: true,
+    excludeLeaders: true,
+    minDays: 0      // Days ranked in the season needed to be included
+};
+
+export const SEASON_STATUSES = ['draft', 'active', 'finalized'];
+
+// Individual category ranks and the score each is ranked by
+const CATEGORY_RANKS = {
+    kudosRank: 'rawKudosScore',
+    vsRank: 'rawVSScore',
+    specialEventsRank: 'rawSpecialEventsScore',
+    allianceRank: 'rawAllianceScore'
+};
+
+function assignCategoryRanks(rankings) {
+    for (const [rankField, scoreField] of Object.entries(CATEGORY_RANKS)) {
+        [...rankings]
+            .sort((a, b) => b[scoreField] - a[scoreField])
+            .forEach((ranking, index) => {
+                ranking[rankField] = index + 1;
+            });
+    }
+}
 
 export class SeasonRankingManager {
     constructor(rankingManager, leaderVIPManager) {
         this.rankingManager = rankingManager;
         this.leaderVIPManager = leaderVIPManager;
+        // Viewers can read but not write until an officer signs in
+        this.readOnly = true;
+        // Version 1 until the saved versions are loaded
+        this.scoringRules = { version: 1, name: 'Original rules', rules: normalizeScoringRules(DEFAULT_SCORING_RULES) };
+        this.scoringRulesVersions = [this.scoringRules];
+        // Seasons, newest first, and the one the app defaults to
+        this.seasons = [];
+        this.currentSeason = null;
+    }
+
+    /**
+     * Allow or block writes. Anonymous viewers are read-only; the database
+     * enforces the same through row level security.
+     * @param {boolean} readOnly
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = Boolean(readOnly);
+    }
+
+    ensureWritable(action) {
+        if (this.readOnly) {
+            throw new Error(`Sign in as an officer to ${action}`);
+        }
     }
 
     // Kudos Points Management
     async awardKudos(playerName, points, reason, awardedBy) {
+        this.ensureWritable('award kudos');
+
         try {
             const today = new Date().toISOString().split('T')[0];
+            const previous = await this.getKudosForPlayerAndDate(playerName, today);
             
             // Use upsert to update existing kudos or insert new one
             const { data, error } = await supabase
@@ -33,6 +126,7 @@ export class SeasonRankingManager {
                 throw error;
             }
 
+            await auditLog.record(previous.length > 0 ? 'update' : 'create', 'kudos', `${playerName} ${today}`, previous[0] || null, data[0]);
             return data[0];
         } catch (error) {
             console.error('Error in awardKudos:', error);
@@ -82,17 +176,27 @@ export class SeasonRankingManager {
     }
 
     async deleteKudos(kudosId) {
+        this.ensureWritable('delete kudos');
+
         try {
-            const { error } = await supabase
+            const { data, error } = await supabase
                 .from('kudos_points')
                 .delete()
-                .eq('id', kudosId);
+                .eq('id', kudosId)
+                .select();
 
             if (error) {
                 console.error('Error deleting kudos:', error);
                 throw error;
             }
 
+            // RLS filters a refused delete down to no rows rather than failing
+            const deleted = data && data[0];
+            if (!deleted) {
+                throw new Error('Kudos not deleted: not found or not allowed');
+            }
+
+            await auditLog.record('delete', 'kudos', `${deleted.player_name} ${deleted.date_awarded}`, deleted, null);
             return true;
         } catch (error) {
             console.error('Error in deleteKudos:', error);
@@ -122,14 +226,14 @@ export class SeasonRankingManager {
     }
 
     // Player Eligibility Checking
-    isPlayerEligibleForSeasonRanking(playerName) {
+    isPlayerEligibleForSeasonRanking(playerName, eligibility = DEFAULT_SEASON_ELIGIBILITY) {
         // Check if player is removed
-        if (this.rankingManager.isPlayerRemoved && this.rankingManager.isPlayerRemoved(playerName)) {
+        if (eligibility.excludeRemoved !== false && this.rankingManager.isPlayerRemoved && this.rankingManager.isPlayerRemoved(playerName)) {
             return false;
         }
         
         // Check if player is currently an active alliance leader
-        if (this.leaderVIPManager.isAllianceLeader && this.leaderVIPManager.isAllianceLeader(playerName)) {
+        if (eligibility.excludeLeaders !== false && this.leaderVIPManager.isAllianceLeader && this.leaderVIPManager.isAllianceLeader(playerName)) {
             return false;
         }
         
@@ -138,20 +242,16 @@ export class SeasonRankingManager {
 
     async getAllPlayersInPeriod(startDate, endDate) {
         try {
-            const { data, error } = await supabase
+            // A season has more ranking rows than one request returns
+            const data = await fetchAllRows(() => supabase
                 .from('rankings')
-                .select('commander')
+                .select('id, commander')
                 .gte('date', startDate)
                 .lte('date', endDate)
-                .order('commander');
-
-            if (error) {
-                console.error('Error fetching players in period:', error);
-                throw error;
-            }
+                .order('id'));
 
             // Get unique player names
-            const uniquePlayers = [...new Set(data.map(item => item.commander))];
+            const uniquePlayers = [...new Set(data.map(item => item.commander))].sort();
             return uniquePlayers;
         } catch (error) {
             console.error('Error in getAllPlayersInPeriod:', error);
@@ -172,390 +272,517 @@ export class SeasonRankingManager {
         }
     }
 
-    // Scoring Calculations
-    async calculateKudosScore(playerName, startDate, endDate) {
+    // Seasons
+    /**
+     * Load every season and pick the current one
+     * @returns {Promise<Array>} Seasons, newest first
+     */
+    async loadSeasons() {
         try {
-            const kudosData = await this.getKudosForPlayer(playerName, startDate, endDate);
-            
-            if (kudosData.length === 0) {
-                return { score: 0, breakdown: { points: 0, hasKudos: false } };
+            const { data, error } = await supabase
+                .from('seasons')
+                .select('*')
+                .order('start_date', { ascending: false });
+
+            if (error) {
+                console.error('Error loading seasons:', error);
+                return this.seasons;
             }
 
-            // Use the most recent kudos points (unique value per player)
-            const mostRecentKudos = kudosData.sort((a, b) => new Date(b.date_awarded) - new Date(a.date_awarded))[0];
-            
-            // Convert to percentage (0-100) from 1-10 scale
-            const score = (mostRecentKudos.points / 10) * 100;
-            
-            return {
-                score,
-                breakdown: {
-                    points: mostRecentKudos.points,
-                    hasKudos: true,
-                    dateAwarded: mostRecentKudos.date_awarded
-                }
-            };
+            this.seasons = (data || []).map(season => ({
+                ...season,
+                eligibility: { ...DEFAULT_SEASON_ELIGIBILITY, ...(season.eligibility || {}) }
+            }));
+            this.currentSeason = this.findCurrentSeason(this.seasons);
+            return this.seasons;
         } catch (error) {
-            console.error('Error calculating kudos score:', error);
-            return { score: 0, breakdown: { points: 0, hasKudos: false } };
+            console.error('Error in loadSeasons:', error);
+            return this.seasons;
         }
     }
 
-    async calculateVSPerformanceScore(playerName, startDate, endDate) {
-        try {
-            // Get player's rankings for the period
-            const { data: playerData, error: playerError } = await supabase
-                .from('rankings')
-                .select('*')
-                .eq('commander', playerName)
-                .gte('date', startDate)
-                .lte('date', endDate)
-                .order('date');
-
-            if (playerError) {
-                console.error('Error fetching VS performance data:', playerError);
-                throw playerError;
-            }
+    /**
+     * The season the app defaults to: the active one, else the season that
+     * includes today, else the most recent
+     * @param {Array} seasons - Newest first
+     * @param {string} today - YYYY-MM-DD
+     */
+    findCurrentSeason(seasons, today = new Date().toISOString().slice(0, 10)) {
+        return seasons.find(season => season.status === 'active')
+            || seasons.find(season => season.start_date <= today && today <= season.end_date)
+            || seasons[0]
+            || null;
+    }
 
-            if (playerData.length === 0) {
-                return { score: 0, breakdown: { basePoints: 50, top10Occurrences: 0, bottom20Occurrences: 0, totalDays: 0 } };
-            }
+    getSeason(seasonId) {
+        return this.seasons.find(season => season.id === seasonId) || null;
+    }
 
-            // New VS Points logic: 50 base points + 2 points per top 10 - 1 point per bottom 20
-            let vsPoints = 50; // Base points for everyone
-            let top10Occurrences = 0;
-            let bottom20Occurrences = 0;
-            
-            for (const ranking of playerData) {
-                if (ranking.ranking <= 10) {
-                    vsPoints += 2; // +2 points for each top 10 occurrence
-                    top10Occurrences++;
-                }
-                if (ranking.ranking >= 21) { // Assuming bottom 20 means ranks 21+
-                    // Check if player was excused on this date
-                    const isExcused = await this.isPlayerExcused(playerName, ranking.date);
-                    if (!isExcused) {
-                        vsPoints -= 1; // -1 point for each bottom 20 occurrence (only if not excused)
-                        bottom20Occurrences++;
-                    }
-                }
-            }
+    findSeason(seasonName, startDate, endDate) {
+        return this.seasons.find(season => season.name === seasonName && season.start_date === startDate && season.end_date === endDate) || null;
+    }
 
-            const finalScore = Math.max(0, vsPoints); // Ensure non-negative score
-            
-            return {
-                score: finalScore,
-                breakdown: {
-                    basePoints: 50,
-                    top10Occurrences,
-                    bottom20Occurrences,
-                    totalDays: playerData.length
-                }
-            };
-        } catch (error) {
-            console.error('Error calculating VS performance score:', error);
-            return { score: 0, breakdown: { basePoints: 50, top10Occurrences: 0, bottom20Occurrences: 0, totalDays: 0 } };
+    /**
+     * @throws {Error} If the season's report is final
+     */
+    ensureSeasonEditable(seasonName, startDate, endDate) {
+        const season = this.findSeason(seasonName, startDate, endDate);
+        if (season?.status === 'finalized') {
+            throw new Error(`Season "${seasonName}" is finalized; its report can't be changed`);
         }
     }
 
-    async calculateSpecialEventsScore(playerName, startDate, endDate) {
-        try {
-            // First, get all special events in the date range with their weights
-            const { data: specialEvents, error: eventsError } = await supabase
-                .from('special_events')
-                .select('*')
-                .gte('start_date', startDate)
-                .lte('end_date', endDate);
+    /**
+     * Create a season or update a draft/active one
+     * @param {Object} season - { id?, name, startDate, endDate, weights, eligibility }
+     * @returns {Promise<Object>} The saved season
+     */
+    async saveSeason({ id = null, name, startDate, endDate, weights, eligibility = DEFAULT_SEASON_ELIGIBILITY }) {
+        this.ensureWritable('save seasons');
+
+        const existing = id ? this.getSeason(id) : this.findSeason(name, startDate, endDate);
+        if (existing?.status === 'finalized') {
+            throw new Error(`Season "${existing.name}" is finalized and can't be changed`);
+        }
+        if (!name || !startDate || !endDate || startDate >= endDate) {
+            throw new Error('A season needs a name and an end date after its start date');
+        }
 
-            if (eventsError) {
-                console.error('Error fetching special events:', eventsError);
-                return { score: 0, breakdown: { events: [] } };
-            }
+        const values = { name, start_date: startDate, end_date: endDate, weights, eligibility };
+        const query = existing
+            ? supabase.from('seasons').update(values).eq('id', existing.id)
+            : supabase.from('seasons').insert([{ ...values, created_by: auditLog.actor }]);
+        const { data, error } = await query.select();
 
-            if (specialEvents.length === 0) {
-                return { score: 0, breakdown: { events: [] } };
-            }
+        if (error) {
+            console.error('Error saving season:', error);
+            throw error;
+        }
 
-            // Filter out alliance contribution events
-            const nonAllianceEvents = specialEvents.filter(event => 
-                !event.name.toLowerCase().includes('alliance') &&
-                !event.name.toLowerCase().includes('contribution')
-            );
+        // RLS filters a refused update down to no rows rather than failing
+        const saved = data?.[0];
+        if (!saved) {
+            throw new Error(`Season "${name}" not saved: not found or not allowed`);
+        }
 
-            if (nonAllianceEvents.length === 0) {
-                return { score: 0, breakdown: { events: [] } };
-            }
+        await auditLog.record(existing ? 'update' : 'create', 'season', name, existing || null, saved);
+        await this.loadSeasons();
+        return this.getSeason(saved?.id) || saved;
+    }
 
-            // Get player's rankings in these special events
-            const eventKeys = nonAllianceEvents.map(event => event.key);
-            const { data: rankings, error: rankingsError } = await supabase
-                .from('rankings')
-                .select('*')
-                .eq('commander', playerName)
-                .in('day', eventKeys);
+    /**
+     * Make a season the current one (the previous current season goes back to draft)
+     */
+    async setActiveSeason(seasonId) {
+        this.ensureWritable('change the current season');
 
-            if (rankingsError) {
-                console.error('Error fetching special event rankings:', rankingsError);
-                return { score: 0, breakdown: { events: [] } };
-            }
+        const season = this.getSeason(seasonId);
+        if (!season) {
+            throw new Error('Season not found');
+        }
+        if (season.status === 'finalized') {
+            throw new Error(`Season "${season.name}" is finalized and can't be made current`);
+        }
 
-            if (rankings.length === 0) {
-                return { score: 0, breakdown: { events: [] } };
+        // Only one season can be active, so step the old one down first
+        const previous = this.seasons.find(entry => entry.status === 'active' && entry.id !== seasonId);
+        if (previous) {
+            const { error } = await supabase.from('seasons').update({ status: 'draft' }).eq('id', previous.id);
+            if (error) {
+                console.error('Error updating the previous current season:', error);
+                throw error;
             }
+        }
 
-            // New Special Events Points logic: (total participants + 10) - actual rank
-            let totalSpecialEventsPoints = 0;
-            const eventBreakdown = [];
+        const { data, error } = await supabase.from('seasons').update({ status: 'active' }).eq('id', seasonId).select('id');
+        if (error) {
+            console.error('Error setting the current season:', error);
+            throw error;
+        }
+        if (!data || data.length === 0) {
+            throw new Error(`Season "${season.name}" not made current: not found or not allowed`);
+        }
 
-            for (const ranking of rankings) {
-                // Find the corresponding event to get its weight
-                const event = nonAllianceEvents.find(e => e.key === ranking.day);
-                if (!event) continue;
+        await auditLog.record('update', 'season', season.name, { status: season.status }, { status: 'active' });
+        await this.loadSeasons();
+    }
 
-                // Get total participants for this event (we'll need to count from rankings)
-                const { data: eventRankings, error: eventRankingsError } = await supabase
-                    .from('rankings')
-                    .select('commander')
-                    .eq('day', event.key);
+    /**
+     * Lock a season's saved report as final. The season and its report can't
+     * be changed afterwards.
+     */
+    async finalizeSeason(seasonId) {
+        this.ensureWritable('finalize seasons');
 
-                if (eventRankingsError) {
-                    console.error('Error fetching event participants:', eventRankingsError);
-                    continue;
-                }
+        const season = this.getSeason(seasonId);
+        if (!season) {
+            throw new Error('Season not found');
+        }
 
-                const totalParticipants = eventRankings.length;
-                const eventPoints = (totalParticipants + 10) - ranking.ranking;
-                const finalEventPoints = Math.max(0, eventPoints); // Ensure non-negative
-                
-                totalSpecialEventsPoints += finalEventPoints;
-                
-                eventBreakdown.push({
-                    eventName: event.name,
-                    rank: ranking.ranking,
-                    totalParticipants,
-                    points: finalEventPoints
-                });
-            }
+        const rows = await this.getSeasonRankings(season.name, season.start_date, season.end_date);
+        if (rows.length === 0) {
+            throw new Error(`Generate a report for "${season.name}" before finalizing it`);
+        }
 
-            const finalScore = Math.round(totalSpecialEventsPoints * 100) / 100;
-            
-            return {
-                score: finalScore,
-                breakdown: { events: eventBreakdown }
-            };
-        } catch (error) {
-            console.error('Error calculating special events score:', error);
-            return { score: 0, breakdown: { events: [] } };
+        const { data, error } = await supabase
+            .from('seasons')
+            .update({
+                status: 'finalized',
+                finalized_by: auditLog.actor,
+                scoring_rules_version: rows[0].scoring_rules_version ?? null
+            })
+            .eq('id', seasonId)
+            .select('id');
+
+        if (error) {
+            console.error('Error finalizing season:', error);
+            throw error;
+        }
+        if (!data || data.length === 0) {
+            throw new Error(`Season "${season.name}" not finalized: not found or not allowed`);
         }
+
+        await auditLog.record('finalize', 'season', season.name, { status: season.status }, { status: 'finalized', players: rows.length });
+        await this.loadSeasons();
     }
 
-    async calculateAllianceContributionScore(playerName, startDate, endDate) {
+    // Scoring Rules
+    /**
+     * Load every saved rules version; the highest version is current
+     * @returns {Promise<Array>} Versions, newest first
+     */
+    async loadScoringRules() {
         try {
-            // First, get all special events in the date range with their weights
-            const { data: specialEvents, error: eventsError } = await supabase
-                .from('special_events')
+            const { data, error } = await supabase
+                .from('scoring_rules')
                 .select('*')
-                .gte('start_date', startDate)
-                .lte('end_date', endDate);
+                .order('version', { ascending: false });
 
-            if (eventsError) {
-                console.error('Error fetching special events:', eventsError);
-                return { score: 0, breakdown: { events: [] } };
+            if (error) {
+                console.error('Error loading scoring rules:', error);
+                return this.scoringRulesVersions;
             }
 
-            if (specialEvents.length === 0) {
-                return { score: 0, breakdown: { events: [] } };
+            if (data && data.length > 0) {
+                this.scoringRulesVersions = data.map(row => ({ ...row, rules: normalizeScoringRules(row.rules) }));
+                this.scoringRules = this.scoringRulesVersions[0];
             }
+            return this.scoringRulesVersions;
+        } catch (error) {
+            console.error('Error in loadScoringRules:', error);
+            return this.scoringRulesVersions;
+        }
+    }
 
-            // Filter for alliance contribution events only
-            const allianceEvents = specialEvents.filter(event => 
-                event.name.toLowerCase().includes('alliance') ||
-                event.name.toLowerCase().includes('contribution')
-            );
-
-            if (allianceEvents.length === 0) {
-                return { score: 0, breakdown: { events: [] } };
-            }
+    /**
+     * A rules version by number (the current one if omitted)
+     */
+    getScoringRules(version = null) {
+        if (version === null || version === undefined) {
+            return this.scoringRules;
+        }
+        return this.scoringRulesVersions.find(entry => entry.version === version) || null;
+    }
 
-            // Get player's rankings in these alliance contribution events
-            const eventKeys = allianceEvents.map(event => event.key);
-            const { data: rankings, error: rankingsError } = await supabase
-                .from('rankings')
-                .select('*')
-                .eq('commander', playerName)
-                .in('day', eventKeys);
+    /**
+     * Save a new rules version and make it current
+     * @param {string} name - Label for the version
+     * @param {Object} rules - Rules definition (see scoring-rules.js)
+     * @returns {Promise<Object>} The saved version
+     */
+    async saveScoringRules(name, rules) {
+        this.ensureWritable('change the scoring rules');
+
+        const errors = validateScoringRules(rules);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
 
-            if (rankingsError) {
-                console.error('Error fetching alliance contribution rankings:', rankingsError);
-                return { score: 0, breakdown: { events: [] } };
-            }
+        await this.loadScoringRules();
+        const version = Math.max(0, ...this.scoringRulesVersions.map(entry => entry.version)) + 1;
 
-            if (rankings.length === 0) {
-                return { score: 0, breakdown: { events: [] } };
-            }
+        const { data, error } = await supabase
+            .from('scoring_rules')
+            .insert([{ version, name: name || `Version ${version}`, rules, created_by: auditLog.actor }])
+            .select();
 
-            // New Alliance Contribution Points logic: (total participants + 10) - actual rank (same as special events)
-            let totalAlliancePoints = 0;
-            const eventBreakdown = [];
+        if (error) {
+            console.error('Error saving scoring rules:', error);
+            throw error;
+        }
 
-            for (const ranking of rankings) {
-                // Find the corresponding event to get its weight
-                const event = allianceEvents.find(e => e.key === ranking.day);
-                if (!event) continue;
+        await auditLog.record('create', 'scoring_rules', `v${version}`, this.scoringRules.rules, rules);
+        await this.loadScoringRules();
+        return data?.[0] || this.getScoringRules(version);
+    }
 
-                // Get total participants for this event (we'll need to count from rankings)
-                const { data: eventRankings, error: eventRankingsError } = await supabase
-                    .from('rankings')
-                    .select('commander')
-                    .eq('day', event.key);
+    // Scoring Calculations
+    /**
+     * Load everything a season's scores depend on, once
+     * @param {Function} onProgress - Optional; called with { stage, done, total } after each step
+     * @returns {Promise<Object>} { rankings, events, eventRankings, kudos, excusals }
+     */
+    async loadSeasonData(startDate, endDate, onProgress = () => {}) {
+        const total = SEASON_STEPS;
+        const data = {};
+
+        onProgress({ stage: 'Loading daily rankings', done: 0, total });
+        data.rankings = await fetchAllRows(() => supabase
+            .from('rankings')
+            .select('id, commander, ranking, date')
+            .gte('date', startDate)
+            .lte('date', endDate)
+            .order('id'));
+
+        onProgress({ stage: 'Loading special events', done: 1, total });
+        data.events = await fetchAllRows(() => supabase
+            .from('special_events')
+            .select('id, name')
+            .gte('start_date', startDate)
+            .lte('end_date', endDate)
+            .order('id'));
+
+        onProgress({ stage: 'Loading event rankings', done: 2, total });
+        data.eventRankings = data.events.length === 0 ? [] : await fetchAllRows(() => supabase
+            .from('rankings')
+            .select('id, event_id, commander, ranking')
+            .in('event_id', data.events.map(event => event.id))
+            .order('id'));
+
+        onProgress({ stage: 'Loading kudos', done: 3, total });
+        data.kudos = await fetchAllRows(() => supabase
+            .from('kudos_points')
+            .select('id, player_name, points, date_awarded, reason')
+            .gte('date_awarded', startDate)
+            .lte('date_awarded', endDate)
+            .order('id'));
+
+        // An excusal covers every day from its date on (see isPlayerExcused)
+        onProgress({ stage: 'Loading excused players', done: 4, total });
+        data.excusals = await fetchAllRows(() => supabase
+            .from('excused_players')
+            .select('id, player_name, date_excused')
+            .lte('date_excused', endDate)
+            .order('id'));
+
+        return data;
+    }
 
-                if (eventRankingsError) {
-                    console.error('Error fetching event participants:', eventRankingsError);
-                    continue;
-                }
+    /**
+     * Score every eligible player from data loaded by loadSeasonData(),
+     * without touching the database
+     * @param {Object} data - From loadSeasonData()
+     * @param {Object} weights - Weight % per component
+     * @param {Object} scoringRules - A rules version from getScoringRules()
+     * @param {Object} eligibility - The season's eligibility rules
+     * @returns {Array} Rankings, best first
+     */
+    computeSeasonRankings(data, weights, scoringRules = this.scoringRules, eligibility = DEFAULT_SEASON_ELIGIBILITY) {
+        const { rules } = scoringRules;
+        const groupBy = (rows, key) => {
+            const groups = new Map();
+            for (const row of rows) {
+                if (!groups.has(row[key])) groups.set(row[key], []);
+                groups.get(row[key]).push(row);
+            }
+            return groups;
+        };
+
+        const daysByPlayer = groupBy(data.rankings, 'commander');
+        const kudosByPlayer = groupBy(data.kudos, 'player_name');
+        const eventRankingsByPlayer = groupBy(data.eventRankings, 'commander');
+        const participantsByEvent = new Map([...groupBy(data.eventRankings, 'event_id')].map(([id, rows]) => [id, rows.length]));
+        const eventsById = new Map(data.events.map(event => [event.id, event]));
+
+        // Only the earliest excusal matters
+        const excusedFrom = new Map();
+        for (const excusal of data.excusals) {
+            const current = excusedFrom.get(excusal.player_name);
+            if (!current || excusal.date_excused < current) {
+                excusedFrom.set(excusal.player_name, excusal.date_excused);
+            }
+        }
 
-                const totalParticipants = eventRankings.length;
-                const eventPoints = (totalParticipants + 10) - ranking.ranking;
-                const finalEventPoints = Math.max(0, eventPoints); // Ensure non-negative
-                
-                totalAlliancePoints += finalEventPoints;
-                
-                eventBreakdown.push({
+        const players = [...daysByPlayer.keys()]
+            .sort()
+            .filter(playerName => this.isPlayerEligibleForSeasonRanking(playerName, eligibility))
+            .filter(playerName => daysByPlayer.get(playerName).length >= (eligibility.minDays || 0));
+
+        const rankings = players.map(playerName => {
+            const firstExcused = excusedFrom.get(playerName);
+            const days = daysByPlayer.get(playerName)
+                .map(row => ({
+                    ranking: row.ranking,
+                    date: row.date,
+                    excused: Boolean(firstExcused && firstExcused <= row.date)
+                }))
+                .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+            // Split the player's event ranks into special events and alliance contribution
+            const eventEntries = { specialEvents: [], allianceContribution: [] };
+            for (const row of eventRankingsByPlayer.get(playerName) || []) {
+                const event = eventsById.get(row.event_id);
+                if (!event) continue;
+                const component = isAllianceEvent(event, rules) ? 'allianceContribution' : 'specialEvents';
+                eventEntries[component].push({
                     eventName: event.name,
-                    rank: ranking.ranking,
-                    totalParticipants,
-                    points: finalEventPoints
+                    rank: row.ranking,
+                    totalParticipants: participantsByEvent.get(row.event_id)
                 });
             }
 
-            const finalScore = Math.round(totalAlliancePoints * 100) / 100;
-            
+            const kudosResult = scoreKudos(kudosByPlayer.get(playerName) || [], rules);
+            const vsResult = scoreVSPerformance(days, rules);
+            const specialEventsResult = scoreEvents(eventEntries.specialEvents, rules, 'specialEvents');
+            const allianceResult = scoreEvents(eventEntries.allianceContribution, rules, 'allianceContribution');
+
+            // The rules say which components are weighted and which are added as is
+            const totalScore = combineScores({
+                kudos: kudosResult.score,
+                vsPerformance: vsResult.score,
+                specialEvents: specialEventsResult.score,
+                allianceContribution: allianceResult.score
+            }, weights, rules);
+
             return {
-                score: finalScore,
-                breakdown: { events: eventBreakdown }
+                playerName,
+                kudosScore: Math.round(kudosResult.score * 100) / 100,
+                vsPerformanceScore: Math.round(vsResult.score * 100) / 100,
+                specialEventsScore: Math.round(specialEventsResult.score * 100) / 100,
+                allianceContributionScore: Math.round(allianceResult.score * 100) / 100,
+                totalWeightedScore: Math.round(totalScore * 100) / 100,
+                // Store raw scores for ranking calculation
+                rawKudosScore: kudosResult.score,
+                rawVSScore: vsResult.score,
+                rawSpecialEventsScore: specialEventsResult.score,
+                rawAllianceScore: allianceResult.score,
+                // Store detailed breakdowns
+                kudosBreakdown: kudosResult.breakdown,
+                vsBreakdown: vsResult.breakdown,
+                specialEventsBreakdown: specialEventsResult.breakdown,
+                allianceBreakdown: allianceResult.breakdown,
+                scoringRulesVersion: scoringRules.version
             };
-        } catch (error) {
-            console.error('Error calculating alliance contribution score:', error);
-            return { score: 0, breakdown: { events: [] } };
-        }
-    }
+        });
 
-    // Season Ranking Generation
-    async generateSeasonRankings(seasonName, startDate, endDate, weights) {
-        try {
-            console.log('=== SEASON RANKING MANAGER: generateSeasonRankings called ===');
-            console.log('Parameters:', { seasonName, startDate, endDate, weights });
-            
-            const eligiblePlayers = await this.getEligiblePlayersInPeriod(startDate, endDate);
-            console.log('Eligible players found:', eligiblePlayers.length);
-            console.log('Eligible players:', eligiblePlayers);
-            
-            const rankings = [];
-
-            for (const playerName of eligiblePlayers) {
-                const kudosResult = await this.calculateKudosScore(playerName, startDate, endDate);
-                const vsResult = await this.calculateVSPerformanceScore(playerName, startDate, endDate);
-                const specialEventsResult = await this.calculateSpecialEventsScore(playerName, startDate, endDate);
-                const allianceResult = await this.calculateAllianceContributionScore(playerName, startDate, endDate);
-
-                // Extract scores from the new return format
-                const kudosScore = kudosResult.score;
-                const vsScore = vsResult.score;
-                const specialEventsScore = specialEventsResult.score;
-                const allianceScore = allianceResult.score;
-
-                // Calculate weighted total score (excluding alliance contribution from weights)
-                const totalScore = 
-                    (kudosScore * weights.kudos / 100) +
-                    (vsScore * weights.vsPerformance / 100) +
-                    (specialEventsScore * weights.specialEvents / 100) +
-                    allianceScore; // Alliance contribution is added directly, not weighted
-
-                rankings.push({
-                    playerName,
-                    kudosScore: Math.round(kudosScore * 100) / 100,
-                    vsPerformanceScore: Math.round(vsScore * 100) / 100,
-                    specialEventsScore: Math.round(specialEventsScore * 100) / 100,
-                    allianceContributionScore: Math.round(allianceScore * 100) / 100,
-                    totalWeightedScore: Math.round(totalScore * 100) / 100,
-                    // Store raw scores for ranking calculation
-                    rawKudosScore: kudosScore,
-                    rawVSScore: vsScore,
-                    rawSpecialEventsScore: specialEventsScore,
-                    rawAllianceScore: allianceScore,
-                    // Store detailed breakdowns
-                    kudosBreakdown: kudosResult.breakdown,
-                    vsBreakdown: vsResult.breakdown,
-                    specialEventsBreakdown: specialEventsResult.breakdown,
-                    allianceBreakdown: allianceResult.breakdown
-                });
-            }
+        // Sort by total score (descending) and add final ranks
+        rankings.sort((a, b) => b.totalWeightedScore - a.totalWeightedScore);
+        rankings.forEach((ranking, index) => {
+            ranking.finalRank = index + 1;
+        });
 
-            // Sort by total score (descending)
-            rankings.sort((a, b) => b.totalWeightedScore - a.totalWeightedScore);
+        assignCategoryRanks(rankings);
+        return rankings;
+    }
 
-            // Add final ranks
-            rankings.forEach((ranking, index) => {
-                ranking.finalRank = index + 1;
-            });
+    /**
+     * Rankings with hypothetical kudos awards and excusals added, for the
+     * what-if simulator. Nothing is written to the database.
+     * @param {Object} data - From loadSeasonData()
+     * @param {Object} hypotheticals - { kudos: [{ player_name, points, date_awarded }], excusals: [{ player_name, date_excused }] }
+     * @returns {Array} Rankings, best first
+     */
+    simulateSeasonRankings(data, weights, hypotheticals = {}, scoringRules = this.scoringRules, eligibility = DEFAULT_SEASON_ELIGIBILITY) {
+        return this.computeSeasonRankings({
+            ...data,
+            kudos: [...data.kudos, ...(hypotheticals.kudos || [])],
+            excusals: [...data.excusals, ...(hypotheticals.excusals || [])]
+        }, weights, scoringRules, eligibility);
+    }
 
-            // Calculate individual category ranks
-            // Kudos ranks
-            const kudosSorted = [...rankings].sort((a, b) => b.rawKudosScore - a.rawKudosScore);
-            kudosSorted.forEach((ranking, index) => {
-                const originalIndex = rankings.findIndex(r => r.playerName === ranking.playerName);
-                rankings[originalIndex].kudosRank = index + 1;
-            });
+    /**
+     * Compare rankings with a saved report
+     * @param {Array} savedRows - season_rankings rows from getSeasonRankings()
+     * @param {Array} rankings - From computeSeasonRankings()
+     * @returns {Array} { playerName, savedRank, rank, rankChange, savedScore, score, scoreChange } per
+     *   player, by rank; rankChange is positive for a move up and null when the player is
+     *   missing from either side. Players only in the saved report come last.
+     */
+    diffSeasonRankings(savedRows, rankings) {
+        const saved = new Map(savedRows.map(row => [row.player_name, row]));
+        const round2 = value => Math.round(value * 100) / 100;
+
+        const diff = rankings.map(ranking => {
+            const savedRow = saved.get(ranking.playerName);
+            const savedRank = savedRow?.final_rank ?? null;
+            const savedScore = savedRow ? Number(savedRow.total_weighted_score) : null;
 
-            // VS Performance ranks
-            const vsSorted = [...rankings].sort((a, b) => b.rawVSScore - a.rawVSScore);
-            vsSorted.forEach((ranking, index) => {
-                const originalIndex = rankings.findIndex(r => r.playerName === ranking.playerName);
-                rankings[originalIndex].vsRank = index + 1;
-            });
+            return {
+                playerName: ranking.playerName,
+                savedRank,
+                rank: ranking.finalRank,
+                rankChange: savedRank === null ? null : savedRank - ranking.finalRank,
+                savedScore,
+                score: ranking.totalWeightedScore,
+                scoreChange: savedScore === null ? null : round2(ranking.totalWeightedScore - savedScore)
+            };
+        });
+
+        const ranked = new Set(rankings.map(ranking => ranking.playerName));
+        savedRows
+            .filter(row => !ranked.has(row.player_name))
+            .forEach(row => diff.push({
+                playerName: row.player_name,
+                savedRank: row.final_rank,
+                rank: null,
+                rankChange: null,
+                savedScore: Number(row.total_weighted_score),
+                score: null,
+                scoreChange: null
+            }));
 
-            // Special Events ranks
-            const specialEventsSorted = [...rankings].sort((a, b) => b.rawSpecialEventsScore - a.rawSpecialEventsScore);
-            specialEventsSorted.forEach((ranking, index) => {
-                const originalIndex = rankings.findIndex(r => r.playerName === ranking.playerName);
-                rankings[originalIndex].specialEventsRank = index + 1;
-            });
+        return diff;
+    }
 
-            // Alliance Contribution ranks
-            const allianceSorted = [...rankings].sort((a, b) => b.rawAllianceScore - a.rawAllianceScore);
-            allianceSorted.forEach((ranking, index) => {
-                const originalIndex = rankings.findIndex(r => r.playerName === ranking.playerName);
-                rankings[originalIndex].allianceRank = index + 1;
-            });
+    /**
+     * Score every eligible player for a season
+     * @param {Object} weights - Weight % per component ({ kudos, vsPerformance, specialEvents, allianceContribution })
+     * @param {Object} options
+     * @param {Object} options.scoringRules - A rules version from getScoringRules(); the current one by default
+     * @param {Object} options.eligibility - The season's eligibility rules
+     * @param {Function} options.onProgress - Called with { stage, done, total } as the report is built
+     * @returns {Promise<Array>} Rankings, best first, each tagged with the rules version used
+     */
+    async generateSeasonRankings(seasonName, startDate, endDate, weights, {
+        scoringRules = this.scoringRules,
+        eligibility = DEFAULT_SEASON_ELIGIBILITY,
+        onProgress = () => {}
+    } = {}) {
+        try {
+            const data = await this.loadSeasonData(startDate, endDate, onProgress);
+
+            onProgress({ stage: 'Calculating scores', done: SEASON_STEPS - 1, total: SEASON_STEPS });
+            const rankings = this.computeSeasonRankings(data, weights, scoringRules, eligibility);
+            onProgress({ stage: 'Done', done: SEASON_STEPS, total: SEASON_STEPS });
 
-            console.log('=== SEASON RANKING MANAGER: generateSeasonRankings completed ===');
-            console.log('Final rankings count:', rankings.length);
-            console.log('Sample final ranking:', rankings[0]);
             return rankings;
         } catch (error) {
             console.error('Error generating season rankings:', error);
-            console.error('Error details:', {
-                name: error.name,
-                message: error.message,
-                stack: error.stack
-            });
             throw error;
         }
     }
 
     // Save season rankings to database
     async saveSeasonRankings(seasonName, startDate, endDate, rankings) {
+        this.ensureWritable('save season rankings');
+        this.ensureSeasonEditable(seasonName, startDate, endDate);
+
         try {
+            const season = this.findSeason(seasonName, startDate, endDate);
+            const previous = await this.getSeasonRankings(seasonName, startDate, endDate);
+
             // First, clear existing rankings for this season
-            await supabase
-                .from('season_rankings')
-                .delete()
-                .eq('season_name', seasonName)
-                .eq('start_date', startDate)
-                .eq('end_date', endDate);
+            const { error: deleteError } = await this.whereSeasonReport(
+                supabase.from('season_rankings').delete(), seasonName, startDate, endDate);
+
+            if (deleteError) {
+                console.error('Error clearing previous season rankings:', deleteError);
+                throw deleteError;
+            }
 
             // Insert new rankings
             const rankingsData = rankings.map(ranking => ({
+                season_id: season?.id ?? null,
                 season_name: seasonName,
                 start_date: startDate,
                 end_date: endDate,
@@ -566,7 +793,14 @@ export class SeasonRankingManager {
                 special_events_score: ranking.specialEventsScore,
                 alliance_contribution_score: ranking.allianceContributionScore,
                 total_weighted_score: ranking.totalWeightedScore,
-                final_rank: ranking.finalRank
+                final_rank: ranking.finalRank,
+                scoring_rules_version: ranking.scoringRulesVersion ?? null,
+                breakdown: {
+                    kudos: ranking.kudosBreakdown,
+                    vsPerformance: ranking.vsBreakdown,
+                    specialEvents: ranking.specialEventsBreakdown,
+                    allianceContribution: ranking.allianceBreakdown
+                }
             }));
 
             const { data, error } = await supabase
@@ -579,6 +813,8 @@ export class SeasonRankingManager {
                 throw error;
             }
 
+            await auditLog.record('replace', 'season_rankings', `${seasonName} (${startDate} - ${endDate})`,
+                this.summarizeSeasonRankings(previous), this.summarizeSeasonRankings(rankingsData));
             return data;
         } catch (error) {
             console.error('Error in saveSeasonRankings:', error);
@@ -586,15 +822,38 @@ export class SeasonRankingManager {
         }
     }
 
+    // Ranks and totals only, for the audit log
+    summarizeSeasonRankings(rows) {
+        return (rows || []).map(row => ({
+            player_name: row.player_name,
+            final_rank: row.final_rank,
+            total_weighted_score: row.total_weighted_score,
+            scoring_rules_version: row.scoring_rules_version ?? null
+        }));
+    }
+
+    /**
+     * Narrow a season_rankings query to one season's report: by season_id
+     * when the season exists, so a renamed season keeps its report, otherwise
+     * to the unlinked rows saved under that name and those dates
+     */
+    whereSeasonReport(query, seasonName, startDate, endDate) {
+        const season = this.findSeason(seasonName, startDate, endDate);
+        if (season) {
+            return query.eq('season_id', season.id);
+        }
+        return query
+            .is('season_id', null)
+            .eq('season_name', seasonName)
+            .eq('start_date', startDate)
+            .eq('end_date', endDate);
+    }
+
     // Get saved season rankings
     async getSeasonRankings(seasonName, startDate, endDate) {
         try {
-            const { data, error } = await supabase
-                .from('season_rankings')
-                .select('*')
-                .eq('season_name', seasonName)
-                .eq('start_date', startDate)
-                .eq('end_date', endDate)
+            const { data, error } = await this.whereSeasonReport(
+                supabase.from('season_rankings').select('*'), seasonName, startDate, endDate)
                 .order('final_rank');
 
             if (error) {
@@ -609,37 +868,107 @@ export class SeasonRankingManager {
         }
     }
 
+    /**
+     * Turn saved season_rankings rows back into rankings shaped like
+     * generateSeasonRankings() returns, with their breakdowns (reports saved
+     * before breakdowns were kept have none)
+     * @param {Array} rows - From getSeasonRankings()
+     * @returns {Array} Rankings, by final rank
+     */
+    fromSeasonRankingRows(rows) {
+        const rankings = rows.map(row => {
+            const score = value => Number(value) || 0;
+            const breakdown = row.breakdown || {};
+
+            return {
+                playerName: row.player_name,
+                kudosScore: score(row.kudos_score),
+                vsPerformanceScore: score(row.vs_performance_score),
+                specialEventsScore: score(row.special_events_score),
+                allianceContributionScore: score(row.alliance_contribution_score),
+                totalWeightedScore: score(row.total_weighted_score),
+                rawKudosScore: score(row.kudos_score),
+                rawVSScore: score(row.vs_performance_score),
+                rawSpecialEventsScore: score(row.special_events_score),
+                rawAllianceScore: score(row.alliance_contribution_score),
+                kudosBreakdown: breakdown.kudos || null,
+                vsBreakdown: normalizeVSBreakdown(breakdown.vsPerformance),
+                specialEventsBreakdown: breakdown.specialEvents || null,
+                allianceBreakdown: breakdown.allianceContribution || null,
+                hasBreakdown: Boolean(row.breakdown),
+                scoringRulesVersion: row.scoring_rules_version ?? null,
+                finalRank: row.final_rank
+            };
+        });
+
+        rankings.sort((a, b) => (a.finalRank ?? Infinity) - (b.finalRank ?? Infinity));
+        assignCategoryRanks(rankings);
+        return rankings;
+    }
+
     // Get all available season reports (unique combinations)
+    /**
+     * Seasons that have a saved report, newest first. Reports saved without
+     * a season (no season has their name and dates) are listed too, with no
+     * season_id and as drafts.
+     * @returns {Promise<Array>} { season_id, season_name, start_date, end_date, status, updated_at, scoring_rules_version, players }
+     */
     async getAllAvailableSeasonReports() {
         try {
-            const { data, error } = await supabase
-                .from('season_rankings')
-                .select('season_name, start_date, end_date, created_at')
-                .order('created_at', { ascending: false });
-
+            const [seasons, unlinked] = await Promise.all([
+                supabase
+                    .from('seasons')
+                    .select('id, name, start_date, end_date, status, updated_at, finalized_at, scoring_rules_version, season_rankings(count)'),
+                supabase
+                    .from('season_rankings')
+                    .select('season_name, start_date, end_date, updated_at')
+                    .is('season_id', null)
+            ]);
+
+            const error = seasons.error || unlinked.error;
             if (error) {
                 console.error('Error fetching available season reports:', error);
                 throw error;
             }
 
-            // Group by unique combinations
-            const uniqueReports = [];
-            const seen = new Set();
-            
-            for (const record of data || []) {
-                const key = `${record.season_name}|${record.start_date}|${record.end_date}`;
-                if (!seen.has(key)) {
-                    seen.add(key);
-                    uniqueReports.push({
-                        season_name: record.season_name,
-                        start_date: record.start_date,
-                        end_date: record.end_date,
-                        created_at: record.created_at
-                    });
+            const reports = (seasons.data || [])
+                .map(season => ({
+                    season_id: season.id,
+                    season_name: season.name,
+                    start_date: season.start_date,
+                    end_date: season.end_date,
+                    status: season.status,
+                    updated_at: season.finalized_at || season.updated_at,
+                    scoring_rules_version: season.scoring_rules_version,
+                    players: season.season_rankings?.[0]?.count || 0
+                }))
+                .filter(report => report.players > 0);
+
+            const unlinkedReports = new Map();
+            (unlinked.data || []).forEach(row => {
+                const key = `${row.season_name}|${row.start_date}|${row.end_date}`;
+                const report = unlinkedReports.get(key);
+                if (report) {
+                    report.players++;
+                    if (row.updated_at > report.updated_at) {
+                        report.updated_at = row.updated_at;
+                    }
+                    return;
                 }
-            }
+                unlinkedReports.set(key, {
+                    season_id: null,
+                    season_name: row.season_name,
+                    start_date: row.start_date,
+                    end_date: row.end_date,
+                    status: 'draft',
+                    updated_at: row.updated_at,
+                    scoring_rules_version: null,
+                    players: 1
+                });
+            });
 
-            return uniqueReports;
+            return [...reports, ...unlinkedReports.values()]
+                .sort((a, b) => b.start_date.localeCompare(a.start_date));
         } catch (error) {
             console.error('Error in getAllAvailableSeasonReports:', error);
             throw error;
@@ -648,19 +977,20 @@ export class SeasonRankingManager {
 
     // Clear season data
     async clearSeasonData(seasonName, startDate, endDate) {
+        this.ensureWritable('clear season data');
+        this.ensureSeasonEditable(seasonName, startDate, endDate);
+
         try {
-            const { error } = await supabase
-                .from('season_rankings')
-                .delete()
-                .eq('season_name', seasonName)
-                .eq('start_date', startDate)
-                .eq('end_date', endDate);
+            const previous = await this.getSeasonRankings(seasonName, startDate, endDate);
+            const { error } = await this.whereSeasonReport(
+                supabase.from('season_rankings').delete(), seasonName, startDate, endDate);
 
             if (error) {
                 console.error('Error clearing season data:', error);
                 throw error;
             }
 
+            await auditLog.record('delete', 'season_rankings', `${seasonName} (${startDate} - ${endDate})`, this.summarizeSeasonRankings(previous), null);
             return true;
         } catch (error) {
             console.error('Error in clearSeasonData:', error);
@@ -668,31 +998,10 @@ export class SeasonRankingManager {
         }
     }
 
-    // Update player name in seasonal rankings
-    async updatePlayerNameInSeasonRankings(oldName, newName) {
-        try {
-            console.log(`Updating player name in seasonal rankings: ${oldName} → ${newName}`);
-            
-            const { error } = await supabase
-                .from('season_rankings')
-                .update({ player_name: newName })
-                .eq('player_name', oldName);
-
-            if (error) {
-                console.error('Error updating player name in seasonal rankings:', error);
-                throw error;
-            }
-
-            console.log(`Successfully updated player name in seasonal rankings: ${oldName} → ${newName}`);
-            return true;
-        } catch (error) {
-            console.error('Error updating player name in seasonal rankings:', error);
-            throw new Error(`Failed to update player name in seasonal rankings: ${error.message}`);
-        }
-    }
-
     // Excused Players Management
     async addExcusedPlayer(playerName, reason, approvedBy, dateExcused) {
+        this.ensureWritable('excuse players');
+
         try {
             console.log(`Adding excused player: ${playerName}`);
             
@@ -712,6 +1021,7 @@ export class SeasonRankingManager {
             }
 
             console.log(`Successfully added excused player: ${playerName}`);
+            await auditLog.record('create', 'excused_player', playerName, null, data[0]);
             return data[0];
         } catch (error) {
             console.error('Error adding excused player:', error);
@@ -739,20 +1049,30 @@ export class SeasonRankingManager {
     }
 
     async removeExcusedPlayer(excusedPlayerId) {
+        this.ensureWritable('remove excused players');
+
         try {
             console.log(`Removing excused player with ID: ${excusedPlayerId}`);
             
-            const { error } = await supabase
+            const { data, error } = await supabase
                 .from('excused_players')
                 .delete()
-                .eq('id', excusedPlayerId);
+                .eq('id', excusedPlayerId)
+                .select();
 
             if (error) {
                 console.error('Error removing excused player:', error);
                 throw error;
             }
 
+            // RLS filters a refused delete down to no rows rather than failing
+            const removed = data && data[0];
+            if (!removed) {
+                throw new Error('not found or not allowed');
+            }
+
             console.log(`Successfully removed excused player with ID: ${excusedPlayerId}`);
+            await auditLog.record('delete', 'excused_player', removed.player_name, removed, null);
             return true;
         } catch (error) {
             console.error('Error removing excused player:', error);
@@ -110,4 +110,38 @@ export async function testConnection() {
     console.error('Supabase connection failed:', error);
     return false;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Whether a Supabase error means the request was refused by row level
+ * security (not signed in, or the role is too low) rather than the database
+ * being unreachable
+ * @param {Object} error - Error from a Supabase query
+ * @returns {boolean}
+ */
+export function isPermissionError(error) {
+  if (!error) {
+    return false;
+  }
+
+  return error.code === '42501'
+    || error.status === 401
+    || error.status === 403
+    || /row-level security|permission denied/i.test(error.message || '');
+}
+
+/**
+ * Whether a Supabase error means the request never reached the database
+ * (offline, timed out), so the write can be queued and sent later, rather
+ * than the database refusing it
+ * @param {Object} error - Error from a Supabase query
+ * @returns {boolean}
+ */
+export function isConnectionError(error) {
+  if (!error) {
+    return false;
+  }
+
+  return error instanceof TypeError
+    || (!error.code && /fetch|network|timed? ?out/i.test(error.message || ''));
+}
@@ -0,0 +1,314 @@
+import { supabase, isPermissionError } from './supabase-client.js';
+import { auditLog } from './audit-log-service.js';
+
+/**
+ * SyncQueue - Offline write queue shared by the managers
+ *
+ * While the database is unreachable, managers keep working against
+ * localStorage and queue each write here as a mutation. When a connection
+ * comes back the queue is replayed in order. Before a mutation is applied,
+ * the rows it touches are checked against what this device last saw of
+ * them: rows whose server `updated_at` is newer than any the device loaded,
+ * or fewer rows than it knew of (some were deleted), are a conflict, and the
+ * conflict resolver decides whether the local or the server version wins.
+ * Only server timestamps are compared, so a wrong clock on this device
+ * can't hide or invent a conflict.
+ *
+ * A mutation is a plain object so it survives a reload:
+ *   { table, action, match, rows, values, onConflict, knownRows, description, audit }
+ * - action 'upsert'  - upsert `rows` (using `onConflict`)
+ * - action 'replace' - swap everything matching `match` for `rows` in one
+ *                      transaction (the table's `replace_<table>` function)
+ * - action 'update'  - update rows matching `match` with `values`
+ * - action 'delete'  - delete rows matching `match`
+ * `knownRows` is how many rows matching `match` the device had when the
+ * change was made, so rows deleted on the server since are noticed.
+ * `audit` is the change's audit log entry (from `auditLog.entry()`), saved
+ * once the mutation has been applied and dropped with it if the server
+ * version wins.
+ */
+
+const QUEUE_KEY = 'syncQueue';
+// When this device last loaded each table (its own clock, for display)
+const PULLED_KEY = 'syncLastPulled';
+// Newest server `updated_at` among the rows it loaded or wrote
+const SEEN_KEY = 'syncLastSeen';
+// Seen when a load found no rows: any row there later is new to this device
+const NOTHING_SEEN = '1970-01-01T00:00:00.000Z';
+
+const changedAt = row => row.updated_at || row.created_at || null;
+const latest = times => times
+    .filter(Boolean)
+    .reduce((newest, time) => (!newest || new Date(time) > new Date(newest) ? time : newest), null);
+
+export class SyncQueue {
+    /**
+     * @param {Object|null} client - Supabase client (or a test mock); defaults to the shared client
+     */
+    constructor(client = null) {
+        this.client = client;
+        this.listeners = [];
+        this.conflictResolver = null;
+        this.replaying = null;
+    }
+
+    getPending() {
+        try {
+            return JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]');
+        } catch (error) {
+            console.error('Error reading sync queue:', error);
+            return [];
+        }
+    }
+
+    getPendingCount() {
+        return this.getPending().length;
+    }
+
+    savePending(mutations) {
+        localStorage.setItem(QUEUE_KEY, JSON.stringify(mutations));
+        this.listeners.forEach(listener => listener(mutations.length));
+    }
+
+    /**
+     * Call `listener(pendingCount)` whenever the queue changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Set the function that settles conflicts during replay
+     * @param {Function} resolver - async ({ mutation, serverRows, deletedCount }) => 'local' | 'server'
+     */
+    setConflictResolver(resolver) {
+        this.conflictResolver = resolver;
+    }
+
+    /**
+     * Record that this device has just loaded (or written) rows from the
+     * server, so only later server changes to them count as conflicts
+     * @param {string} table - Table name
+     * @param {Array} rows - The rows loaded or written, with their server timestamps
+     * @param {Object|null} match - Limit to the rows matching these columns
+     */
+    markPulled(table, rows = [], match = null) {
+        const key = this.pulledKey(table, match);
+
+        const pulled = this.readTimes(PULLED_KEY);
+        pulled[key] = new Date().toISOString();
+        localStorage.setItem(PULLED_KEY, JSON.stringify(pulled));
+
+        const seen = this.readTimes(SEEN_KEY);
+        seen[key] = latest([seen[key] || NOTHING_SEEN, ...(rows || []).map(changedAt)]);
+        localStorage.setItem(SEEN_KEY, JSON.stringify(seen));
+    }
+
+    /**
+     * When the rows were last loaded, by this device's clock
+     * @returns {string|null} ISO time, or null if never loaded
+     */
+    getLastPulled(table, match = null) {
+        return this.latestFor(PULLED_KEY, table, match);
+    }
+
+    /**
+     * Newest server timestamp this device has seen for the rows
+     * @returns {string|null} Server time, or null if never loaded
+     */
+    getLastSeen(table, match = null) {
+        return this.latestFor(SEEN_KEY, table, match);
+    }
+
+    latestFor(storageKey, table, match) {
+        const times = this.readTimes(storageKey);
+        return latest([times[this.pulledKey(table)], match ? times[this.pulledKey(table, match)] : null]);
+    }
+
+    readTimes(storageKey) {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey) || '{}');
+        } catch (error) {
+            console.error('Error reading sync times:', error);
+            return {};
+        }
+    }
+
+    pulledKey(table, match = null) {
+        return match ? `${table}:${JSON.stringify(match)}` : table;
+    }
+
+    /**
+     * Queue a write made while offline
+     * @param {Object} mutation - See the module comment
+     */
+    enqueue(mutation) {
+        const queuedAt = new Date().toISOString();
+        const pending = this.getPending();
+        pending.push({
+            ...mutation,
+            id: `sync_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            queuedAt,
+            // Server changes after this point conflict with the local edit
+            baseTime: this.getLastSeen(mutation.table, mutation.match) || NOTHING_SEEN
+        });
+        this.savePending(pending);
+        console.log(`Queued offline change: ${mutation.description || mutation.table}`);
+    }
+
+    /**
+     * Apply the queued mutations in order. Stops at the first one that can't
+     * be sent (still offline, or not allowed) and leaves it and the rest queued.
+     * @returns {Promise<Object>} { applied, discarded, remaining }
+     */
+    async replay() {
+        // One replay at a time; later callers wait for the running one
+        if (this.replaying) {
+            return this.replaying;
+        }
+
+        this.replaying = this.replayPending().finally(() => {
+            this.replaying = null;
+        });
+        return this.replaying;
+    }
+
+    async replayPending() {
+        let pending = this.getPending();
+        const result = { applied: 0, discarded: 0, remaining: pending.length };
+        if (pending.length === 0) {
+            return result;
+        }
+
+        console.log(`Replaying ${pending.length} queued change(s)...`);
+
+        while (pending.length > 0) {
+            const mutation = pending[0];
+
+            try {
+                const conflict = await this.findConflict(mutation);
+                if (conflict) {
+                    if (!this.conflictResolver) {
+                        console.warn('Sync conflict with no resolver, leaving it queued:', mutation.description);
+                        break;
+                    }
+
+                    const choice = await this.conflictResolver({ mutation, ...conflict });
+                    if (choice === 'server') {
+                        pending = pending.slice(1);
+                        this.savePending(pending);
+                        result.discarded++;
+                        continue;
+                    }
+                }
+
+                const written = await this.apply(mutation);
+                if (mutation.match) {
+                    this.markPulled(mutation.table, written, mutation.match);
+                }
+                pending = pending.slice(1);
+                this.savePending(pending);
+                result.applied++;
+
+                if (mutation.audit) {
+                    await auditLog.save(mutation.audit);
+                }
+            } catch (error) {
+                if (isPermissionError(error)) {
+                    console.warn('Not allowed to replay queued changes yet:', error.message);
+                } else {
+                    console.error('Error replaying queued change, will retry later:', error);
+                }
+                break;
+            }
+        }
+
+        result.remaining = pending.length;
+        console.log('Sync replay finished:', result);
+        return result;
+    }
+
+    /**
+     * Whether the rows the mutation touches changed on the server since this
+     * device last saw them
+     * @returns {Promise<Object|null>} { serverRows, deletedCount } - rows
+     *   changed since and how many known rows are gone - or null if none
+     */
+    async findConflict(mutation) {
+        if (!mutation.match || Object.keys(mutation.match).length === 0) {
+            return null;
+        }
+
+        let query = (this.client || supabase).from(mutation.table).select('*');
+        Object.entries(mutation.match).forEach(([column, value]) => {
+            query = query.eq(column, value);
+        });
+
+        const { data, error } = await query;
+        if (error) {
+            throw error;
+        }
+
+        // Rows this device wrote itself since queuing (an earlier replayed
+        // change to the same rows) moved what it has seen forward
+        const rows = data || [];
+        const seenAt = new Date(latest([mutation.baseTime, this.getLastSeen(mutation.table, mutation.match)]) || NOTHING_SEEN);
+        const serverRows = rows.filter(row => changedAt(row) && new Date(changedAt(row)) > seenAt);
+        const deletedCount = Number.isInteger(mutation.knownRows) ? Math.max(0, mutation.knownRows - rows.length) : 0;
+
+        return serverRows.length > 0 || deletedCount > 0 ? { serverRows, deletedCount } : null;
+    }
+
+    /**
+     * Send one mutation to the database
+     * @param {Object} mutation - See the module comment
+     * @returns {Promise<Array>} The rows written, with their server timestamps
+     * @throws The Supabase error if it was refused
+     */
+    async apply(mutation) {
+        const filtered = (query) => {
+            Object.entries(mutation.match || {}).forEach(([column, value]) => {
+                query = query.eq(column, value);
+            });
+            return query;
+        };
+
+        const client = this.client || supabase;
+        let response;
+        switch (mutation.action) {
+            case 'upsert':
+                response = await client
+                    .from(mutation.table)
+                    .upsert(mutation.rows, mutation.onConflict ? { onConflict: mutation.onConflict } : undefined)
+                    .select();
+                break;
+            case 'update':
+                response = await filtered(client.from(mutation.table).update(mutation.values)).select();
+                break;
+            case 'delete':
+                response = await filtered(client.from(mutation.table).delete());
+                break;
+            case 'replace':
+                response = await client.rpc(`replace_${mutation.table}`, { target: mutation.match, new_rows: mutation.rows });
+                break;
+            default:
+                throw new Error(`Unknown sync action: ${mutation.action}`);
+        }
+
+        if (response.error) {
+            throw response.error;
+        }
+        return mutation.action === 'delete' ? [] : response.data || [];
+    }
+
+    /**
+     * Drop a queued change without sending it
+     * @param {string} id - Mutation id
+     */
+    discard(id) {
+        this.savePending(this.getPending().filter(mutation => mutation.id !== id));
+    }
+}
+
+// Shared by every manager so changes replay in the order they were made
+export const syncQueue = new SyncQueue();
@@ -310,6 +310,23 @@ export class UIManager {
         }, 4000);
     }
 
+    /**
+     * Brief notice in the corner that doesn't push the page content around
+     * @param {string} message
+     */
+    showToast(message) {
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.textContent = message;
+        document.body.appendChild(toast);
+
+        setTimeout(() => {
+            if (toast.parentNode) {
+                toast.remove();
+            }
+        }, 3000);
+    }
+
     escapeHTML(str) {
         // Handle null, undefined, or non-string values
         if (str == null) return '';
@@ -346,7 +363,141 @@ export class UIManager {
         }
     }
 
-    showImportConfirmation(rankings, dateKey, displayDate, existingData) {
+    /**
+     * Show how many offline changes are waiting to be sent
+     * @param {number} count - Queued changes
+     */
+    updatePendingChanges(count) {
+        const pendingElement = document.getElementById('pendingChanges');
+        if (!pendingElement) return;
+
+        pendingElement.textContent = count === 1 ? '1 change pending' : `${count} changes pending`;
+        pendingElement.title = 'Changes made offline are sent when the connection is back';
+        pendingElement.style.display = count > 0 ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Show that the data on screen comes from the offline cache
+     * @param {string|null} cachedAt - ISO time the data was last loaded, if known
+     */
+    showCachedDataBanner(cachedAt) {
+        const banner = document.getElementById('cachedDataBanner');
+        if (!banner) return;
+
+        banner.textContent = cachedAt
+            ? `📴 Offline - viewing cached data from ${new Date(cachedAt).toLocaleString()}`
+            : '📴 Offline - viewing cached data';
+        banner.style.display = 'block';
+    }
+
+    hideCachedDataBanner() {
+        const banner = document.getElementById('cachedDataBanner');
+        if (banner) {
+            banner.style.display = 'none';
+        }
+    }
+
+    /**
+     * Ask which version wins when a queued offline change hits rows that
+     * someone else changed or deleted on the server in the meantime
+     * @param {Object} conflict - { mutation, serverRows, deletedCount } from SyncQueue
+     * @returns {Promise<string>} 'local' or 'server'
+     */
+    showSyncConflict({ mutation, serverRows, deletedCount = 0 }) {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 1000;
+            `;
+
+            const modal = document.createElement('div');
+            modal.style.cssText = `
+                background: white;
+                border-radius: 12px;
+                padding: 24px;
+                max-width: 720px;
+                width: 90%;
+                max-height: 85vh;
+                overflow-y: auto;
+                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.3);
+            `;
+
+            const localData = mutation.rows || mutation.values || null;
+            const latestChange = serverRows
+                .map(row => row.updated_at || row.created_at)
+                .sort()
+                .pop();
+            const preStyle = 'margin: 0; padding: 10px; max-height: 240px; overflow: auto; background: #f8fafc; border-radius: 6px; font-size: 12px; white-space: pre-wrap; word-break: break-word;';
+
+            modal.innerHTML = `
+                <h3 style="margin: 0 0 16px 0; color: #1f2937; font-size: 18px; font-weight: 600;">
+                    Sync Conflict
+                </h3>
+
+                <div style="margin-bottom: 16px; padding: 12px; background: #fef3c7; border: 1px solid #f59e0b; border-radius: 6px; color: #92400e;">
+                    ⚠️  <strong>${this.escapeHTML(mutation.description || mutation.table)}</strong> was changed offline,
+                    but someone changed it on the server ${latestChange ? `at ${new Date(latestChange).toLocaleString()}` : 'since'}.
+                    ${deletedCount > 0 ? `${deletedCount} row(s) you had were deleted there.` : ''}
+                </div>
+
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 16px;">
+                    <div>
+                        <div style="font-weight: 600; color: #1f2937; margin-bottom: 6px;">Your offline change (${this.escapeHTML(mutation.action)})</div>
+                        <pre style="${preStyle}">${this.escapeHTML(JSON.stringify(localData, null, 2) || 'Delete')}</pre>
+                    </div>
+                    <div>
+                        <div style="font-weight: 600; color: #1f2937; margin-bottom: 6px;">On the server now</div>
+                        <pre style="${preStyle}">${this.escapeHTML(JSON.stringify(serverRows, null, 2))}</pre>
+                    </div>
+                </div>
+
+                <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                    <button id="keepServerVersion" style="
+                        padding: 8px 16px;
+                        border: 1px solid #d1d5db;
+                        background: white;
+                        color: #374151;
+                        border-radius: 6px;
+                        cursor: pointer;
+                        font-size: 14px;
+                    ">Keep Server Version</button>
+                    <button id="keepLocalVersion" style="
+                        padding: 8px 16px;
+                        border: none;
+                        background: #059669;
+                        color: white;
+                        border-radius: 6px;
+                        cursor: pointer;
+                        font-size: 14px;
+                        font-weight: 500;
+                    ">Use My Change</button>
+                </div>
+            `;
+
+            const close = (result) => {
+                document.body.removeChild(overlay);
+                resolve(result);
+            };
+
+            // No click-outside-to-close: the replay waits for a decision
+            modal.querySelector('#keepServerVersion').addEventListener('click', () => close('server'));
+            modal.querySelector('#keepLocalVersion').addEventListener('click', () => close('local'));
+
+            overlay.appendChild(modal);
+            document.body.appendChild(overlay);
+        });
+    }
+
+    showImportConfirmation(rankings, dateKey, displayDate, existingData, report = null) {
         return new Promise((resolve) => {
             // Create modal overlay
             const overlay = document.createElement('div');
@@ -368,6 +519,9 @@ export class UIManager {
             const top5 = sortedRankings.slice(0, 5);
             const bottom3 = sortedRankings.slice(-3);
             const hasExistingData = existingData && existingData.length > 0;
+            const skippedRows = report ? report.skipped || [] : [];
+            const issues = report ? report.issues || [] : [];
+            const hasErrors = issues.some(issue => issue.severity === 'error');
 
             // Create modal content
             const modal = document.createElement('div');
@@ -397,6 +551,8 @@ export class UIManager {
                     </div>
                 ` : ''}
                 
+                ${this.renderImportReport(report, skippedRows, issues)}
+                
                 <div style="margin-bottom: 16px;">
                     <h4 style="margin: 0 0 8px 0; color: #374151; font-size: 14px; font-weight: 600;">Sample Records:</h4>
                     
@@ -440,7 +596,7 @@ export class UIManager {
                         cursor: pointer;
                         font-size: 14px;
                         font-weight: 500;
-                    ">Import Data</button>
+                    ">${hasErrors ? 'Import Anyway' : 'Import Data'}</button>
                 </div>
             `;
 
@@ -469,6 +625,568 @@ export class UIManager {
         });
     }
 
+    /**
+     * Let the admin choose which CSV column holds each field before import
+     * Saved import profiles can be applied, and the current mapping can be
+     * saved as a new profile for the next export from the same tool.
+     * @param {Object} table - CSVProcessor.parseTable result
+     * @param {CSVProcessor} csvProcessor - Used for guessing, previews and profiles
+     * @returns {Promise<Object|null>} { mapping, hasHeader } or null if cancelled
+     */
+    showColumnMapping(parsedTable, csvProcessor) {
+        return new Promise((resolve) => {
+            let table = parsedTable;
+            const overlay = document.createElement('div');
+            overlay.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 1000;
+            `;
+
+            const modal = document.createElement('div');
+            modal.style.cssText = `
+                background: white;
+                border-radius: 12px;
+                padding: 24px;
+                max-width: 640px;
+                width: 90%;
+                max-height: 85vh;
+                overflow-y: auto;
+                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.3);
+            `;
+
+            const profiles = csvProcessor.getProfiles();
+            const matchedProfile = csvProcessor.findMatchingProfile(table);
+            let hasHeader = table.hasHeader;
+            let mapping = matchedProfile
+                ? csvProcessor.resolveProfileMapping(profiles[matchedProfile], table)
+                : csvProcessor.guessMapping(table);
+
+            const columnLabel = (index) => {
+                const name = table.header && table.header[index] ? `: ${table.header[index]}` : '';
+                return `Column ${index + 1}${name}`;
+            };
+
+            const selectStyle = 'width: 100%; padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 13px;';
+
+            modal.innerHTML = `
+                <h3 style="margin: 0 0 16px 0; color: #1f2937; font-size: 18px; font-weight: 600;">
+                    Map CSV Columns
+                </h3>
+
+                <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 16px; color: #374151; font-size: 14px;">
+                    <label for="mappingProfile">Import profile:</label>
+                    <select id="mappingProfile" style="${selectStyle} width: auto; flex: 1;">
+                        <option value="">Auto-detect</option>
+                        ${Object.keys(profiles).map(name => `
+                            <option value="${this.escapeHTML(name)}" ${name === matchedProfile ? 'selected' : ''}>${this.escapeHTML(name)}</option>
+                        `).join('')}
+                    </select>
+                    <button id="deleteMappingProfile" type="button" style="padding: 6px 10px; border: 1px solid #d1d5db; background: white; border-radius: 6px; cursor: pointer; font-size: 13px;">Delete</button>
+                </div>
+
+                <label style="display: flex; gap: 8px; align-items: center; margin-bottom: 16px; color: #374151; font-size: 14px;">
+                    <input type="checkbox" id="mappingHasHeader" ${hasHeader ? 'checked' : ''}>
+                    First row is a header
+                </label>
+
+                <div id="mappingFields" style="display: grid; grid-template-columns: 120px 1fr; gap: 8px 12px; align-items: center; margin-bottom: 16px;"></div>
+
+                <h4 style="margin: 0 0 8px 0; color: #374151; font-size: 14px; font-weight: 600;">Preview:</h4>
+                <div id="mappingPreview" style="margin-bottom: 16px; font-size: 13px;"></div>
+
+                <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 16px;">
+                    <input type="text" id="mappingProfileName" placeholder="Save mapping as profile (optional)" style="${selectStyle} flex: 1;">
+                </div>
+
+                <div id="mappingError" style="display: none; margin-bottom: 16px; padding: 12px; background: #fef2f2; border: 1px solid #fca5a5; border-radius: 6px; color: #991b1b; font-size: 13px;"></div>
+
+                <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                    <button id="cancelMapping" style="
+                        padding: 8px 16px;
+                        border: 1px solid #d1d5db;
+                        background: white;
+                        color: #374151;
+                        border-radius: 6px;
+                        cursor: pointer;
+                        font-size: 14px;
+                    ">Cancel</button>
+                    <button id="confirmMapping" style="
+                        padding: 8px 16px;
+                        border: none;
+                        background: #059669;
+                        color: white;
+                        border-radius: 6px;
+                        cursor: pointer;
+                        font-size: 14px;
+                        font-weight: 500;
+                    ">Continue</button>
+                </div>
+            `;
+
+            const fieldsContainer = modal.querySelector('#mappingFields');
+            const previewContainer = modal.querySelector('#mappingPreview');
+            const errorContainer = modal.querySelector('#mappingError');
+            const profileSelect = modal.querySelector('#mappingProfile');
+
+            const renderFields = () => {
+                fieldsContainer.innerHTML = csvProcessor.fields.map(field => `
+                    <label for="mapField-${field.key}" style="color: #374151; font-size: 14px;">
+                        ${field.label}${field.required ? ' *' : ''}
+                    </label>
+                    <select id="mapField-${field.key}" data-field="${field.key}" style="${selectStyle}">
+                        <option value="">${field.key === 'ranking' ? '(use row order)' : '(not in file)'}</option>
+                        ${Array.from({ length: table.columnCount }, (_, index) => `
+                            <option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${this.escapeHTML(columnLabel(index))}</option>
+                        `).join('')}
+                    </select>
+                `).join('');
+
+                fieldsContainer.querySelectorAll('select').forEach(select => {
+                    select.addEventListener('change', () => {
+                        mapping[select.dataset.field] = select.value === '' ? null : parseInt(select.value);
+                        renderPreview();
+                    });
+                });
+            };
+
+            const renderPreview = () => {
+                const missing = csvProcessor.getMissingFields(mapping);
+                if (missing.length > 0) {
+                    previewContainer.innerHTML = `<div style="color: #92400e;">Choose a column for: ${missing.join(', ')}</div>`;
+                    return;
+                }
+
+                const rankings = csvProcessor.applyMapping(table, mapping, hasHeader);
+                const sample = rankings.slice(0, 5);
+                previewContainer.innerHTML = `
+                    <div style="margin-bottom: 4px; color: #6b7280;">${rankings.length} rankings will be read.</div>
+                    ${sample.map(rank => `
+                        <div style="padding: 4px 8px; background: #f0fdf4; border-radius: 4px; margin-bottom: 2px;">
+                            #${rank.ranking} - ${this.escapeHTML(rank.commander)} (${this.formatNumber(rank.points)} points)${rank.alliance ? ` [${this.escapeHTML(rank.alliance)}]` : ''}${rank.power ? ` · power ${this.formatNumber(rank.power)}` : ''}
+                        </div>
+                    `).join('')}
+                `;
+            };
+
+            const close = (result) => {
+                document.body.removeChild(overlay);
+                resolve(result);
+            };
+
+            profileSelect.addEventListener('change', () => {
+                const profile = csvProcessor.getProfiles()[profileSelect.value];
+                if (profile) {
+                    hasHeader = profile.hasHeader && table.records.length > 1;
+                    table = { ...table, hasHeader, header: hasHeader ? table.records[0].map(field => field.trim()) : null };
+                    mapping = csvProcessor.resolveProfileMapping(profile, table);
+                } else {
+                    table = parsedTable;
+                    hasHeader = table.hasHeader;
+                    mapping = csvProcessor.guessMapping(table);
+                }
+                modal.querySelector('#mappingHasHeader').checked = hasHeader;
+                renderFields();
+                renderPreview();
+            });
+
+            modal.querySelector('#deleteMappingProfile').addEventListener('click', () => {
+                const name = profileSelect.value;
+                if (!name || !confirm(`Delete import profile "${name}"?`)) return;
+                csvProcessor.deleteProfile(name);
+                profileSelect.querySelector(`option[value="${CSS.escape(name)}"]`)?.remove();
+                profileSelect.value = '';
+            });
+
+            modal.querySelector('#mappingHasHeader').addEventListener('change', (e) => {
+                hasHeader = e.target.checked;
+                table = { ...table, hasHeader, header: hasHeader ? table.records[0].map(field => field.trim()) : null };
+                renderFields();
+                renderPreview();
+            });
+
+            modal.querySelector('#cancelMapping').addEventListener('click', () => close(null));
+
+            modal.querySelector('#confirmMapping').addEventListener('click', () => {
+                const missing = csvProcessor.getMissingFields(mapping);
+                if (missing.length > 0) {
+                    errorContainer.textContent = `Please choose a column for: ${missing.join(', ')}`;
+                    errorContainer.style.display = 'block';
+                    return;
+                }
+
+                const profileName = modal.querySelector('#mappingProfileName').value.trim();
+                if (profileName) {
+                    csvProcessor.saveProfile(profileName, table, mapping, hasHeader);
+                }
+
+                close({ mapping, hasHeader });
+            });
+
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) {
+                    close(null);
+                }
+            });
+
+            renderFields();
+            renderPreview();
+
+            overlay.appendChild(modal);
+            document.body.appendChild(overlay);
+        });
+    }
+
+    /**
+     * Let the admin pick which workbook sheets to import and where each one goes
+     * @param {Array} sheets - { name, table } from CSVProcessor.readWorkbook
+     * @param {Array} specialEvents - Events from RankingManager.getSpecialEvents
+     * @param {Function} guessDate - sheet name -> YYYY-MM-DD or null
+     * @returns {Promise<Array|null>} { name, table, dateKey } per selected sheet, or null if cancelled
+     */
+    showSheetSelection(sheets, specialEvents, guessDate) {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 1000;
+            `;
+
+            const modal = document.createElement('div');
+            modal.style.cssText = `
+                background: white;
+                border-radius: 12px;
+                padding: 24px;
+                max-width: 640px;
+                width: 90%;
+                max-height: 85vh;
+                overflow-y: auto;
+                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.3);
+            `;
+
+            const inputStyle = 'padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 13px;';
+            const today = new Date().toISOString().split('T')[0];
+
+            modal.innerHTML = `
+                <h3 style="margin: 0 0 8px 0; color: #1f2937; font-size: 18px; font-weight: 600;">
+                    Import Workbook
+                </h3>
+                <div style="margin-bottom: 16px; color: #6b7280; font-size: 13px;">
+                    Choose the sheets to import and the day or special event each one holds.
+                    Each sheet then goes through column mapping and confirmation.
+                </div>
+
+                ${sheets.map((sheet, index) => {
+                    const dataRows = sheet.table.records.length - (sheet.table.hasHeader ? 1 : 0);
+                    const guessedDate = guessDate(sheet.name);
+                    return `
+                        <div style="display: grid; grid-template-columns: auto 1fr; gap: 6px 10px; align-items: center; padding: 10px; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 8px;">
+                            <input type="checkbox" class="sheet-include" data-index="${index}" ${guessedDate || sheets.length === 1 ? 'checked' : ''}>
+                            <div style="color: #1f2937; font-weight: 600;">
+                                ${this.escapeHTML(sheet.name)} <span style="color: #6b7280; font-weight: 400;">(${dataRows} rows)</span>
+                            </div>
+                            <span></span>
+                            <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+                                <select class="sheet-target" data-index="${index}" style="${inputStyle}">
+                                    <option value="date">Day</option>
+                                    ${specialEvents.map(event => `
+                                        <option value="${this.escapeHTML(event.key)}">Event: ${this.escapeHTML(event.name)}</option>
+                                    `).join('')}
+                                </select>
+                                <input type="date" class="sheet-date" data-index="${index}" max="${today}" value="${guessedDate || ''}" style="${inputStyle}">
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+
+                <div id="sheetSelectionError" style="display: none; margin-bottom: 16px; padding: 12px; background: #fef2f2; border: 1px solid #fca5a5; border-radius: 6px; color: #991b1b; font-size: 13px;"></div>
+
+                <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                    <button id="cancelSheetSelection" style="
+                        padding: 8px 16px;
+                        border: 1px solid #d1d5db;
+                        background: white;
+                        color: #374151;
+                        border-radius: 6px;
+                        cursor: pointer;
+                        font-size: 14px;
+                    ">Cancel</button>
+                    <button id="confirmSheetSelection" style="
+                        padding: 8px 16px;
+                        border: none;
+                        background: #059669;
+                        color: white;
+                        border-radius: 6px;
+                        cursor: pointer;
+                        font-size: 14px;
+                        font-weight: 500;
+                    ">Continue</button>
+                </div>
+            `;
+
+            const close = (result) => {
+                document.body.removeChild(overlay);
+                resolve(result);
+            };
+
+            // Date input only applies to day targets
+            modal.querySelectorAll('.sheet-target').forEach(select => {
+                select.addEventListener('change', () => {
+                    const dateInput = modal.querySelector(`.sheet-date[data-index="${select.dataset.index}"]`);
+                    dateInput.style.display = select.value === 'date' ? '' : 'none';
+                });
+            });
+
+            modal.querySelector('#cancelSheetSelection').addEventListener('click', () => close(null));
+
+            modal.querySelector('#confirmSheetSelection').addEventListener('click', () => {
+                const errorContainer = modal.querySelector('#sheetSelectionError');
+                const selected = [];
+                const problems = [];
+
+                modal.querySelectorAll('.sheet-include:checked').forEach(checkbox => {
+                    const index = parseInt(checkbox.dataset.index);
+                    const sheet = sheets[index];
+                    const target = modal.querySelector(`.sheet-target[data-index="${index}"]`).value;
+                    const date = modal.querySelector(`.sheet-date[data-index="${index}"]`).value;
+
+                    if (target !== 'date') {
+                        selected.push({ ...sheet, dateKey: target });
+                    } else if (!date) {
+                        problems.push(`Choose a date for "${sheet.name}"`);
+                    } else if (date > today) {
+                        problems.push(`"${sheet.name}" is set to a future date`);
+                    } else {
+                        selected.push({ ...sheet, dateKey: date });
+                    }
+                });
+
+                const dateKeys = selected.map(sheet => sheet.dateKey);
+                const repeated = dateKeys.filter((key, i) => dateKeys.indexOf(key) !== i);
+                if (repeated.length > 0) {
+                    problems.push(`More than one sheet targets ${[...new Set(repeated)].join(', ')}`);
+                }
+                if (selected.length === 0 && problems.length === 0) {
+                    problems.push('Select at least one sheet');
+                }
+
+                if (problems.length > 0) {
+                    errorContainer.innerHTML = problems.map(problem => this.escapeHTML(problem)).join('<br>');
+                    errorContainer.style.display = 'block';
+                    return;
+                }
+
+                close(selected);
+            });
+
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) {
+                    close(null);
+                }
+            });
+
+            overlay.appendChild(modal);
+            document.body.appendChild(overlay);
+        });
+    }
+
+    /**
+     * Confirm a multi-day import, with a summary and overwrite warning per day
+     * @param {Array} days - { dateKey, displayDate, rankings, report, existingData }
+     * @param {Array} unassigned - Rows whose day couldn't be read
+     * @returns {Promise<boolean>} True if confirmed
+     */
+    showWeekImportConfirmation(days, unassigned = []) {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 1000;
+            `;
+
+            const modal = document.createElement('div');
+            modal.style.cssText = `
+                background: white;
+                border-radius: 12px;
+                padding: 24px;
+                max-width: 600px;
+                width: 90%;
+                max-height: 85vh;
+                overflow-y: auto;
+                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.3);
+            `;
+
+            const totalRankings = days.reduce((total, day) => total + day.rankings.length, 0);
+            const overwriteCount = days.filter(day => day.existingData && day.existingData.length > 0).length;
+
+            modal.innerHTML = `
+                <h3 style="margin: 0 0 16px 0; color: #1f2937; font-size: 18px; font-weight: 600;">
+                    Confirm Multi-Day Import
+                </h3>
+
+                <div style="margin-bottom: 16px; color: #374151;">
+                    Import <strong>${totalRankings} rankings</strong> across <strong>${days.length} days</strong>?
+                </div>
+
+                ${overwriteCount > 0 ? `
+                    <div style="margin-bottom: 16px; padding: 12px; background: #fef3c7; border: 1px solid #f59e0b; border-radius: 6px; color: #92400e;">
+                        ⚠️  <strong>Warning:</strong> ${overwriteCount} of these days already have rankings that will be overwritten.
+                    </div>
+                ` : ''}
+
+                ${unassigned.length > 0 ? `
+                    <div style="margin-bottom: 16px; padding: 12px; background: #fef2f2; border: 1px solid #fca5a5; border-radius: 6px; color: #991b1b; font-size: 13px;">
+                        ${unassigned.length} row(s) have no recognizable day and will be skipped
+                        (row ${unassigned.slice(0, 10).map(row => row.row).join(', ')}${unassigned.length > 10 ? ', …' : ''}).
+                    </div>
+                ` : ''}
+
+                ${days.map(day => {
+                    const hasExistingData = day.existingData && day.existingData.length > 0;
+                    const top3 = [...day.rankings].sort((a, b) => a.ranking - b.ranking).slice(0, 3);
+                    const skippedRows = day.report ? day.report.skipped || [] : [];
+                    const issues = day.report ? day.report.issues || [] : [];
+                    return `
+                        <div style="margin-bottom: 12px; padding: 12px; border: 1px solid #e5e7eb; border-radius: 8px;">
+                            <div style="display: flex; justify-content: space-between; margin-bottom: 6px; color: #1f2937;">
+                                <strong>${this.escapeHTML(day.displayDate)}</strong>
+                                <span>${day.rankings.length} rankings</span>
+                            </div>
+                            ${hasExistingData ? `
+                                <div style="margin-bottom: 6px; padding: 6px 8px; background: #fef3c7; border-radius: 4px; color: #92400e; font-size: 13px;">
+                                    ⚠️  Overwrites ${day.existingData.length} existing rankings
+                                </div>
+                            ` : ''}
+                            ${top3.map(rank => `
+                                <div style="padding: 2px 8px; font-size: 13px; color: #374151;">
+                                    #${rank.ranking} - ${this.escapeHTML(rank.commander)} (${this.formatNumber(rank.points)} points)
+                                </div>
+                            `).join('')}
+                            ${skippedRows.length > 0 || issues.length > 0 ? `
+                                <div style="margin-top: 6px;">${this.renderImportReport(day.report, skippedRows, issues)}</div>
+                            ` : ''}
+                        </div>
+                    `;
+                }).join('')}
+
+                <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                    <button id="cancelWeekImport" style="
+                        padding: 8px 16px;
+                        border: 1px solid #d1d5db;
+                        background: white;
+                        color: #374151;
+                        border-radius: 6px;
+                        cursor: pointer;
+                        font-size: 14px;
+                    ">Cancel</button>
+                    <button id="confirmWeekImport" style="
+                        padding: 8px 16px;
+                        border: none;
+                        background: #059669;
+                        color: white;
+                        border-radius: 6px;
+                        cursor: pointer;
+                        font-size: 14px;
+                        font-weight: 500;
+                    ">Import ${days.length} Days</button>
+                </div>
+            `;
+
+            const close = (result) => {
+                document.body.removeChild(overlay);
+                resolve(result);
+            };
+
+            modal.querySelector('#cancelWeekImport').addEventListener('click', () => close(false));
+            modal.querySelector('#confirmWeekImport').addEventListener('click', () => close(true));
+
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) {
+                    close(false);
+                }
+            });
+
+            overlay.appendChild(modal);
+            document.body.appendChild(overlay);
+        });
+    }
+
+    /**
+     * Render the validation report shown in the import confirmation
+     * @param {Object|null} report - { skipped, issues, totalRows } from CSVProcessor
+     * @returns {string} HTML, empty when there is no report
+     */
+    renderImportReport(report, skippedRows, issues) {
+        if (!report) return '';
+
+        if (skippedRows.length === 0 && issues.length === 0) {
+            return `
+                <div style="margin-bottom: 16px; padding: 12px; background: #f0fdf4; border: 1px solid #86efac; border-radius: 6px; color: #166534; font-size: 13px;">
+                    ✅ All ${report.totalRows ?? ''} rows passed validation.
+                </div>
+            `;
+        }
+
+        const severityStyles = {
+            error: 'background: #fef2f2; color: #991b1b;',
+            warning: 'background: #fffbeb; color: #92400e;'
+        };
+
+        return `
+            <div style="margin-bottom: 16px; padding: 12px; background: #fffbeb; border: 1px solid #f59e0b; border-radius: 6px; color: #92400e; font-size: 13px;">
+                <div style="font-weight: 600; margin-bottom: 8px;">
+                    Validation report: ${skippedRows.length} row(s) skipped, ${issues.length} issue(s) found
+                </div>
+
+                ${issues.length > 0 ? `
+                    <details ${issues.some(issue => issue.severity === 'error') ? 'open' : ''} style="margin-bottom: 8px;">
+                        <summary style="cursor: pointer;">Issues (${issues.length})</summary>
+                        ${issues.map(issue => `
+                            <div style="padding: 4px 8px; border-radius: 4px; margin-top: 2px; ${severityStyles[issue.severity] || severityStyles.warning}">
+                                ${this.escapeHTML(issue.message)}${issue.rows && issue.rows.length > 0 ? ` <span style="opacity: 0.7;">(row ${issue.rows.join(', ')})</span>` : ''}
+                            </div>
+                        `).join('')}
+                    </details>
+                ` : ''}
+
+                ${skippedRows.length > 0 ? `
+                    <details>
+                        <summary style="cursor: pointer;">Skipped rows (${skippedRows.length})</summary>
+                        ${skippedRows.map(skipped => `
+                            <div style="padding: 4px 8px; border-radius: 4px; margin-top: 2px; background: #f9fafb; color: #374151;">
+                                Row ${skipped.row}: ${this.escapeHTML(skipped.reason)}
+                                ${skipped.values ? `<div style="font-family: monospace; font-size: 12px; color: #6b7280;">${this.escapeHTML(skipped.values)}</div>` : ''}
+                            </div>
+                        `).join('')}
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    }
+
     // Helper method to format train time for display
     formatTrainTime(trainTime) {
         if (!trainTime) return '4:00 AM';
@@ -0,0 +1,58 @@
+/*
+  # Add ranking version history
+
+  Replacing a day's or special event's rankings used to delete the previous
+  rows for good. This migration adds a table that keeps a snapshot of the
+  rows each time they are replaced, so a bad upload can be compared against
+  earlier versions and undone.
+
+  1. New Tables
+    - `ranking_versions`
+      - `id` (uuid, primary key)
+      - `target_key` (text) - day (YYYY-MM-DD) or special event key
+      - `target_type` (text) - 'day' or 'event'
+      - `rankings` (jsonb) - the rows as they were before being replaced
+      - `row_count` (integer) - number of rows in the snapshot
+      - `replaced_by` (text) - who replaced them (admin)
+      - `replaced_at` (timestamp) - when they were replaced
+      - `note` (text, optional) - e.g. "Restored version from ..."
+
+  2. Security
+    - Enable RLS on `ranking_versions` table
+    - Add policy for public read access
+    - Add policy for inserts (history is append-only, no update/delete)
+
+  3. Indexes
+    - Add index on (target_key, replaced_at) for listing a target's history
+*/
+
+CREATE TABLE IF NOT EXISTS ranking_versions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  target_key text NOT NULL,
+  target_type text NOT NULL CHECK (target_type IN ('day', 'event')),
+  rankings jsonb NOT NULL DEFAULT '[]'::jsonb,
+  row_count integer NOT NULL DEFAULT 0,
+  replaced_by text NOT NULL DEFAULT 'Admin',
+  replaced_at timestamptz NOT NULL DEFAULT now(),
+  note text
+);
+
+-- Enable RLS
+ALTER TABLE ranking_versions ENABLE ROW LEVEL SECURITY;
+
+-- Allow everyone to read ranking history
+CREATE POLICY "Anyone can read ranking versions"
+  ON ranking_versions
+  FOR SELECT
+  TO public
+  USING (true);
+
+-- Allow anyone to record a version (admin functionality)
+CREATE POLICY "Anyone can insert ranking versions"
+  ON ranking_versions
+  FOR INSERT
+  TO public
+  WITH CHECK (true);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_ranking_versions_target ON ranking_versions(target_key, replaced_at DESC);
@@ -0,0 +1,108 @@
+/*
+  # Add officer roles
+
+  Admin access used to be a single shared password. Officers now sign in with
+  their own Supabase Auth account, and this table records what each account
+  may do in the admin panel.
+
+  1. New Tables
+    - `user_roles`
+      - `user_id` (uuid, primary key) - the auth.users id
+      - `email` (text) - copied from auth.users for display
+      - `role` (text) - 'viewer', 'data_entry', 'r4' or 'r5'
+      - `updated_at` (timestamp)
+
+  2. Functions
+    - `current_user_role()` - role of the signed-in user ('viewer' if none)
+    - `has_role(required)` - whether the signed-in user's role is at least `required`
+    - `handle_new_user()` - trigger giving every new account the viewer role
+
+  3. Security
+    - Enable RLS on `user_roles` table
+    - Users can read their own role; R5 admins can read every role
+    - Only R5 admins can change roles
+
+  The first R5 admin has to be promoted by hand in the SQL editor:
+    UPDATE user_roles SET role = 'r5' WHERE email = 'you@example.com';
+*/
+
+CREATE TABLE IF NOT EXISTS user_roles (
+  user_id uuid PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  email text NOT NULL,
+  role text NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'data_entry', 'r4', 'r5')),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Role of the signed-in user; SECURITY DEFINER so policies can call it
+-- without recursing into user_roles' own RLS
+CREATE OR REPLACE FUNCTION public.current_user_role()
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT coalesce(
+    (SELECT role FROM user_roles WHERE user_id = auth.uid()),
+    'viewer'
+  );
+$$;
+
+-- Roles are ordered, so each one includes everything below it
+CREATE OR REPLACE FUNCTION public.has_role(required text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT auth.uid() IS NOT NULL
+    AND array_position(ARRAY['viewer', 'data_entry', 'r4', 'r5'], public.current_user_role())
+      >= array_position(ARRAY['viewer', 'data_entry', 'r4', 'r5'], required);
+$$;
+
+-- Give every new account the viewer role
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO user_roles (user_id, email)
+  VALUES (NEW.id, NEW.email)
+  ON CONFLICT (user_id) DO NOTHING;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+CREATE TRIGGER on_auth_user_created
+  AFTER INSERT ON auth.users
+  FOR EACH ROW EXECUTE FUNCTION public.handle_new_user();
+
+-- Accounts created before this migration
+INSERT INTO user_roles (user_id, email)
+SELECT id, email FROM auth.users
+ON CONFLICT (user_id) DO NOTHING;
+
+-- Enable RLS
+ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
+
+-- Officers can see their own role; R5 admins can see everyone's
+CREATE POLICY "Users can read their own role"
+  ON user_roles
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid() OR public.has_role('r5'));
+
+-- Only R5 admins can change roles
+CREATE POLICY "R5 admins can update roles"
+  ON user_roles
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r5'))
+  WITH CHECK (public.has_role('r5'));
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_user_roles_email ON user_roles(email);
@@ -0,0 +1,317 @@
+/*
+  # Enforce role-based row level security
+
+  Every table used to allow writes from anyone holding the anon key
+  ("Anyone can insert rankings", "FOR ALL USING (true)"), and the leader/VIP
+  tables had RLS switched off entirely. This migration keeps public reads but
+  limits writes to signed-in officers by role, using `has_role()` from the
+  user_roles migration.
+
+  1. Security
+    - Enable RLS on `alliance_leaders`, `train_conductor_rotation` and `vip_selections`
+    - Drop every "anyone can write" policy
+    - Keep (or add) a public read policy on every table
+    - Data entry officers (and above) can write `rankings` and record `ranking_versions`
+    - R4 leaders (and above) can write special events, player lists, aliases,
+      alliance leaders, the train rotation and VIP selections
+    - R5 admins can write `kudos_points` and `season_rankings`
+
+  Anonymous visitors and viewers are read-only everywhere.
+*/
+
+-- Rankings
+DROP POLICY IF EXISTS "Anyone can insert rankings" ON rankings;
+DROP POLICY IF EXISTS "Anyone can update rankings" ON rankings;
+DROP POLICY IF EXISTS "Anyone can delete rankings" ON rankings;
+
+CREATE POLICY "Data entry officers can insert rankings"
+  ON rankings
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('data_entry'));
+
+CREATE POLICY "Data entry officers can update rankings"
+  ON rankings
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('data_entry'))
+  WITH CHECK (public.has_role('data_entry'));
+
+CREATE POLICY "Data entry officers can delete rankings"
+  ON rankings
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('data_entry'));
+
+-- Ranking versions
+DROP POLICY IF EXISTS "Anyone can insert ranking versions" ON ranking_versions;
+
+CREATE POLICY "Data entry officers can insert ranking versions"
+  ON ranking_versions
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('data_entry'));
+
+-- Special events
+DROP POLICY IF EXISTS "Anyone can insert special events" ON special_events;
+DROP POLICY IF EXISTS "Anyone can update special events" ON special_events;
+DROP POLICY IF EXISTS "Anyone can delete special events" ON special_events;
+
+CREATE POLICY "R4 leaders can insert special events"
+  ON special_events
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can update special events"
+  ON special_events
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r4'))
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can delete special events"
+  ON special_events
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('r4'));
+
+-- Removed players
+DROP POLICY IF EXISTS "Anyone can insert removed players" ON removed_players;
+DROP POLICY IF EXISTS "Anyone can update removed players" ON removed_players;
+DROP POLICY IF EXISTS "Anyone can delete removed players" ON removed_players;
+
+CREATE POLICY "R4 leaders can insert removed players"
+  ON removed_players
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can update removed players"
+  ON removed_players
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r4'))
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can delete removed players"
+  ON removed_players
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('r4'));
+
+-- Inactive players
+DROP POLICY IF EXISTS "Anyone can insert inactive players" ON inactive_players;
+DROP POLICY IF EXISTS "Anyone can update inactive players" ON inactive_players;
+DROP POLICY IF EXISTS "Anyone can delete inactive players" ON inactive_players;
+
+CREATE POLICY "R4 leaders can insert inactive players"
+  ON inactive_players
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can update inactive players"
+  ON inactive_players
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r4'))
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can delete inactive players"
+  ON inactive_players
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('r4'));
+
+-- Excused players
+DROP POLICY IF EXISTS "Allow all operations for authenticated users" ON excused_players;
+
+CREATE POLICY "Anyone can read excused players"
+  ON excused_players
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "R4 leaders can insert excused players"
+  ON excused_players
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can update excused players"
+  ON excused_players
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r4'))
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can delete excused players"
+  ON excused_players
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('r4'));
+
+-- Player aliases
+DROP POLICY IF EXISTS "Anyone can insert player aliases" ON player_aliases;
+DROP POLICY IF EXISTS "Anyone can update player aliases" ON player_aliases;
+DROP POLICY IF EXISTS "Anyone can delete player aliases" ON player_aliases;
+
+CREATE POLICY "R4 leaders can insert player aliases"
+  ON player_aliases
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can update player aliases"
+  ON player_aliases
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r4'))
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can delete player aliases"
+  ON player_aliases
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('r4'));
+
+-- Alliance leaders
+ALTER TABLE alliance_leaders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read alliance leaders"
+  ON alliance_leaders
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "R4 leaders can insert alliance leaders"
+  ON alliance_leaders
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can update alliance leaders"
+  ON alliance_leaders
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r4'))
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can delete alliance leaders"
+  ON alliance_leaders
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('r4'));
+
+-- Train conductor rotation
+ALTER TABLE train_conductor_rotation ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read train conductor rotation"
+  ON train_conductor_rotation
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "R4 leaders can insert train conductor rotation"
+  ON train_conductor_rotation
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can update train conductor rotation"
+  ON train_conductor_rotation
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r4'))
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can delete train conductor rotation"
+  ON train_conductor_rotation
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('r4'));
+
+-- VIP selections
+ALTER TABLE vip_selections ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read VIP selections"
+  ON vip_selections
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "R4 leaders can insert VIP selections"
+  ON vip_selections
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can update VIP selections"
+  ON vip_selections
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r4'))
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can delete VIP selections"
+  ON vip_selections
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('r4'));
+
+-- Kudos points
+DROP POLICY IF EXISTS "Allow all operations on kudos_points" ON kudos_points;
+
+CREATE POLICY "Anyone can read kudos points"
+  ON kudos_points
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "R5 admins can insert kudos points"
+  ON kudos_points
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r5'));
+
+CREATE POLICY "R5 admins can update kudos points"
+  ON kudos_points
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r5'))
+  WITH CHECK (public.has_role('r5'));
+
+CREATE POLICY "R5 admins can delete kudos points"
+  ON kudos_points
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('r5'));
+
+-- Season rankings
+DROP POLICY IF EXISTS "Allow all operations on season_rankings" ON season_rankings;
+
+CREATE POLICY "Anyone can read season rankings"
+  ON season_rankings
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "R5 admins can insert season rankings"
+  ON season_rankings
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r5'));
+
+CREATE POLICY "R5 admins can update season rankings"
+  ON season_rankings
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r5'))
+  WITH CHECK (public.has_role('r5'));
+
+CREATE POLICY "R5 admins can delete season rankings"
+  ON season_rankings
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('r5'));
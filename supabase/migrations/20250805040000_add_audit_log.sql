@@ -0,0 +1,63 @@
+/*
+  # Add audit log
+
+  Kudos record who awarded them, but renames, removed/inactive/excused
+  player changes, VIP deletions, special event edits and ranking overwrites
+  left no trail. Every admin mutation now writes a row here with who did it
+  and the record before and after the change.
+
+  1. New Tables
+    - `audit_log`
+      - `id` (uuid, primary key)
+      - `actor` (text) - officer's email at the time of the change
+      - `actor_id` (uuid) - the auth.users id of the officer
+      - `action` (text) - e.g. 'create', 'update', 'delete', 'replace', 'rename'
+      - `entity_type` (text) - e.g. 'rankings', 'special_event', 'vip'
+      - `entity_key` (text) - which record (player name, date, event key...)
+      - `before_data` (jsonb) - the record before the change, null when created
+      - `after_data` (jsonb) - the record after the change, null when deleted
+      - `created_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `audit_log` table
+    - R4 leaders and R5 admins can read the log
+    - Any officer (Data Entry and up) can add entries, attributed to themselves
+    - The log is append-only: no update or delete policies
+
+  3. Indexes
+    - Add indexes on created_at, actor and entity_type for the Activity view filters
+*/
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor text NOT NULL,
+  actor_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  action text NOT NULL,
+  entity_type text NOT NULL,
+  entity_key text NOT NULL DEFAULT '',
+  before_data jsonb,
+  after_data jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Enable RLS
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Only leaders review the activity log
+CREATE POLICY "R4 leaders can read the audit log"
+  ON audit_log
+  FOR SELECT
+  TO authenticated
+  USING (public.has_role('r4'));
+
+-- Officers log their own changes and can't write entries for someone else
+CREATE POLICY "Officers can add their own audit entries"
+  ON audit_log
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('data_entry') AND actor_id = auth.uid());
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity_type ON audit_log(entity_type);
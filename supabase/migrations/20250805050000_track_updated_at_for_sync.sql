@@ -0,0 +1,52 @@
+/*
+  # Track updated_at on every table the offline queue writes
+
+  Changes made while offline are queued and replayed when the connection
+  comes back. Before replaying, the app compares each row's `updated_at`
+  with the time it last loaded the table, so a newer server change is
+  shown as a conflict instead of being overwritten. That only works if
+  `updated_at` exists and moves on every update.
+
+  1. Columns
+    - Add `updated_at` to `train_conductor_rotation` and `removed_players`
+
+  2. Triggers
+    - Set `updated_at` on update for `rankings`, `special_events`,
+      `alliance_leaders`, `train_conductor_rotation`, `vip_selections` and
+      `removed_players` (kudos_points, season_rankings and inactive_players
+      already have one)
+*/
+
+ALTER TABLE train_conductor_rotation ADD COLUMN IF NOT EXISTS updated_at timestamptz DEFAULT now();
+ALTER TABLE removed_players ADD COLUMN IF NOT EXISTS updated_at timestamptz DEFAULT now();
+
+-- update_updated_at_column() comes from the season ranking migration
+DROP TRIGGER IF EXISTS update_rankings_updated_at ON rankings;
+CREATE TRIGGER update_rankings_updated_at
+  BEFORE UPDATE ON rankings
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_special_events_updated_at ON special_events;
+CREATE TRIGGER update_special_events_updated_at
+  BEFORE UPDATE ON special_events
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_alliance_leaders_updated_at ON alliance_leaders;
+CREATE TRIGGER update_alliance_leaders_updated_at
+  BEFORE UPDATE ON alliance_leaders
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_train_conductor_rotation_updated_at ON train_conductor_rotation;
+CREATE TRIGGER update_train_conductor_rotation_updated_at
+  BEFORE UPDATE ON train_conductor_rotation
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_vip_selections_updated_at ON vip_selections;
+CREATE TRIGGER update_vip_selections_updated_at
+  BEFORE UPDATE ON vip_selections
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_removed_players_updated_at ON removed_players;
+CREATE TRIGGER update_removed_players_updated_at
+  BEFORE UPDATE ON removed_players
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,43 @@
+/*
+  # Enable realtime updates
+
+  Open sessions subscribe to row changes so an upload or VIP pick made by
+  one officer shows up for everyone without a reload.
+
+  1. Publication
+    - Add `rankings`, `special_events`, `vip_selections`, `kudos_points`,
+      `removed_players`, `inactive_players`, `excused_players` and
+      `player_aliases` to the `supabase_realtime` publication
+
+  2. Replica identity
+    - Set REPLICA IDENTITY FULL on the same tables so update and delete
+      events carry the whole previous row; the app uses it to find the
+      cached entry to patch (e.g. the day and rank of a deleted ranking)
+
+  3. Security
+    - Realtime applies the existing SELECT policies; everything published
+      here is already readable by anyone
+*/
+
+DO $$
+DECLARE
+  table_name text;
+BEGIN
+  FOREACH table_name IN ARRAY ARRAY[
+    'rankings', 'special_events', 'vip_selections', 'kudos_points',
+    'removed_players', 'inactive_players', 'excused_players', 'player_aliases'
+  ]
+  LOOP
+    EXECUTE format('ALTER TABLE %I REPLICA IDENTITY FULL', table_name);
+
+    -- The publication only exists on Supabase, not in local test databases
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+       AND NOT EXISTS (
+         SELECT 1 FROM pg_publication_tables
+         WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = table_name
+       )
+    THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE %I', table_name);
+    END IF;
+  END LOOP;
+END $$;
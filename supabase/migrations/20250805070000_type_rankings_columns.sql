@@ -0,0 +1,140 @@
+/*
+  # Typed columns for rankings
+
+  `points` was text and `day` held either a YYYY-MM-DD date or a special
+  event key, so queries had to pattern-match points and filter events with
+  `day IN (event keys)`. Rankings now say what they belong to in typed
+  columns.
+
+  1. Columns
+    - `points` becomes bigint, read by `parse_ranking_points()`: thousands
+      separators ("1,234,567", "1.234.567", "1 234 567") are dropped,
+      decimals ("1234.5", "1,234.5", "1234,5") are rounded, and unreadable
+      values become 0
+    - `date` becomes a real date, set for daily rankings
+    - New `event_id` (uuid, nullable) references `special_events`, set for
+      special event rankings; deleting an event deletes its rankings
+
+  2. Data migration
+    - `date` is filled from `day` where it is a YYYY-MM-DD date
+    - `event_id` is filled by matching `day` to `special_events.key`
+    - Rows with legacy day names ('monday'...) keep both empty
+
+  3. `day`
+    - Kept as the key the app groups rankings by, but now derived: a trigger
+      sets it from `date` or the event's key. Writers that only send `day`
+      (changes queued offline before this migration, events created
+      offline) get `date`/`event_id` filled in from it instead, and so do
+      updates that change only `day`.
+    - Renaming an event's key renames `day` on its rankings
+
+  4. Constraints and indexes
+    - A ranking belongs to a date or an event, never both
+    - Index `event_id`; `date` keeps its index through the type change
+*/
+
+-- Points as OCR and spreadsheets wrote them: "1,234,567", "1.234.567",
+-- "1 234 567", "1234.5" or "1234,5"
+CREATE OR REPLACE FUNCTION public.parse_ranking_points(value text)
+RETURNS bigint
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  compact text := regexp_replace(coalesce(value, ''), '[\s'']', '', 'g');
+BEGIN
+  -- Only thousands separators: 1,234,567 / 1.234.567
+  IF compact ~ '^\d{1,3}(,\d{3})+$' OR compact ~ '^\d{1,3}(\.\d{3})+$' THEN
+    RETURN regexp_replace(compact, '[,.]', '', 'g')::bigint;
+  END IF;
+  -- Comma thousands, point decimals: 1,234.5 / 1234.5
+  IF compact ~ '^(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$' THEN
+    RETURN round(replace(compact, ',', '')::numeric);
+  END IF;
+  -- Point thousands, comma decimals: 1.234,5 / 1234,5
+  IF compact ~ '^(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$' THEN
+    RETURN round(replace(replace(compact, '.', ''), ',', '.')::numeric);
+  END IF;
+  RETURN 0;
+END;
+$$;
+
+-- Points: text -> bigint
+ALTER TABLE rankings
+  ALTER COLUMN points TYPE bigint
+  USING public.parse_ranking_points(points);
+
+-- Date: text -> date (the old format check can't apply to a date column)
+ALTER TABLE rankings DROP CONSTRAINT IF EXISTS rankings_date_format_check;
+ALTER TABLE rankings
+  ALTER COLUMN date TYPE date
+  USING CASE WHEN date ~ '^\d{4}-\d{2}-\d{2}$' THEN date::date END;
+
+ALTER TABLE rankings
+  ADD COLUMN IF NOT EXISTS event_id uuid REFERENCES special_events(id) ON DELETE CASCADE;
+
+-- Data migration
+UPDATE rankings
+SET date = day::date
+WHERE date IS NULL AND day ~ '^\d{4}-\d{2}-\d{2}$';
+
+UPDATE rankings r
+SET event_id = e.id, date = NULL
+FROM special_events e
+WHERE r.event_id IS NULL AND r.day = e.key;
+
+ALTER TABLE rankings
+  ADD CONSTRAINT rankings_date_or_event_check CHECK (date IS NULL OR event_id IS NULL);
+
+CREATE INDEX IF NOT EXISTS idx_rankings_event_id ON rankings(event_id);
+
+-- Keep `day` in step with the typed columns
+CREATE OR REPLACE FUNCTION public.sync_ranking_day()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- An update that only moves `day` is resolved from `day`
+  IF TG_OP = 'UPDATE' AND NEW.day IS DISTINCT FROM OLD.day
+     AND NEW.date IS NOT DISTINCT FROM OLD.date
+     AND NEW.event_id IS NOT DISTINCT FROM OLD.event_id THEN
+    NEW.date := NULL;
+    NEW.event_id := NULL;
+  END IF;
+
+  IF NEW.event_id IS NOT NULL THEN
+    NEW.date := NULL;
+    SELECT key INTO NEW.day FROM special_events WHERE id = NEW.event_id;
+  ELSIF NEW.date IS NOT NULL THEN
+    NEW.day := to_char(NEW.date, 'YYYY-MM-DD');
+  ELSIF NEW.day ~ '^\d{4}-\d{2}-\d{2}$' THEN
+    NEW.date := NEW.day::date;
+  ELSIF NEW.day IS NOT NULL THEN
+    SELECT id INTO NEW.event_id FROM special_events WHERE key = NEW.day;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sync_rankings_day ON rankings;
+CREATE TRIGGER sync_rankings_day
+  BEFORE INSERT OR UPDATE ON rankings
+  FOR EACH ROW EXECUTE FUNCTION public.sync_ranking_day();
+
+-- Rankings follow their event when its key changes
+CREATE OR REPLACE FUNCTION public.sync_event_rankings_day()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE rankings SET day = NEW.key WHERE event_id = NEW.id;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sync_event_rankings_day ON special_events;
+CREATE TRIGGER sync_event_rankings_day
+  AFTER UPDATE OF key ON special_events
+  FOR EACH ROW
+  WHEN (NEW.key IS DISTINCT FROM OLD.key)
+  EXECUTE FUNCTION public.sync_event_rankings_day();
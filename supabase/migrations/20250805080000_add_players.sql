@@ -0,0 +1,352 @@
+/*
+  # Add players with stable IDs
+
+  Players were only ever the free-text `commander` / `player_name` in each
+  table, so a rename had to rewrite rankings, leaders, VIP picks and season
+  rankings one table at a time (and missed kudos and the status lists).
+  Every player now has a row in `players`, and the other tables point at it.
+
+  1. New Tables
+    - `players`
+      - `id` (uuid, primary key)
+      - `name` (text, unique) - the player's current name
+      - `created_at`, `updated_at` (timestamps)
+
+  2. Linked columns
+    - `rankings.player_id`, `kudos_points.player_id`, `alliance_leaders.player_id`,
+      `train_conductor_rotation.player_id` / `conductor_id`,
+      `vip_selections.vip_player_id` / `train_conductor_id`,
+      `removed_players.player_id`, `inactive_players.player_id`,
+      `excused_players.player_id`, `season_rankings.player_id`,
+      `player_aliases.player_id`
+    - The name columns stay, as the player's name at read time. Writers can
+      keep sending names: a trigger links the row to the player with that
+      name (or a former name of theirs), creating the player if needed, and
+      sets the name column from `players`.
+    - Existing rows are linked by exact name; each distinct name becomes a
+      player
+
+  3. Renames
+    - Renaming is an update of `players.name`. A trigger copies the new name
+      to the linked name columns and records the old name in
+      `player_aliases`, which is now each player's name history.
+    - Copying the name leaves the linked rows' `updated_at` alone: the rows
+      themselves didn't change, so the offline queue mustn't see a rename
+      as a newer server edit.
+    - `train_conductor_rotation.player_name` follows `alliance_leaders`
+      through ON UPDATE CASCADE
+
+  4. Security
+    - Enable RLS on `players`; anyone can read
+    - R4 leaders (and above) can add, rename and delete players
+    - Players created by the link trigger don't need the writer to be R4
+
+  5. Realtime
+    - `players` is published like the other cached tables
+*/
+
+CREATE TABLE IF NOT EXISTS players (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL UNIQUE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+
+  CONSTRAINT check_player_name_not_empty CHECK (length(trim(name)) > 0)
+);
+
+-- Enable RLS
+ALTER TABLE players ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read players"
+  ON players
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "R4 leaders can insert players"
+  ON players
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can update players"
+  ON players
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r4'))
+  WITH CHECK (public.has_role('r4'));
+
+CREATE POLICY "R4 leaders can delete players"
+  ON players
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('r4'));
+
+DROP TRIGGER IF EXISTS update_players_updated_at ON players;
+CREATE TRIGGER update_players_updated_at
+  BEFORE UPDATE ON players
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Linked columns
+ALTER TABLE rankings ADD COLUMN IF NOT EXISTS player_id uuid REFERENCES players(id);
+ALTER TABLE kudos_points ADD COLUMN IF NOT EXISTS player_id uuid REFERENCES players(id);
+ALTER TABLE alliance_leaders ADD COLUMN IF NOT EXISTS player_id uuid REFERENCES players(id);
+ALTER TABLE train_conductor_rotation ADD COLUMN IF NOT EXISTS player_id uuid REFERENCES players(id);
+ALTER TABLE train_conductor_rotation ADD COLUMN IF NOT EXISTS conductor_id uuid REFERENCES players(id);
+ALTER TABLE vip_selections ADD COLUMN IF NOT EXISTS vip_player_id uuid REFERENCES players(id);
+ALTER TABLE vip_selections ADD COLUMN IF NOT EXISTS train_conductor_id uuid REFERENCES players(id);
+ALTER TABLE removed_players ADD COLUMN IF NOT EXISTS player_id uuid REFERENCES players(id);
+ALTER TABLE inactive_players ADD COLUMN IF NOT EXISTS player_id uuid REFERENCES players(id);
+ALTER TABLE excused_players ADD COLUMN IF NOT EXISTS player_id uuid REFERENCES players(id);
+ALTER TABLE season_rankings ADD COLUMN IF NOT EXISTS player_id uuid REFERENCES players(id);
+ALTER TABLE player_aliases ADD COLUMN IF NOT EXISTS player_id uuid REFERENCES players(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_rankings_player_id ON rankings(player_id);
+CREATE INDEX IF NOT EXISTS idx_kudos_points_player_id ON kudos_points(player_id);
+CREATE INDEX IF NOT EXISTS idx_vip_selections_vip_player_id ON vip_selections(vip_player_id);
+CREATE INDEX IF NOT EXISTS idx_vip_selections_train_conductor_id ON vip_selections(train_conductor_id);
+CREATE INDEX IF NOT EXISTS idx_season_rankings_player_id ON season_rankings(player_id);
+CREATE INDEX IF NOT EXISTS idx_player_aliases_player_id ON player_aliases(player_id);
+
+-- Let a leader rename carry over to the rotation
+ALTER TABLE train_conductor_rotation DROP CONSTRAINT IF EXISTS train_conductor_rotation_player_name_fkey;
+ALTER TABLE train_conductor_rotation
+  ADD CONSTRAINT train_conductor_rotation_player_name_fkey
+  FOREIGN KEY (player_name) REFERENCES alliance_leaders(player_name) ON UPDATE CASCADE;
+
+-- Player for a name: exact match, then a former name, otherwise a new player
+CREATE OR REPLACE FUNCTION public.find_or_create_player(player_name text)
+RETURNS uuid
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  found_id uuid;
+BEGIN
+  IF player_name IS NULL OR trim(player_name) = '' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT id INTO found_id FROM players WHERE name = trim(player_name);
+
+  IF found_id IS NULL THEN
+    SELECT player_id INTO found_id
+    FROM player_aliases
+    WHERE is_active AND player_id IS NOT NULL AND lower(alias_name) = lower(trim(player_name))
+    ORDER BY created_at DESC
+    LIMIT 1;
+  END IF;
+
+  IF found_id IS NULL THEN
+    INSERT INTO players (name) VALUES (trim(player_name))
+    ON CONFLICT (name) DO NOTHING
+    RETURNING id INTO found_id;
+  END IF;
+
+  -- Created by a concurrent write
+  IF found_id IS NULL THEN
+    SELECT id INTO found_id FROM players WHERE name = trim(player_name);
+  END IF;
+
+  RETURN found_id;
+END;
+$$;
+
+-- Only reachable through the link trigger, not as an API call
+REVOKE EXECUTE ON FUNCTION public.find_or_create_player(text) FROM PUBLIC, anon, authenticated;
+
+-- Keep a (name column, id column) pair in step. Arguments: name column, id column.
+-- Setting the id picks the player; writing only a (different) name picks the
+-- player by name. Either way the name column ends up as the player's name.
+-- SECURITY DEFINER so officers who may write rankings but not players can
+-- still record a newcomer.
+CREATE OR REPLACE FUNCTION public.link_player()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  name_column text := TG_ARGV[0];
+  id_column text := TG_ARGV[1];
+  new_row jsonb := to_jsonb(NEW);
+  old_row jsonb := CASE WHEN TG_OP = 'UPDATE' THEN to_jsonb(OLD) END;
+  linked_id uuid := (new_row ->> id_column)::uuid;
+  linked_name text;
+BEGIN
+  IF linked_id IS NULL
+     OR (old_row IS NOT NULL
+         AND linked_id IS NOT DISTINCT FROM (old_row ->> id_column)::uuid
+         AND new_row ->> name_column IS DISTINCT FROM old_row ->> name_column)
+  THEN
+    linked_id := public.find_or_create_player(new_row ->> name_column);
+  END IF;
+
+  SELECT name INTO linked_name FROM players WHERE id = linked_id;
+
+  RETURN jsonb_populate_record(NEW, jsonb_build_object(
+    id_column, linked_id,
+    name_column, coalesce(linked_name, new_row ->> name_column)
+  ));
+END;
+$$;
+
+-- updated_at stays put while a rename is copied to the linked rows
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_setting('app.copying_player_name', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+    NEW.updated_at = now();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Rename: carry the new name to every linked row and keep the old one as history
+CREATE OR REPLACE FUNCTION public.propagate_player_rename()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  -- Taking back a former name removes it from the history
+  DELETE FROM player_aliases WHERE player_id = NEW.id AND lower(alias_name) = lower(NEW.name);
+  UPDATE player_aliases SET primary_name = NEW.name WHERE player_id = NEW.id;
+  INSERT INTO player_aliases (player_id, primary_name, alias_name, created_by)
+  VALUES (NEW.id, NEW.name, OLD.name, coalesce((SELECT email FROM user_roles WHERE user_id = auth.uid()), 'Admin'))
+  ON CONFLICT (primary_name, alias_name) DO UPDATE SET is_active = true;
+
+  PERFORM set_config('app.copying_player_name', 'on', true);
+  UPDATE rankings SET commander = NEW.name WHERE player_id = NEW.id;
+  UPDATE kudos_points SET player_name = NEW.name WHERE player_id = NEW.id;
+  -- The rotation's player_name follows through its foreign key
+  UPDATE alliance_leaders SET player_name = NEW.name WHERE player_id = NEW.id;
+  UPDATE train_conductor_rotation SET conductor_name = NEW.name WHERE conductor_id = NEW.id;
+  UPDATE vip_selections SET vip_player = NEW.name WHERE vip_player_id = NEW.id;
+  UPDATE vip_selections SET train_conductor = NEW.name WHERE train_conductor_id = NEW.id;
+  UPDATE removed_players SET player_name = NEW.name WHERE player_id = NEW.id;
+  UPDATE inactive_players SET player_name = NEW.name WHERE player_id = NEW.id;
+  UPDATE excused_players SET player_name = NEW.name WHERE player_id = NEW.id;
+  UPDATE season_rankings SET player_name = NEW.name WHERE player_id = NEW.id;
+  PERFORM set_config('app.copying_player_name', 'off', true);
+
+  RETURN NEW;
+END;
+$$;
+
+-- Backfill: one player per distinct name, linked by exact name
+INSERT INTO players (name)
+SELECT DISTINCT name FROM (
+  SELECT commander AS name FROM rankings
+  UNION SELECT player_name FROM kudos_points
+  UNION SELECT player_name FROM alliance_leaders
+  UNION SELECT player_name FROM train_conductor_rotation
+  UNION SELECT conductor_name FROM train_conductor_rotation
+  UNION SELECT vip_player FROM vip_selections
+  UNION SELECT train_conductor FROM vip_selections
+  UNION SELECT player_name FROM removed_players
+  UNION SELECT player_name FROM inactive_players
+  UNION SELECT player_name FROM excused_players
+  UNION SELECT player_name FROM season_rankings
+  UNION SELECT primary_name FROM player_aliases
+) names
+WHERE name IS NOT NULL AND length(trim(name)) > 0
+ON CONFLICT (name) DO NOTHING;
+
+UPDATE rankings t SET player_id = p.id FROM players p WHERE p.name = t.commander;
+UPDATE kudos_points t SET player_id = p.id FROM players p WHERE p.name = t.player_name;
+UPDATE alliance_leaders t SET player_id = p.id FROM players p WHERE p.name = t.player_name;
+UPDATE train_conductor_rotation t SET player_id = p.id FROM players p WHERE p.name = t.player_name;
+UPDATE train_conductor_rotation t SET conductor_id = p.id FROM players p WHERE p.name = t.conductor_name;
+UPDATE vip_selections t SET vip_player_id = p.id FROM players p WHERE p.name = t.vip_player;
+UPDATE vip_selections t SET train_conductor_id = p.id FROM players p WHERE p.name = t.train_conductor;
+UPDATE removed_players t SET player_id = p.id FROM players p WHERE p.name = t.player_name;
+UPDATE inactive_players t SET player_id = p.id FROM players p WHERE p.name = t.player_name;
+UPDATE excused_players t SET player_id = p.id FROM players p WHERE p.name = t.player_name;
+UPDATE season_rankings t SET player_id = p.id FROM players p WHERE p.name = t.player_name;
+UPDATE player_aliases t SET player_id = p.id FROM players p WHERE p.name = t.primary_name;
+
+-- Triggers (after the backfill so it links by exact name only)
+DROP TRIGGER IF EXISTS link_rankings_player ON rankings;
+CREATE TRIGGER link_rankings_player
+  BEFORE INSERT OR UPDATE ON rankings
+  FOR EACH ROW EXECUTE FUNCTION public.link_player('commander', 'player_id');
+
+DROP TRIGGER IF EXISTS link_kudos_points_player ON kudos_points;
+CREATE TRIGGER link_kudos_points_player
+  BEFORE INSERT OR UPDATE ON kudos_points
+  FOR EACH ROW EXECUTE FUNCTION public.link_player('player_name', 'player_id');
+
+DROP TRIGGER IF EXISTS link_alliance_leaders_player ON alliance_leaders;
+CREATE TRIGGER link_alliance_leaders_player
+  BEFORE INSERT OR UPDATE ON alliance_leaders
+  FOR EACH ROW EXECUTE FUNCTION public.link_player('player_name', 'player_id');
+
+DROP TRIGGER IF EXISTS link_train_conductor_rotation_player ON train_conductor_rotation;
+CREATE TRIGGER link_train_conductor_rotation_player
+  BEFORE INSERT OR UPDATE ON train_conductor_rotation
+  FOR EACH ROW EXECUTE FUNCTION public.link_player('player_name', 'player_id');
+
+DROP TRIGGER IF EXISTS link_train_conductor_rotation_conductor ON train_conductor_rotation;
+CREATE TRIGGER link_train_conductor_rotation_conductor
+  BEFORE INSERT OR UPDATE ON train_conductor_rotation
+  FOR EACH ROW EXECUTE FUNCTION public.link_player('conductor_name', 'conductor_id');
+
+DROP TRIGGER IF EXISTS link_vip_selections_vip_player ON vip_selections;
+CREATE TRIGGER link_vip_selections_vip_player
+  BEFORE INSERT OR UPDATE ON vip_selections
+  FOR EACH ROW EXECUTE FUNCTION public.link_player('vip_player', 'vip_player_id');
+
+DROP TRIGGER IF EXISTS link_vip_selections_train_conductor ON vip_selections;
+CREATE TRIGGER link_vip_selections_train_conductor
+  BEFORE INSERT OR UPDATE ON vip_selections
+  FOR EACH ROW EXECUTE FUNCTION public.link_player('train_conductor', 'train_conductor_id');
+
+DROP TRIGGER IF EXISTS link_removed_players_player ON removed_players;
+CREATE TRIGGER link_removed_players_player
+  BEFORE INSERT OR UPDATE ON removed_players
+  FOR EACH ROW EXECUTE FUNCTION public.link_player('player_name', 'player_id');
+
+DROP TRIGGER IF EXISTS link_inactive_players_player ON inactive_players;
+CREATE TRIGGER link_inactive_players_player
+  BEFORE INSERT OR UPDATE ON inactive_players
+  FOR EACH ROW EXECUTE FUNCTION public.link_player('player_name', 'player_id');
+
+DROP TRIGGER IF EXISTS link_excused_players_player ON excused_players;
+CREATE TRIGGER link_excused_players_player
+  BEFORE INSERT OR UPDATE ON excused_players
+  FOR EACH ROW EXECUTE FUNCTION public.link_player('player_name', 'player_id');
+
+DROP TRIGGER IF EXISTS link_season_rankings_player ON season_rankings;
+CREATE TRIGGER link_season_rankings_player
+  BEFORE INSERT OR UPDATE ON season_rankings
+  FOR EACH ROW EXECUTE FUNCTION public.link_player('player_name', 'player_id');
+
+DROP TRIGGER IF EXISTS link_player_aliases_player ON player_aliases;
+CREATE TRIGGER link_player_aliases_player
+  BEFORE INSERT OR UPDATE ON player_aliases
+  FOR EACH ROW EXECUTE FUNCTION public.link_player('primary_name', 'player_id');
+
+DROP TRIGGER IF EXISTS propagate_players_rename ON players;
+CREATE TRIGGER propagate_players_rename
+  AFTER UPDATE OF name ON players
+  FOR EACH ROW
+  WHEN (OLD.name IS DISTINCT FROM NEW.name)
+  EXECUTE FUNCTION public.propagate_player_rename();
+
+-- Realtime, as in the enable_realtime_updates migration
+ALTER TABLE players REPLICA IDENTITY FULL;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+     AND NOT EXISTS (
+       SELECT 1 FROM pg_publication_tables
+       WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'players'
+     )
+  THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE players;
+  END IF;
+END $$;
@@ -0,0 +1,338 @@
+/*
+  # Player merge and split
+
+  The same person sometimes ends up as two players (a typo in an upload, a
+  rename done by hand before players existed), and one name is sometimes
+  shared by two people. R4 leaders can now merge two players into one, undo
+  a merge, and split selected rows off to a new player.
+
+  1. New Tables
+    - `player_merges` - one row per merge, the undo record
+      - `source_player_id` / `source_name` - the player merged away
+      - `target_player_id` / `target_name` - the player that was kept
+      - `changes` (jsonb) - what the merge did: `moved` rows
+        ({table, column, id}), `deleted` rows ({table, row}), `combined`
+        kudos ({id, before}) and the `alias_id` it added
+      - `merged_by`, `merged_at`, `undone_by`, `undone_at`
+
+  2. Functions (R4 leaders and above)
+    - `merge_players(source_id, target_id)` moves every row of the source
+      player to the target in one transaction and returns the merge id:
+      - kudos on the same day are added together (capped at 10)
+      - where a player can only have one row (removed, inactive, leader,
+        a season's ranking, an alias) the target's row is kept
+      - the source's name becomes an alias of the target and the source
+        player is deleted
+    - `undo_player_merge(merge_id)` recreates the source player with its
+      old id and name and reverses the recorded changes. Rows written under
+      the source's name after the merge stay with the target.
+    - `split_player(source_id, new_name, row_refs)` creates a player and
+      moves the given historical rows ({table, column, id}: rankings, kudos,
+      VIP selections, excused days, season rankings) to it; returns its id
+
+  3. Security
+    - Enable RLS on `player_merges`; R4 leaders can read it
+    - It is only written by the functions above
+*/
+
+CREATE TABLE IF NOT EXISTS player_merges (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_player_id uuid NOT NULL,
+  source_name text NOT NULL,
+  target_player_id uuid REFERENCES players(id) ON DELETE SET NULL,
+  target_name text NOT NULL,
+  changes jsonb NOT NULL DEFAULT '{}'::jsonb,
+  merged_by text NOT NULL,
+  merged_at timestamptz NOT NULL DEFAULT now(),
+  undone_by text,
+  undone_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_merges_merged_at ON player_merges(merged_at DESC);
+
+-- Enable RLS
+ALTER TABLE player_merges ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "R4 leaders can read player merges"
+  ON player_merges
+  FOR SELECT
+  TO authenticated
+  USING (public.has_role('r4'));
+
+-- Columns that link a row to a player (player_aliases is handled separately)
+CREATE OR REPLACE FUNCTION public.player_link_columns()
+RETURNS TABLE (table_name text, column_name text)
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  VALUES
+    ('rankings', 'player_id'),
+    ('kudos_points', 'player_id'),
+    ('alliance_leaders', 'player_id'),
+    ('train_conductor_rotation', 'player_id'),
+    ('train_conductor_rotation', 'conductor_id'),
+    ('vip_selections', 'vip_player_id'),
+    ('vip_selections', 'train_conductor_id'),
+    ('removed_players', 'player_id'),
+    ('inactive_players', 'player_id'),
+    ('excused_players', 'player_id'),
+    ('season_rankings', 'player_id')
+$$;
+
+-- Point one column's rows from one player to another; returns the moved rows
+CREATE OR REPLACE FUNCTION public.move_player_rows(table_name text, column_name text, from_id uuid, to_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  moved jsonb;
+BEGIN
+  EXECUTE format(
+    'WITH moved AS (UPDATE %I SET %I = $2 WHERE %I = $1 RETURNING id::text AS id)
+     SELECT coalesce(jsonb_agg(jsonb_build_object(''table'', %L, ''column'', %L, ''id'', id)), ''[]''::jsonb) FROM moved',
+    table_name, column_name, column_name, table_name, column_name)
+  INTO moved
+  USING from_id, to_id;
+
+  RETURN moved;
+END;
+$$;
+
+-- Delete the rows matching a condition ($1 = source, $2 = target); returns them whole
+CREATE OR REPLACE FUNCTION public.delete_player_rows(table_name text, condition text, from_id uuid, to_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  removed jsonb;
+BEGIN
+  EXECUTE format(
+    'WITH removed AS (DELETE FROM %I t WHERE %s RETURNING t.*)
+     SELECT coalesce(jsonb_agg(jsonb_build_object(''table'', %L, ''row'', to_jsonb(removed))), ''[]''::jsonb) FROM removed',
+    table_name, condition, table_name)
+  INTO removed
+  USING from_id, to_id;
+
+  RETURN removed;
+END;
+$$;
+
+-- Only used by the functions below
+REVOKE EXECUTE ON FUNCTION public.move_player_rows(text, text, uuid, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.delete_player_rows(text, text, uuid, uuid) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.merge_players(source_id uuid, target_id uuid)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  actor text := coalesce((SELECT email FROM user_roles WHERE user_id = auth.uid()), 'Admin');
+  source_name text;
+  target_name text;
+  moved jsonb := '[]'::jsonb;
+  deleted jsonb := '[]'::jsonb;
+  combined jsonb;
+  link record;
+  alias_id uuid;
+  merge_id uuid;
+BEGIN
+  IF NOT public.has_role('r4') THEN
+    RAISE EXCEPTION 'Only R4 leaders can merge players' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT name INTO source_name FROM players WHERE id = source_id;
+  SELECT name INTO target_name FROM players WHERE id = target_id;
+
+  IF source_name IS NULL OR target_name IS NULL THEN
+    RAISE EXCEPTION 'Both players must exist to merge them';
+  END IF;
+  IF source_id = target_id THEN
+    RAISE EXCEPTION 'Cannot merge a player into themselves';
+  END IF;
+
+  -- Kudos on the same day: one row, points added together
+  WITH updated AS (
+    UPDATE kudos_points k
+    SET points = least(k.points + s.points, 10)
+    FROM kudos_points s, kudos_points previous
+    WHERE k.player_id = target_id AND s.player_id = source_id AND s.date_awarded = k.date_awarded
+      AND previous.id = k.id
+    RETURNING k.id, previous.points
+  )
+  SELECT coalesce(jsonb_agg(jsonb_build_object('id', id::text, 'before', points)), '[]'::jsonb)
+  INTO combined
+  FROM updated;
+
+  deleted := deleted || public.delete_player_rows('kudos_points',
+    't.player_id = $1 AND EXISTS (SELECT 1 FROM kudos_points o WHERE o.player_id = $2 AND o.date_awarded = t.date_awarded)',
+    source_id, target_id);
+
+  -- One row per player: the target's is kept
+  deleted := deleted || public.delete_player_rows('removed_players',
+    't.player_id = $1 AND EXISTS (SELECT 1 FROM removed_players o WHERE o.player_id = $2)', source_id, target_id);
+  deleted := deleted || public.delete_player_rows('inactive_players',
+    't.player_id = $1 AND EXISTS (SELECT 1 FROM inactive_players o WHERE o.player_id = $2)', source_id, target_id);
+  deleted := deleted || public.delete_player_rows('season_rankings',
+    't.player_id = $1 AND EXISTS (SELECT 1 FROM season_rankings o WHERE o.player_id = $2
+       AND o.season_name = t.season_name AND o.start_date = t.start_date AND o.end_date = t.end_date)',
+    source_id, target_id);
+  deleted := deleted || public.delete_player_rows('player_aliases',
+    't.player_id = $1 AND (lower(t.alias_name) = lower((SELECT name FROM players WHERE id = $2))
+       OR EXISTS (SELECT 1 FROM player_aliases o WHERE o.player_id = $2 AND lower(o.alias_name) = lower(t.alias_name)))',
+    source_id, target_id);
+
+  -- The rotation must always name a leader
+  IF EXISTS (SELECT 1 FROM alliance_leaders WHERE player_id = target_id) THEN
+    moved := moved || public.move_player_rows('train_conductor_rotation', 'player_id', source_id, target_id);
+    deleted := deleted || public.delete_player_rows('alliance_leaders', 't.player_id = $1', source_id, target_id);
+  ELSE
+    -- Moving the leader row carries the rotation with it through the foreign key
+    SELECT moved || coalesce(jsonb_agg(jsonb_build_object('table', 'train_conductor_rotation', 'column', 'player_id', 'id', id::text)), '[]'::jsonb)
+    INTO moved
+    FROM train_conductor_rotation
+    WHERE player_id = source_id;
+
+    moved := moved || public.move_player_rows('alliance_leaders', 'player_id', source_id, target_id);
+  END IF;
+
+  FOR link IN
+    SELECT * FROM public.player_link_columns() c
+    WHERE c.table_name <> 'alliance_leaders'
+      AND NOT (c.table_name = 'train_conductor_rotation' AND c.column_name = 'player_id')
+  LOOP
+    moved := moved || public.move_player_rows(link.table_name, link.column_name, source_id, target_id);
+  END LOOP;
+
+  moved := moved || public.move_player_rows('player_aliases', 'player_id', source_id, target_id);
+
+  -- The merged name keeps resolving, to the target
+  INSERT INTO player_aliases (player_id, primary_name, alias_name, created_by)
+  VALUES (target_id, target_name, source_name, actor)
+  ON CONFLICT (primary_name, alias_name) DO NOTHING
+  RETURNING id INTO alias_id;
+
+  DELETE FROM players WHERE id = source_id;
+
+  INSERT INTO player_merges (source_player_id, source_name, target_player_id, target_name, changes, merged_by)
+  VALUES (
+    source_id, source_name, target_id, target_name,
+    jsonb_build_object('moved', moved, 'deleted', deleted, 'combined', combined, 'alias_id', alias_id),
+    actor
+  )
+  RETURNING id INTO merge_id;
+
+  RETURN merge_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.undo_player_merge(merge_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  merge player_merges%ROWTYPE;
+  entry jsonb;
+BEGIN
+  IF NOT public.has_role('r4') THEN
+    RAISE EXCEPTION 'Only R4 leaders can undo a merge' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO merge FROM player_merges WHERE id = merge_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Merge not found';
+  END IF;
+  IF merge.undone_at IS NOT NULL THEN
+    RAISE EXCEPTION 'This merge has already been undone';
+  END IF;
+  IF merge.target_player_id IS NULL THEN
+    RAISE EXCEPTION 'The merged player no longer exists';
+  END IF;
+  IF EXISTS (SELECT 1 FROM players WHERE name = merge.source_name) THEN
+    RAISE EXCEPTION 'Another player is now called %', merge.source_name;
+  END IF;
+
+  INSERT INTO players (id, name) VALUES (merge.source_player_id, merge.source_name);
+
+  IF merge.changes ->> 'alias_id' IS NOT NULL THEN
+    DELETE FROM player_aliases WHERE id = (merge.changes ->> 'alias_id')::uuid;
+  END IF;
+
+  FOR entry IN SELECT value FROM jsonb_array_elements(merge.changes -> 'deleted') LOOP
+    EXECUTE format('INSERT INTO %I SELECT * FROM jsonb_populate_record(NULL::%I, $1)', entry ->> 'table', entry ->> 'table')
+    USING entry -> 'row';
+  END LOOP;
+
+  -- Newest first, so a leader row is back before its rotation rows
+  FOR entry IN
+    SELECT value FROM jsonb_array_elements(merge.changes -> 'moved') WITH ORDINALITY ORDER BY ordinality DESC
+  LOOP
+    EXECUTE format('UPDATE %I SET %I = $1 WHERE id::text = $2 AND %I = $3',
+      entry ->> 'table', entry ->> 'column', entry ->> 'column')
+    USING merge.source_player_id, entry ->> 'id', merge.target_player_id;
+  END LOOP;
+
+  FOR entry IN SELECT value FROM jsonb_array_elements(merge.changes -> 'combined') LOOP
+    UPDATE kudos_points SET points = (entry ->> 'before')::integer WHERE id = (entry ->> 'id')::uuid;
+  END LOOP;
+
+  UPDATE player_merges
+  SET undone_at = now(),
+      undone_by = coalesce((SELECT email FROM user_roles WHERE user_id = auth.uid()), 'Admin')
+  WHERE id = merge_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.split_player(source_id uuid, new_name text, row_refs jsonb)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  new_id uuid;
+  entry jsonb;
+  changed integer;
+BEGIN
+  IF NOT public.has_role('r4') THEN
+    RAISE EXCEPTION 'Only R4 leaders can split players' USING ERRCODE = '42501';
+  END IF;
+
+  IF new_name IS NULL OR trim(new_name) = '' THEN
+    RAISE EXCEPTION 'The new player needs a name';
+  END IF;
+  IF EXISTS (SELECT 1 FROM players WHERE name = trim(new_name)) THEN
+    RAISE EXCEPTION 'A player called % already exists', trim(new_name);
+  END IF;
+
+  INSERT INTO players (name) VALUES (trim(new_name)) RETURNING id INTO new_id;
+
+  FOR entry IN SELECT value FROM jsonb_array_elements(row_refs) LOOP
+    -- Historical rows only; status lists and the leader roster are current state
+    IF (entry ->> 'table', entry ->> 'column') NOT IN (
+      ('rankings', 'player_id'), ('kudos_points', 'player_id'),
+      ('vip_selections', 'vip_player_id'), ('vip_selections', 'train_conductor_id'),
+      ('excused_players', 'player_id'), ('season_rankings', 'player_id')
+    ) THEN
+      RAISE EXCEPTION 'Cannot split % rows', entry ->> 'table';
+    END IF;
+
+    EXECUTE format('UPDATE %I SET %I = $1 WHERE id::text = $2 AND %I = $3',
+      entry ->> 'table', entry ->> 'column', entry ->> 'column')
+    USING new_id, entry ->> 'id', source_id;
+
+    GET DIAGNOSTICS changed = ROW_COUNT;
+    IF changed = 0 THEN
+      RAISE EXCEPTION 'A selected % row no longer belongs to this player', entry ->> 'table';
+    END IF;
+  END LOOP;
+
+  RETURN new_id;
+END;
+$$;
@@ -0,0 +1,71 @@
+/*
+  # Add versioned season scoring rules
+
+  The season formula was hard-coded in SeasonRankingManager: 50 base VS
+  points, +2 per top 10 day and -1 per rank 21+ day, `(participants + 10) -
+  rank` per event, and alliance contribution added unweighted. Leadership
+  changes these rules each season, so they are now saved data.
+
+  1. New Tables
+    - `scoring_rules`
+      - `id` (uuid, primary key)
+      - `version` (integer, unique) - 1, 2, 3...; the highest is current
+      - `name` (text) - e.g. "Spring 2025 rules"
+      - `rules` (jsonb) - thresholds, point values, per-event multipliers,
+        caps and which components are weighted (see src/js/scoring-rules.js)
+      - `created_by` (text), `created_at` (timestamp)
+
+  2. Season reports
+    - `season_rankings.scoring_rules_version` records which rules produced
+      each saved report (NULL for reports saved before this migration)
+
+  3. Data
+    - Version 1 is the formula as it was hard-coded
+
+  4. Security
+    - Enable RLS on `scoring_rules`; anyone can read
+    - R5 admins (who run seasons) can add versions
+    - Versions are never edited or deleted, so a saved report can always be
+      traced back to its rules
+*/
+
+CREATE TABLE IF NOT EXISTS scoring_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  version integer NOT NULL UNIQUE CHECK (version > 0),
+  name text NOT NULL,
+  rules jsonb NOT NULL,
+  created_by text NOT NULL DEFAULT 'Admin',
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Enable RLS
+ALTER TABLE scoring_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read scoring rules"
+  ON scoring_rules
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "R5 admins can add scoring rules"
+  ON scoring_rules
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r5'));
+
+INSERT INTO scoring_rules (version, name, rules, created_by)
+VALUES (1, 'Original rules', '{
+  "kudos": { "use": "latest", "maxPoints": 10, "scale": 100, "cap": null },
+  "vsPerformance": {
+    "basePoints": 50, "topRank": 10, "topPoints": 2, "bottomRank": 21, "bottomPoints": -1,
+    "excusedSkipsBottom": true, "min": 0, "cap": null
+  },
+  "specialEvents": { "participantBonus": 10, "minPerEvent": 0, "capPerEvent": null, "cap": null, "multipliers": [] },
+  "allianceContribution": { "participantBonus": 10, "minPerEvent": 0, "capPerEvent": null, "cap": null, "multipliers": [] },
+  "allianceEventKeywords": ["alliance", "contribution"],
+  "weighted": { "kudos": true, "vsPerformance": true, "specialEvents": true, "allianceContribution": false }
+}'::jsonb, 'System')
+ON CONFLICT (version) DO NOTHING;
+
+ALTER TABLE season_rankings
+  ADD COLUMN IF NOT EXISTS scoring_rules_version integer REFERENCES scoring_rules(version);
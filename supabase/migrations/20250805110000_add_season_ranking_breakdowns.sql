@@ -0,0 +1,21 @@
+/*
+  # Keep the score breakdown with each season ranking
+
+  Season reports saved only each component's score, so a loaded report
+  couldn't show why a player placed where they did. The breakdown computed
+  while generating the report is now saved with it.
+
+  1. Columns
+    - `season_rankings.breakdown` (jsonb, nullable) - per component:
+      - `kudos`: every award in the period and which one counted
+      - `vsPerformance`: the top and bottom rank days, with excused days marked
+      - `specialEvents` / `allianceContribution`: each event's rank,
+        participants, multiplier and points
+      NULL for reports saved before this migration
+
+  2. Security
+    - Covered by the existing `season_rankings` policies
+*/
+
+ALTER TABLE season_rankings
+  ADD COLUMN IF NOT EXISTS breakdown jsonb;
@@ -0,0 +1,183 @@
+/*
+  # Seasons as their own table
+
+  A season was only the name and dates typed into the season form, and the
+  list of seasons was rebuilt from `season_rankings` rows. Seasons now have
+  a row of their own with a status, the weights and eligibility rules they
+  are scored with, and a locked snapshot once finalized.
+
+  1. New Tables
+    - `seasons`
+      - `id` (uuid, primary key)
+      - `name`, `start_date`, `end_date` - unique together
+      - `status` (text) - draft (being set up), active (the current season;
+        at most one) or finalized (the report is final)
+      - `weights` (jsonb) - weight % per component, as in the season form
+      - `eligibility` (jsonb) - `excludeRemoved`, `excludeLeaders`, `minDays`
+      - `scoring_rules_version` (integer) - rules of the finalized report
+      - `finalized_at`, `finalized_by`, `created_by`, timestamps
+
+  2. Season reports
+    - `season_rankings.season_id` links a report's rows to their season.
+      Rows written with only a name and dates are linked by a trigger.
+    - Draft and active seasons' rows are previews and can be regenerated.
+      A finalized season's rows are its locked snapshot: they can't be
+      added, changed or deleted, except that renames, merges and splits may
+      still move them between players.
+
+  3. Data
+    - A draft season is created for every report already saved
+
+  4. Security
+    - Enable RLS on `seasons`; anyone can read, R5 admins can write
+    - A finalized season can't be changed or deleted, and a season can only
+      be finalized once its report is saved
+*/
+
+CREATE TABLE IF NOT EXISTS seasons (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  status text NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'finalized')),
+  weights jsonb NOT NULL DEFAULT '{"kudos": 40, "vsPerformance": 35, "specialEvents": 25, "allianceContribution": 0}',
+  eligibility jsonb NOT NULL DEFAULT '{"excludeRemoved": true, "excludeLeaders": true, "minDays": 0}',
+  scoring_rules_version integer REFERENCES scoring_rules(version),
+  finalized_at timestamptz,
+  finalized_by text,
+  created_by text NOT NULL DEFAULT 'Admin',
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (end_date > start_date),
+  UNIQUE (name, start_date, end_date)
+);
+
+-- Only one season is current
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_one_active ON seasons (status) WHERE status = 'active';
+
+-- update_updated_at_column() comes from the season ranking migration
+DROP TRIGGER IF EXISTS update_seasons_updated_at ON seasons;
+CREATE TRIGGER update_seasons_updated_at
+  BEFORE UPDATE ON seasons
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable RLS
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read seasons"
+  ON seasons
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "R5 admins can insert seasons"
+  ON seasons
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (public.has_role('r5'));
+
+CREATE POLICY "R5 admins can update seasons"
+  ON seasons
+  FOR UPDATE
+  TO authenticated
+  USING (public.has_role('r5'))
+  WITH CHECK (public.has_role('r5'));
+
+CREATE POLICY "R5 admins can delete seasons"
+  ON seasons
+  FOR DELETE
+  TO authenticated
+  USING (public.has_role('r5'));
+
+-- Existing reports become draft seasons
+INSERT INTO seasons (name, start_date, end_date, created_by)
+SELECT DISTINCT season_name, start_date, end_date, 'System'
+FROM season_rankings
+WHERE end_date > start_date
+ON CONFLICT (name, start_date, end_date) DO NOTHING;
+
+ALTER TABLE season_rankings
+  ADD COLUMN IF NOT EXISTS season_id uuid REFERENCES seasons(id) ON DELETE CASCADE;
+
+UPDATE season_rankings r
+SET season_id = s.id
+FROM seasons s
+WHERE r.season_id IS NULL
+  AND s.name = r.season_name AND s.start_date = r.start_date AND s.end_date = r.end_date;
+
+CREATE INDEX IF NOT EXISTS idx_season_rankings_season_id ON season_rankings(season_id);
+
+-- A finalized season stays as it was finalized
+CREATE OR REPLACE FUNCTION public.protect_finalized_season()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF OLD.status = 'finalized' THEN
+    RAISE EXCEPTION 'Season "%" is finalized and can''t be changed', OLD.name;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    RETURN OLD;
+  END IF;
+
+  IF NEW.status = 'finalized' THEN
+    IF NOT EXISTS (SELECT 1 FROM season_rankings WHERE season_id = NEW.id) THEN
+      RAISE EXCEPTION 'Season "%" has no saved report to finalize', NEW.name;
+    END IF;
+    NEW.finalized_at := coalesce(NEW.finalized_at, now());
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_finalized_season ON seasons;
+CREATE TRIGGER protect_finalized_season
+  BEFORE UPDATE OR DELETE ON seasons
+  FOR EACH ROW EXECUTE FUNCTION public.protect_finalized_season();
+
+-- Link report rows to their season, and keep finalized snapshots locked
+CREATE OR REPLACE FUNCTION public.protect_finalized_season_rankings()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  season_name text;
+BEGIN
+  IF TG_OP <> 'DELETE' AND NEW.season_id IS NULL THEN
+    SELECT id INTO NEW.season_id
+    FROM seasons s
+    WHERE s.name = NEW.season_name AND s.start_date = NEW.start_date AND s.end_date = NEW.end_date;
+  END IF;
+
+  -- Renames, merges and splits only change whose row it is
+  IF TG_OP = 'UPDATE'
+     AND (to_jsonb(NEW) - 'player_id' - 'player_name' - 'updated_at')
+         = (to_jsonb(OLD) - 'player_id' - 'player_name' - 'updated_at') THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT s.name INTO season_name
+  FROM seasons s
+  WHERE s.status = 'finalized'
+    AND s.id IN (
+      CASE WHEN TG_OP <> 'INSERT' THEN OLD.season_id END,
+      CASE WHEN TG_OP <> 'DELETE' THEN NEW.season_id END
+    );
+
+  IF season_name IS NOT NULL THEN
+    RAISE EXCEPTION 'Season "%" is finalized; its report can''t be changed', season_name;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    RETURN OLD;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_finalized_season_rankings ON season_rankings;
+CREATE TRIGGER protect_finalized_season_rankings
+  BEFORE INSERT OR UPDATE OR DELETE ON season_rankings
+  FOR EACH ROW EXECUTE FUNCTION public.protect_finalized_season_rankings();
@@ -0,0 +1,42 @@
+/*
+  # Replace a day's or an event's rankings in one transaction
+
+  Uploading rankings deleted the existing rows and then inserted the new
+  ones as two requests. If the insert failed (a dropped connection, a
+  duplicate rank) the day was left empty on the server.
+
+  1. Functions
+    - `replace_rankings(target, new_rows)` deletes the rankings matching
+      `target` ({date}, {event_id} or {day}, as the app selects them) and
+      inserts `new_rows` ({ranking, commander, points} plus the target
+      columns) in one transaction, returning the inserted rows. Either both
+      happen or neither does.
+
+  2. Security
+    - SECURITY INVOKER: the caller's rankings policies apply to the delete
+      and the insert, so only officers who may write rankings can use it
+*/
+
+CREATE OR REPLACE FUNCTION public.replace_rankings(target jsonb, new_rows jsonb)
+RETURNS SETOF rankings
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+BEGIN
+  IF target IS NULL OR NOT (target ?| ARRAY['date', 'event_id', 'day']) THEN
+    RAISE EXCEPTION 'replace_rankings needs a date, event_id or day to replace';
+  END IF;
+
+  DELETE FROM rankings
+  WHERE (NOT target ? 'date' OR date = (target->>'date')::date)
+    AND (NOT target ? 'event_id' OR event_id = (target->>'event_id')::uuid)
+    AND (NOT target ? 'day' OR day = target->>'day');
+
+  RETURN QUERY
+  INSERT INTO rankings (date, event_id, day, ranking, commander, points)
+  SELECT r.date, r.event_id, r.day, r.ranking, r.commander, r.points
+  FROM jsonb_populate_recordset(NULL::rankings, coalesce(new_rows, '[]'::jsonb)) AS r
+  RETURNING *;
+END;
+$$;
@@ -0,0 +1,46 @@
+/*
+  # Stamp audit log entries on the server
+
+  The app sent `created_at` and `actor` with each entry, so an officer could
+  back-date an entry or put someone else's name on it; only `actor_id` was
+  checked. The database now fills in all three from the session.
+
+  1. Triggers
+    - `stamp_audit_log_entry` runs before every insert into `audit_log` from
+      a signed-in session and sets `created_at` to now(), `actor_id` to
+      auth.uid() and `actor` to the officer's email from `user_roles`,
+      whatever the request sent. Entries kept on a device while offline are
+      therefore dated when they reach the server.
+    - Inserts without a session (migrations, the service role) keep the
+      values they give.
+
+  2. Columns
+    - `actor_id` defaults to auth.uid()
+*/
+
+ALTER TABLE audit_log ALTER COLUMN actor_id SET DEFAULT auth.uid();
+
+-- SECURITY DEFINER so the officer's email can be read past user_roles' RLS
+CREATE OR REPLACE FUNCTION public.stamp_audit_log_entry()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL THEN
+    NEW.created_at := now();
+    NEW.actor_id := auth.uid();
+    NEW.actor := coalesce(
+      (SELECT email FROM user_roles WHERE user_id = auth.uid()),
+      auth.uid()::text
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS stamp_audit_log_entry ON audit_log;
+CREATE TRIGGER stamp_audit_log_entry
+  BEFORE INSERT ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION public.stamp_audit_log_entry();
@@ -0,0 +1,114 @@
+// Officer role tests
+// Checks what each role may and may not do in the admin panel, that every
+// action the panel gates names a known permission, and that a role change
+// is only reported (and audited) as saved once the database has stored it.
+
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'node:fs';
+import { createMockSupabaseClient } from './sync/mock-supabase-client.js';
+
+// The audit log's local fallback reads localStorage
+globalThis.localStorage ??= { getItem: () => null, setItem() {}, removeItem() {} };
+
+const { AuthService, ROLES, PERMISSIONS } = await import('../src/js/auth-service.js');
+const { supabase } = await import('../src/js/supabase-client.js');
+
+// Every permission, and the roles allowed it
+const ALLOWED = {
+    'admin.access': ['data_entry', 'r4', 'r5'],
+    'rankings.import': ['data_entry', 'r4', 'r5'],
+    'rankings.history': ['r4', 'r5'],
+    'events.manage': ['r4', 'r5'],
+    'players.manage': ['r4', 'r5'],
+    'vip.manage': ['r4', 'r5'],
+    'activity.view': ['r4', 'r5'],
+    'seasons.manage': ['r5'],
+    'roles.manage': ['r5']
+};
+
+const signedInAs = role => {
+    const auth = new AuthService();
+    auth.user = { id: `${role}-id`, email: `${role}@example.com` };
+    auth.role = role;
+    return auth;
+};
+
+test.describe('Officer roles', () => {
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    test('each role can do what the roles below it can, and no more', () => {
+        expect(Object.keys(PERMISSIONS).sort()).toEqual(Object.keys(ALLOWED).sort());
+
+        for (const role of ROLES) {
+            const auth = signedInAs(role);
+            for (const [permission, roles] of Object.entries(ALLOWED)) {
+                expect(auth.can(permission), `${role} ${permission}`).toBe(roles.includes(role));
+            }
+        }
+    });
+
+    test('signed-out visitors, unknown roles and unknown permissions get nothing', () => {
+        const signedOut = new AuthService();
+        expect(Object.keys(PERMISSIONS).filter(permission => signedOut.can(permission))).toEqual([]);
+
+        expect(signedInAs('r6').can('admin.access')).toBe(false);
+        expect(signedInAs('r5').can('database.drop')).toBe(false);
+    });
+
+    test('every action the admin panel gates names a known permission', () => {
+        const main = readFileSync(new URL('../src/js/main.js', import.meta.url), 'utf8');
+        const gated = [...main.matchAll(/requirePermission\('([^']+)'\)/g)].map(match => match[1]);
+
+        expect(gated.length).toBeGreaterThan(0);
+        expect(gated.filter(permission => !(permission in PERMISSIONS))).toEqual([]);
+    });
+
+    test.describe('changing roles', () => {
+        const originalFrom = supabase.from;
+        let client;
+        let auth;
+
+        const roleOf = userId => client.tables.user_roles.find(row => row.user_id === userId).role;
+
+        test.beforeEach(() => {
+            client = createMockSupabaseClient();
+            client.seed('user_roles', [{ user_id: 'officer-id', email: 'officer@example.com', role: 'data_entry' }]);
+            supabase.from = client.from;
+            auth = signedInAs('r5');
+        });
+
+        test.afterEach(() => {
+            supabase.from = originalFrom;
+        });
+
+        test('a stored change is reported and audited with the previous role', async () => {
+            expect(await auth.setUserRole('officer-id', 'r4')).toBe(true);
+
+            expect(roleOf('officer-id')).toBe('r4');
+            expect(client.tables.audit_log).toEqual([expect.objectContaining({
+                action: 'update',
+                entity_type: 'user_role',
+                entity_key: 'officer@example.com',
+                before_data: { role: 'data_entry' },
+                after_data: { role: 'r4' }
+            })]);
+        });
+
+        test('an update row level security filters down to no rows is a failure', async () => {
+            // PostgREST answers a refused update with an empty result, not an error
+            const refused = { eq: () => refused, select: () => refused, then: resolve => resolve({ data: [], error: null }) };
+            supabase.from = table => ({ ...client.from(table), update: () => refused });
+
+            expect(await auth.setUserRole('officer-id', 'r5')).toBe(false);
+
+            expect(roleOf('officer-id')).toBe('data_entry');
+            expect(client.tables.audit_log).toBeUndefined();
+        });
+
+        test('an unknown role is refused before anything is sent', async () => {
+            expect(await auth.setUserRole('officer-id', 'owner')).toBe(false);
+
+            expect(roleOf('officer-id')).toBe('data_entry');
+        });
+    });
+});
@@ -0,0 +1,415 @@
+// CSV import tests
+// Checks that CSV text is split into records the way RFC 4180 describes,
+// that header rows are recognised, that columns are mapped from header names
+// or from the values themselves, that saved mapping profiles follow their
+// columns when an export reorders them, that the import report lists every
+// skipped row and every problem in the rows kept, that workbook sheets are
+// read into tables, and that sheet names, day columns and day headings are
+// read as the right dates.
+
+import { test, expect } from '@playwright/test';
+import * as XLSX from 'xlsx';
+import { CSVProcessor } from '../src/js/csv-processor.js';
+
+// Mapping profiles are kept in localStorage
+const storage = new Map();
+const previousStorage = globalThis.localStorage;
+globalThis.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const tableOf = (processor, rows) => processor.tableFromRows(rows, ',');
+
+// A workbook file as the file picker hands it over, one sheet per entry
+const workbookFile = (sheets, bookType = 'xlsx') => {
+    const workbook = XLSX.utils.book_new();
+    Object.entries(sheets).forEach(([name, rows]) => XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name));
+    const data = XLSX.write(workbook, { type: 'array', bookType });
+    return { name: `week.${bookType}`, arrayBuffer: async () => data };
+};
+
+test.describe('CSV import', () => {
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    let processor;
+
+    test.beforeEach(() => {
+        storage.clear();
+        processor = new CSVProcessor();
+    });
+
+    test.afterAll(() => {
+        globalThis.localStorage = previousStorage;
+    });
+
+    test.describe('tokenizer', () => {
+        test('quoted fields keep their commas, doubled quotes and line breaks', () => {
+            const text = 'Rank,Commander,Points\r\n'
+                + '1,"Smith, John","1,234"\r\n'
+                + '2,"The ""Boss""",900\r\n'
+                + '3,"Two\r\nLines",,\r\n';
+
+            expect(processor.tokenize(text)).toEqual([
+                ['Rank', 'Commander', 'Points'],
+                ['1', 'Smith, John', '1,234'],
+                ['2', 'The "Boss"', '900'],
+                ['3', 'Two\r\nLines', '', '']
+            ]);
+        });
+
+        test('whitespace before an opening quote is dropped and the last line needs no line break', () => {
+            expect(processor.tokenize('1, "Alpha" ,10\n2,Bravo,9')).toEqual([
+                ['1', 'Alpha ', '10'],
+                ['2', 'Bravo', '9']
+            ]);
+        });
+
+        test('the delimiter is read from the first line, ignoring quoted text', () => {
+            expect(processor.detectDelimiter('Rank;Commander;"Points, total"\n1;Alpha;10')).toBe(';');
+            expect(processor.detectDelimiter('Rank\tCommander\tPoints')).toBe('\t');
+            expect(processor.detectDelimiter('"a;b;c",d')).toBe(',');
+            expect(processor.detectDelimiter('Alpha')).toBe(',');
+        });
+
+        test('parseTable strips a byte order mark and blank lines', () => {
+            const table = processor.parseTable('\uFEFFRank;Commander;Points\n\n1;Alpha;"1.234"\n;;\n2;Bravo;900\n');
+
+            expect(table.delimiter).toBe(';');
+            expect(table.header).toEqual(['Rank', 'Commander', 'Points']);
+            expect(table.records).toHaveLength(3);
+            expect(table.columnCount).toBe(3);
+        });
+    });
+
+    test.describe('header detection', () => {
+        test('a first row naming a known column is a header', () => {
+            expect(processor.detectHeader([['#', 'Who', 'How much'], ['1', 'Alpha', '10']])).toBe(true);
+            expect(processor.detectHeader([['PLAYER_NAME', '1']])).toBe(true);
+        });
+
+        test('an unknown text row above numbers is a header', () => {
+            expect(processor.detectHeader([['Who', 'How much'], ['Alpha', '1,234']])).toBe(true);
+        });
+
+        test('data rows are not a header', () => {
+            expect(processor.detectHeader([['1', 'Alpha', '100'], ['2', 'Bravo', '90']])).toBe(false);
+            expect(processor.detectHeader([['Alpha', 'Bravo']])).toBe(false);
+            expect(processor.detectHeader([['Alpha', 'Bravo'], ['Charlie', 'Delta']])).toBe(false);
+            expect(processor.detectHeader([])).toBe(false);
+        });
+    });
+
+    test.describe('column mapping', () => {
+        test('header names map exactly first, then by the names they contain', () => {
+            const table = tableOf(processor, [['Pos', 'Commander Name', 'Alliance Tag', 'Event Points'], ['1', 'Alpha', 'ABC', '10']]);
+
+            expect(processor.guessMapping(table)).toEqual({
+                ranking: 0, commander: 1, points: 3, alliance: 2, power: null, day: null
+            });
+        });
+
+        test('without a header, columns are guessed from their values', () => {
+            const table = tableOf(processor, [
+                ['1', 'Alpha', 'Monday', '12,345', '88'],
+                ['2', 'Bravo', 'Monday', '9,000', '91'],
+                ['3', 'Charlie', 'Tue', '8,500', '70']
+            ]);
+
+            expect(table.hasHeader).toBe(false);
+            expect(processor.guessMapping(table)).toEqual({
+                ranking: 0, commander: 1, points: 4, alliance: null, power: null, day: 2
+            });
+        });
+
+        test('a header without a commander or points column falls back to the values', () => {
+            const table = tableOf(processor, [['Rank', 'Who', 'Total VS'], ['1', 'Alpha', '1,000'], ['2', 'Bravo', '900']]);
+
+            expect(processor.guessMapping(table)).toMatchObject({ ranking: 0, commander: 1, points: 2 });
+            expect(processor.getMissingFields({ ranking: 0, commander: 1, points: null })).toEqual(['Points']);
+        });
+
+        test('large numbers are read without logging', () => {
+            const warnings = [];
+            const warn = console.warn;
+            console.warn = (...args) => warnings.push(args);
+            try {
+                expect(processor.extractNumber('"87,264,360"')).toBe(87264360);
+                expect(processor.extractNumber('87.264.360')).toBe(87264360);
+            } finally {
+                console.warn = warn;
+            }
+            expect(warnings).toEqual([]);
+        });
+    });
+
+    test.describe('import report', () => {
+        const importText = text => {
+            const table = processor.parseTable(text);
+            return processor.importWithReport(table, processor.guessMapping(table));
+        };
+
+        test('skipped rows are listed with their row number, reason and values', () => {
+            const { rankings, report } = importText([
+                'Rank,Commander,Points',
+                '1,Alpha,"5,000"',
+                ',Bravo,4000',
+                '3,,3900',
+                '4,[ABC] Guild,3800',
+                '5,Golf,abc',
+                '6,Hotel,'
+            ].join('\n'));
+
+            expect(rankings).toEqual([{ ranking: 1, commander: 'Alpha', points: 5000 }]);
+            expect(report.totalRows).toBe(6);
+            expect(report.skipped).toEqual([
+                { row: 3, reason: 'Invalid rank ""', values: 'Bravo, 4000' },
+                { row: 4, reason: 'Missing commander name', values: '3, 3900' },
+                { row: 5, reason: 'Faction entry (name has an alliance tag)', values: '4, [ABC] Guild, 3800' },
+                { row: 6, reason: 'Invalid points "abc"', values: '5, Golf, abc' },
+                { row: 7, reason: 'Missing points', values: '6, Hotel' }
+            ]);
+            expect(report.issues).toEqual([]);
+        });
+
+        test('duplicate ranks, gaps, rising points and outliers are reported against their rows', () => {
+            const { rankings, report } = importText([
+                'Rank,Commander,Points',
+                '1,Alpha,5000',
+                '2,Bravo,4000',
+                '2,Charlie,3900',
+                '4,Delta,4500',
+                '5,Echo,30',
+                '9,Alpha,20'
+            ].join('\n'));
+
+            // Problems are reported, not fixed: every row is still imported
+            expect(rankings).toHaveLength(6);
+            expect(report.skipped).toEqual([]);
+            expect(report.issues.map(issue => [issue.type, issue.severity, issue.rows])).toEqual([
+                ['duplicate_rank', 'error', [3, 4]],
+                ['missing_rank', 'warning', []],
+                ['missing_rank', 'warning', []],
+                ['non_monotonic_points', 'warning', [4, 5]],
+                ['suspicious_points', 'warning', [6]],
+                ['suspicious_points', 'warning', [7]],
+                ['duplicate_commander', 'warning', [2, 7]]
+            ]);
+            expect(report.issues.filter(issue => issue.type === 'missing_rank').map(issue => issue.message))
+                .toEqual(['Rank 3 is missing', 'Ranks 6-8 are missing']);
+            expect(report.issues[0].message).toContain('Rank 2 appears 2 times (Bravo, Charlie)');
+            expect(report.issues.at(-1).message).toBe('Alpha appears at ranks 1, 9');
+        });
+
+        test('an implausibly large score is reported even in a short list', () => {
+            const { report } = importText('Rank,Commander,Points\n1,Alpha,"87,264,360,000"\n2,Bravo,900');
+
+            expect(report.issues).toEqual([expect.objectContaining({ type: 'suspicious_points', rows: [2] })]);
+        });
+
+        test('without a rank column the row order is the rank', () => {
+            const { rankings, report } = importText('Commander,Points\nAlpha,900\n,800\nBravo,700');
+
+            expect(rankings.map(ranking => [ranking.ranking, ranking.commander])).toEqual([[1, 'Alpha'], [3, 'Bravo']]);
+            expect(report.skipped.map(row => row.row)).toEqual([3]);
+            expect(report.issues.map(issue => issue.message)).toEqual(['Rank 2 is missing']);
+        });
+    });
+
+    test.describe('days', () => {
+        // A Wednesday
+        const REFERENCE = '2025-01-15';
+
+        test('sheet names with a full date are read as written', () => {
+            expect(processor.guessSheetDate('2025-01-13', REFERENCE)).toBe('2025-01-13');
+            expect(processor.guessSheetDate('VS 2024_12_30', REFERENCE)).toBe('2024-12-30');
+            expect(processor.guessSheetDate('1/13/2025', REFERENCE)).toBe('2025-01-13');
+            expect(processor.guessSheetDate('1-13-25', REFERENCE)).toBe('2025-01-13');
+            expect(processor.guessSheetDate('2/30/2025', REFERENCE)).toBeNull();
+        });
+
+        test('month names must be whole words', () => {
+            expect(processor.guessSheetDate('Jan 13', REFERENCE)).toBe('2025-01-13');
+            expect(processor.guessSheetDate('Sept. 5th', '2025-09-01')).toBe('2025-09-05');
+            expect(processor.guessSheetDate('13 January', REFERENCE)).toBe('2025-01-13');
+            expect(processor.guessSheetDate('VS_jan14', REFERENCE)).toBe('2025-01-14');
+
+            expect(processor.guessSheetDate('Mayhem7', REFERENCE)).toBeNull();
+            expect(processor.guessSheetDate('7 Mayhem', REFERENCE)).toBeNull();
+            expect(processor.guessSheetDate('Marathon 2', REFERENCE)).toBeNull();
+            expect(processor.guessSheetDate('Sheet1', REFERENCE)).toBeNull();
+        });
+
+        test('a date without a year is the one nearest the reference date', () => {
+            expect(processor.guessSheetDate('Dec 30', '2025-01-02')).toBe('2024-12-30');
+            expect(processor.guessSheetDate('12/30', '2025-01-02')).toBe('2024-12-30');
+            expect(processor.guessSheetDate('Jan 2', '2024-12-30')).toBe('2025-01-02');
+            expect(processor.guessSheetDate('Jan 2', '2025-06-15')).toBe('2025-01-02');
+            expect(processor.guessSheetDate('2/29', '2025-01-15')).toBe('2024-02-29');
+        });
+
+        test('a weekday is that day of the reference date\'s Monday-to-Sunday week', () => {
+            expect(processor.guessSheetDate('Monday', REFERENCE)).toBe('2025-01-13');
+            expect(processor.guessSheetDate('Tues', REFERENCE)).toBe('2025-01-14');
+            expect(processor.guessSheetDate('Sun', REFERENCE)).toBe('2025-01-19');
+            // From the Sunday that ends the week
+            expect(processor.guessSheetDate('Mon', '2025-01-19')).toBe('2025-01-13');
+
+            expect(processor.guessSheetDate('Sunny', REFERENCE)).toBeNull();
+            expect(processor.guessSheetDate('Mo', REFERENCE)).toBeNull();
+        });
+
+        test('a day column splits a table into one table per day, each with the header', () => {
+            const table = processor.parseTable([
+                'Day,Rank,Commander,Points',
+                'Tue,1,Alpha,900',
+                'Monday,1,Bravo,950',
+                'Tue,2,Bravo,800',
+                ',3,Charlie,700',
+                'Someday,4,Delta,600',
+                '2025-01-15,1,Echo,990'
+            ].join('\n'));
+            const mapping = processor.guessMapping(table);
+
+            const { days, unassigned } = processor.splitByDayColumn(table, mapping, true, REFERENCE);
+
+            expect(mapping.day).toBe(0);
+            expect(days.map(day => [day.dateKey, day.label, day.table.records.length])).toEqual([
+                ['2025-01-13', 'Monday', 2],
+                ['2025-01-14', 'Tue', 3],
+                ['2025-01-15', '2025-01-15', 2]
+            ]);
+            expect(days[1].table.records[0]).toEqual(['Day', 'Rank', 'Commander', 'Points']);
+            expect(processor.applyMapping(days[1].table, mapping).map(ranking => ranking.commander)).toEqual(['Alpha', 'Bravo']);
+            expect(unassigned).toEqual([
+                { row: 5, reason: 'Missing day', values: '3, Charlie, 700' },
+                { row: 6, reason: 'Unrecognized day "Someday"', values: 'Someday, 4, Delta, 600' }
+            ]);
+        });
+
+        test('day headings split text into sections that share the header above them', () => {
+            const sections = processor.splitDaySections([
+                'Rank,Commander,Points',
+                '## Monday:',
+                '1,Alpha,900',
+                '2,Bravo,800',
+                '42',
+                'Day: Tue 1/14',
+                '1,Bravo,950',
+                '2025-01-15',
+                'Rank,Commander,Points',
+                '1,Charlie,700',
+                'Thursday'
+            ].join('\n'), REFERENCE);
+
+            expect(sections.map(section => [section.dateKey, section.label, section.table.hasHeader, section.table.records.length])).toEqual([
+                ['2025-01-13', 'Monday', true, 4],
+                ['2025-01-14', 'Tue 1/14', true, 2],
+                ['2025-01-15', '2025-01-15', true, 2]
+            ]);
+            // A lone number is a row, not a heading, and an empty day is left out
+            expect(sections[0].table.records.at(-1)).toEqual(['42']);
+        });
+
+        test('quoted names in a section keep their commas and line breaks', () => {
+            const sections = processor.splitDaySections([
+                'Rank,Commander,Points',
+                'Monday',
+                '1,"Smith, John","1,234"',
+                '2,"Two',
+                'Tuesday",800',
+                '"Tuesday, late"',
+                '1,Alpha,900'
+            ].join('\n'), REFERENCE);
+
+            expect(sections.map(section => [section.dateKey, section.table.records])).toEqual([
+                ['2025-01-13', [['Rank', 'Commander', 'Points'], ['1', 'Smith, John', '1,234'], ['2', 'Two\nTuesday', '800']]],
+                ['2025-01-14', [['Rank', 'Commander', 'Points'], ['1', 'Alpha', '900']]]
+            ]);
+            expect(sections[1].label).toBe('Tuesday, late');
+        });
+
+        test('text without day headings has no sections', () => {
+            expect(processor.splitDaySections('Rank,Commander,Points\n1,Alpha,900', REFERENCE)).toEqual([]);
+        });
+    });
+
+    test.describe('workbooks', () => {
+        const WEEK = {
+            Monday: [['Rank', 'Commander', 'Points'], [1, 'Alpha', '1,234,567'], [2, 'Bravo', 900]],
+            Notes: [],
+            'Jan 14': [[1, 'Charlie', 800]]
+        };
+
+        test('every sheet with data comes back as a table, with cells as text', async () => {
+            const sheets = await processor.readWorkbook(workbookFile(WEEK));
+
+            expect(sheets.map(sheet => sheet.name)).toEqual(['Monday', 'Jan 14']);
+            expect(sheets[0].table).toMatchObject({
+                hasHeader: true,
+                header: ['Rank', 'Commander', 'Points'],
+                records: [['Rank', 'Commander', 'Points'], ['1', 'Alpha', '1,234,567'], ['2', 'Bravo', '900']],
+                delimiter: null
+            });
+            expect(sheets[1].table).toMatchObject({ hasHeader: false, records: [['1', 'Charlie', '800']] });
+        });
+
+        test('OpenDocument spreadsheets are read the same way', async () => {
+            const sheets = await processor.readWorkbook(workbookFile(WEEK, 'ods'));
+
+            expect(sheets.map(sheet => [sheet.name, sheet.table.records.length])).toEqual([['Monday', 3], ['Jan 14', 1]]);
+        });
+
+        test("sheet names give each sheet's day", async () => {
+            const sheets = await processor.readWorkbook(workbookFile(WEEK));
+
+            expect(sheets.map(sheet => processor.guessSheetDate(sheet.name, '2025-01-15'))).toEqual(['2025-01-13', '2025-01-14']);
+            const ranked = processor.applyMapping(sheets[0].table, processor.guessMapping(sheets[0].table), true);
+            expect(ranked.map(row => [row.commander, row.points])).toEqual([['Alpha', 1234567], ['Bravo', 900]]);
+        });
+    });
+
+    test.describe('mapping profiles', () => {
+        const exportTable = () => tableOf(processor, [['Player', 'Score', 'Clan'], ['Alpha', '100', 'ABC']]);
+        const mapping = { ranking: null, commander: 0, points: 1, alliance: 2, power: null, day: null };
+
+        test('a profile follows its columns by header name', () => {
+            processor.saveProfile('Weekly export', exportTable(), mapping, true);
+
+            // The tool now exports an extra column first and swaps two others
+            const reordered = tableOf(processor, [['Rank', 'Clan', 'Player', 'Score'], ['1', 'ABC', 'Alpha', '100']]);
+
+            expect(processor.findMatchingProfile(reordered)).toBe('Weekly export');
+            expect(processor.resolveProfileMapping(processor.getProfiles()['Weekly export'], reordered)).toEqual({
+                ranking: null, commander: 2, points: 3, alliance: 1, power: null, day: null
+            });
+        });
+
+        test("a profile doesn't match a table missing one of its columns", () => {
+            processor.saveProfile('Weekly export', exportTable(), mapping, true);
+
+            const other = tableOf(processor, [['Player', 'Score'], ['Alpha', '100']]);
+            expect(processor.findMatchingProfile(other)).toBeNull();
+            expect(processor.resolveProfileMapping(processor.getProfiles()['Weekly export'], other)).toMatchObject({ alliance: null });
+        });
+
+        test('a profile saved without a header uses column positions within the table', () => {
+            const profile = processor.saveProfile('Positions', exportTable(), mapping, false);
+            const narrow = tableOf(processor, [['Alpha', '100'], ['Bravo', '90']]);
+
+            expect(profile.headers).toEqual({});
+            expect(processor.resolveProfileMapping(profile, narrow)).toEqual({
+                ranking: null, commander: 0, points: 1, alliance: null, power: null, day: null
+            });
+        });
+
+        test('profiles need a name and can be deleted', () => {
+            expect(() => processor.saveProfile('  ', exportTable(), mapping, true)).toThrow('Profile name is required.');
+
+            processor.saveProfile('Weekly export', exportTable(), mapping, true);
+            processor.deleteProfile('Weekly export');
+            expect(processor.getProfiles()).toEqual({});
+        });
+    });
+});
@@ -0,0 +1,203 @@
+// Local store tests
+// Runs the IndexedDB cache against fake-indexeddb and checks that the old
+// localStorage cache is moved over exactly once and only then cleared, that
+// unreadable entries are skipped, and that ranking rows can be looked up by
+// day, commander and event once they are stored one per record.
+
+import { test, expect } from '@playwright/test';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { LocalStore } from '../src/js/local-store.js';
+
+// Stored keys are own properties, as with the real localStorage, so the
+// migration can find `event_*` entries with Object.keys()
+class MemoryStorage {
+    getItem(key) {
+        return Object.hasOwn(this, key) ? this[key] : null;
+    }
+
+    setItem(key, value) {
+        this[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this[key];
+    }
+}
+
+const previousStorage = globalThis.localStorage;
+const previousIndexedDB = globalThis.indexedDB;
+globalThis.IDBKeyRange ??= IDBKeyRange;
+
+const row = (ranking, commander, points) => ({ ranking, commander, points });
+
+test.describe('Local store', () => {
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    const seed = entries => {
+        Object.entries(entries).forEach(([key, value]) => {
+            localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+        });
+    };
+
+    const openStore = async () => {
+        const store = new LocalStore();
+        await store.open();
+        return store;
+    };
+
+    test.beforeEach(() => {
+        globalThis.localStorage = new MemoryStorage();
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    test.afterAll(() => {
+        globalThis.localStorage = previousStorage;
+        globalThis.indexedDB = previousIndexedDB;
+    });
+
+    test.describe('migration from localStorage', () => {
+        test('rankings, events and named values move over and localStorage is cleared', async () => {
+            seed({
+                dailyRankingsData: { '2025-01-14': [row(2, 'Hammer', 800), row(1, 'Luna', 950)] },
+                event_siege: [row(1, 'Hammer', 5000)],
+                specialEvents: [{ key: 'siege', name: 'Siege' }],
+                removedPlayers: ['Ghost'],
+                theme: 'dark'
+            });
+
+            const store = await openStore();
+
+            expect(await store.getAllDailyRankings()).toEqual({
+                '2025-01-14': [row(1, 'Luna', 950), row(2, 'Hammer', 800)]
+            });
+            expect(await store.getEventRankings('siege')).toEqual([row(1, 'Hammer', 5000)]);
+            expect(store.get('specialEvents')).toEqual([{ key: 'siege', name: 'Siege' }]);
+            expect(store.get('removedPlayers')).toEqual(['Ghost']);
+            expect(store.get('inactivePlayers', [])).toEqual([]);
+            expect(store.get('migratedFromLocalStorage')).toEqual(expect.any(String));
+
+            // Only the cache entries are cleared
+            expect(Object.keys(localStorage)).toEqual(['theme']);
+        });
+
+        test('the older rankingsData key is read when dailyRankingsData is missing', async () => {
+            seed({ rankingsData: { monday: [row(1, 'Luna', 950)] } });
+
+            const store = await openStore();
+
+            expect(await store.getAllDailyRankings()).toEqual({ monday: [row(1, 'Luna', 950)] });
+            expect(localStorage.getItem('rankingsData')).toBeNull();
+        });
+
+        test('an unreadable entry is skipped and the rest still move over', async () => {
+            seed({
+                dailyRankingsData: { monday: [row(1, 'Luna', 950)] },
+                removedPlayers: '["Ghost"',
+                inactivePlayers: ['Sleepy']
+            });
+
+            const store = await openStore();
+
+            expect(store.get('removedPlayers')).toBeNull();
+            expect(store.get('inactivePlayers')).toEqual(['Sleepy']);
+            expect(await store.getAllDailyRankings()).toEqual({ monday: [row(1, 'Luna', 950)] });
+            expect(localStorage.getItem('removedPlayers')).toBeNull();
+        });
+
+        test('the migration only runs the first time the database opens', async () => {
+            seed({ removedPlayers: ['Ghost'] });
+            await openStore();
+
+            // An older tab writing to localStorage after the move
+            seed({ removedPlayers: ['Someone else'], dailyRankingsData: { monday: [row(1, 'Luna', 950)] } });
+            const reopened = await openStore();
+
+            expect(reopened.get('removedPlayers')).toEqual(['Ghost']);
+            expect(await reopened.getAllDailyRankings()).toEqual({});
+            expect(localStorage.getItem('removedPlayers')).toBe('["Someone else"]');
+        });
+
+        test('without IndexedDB nothing is moved and values are kept in memory', async () => {
+            delete globalThis.indexedDB;
+            seed({ removedPlayers: ['Ghost'] });
+
+            const store = await openStore();
+            await store.set('inactivePlayers', ['Sleepy']);
+
+            expect(store.get('removedPlayers')).toBeNull();
+            expect(store.get('inactivePlayers')).toEqual(['Sleepy']);
+            expect(await store.getAllDailyRankings()).toEqual({});
+            expect(localStorage.getItem('removedPlayers')).toBe('["Ghost"]');
+        });
+    });
+
+    test.describe('stored values', () => {
+        test('named values are written through and read back as copies', async () => {
+            const store = await openStore();
+            const removed = ['Ghost'];
+            await store.set('removedPlayers', removed);
+            removed.push('Changed later');
+
+            const copy = store.get('removedPlayers');
+            copy.push('Changed by a caller');
+
+            expect(store.get('removedPlayers')).toEqual(['Ghost']);
+            expect((await openStore()).get('removedPlayers')).toEqual(['Ghost']);
+
+            await store.remove('removedPlayers');
+            expect((await openStore()).get('removedPlayers', [])).toEqual([]);
+        });
+
+        test('saving some days leaves the other days alone', async () => {
+            const store = await openStore();
+            await store.saveDailyRankings({
+                monday: [row(1, 'Luna', 950)],
+                tuesday: [row(1, 'Hammer', 900)]
+            });
+
+            await store.saveDailyRankings({ tuesday: [row(1, 'Zoë', 990), row(2, 'Hammer', 900)] }, ['tuesday']);
+
+            expect(await store.getAllDailyRankings()).toEqual({
+                monday: [row(1, 'Luna', 950)],
+                tuesday: [row(1, 'Zoë', 990), row(2, 'Hammer', 900)]
+            });
+
+            await store.saveDailyRankings({ wednesday: [row(1, 'Luna', 999)] });
+            expect(Object.keys(await store.getAllDailyRankings())).toEqual(['wednesday']);
+        });
+
+        test("a commander's history is found whatever the name's case, oldest first", async () => {
+            const store = await openStore();
+            await store.saveDailyRankings({
+                '2025-01-15': [row(3, 'Luna', 700)],
+                '2025-01-01': [row(1, 'LUNA', 950)],
+                '2025-01-14': [row(1, 'Hammer', 900), row(2, ' luna ', 800)],
+                monday: [row(4, 'Luna', 600)]
+            });
+
+            expect(await store.getCommanderHistory('Luna')).toEqual([
+                { date: '2025-01-01', ranking: 1, points: 950 },
+                { date: '2025-01-14', ranking: 2, points: 800 },
+                { date: '2025-01-15', ranking: 3, points: 700 },
+                { date: 'monday', ranking: 4, points: 600 }
+            ]);
+
+            // Days that are not dates are always kept
+            const recent = await store.getCommanderHistory('luna', '2025-01-14');
+            expect(recent.map(entry => entry.date)).toEqual(['2025-01-14', '2025-01-15', 'monday']);
+        });
+
+        test('event rankings are replaced per event and an empty list removes them', async () => {
+            const store = await openStore();
+            await store.saveEventRankings('siege', [row(2, 'Luna', 300), row(1, 'Hammer', 500)]);
+            await store.saveEventRankings('raid', [row(1, 'Zoë', 80)]);
+
+            await store.saveEventRankings('siege', [row(1, 'Luna', 700)]);
+            expect(await store.getEventRankings('siege')).toEqual([row(1, 'Luna', 700)]);
+
+            await store.saveEventRankings('siege', []);
+            expect(await store.getEventRankings('siege')).toEqual([]);
+            expect(await store.getEventRankings('raid')).toEqual([row(1, 'Zoë', 80)]);
+        });
+    });
+});
@@ -0,0 +1,128 @@
+// OCR name resolver tests
+// Checks that names read from screenshots are matched to known players:
+// exact and alias matches resolve at once, accents, lookalike letters and
+// common OCR misreads count as near-matches with a reason an admin can
+// judge, and a name is only resolved without review when one player is a
+// clear best match.
+
+import { test, expect } from '@playwright/test';
+import { OCRNameResolver } from '../src/js/ocr-name-resolver.js';
+
+// The alias service's audit and sync helpers read localStorage
+globalThis.localStorage ??= { getItem: () => null, setItem() {}, removeItem() {} };
+
+const { PlayerAliasService } = await import('../src/js/player-alias-service.js');
+
+const PLAYERS = ['Darklord', 'Hammer', 'Luna', 'Zoë'];
+
+test.describe('OCR name resolver', () => {
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    let resolver;
+
+    test.beforeEach(() => {
+        resolver = new OCRNameResolver();
+    });
+
+    test('names are compared without case, accents or lookalike letters', () => {
+        expect(resolver.normalize('  Zoë   Star ')).toBe('zoe star');
+        // Cyrillic А and the Roman numeral Ⅼ
+        expect(resolver.normalize('Аlpha')).toBe('alpha');
+        expect(resolver.normalize('Ⅼuna')).toBe('luna');
+        expect(resolver.normalize('Łukasz')).toBe('lukasz');
+    });
+
+    test('an exact name resolves whatever its case', () => {
+        expect(resolver.resolve('darklord', PLAYERS)).toEqual({
+            name: 'Darklord',
+            resolved: true,
+            candidates: [{ name: 'Darklord', matchedName: 'Darklord', score: 1, reasons: ['exact match'] }]
+        });
+    });
+
+    test('accents and lookalike letters still resolve', () => {
+        const result = resolver.resolve('Ⅼuna', PLAYERS);
+
+        expect(result.name).toBe('Luna');
+        expect(result.resolved).toBe(true);
+        expect(result.candidates[0]).toMatchObject({ score: 0.97, reasons: ['same name ignoring accents and lookalike letters'] });
+        expect(resolver.resolve('Zoe', PLAYERS).name).toBe('Zoë');
+    });
+
+    test('common OCR misreads resolve and are named in the reasons', () => {
+        const misread = resolver.resolve('Dark1ord', PLAYERS);
+        expect(misread).toMatchObject({ name: 'Darklord', resolved: true });
+        expect(misread.candidates[0]).toMatchObject({ score: 0.94, reasons: ['OCR lookalikes: l/1'] });
+
+        const split = resolver.resolve('Hamrner', PLAYERS);
+        expect(split).toMatchObject({ name: 'Hammer', resolved: true });
+        expect(split.candidates[0].reasons).toEqual(['OCR lookalikes: rn/m']);
+    });
+
+    test('a misread plus a real difference is suggested but not resolved', () => {
+        const result = resolver.resolve('Dark1orx', PLAYERS);
+
+        expect(result).toMatchObject({ name: 'Dark1orx', resolved: false });
+        expect(result.candidates).toEqual([{
+            name: 'Darklord',
+            matchedName: 'Darklord',
+            score: 0.84375,
+            reasons: ['84% similar spelling', 'differences look like OCR misreads']
+        }]);
+    });
+
+    test('two players equally close to the reading are left for review', () => {
+        const result = resolver.resolve('AlphaI', ['Alpha1', 'Alphal']);
+
+        expect(result.resolved).toBe(false);
+        expect(result.name).toBe('AlphaI');
+        expect(result.candidates.map(candidate => [candidate.name, candidate.score])).toEqual([['Alpha1', 0.94], ['Alphal', 0.94]]);
+    });
+
+    test('unrelated names are not suggested, and at most five are', () => {
+        expect(resolver.resolve('Xyzzy', PLAYERS).candidates).toEqual([]);
+        expect(resolver.resolve('', PLAYERS)).toEqual({ name: '', resolved: false, candidates: [] });
+
+        const many = ['Player1', 'Player2', 'Player3', 'Player4', 'Player5', 'Player6', 'Player7'];
+        expect(resolver.resolve('Player', many).candidates).toHaveLength(5);
+    });
+
+    test('OCR misreads cost less than other edits', () => {
+        expect(resolver.ocrDistance('rnax', 'max')).toBe(0.25);
+        expect(resolver.levenshteinDistance('rnax', 'max')).toBe(2);
+        expect(resolver.ocrDistance('b0b', 'bob')).toBe(0.25);
+        expect(resolver.ocrDistance('bxb', 'bob')).toBe(1);
+    });
+
+    test.describe('with aliases', () => {
+        let aliases;
+
+        test.beforeEach(() => {
+            aliases = new PlayerAliasService();
+            aliases.cachePlayer({ id: 'p1', name: 'Nova' });
+            aliases.cacheAlias({ player_id: 'p1', alias_name: 'OldName', primary_name: 'Nova' });
+            resolver.setAliasService(aliases);
+        });
+
+        test("an alias resolves to the player's current name", () => {
+            expect(resolver.resolve('oldname', PLAYERS)).toEqual({
+                name: 'Nova',
+                resolved: true,
+                candidates: [{ name: 'Nova', matchedName: 'OldName', score: 1, reasons: ['alias of Nova'] }]
+            });
+        });
+
+        test('a misread alias resolves to the current name too', () => {
+            const result = resolver.resolve('O1dName', PLAYERS);
+
+            expect(result).toMatchObject({ name: 'Nova', resolved: true });
+            expect(result.candidates[0]).toMatchObject({ matchedName: 'OldName', reasons: ['OCR lookalikes: l/1', 'alias of Nova'] });
+        });
+
+        test('a former name among the known players counts as the player it now belongs to', () => {
+            const result = resolver.resolve('OIdNane', ['OldName', 'Luna']);
+
+            expect(result.candidates.map(candidate => candidate.name)).toEqual(['Nova']);
+        });
+    });
+});
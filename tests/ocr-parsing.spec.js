@@ -0,0 +1,310 @@
+// OCR parsing tests
+// Checks that recognized leaderboard text is turned into ranking rows: rank,
+// name and points are read from each line, ranks missing behind icon badges
+// are carried on, and header lines and noise are dropped. Also checks that
+// the leaderboard grid is found in a screenshot, row by row and column by
+// column, that the text read from each cell makes one row, that
+// overlapping screenshots of one leaderboard are stitched into one list, and
+// that fields read with low confidence are flagged for review.
+
+import { test, expect } from '@playwright/test';
+
+// The service sets up a canvas when it is created; parsing never draws on it
+globalThis.document ??= { createElement: () => ({ getContext: () => ({}) }) };
+
+const { OCRService } = await import('../src/js/ocr-service.js');
+
+// A screenshot-like ImageData of one grey level, with blocks drawn on it
+const screenshot = (width, height, background = 30) => {
+    const data = new Uint8ClampedArray(width * height * 4).fill(background);
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+    return { width, height, data };
+};
+const fill = (image, left, top, right, bottom, value = 230) => {
+    for (let y = top; y <= bottom; y++) {
+        for (let x = left; x <= right; x++) {
+            const i = (y * image.width + x) * 4;
+            image.data[i] = image.data[i + 1] = image.data[i + 2] = value;
+        }
+    }
+};
+
+// Four leaderboard rows, 35px apart: a rank badge, a name line with an
+// alliance tag line under it, and points on the right
+const ROW_TOPS = [10, 45, 80, 115];
+const leaderboard = ({ avatar = false } = {}) => {
+    const image = screenshot(400, 150);
+    ROW_TOPS.forEach(top => {
+        fill(image, 10, top, 24, top + 9);
+        fill(image, 100, top, 220, top + 9);
+        fill(image, 100, top + 13, 160, top + 18);
+        fill(image, 300, top, 380, top + 9);
+        if (avatar) fill(image, 40, top, 58, top + 18);
+    });
+    return image;
+};
+
+test.describe('OCR parsing', () => {
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    let ocr;
+
+    test.beforeEach(() => {
+        ocr = new OCRService();
+    });
+
+    test.describe('full-page text', () => {
+        test('each line is read as rank, name and points', () => {
+            const rows = ocr.parseOCRResults([
+                'Rank Commander Points',
+                '1 Alpha 1,234,567',
+                'Bravo 987,654',
+                '#3 Charlie Delta 12.345',
+                'noise',
+                '| 5) Echo | 5000'
+            ]);
+
+            expect(rows.map(({ ranking, commander, points }) => [ranking, commander, points])).toEqual([
+                ['1', 'Alpha', '1,234,567'],
+                ['2', 'Bravo', '987,654'],
+                ['3', 'Charlie Delta', '12.345'],
+                ['5', 'Echo', '5000']
+            ]);
+            expect(rows.every(row => row.confidence === null)).toBe(true);
+        });
+
+        test('a rank is never read from a short points value', () => {
+            expect(ocr.parseOCRResults(['Alpha 999', 'Rank 1,000', '7 Bravo 12'])).toEqual([]);
+        });
+
+        test('Tesseract lines keep their confidence and position', () => {
+            const bbox = { x0: 0, y0: 40, x1: 300, y1: 60 };
+            const [row] = ocr.parseOCRResults({ lines: [{ text: '4 Delta 45,000', confidence: 92, bbox }] });
+
+            expect(row).toEqual({
+                ranking: '4',
+                commander: 'Delta',
+                points: '45,000',
+                confidence: { ranking: 0.92, commander: 0.92, points: 0.92 },
+                bbox
+            });
+        });
+
+        test('cleaning strips alliance tags and separators and drops unusable rows', () => {
+            const rows = ocr.validateAndCleanData([
+                { ranking: '1', commander: '[ABC]  Alpha ', points: '1,234,567', alliance: 'ABC' },
+                { ranking: '2', commander: 'Bravo', points: '987.654' },
+                { ranking: '0', commander: 'Charlie', points: '500' },
+                { ranking: '3', commander: '[XYZ]', points: '400' },
+                { ranking: '4', commander: 'Delta', points: 'n/a' }
+            ]);
+
+            expect(rows.map(({ ranking, commander, points, alliance, originalCommander }) =>
+                ({ ranking, commander, points, alliance, originalCommander }))).toEqual([
+                { ranking: 1, commander: 'Alpha', points: '1234567', alliance: 'ABC', originalCommander: '[ABC]  Alpha ' },
+                { ranking: 2, commander: 'Bravo', points: '987654', alliance: '', originalCommander: 'Bravo' }
+            ]);
+        });
+    });
+
+    test.describe('layout', () => {
+        test('text lines are grouped into rows and the rank, name and points columns are found', () => {
+            expect(ocr.analyzeLayout(leaderboard())).toEqual({
+                rows: ROW_TOPS.map(top => ({ top, bottom: top + 18 })),
+                columns: {
+                    rank: { left: 10, right: 24 },
+                    name: { left: 100, right: 220 },
+                    points: { left: 300, right: 380 }
+                }
+            });
+        });
+
+        test('an avatar between the rank and the name is left out of the name column', () => {
+            const layout = ocr.analyzeLayout(leaderboard({ avatar: true }));
+
+            expect(layout.rows).toHaveLength(4);
+            expect(layout.columns.rank).toEqual({ left: 10, right: 24 });
+            expect(layout.columns.name).toEqual({ left: 100, right: 220 });
+        });
+
+        test('without a rank column the name starts at the first block', () => {
+            const image = screenshot(400, 150);
+            ROW_TOPS.forEach(top => {
+                fill(image, 100, top, 220, top + 9);
+                fill(image, 300, top, 380, top + 9);
+            });
+
+            expect(ocr.analyzeLayout(image).columns).toEqual({
+                rank: null,
+                name: { left: 100, right: 220 },
+                points: { left: 300, right: 380 }
+            });
+        });
+
+        test('no grid is found in a blank image or a single line', () => {
+            expect(ocr.analyzeLayout(screenshot(200, 100))).toBeNull();
+
+            const line = screenshot(200, 100);
+            fill(line, 10, 40, 190, 50);
+            expect(ocr.analyzeLayout(line)).toBeNull();
+        });
+
+        test('bands are runs above the threshold, and close bands merge', () => {
+            const profile = [0, 5, 5, 5, 0, 5, 0, 0, 5, 5, 5, 5];
+
+            expect(ocr.findBands(profile, 3, 2)).toEqual([{ start: 1, end: 3 }, { start: 8, end: 11 }]);
+            expect(ocr.mergeBands([{ start: 1, end: 3 }, { start: 6, end: 7 }, { start: 20, end: 25 }], 3))
+                .toEqual([{ start: 1, end: 7 }, { start: 20, end: 25 }]);
+        });
+    });
+
+    test.describe('cells', () => {
+        const cell = (rowIndex, rank, name, points) => ({
+            rowIndex, rank, name, points, confidence: { rank: rank ? 0.9 : null, name: 0.8, points: 0.95 }, snippet: null
+        });
+
+        test('each row takes its name, alliance tag and digits from its cells', () => {
+            const rows = ocr.parseCellResults([
+                cell(0, '4', 'Alpha\n[ABC] Alliance', '1,234,567'),
+                cell(1, '5.', '[XYZ] Bravo', '987 654'),
+                cell(2, '6', '', '500'),
+                cell(3, '7', 'Charlie', '')
+            ]);
+
+            expect(rows.map(({ ranking, commander, alliance, points }) => [ranking, commander, alliance, points])).toEqual([
+                ['4', 'Alpha', 'ABC', '1234567'],
+                ['5', 'Bravo', 'XYZ', '987654']
+            ]);
+        });
+
+        test('ranks behind icon badges are counted from the nearest rank that was read', () => {
+            const rows = ocr.parseCellResults([
+                cell(0, '', 'Alpha', '900'),
+                cell(1, '', 'Bravo', '800'),
+                cell(2, '', 'Charlie', '700'),
+                cell(3, '4', 'Delta', '600'),
+                cell(4, '', 'Echo', '500')
+            ]);
+
+            expect(rows.map(row => row.ranking)).toEqual(['1', '2', '3', '4', '5']);
+        });
+
+        test('with no rank read at all, rows are ranked from the top', () => {
+            const rows = ocr.parseCellResults([cell(0, '', 'Alpha', '900'), cell(1, '', 'Bravo', '800')]);
+
+            expect(rows.map(row => row.ranking)).toEqual(['1', '2']);
+        });
+    });
+
+    test.describe('stitching', () => {
+        const row = (ranking, commander, points = 1000 - ranking) => ({ ranking, commander, points: String(points), confidence: null });
+
+        test('overlapping screenshots make one list, each row kept once', () => {
+            const { rows, gaps, emptyScreenshots } = ocr.mergeScreenshotResults([
+                [row(1, 'Alpha'), row(2, 'Bravo'), row(3, 'Charlie')],
+                [row(3, 'Charlie'), row(4, 'Delta'), row(5, 'Echo')],
+                [],
+                [row(5, 'Echo.'), row(7, 'Golf')]
+            ]);
+
+            expect(rows.map(merged => [merged.ranking, merged.commander, merged.screenshots])).toEqual([
+                [1, 'Alpha', [0]],
+                [2, 'Bravo', [0]],
+                [3, 'Charlie', [0, 1]],
+                [4, 'Delta', [1]],
+                [5, 'Echo', [1, 3]],
+                [7, 'Golf', [3]]
+            ]);
+            expect(rows.every(merged => merged.conflicts.length === 0)).toBe(true);
+            expect(gaps).toEqual([{ from: 6, to: 6 }]);
+            expect(emptyScreenshots).toEqual([2]);
+        });
+
+        test('screenshots can come in any order', () => {
+            const { rows, gaps } = ocr.mergeScreenshotResults([
+                [row(4, 'Delta'), row(5, 'Echo')],
+                [row(1, 'Alpha'), row(2, 'Bravo'), row(3, 'Charlie')]
+            ]);
+
+            expect(rows.map(merged => merged.ranking)).toEqual([1, 2, 3, 4, 5]);
+            expect(gaps).toEqual([]);
+        });
+
+        test('two names at one rank, or one name at two ranks, are flagged', () => {
+            const { rows } = ocr.mergeScreenshotResults([
+                [row(1, 'Alpha'), row(2, 'Bravo')],
+                [row(2, 'Zulu'), row(3, 'Alpha')]
+            ]);
+
+            expect(rows.map(merged => [merged.ranking, merged.commander, merged.conflicts])).toEqual([
+                [1, 'Alpha', []],
+                [2, 'Bravo', ['Zulu']],
+                [3, 'Alpha', ['also read at rank 1']]
+            ]);
+        });
+
+        test('gaps cover every missing stretch, including the top of the list', () => {
+            expect(ocr.findRankGaps([{ ranking: 3 }, { ranking: 4 }, { ranking: 8 }, { ranking: 10 }])).toEqual([
+                { from: 1, to: 2 },
+                { from: 5, to: 7 },
+                { from: 9, to: 9 }
+            ]);
+            expect(ocr.findRankGaps([])).toEqual([]);
+        });
+    });
+
+    test.describe('confidence', () => {
+        test('a row is as certain as its least certain field', () => {
+            expect(ocr.getRowConfidence({ confidence: { ranking: 0.9, commander: 0.6, points: 0.8 } })).toBe(0.6);
+            expect(ocr.getRowConfidence({ confidence: { ranking: null, commander: 0.7, points: 0.95 } })).toBe(0.7);
+            expect(ocr.getRowConfidence({ confidence: { ranking: null, commander: null, points: null } })).toBe(1);
+            expect(ocr.getRowConfidence({ confidence: null })).toBe(1);
+        });
+
+        test('only fields read below the threshold are flagged', () => {
+            const row = { confidence: { ranking: 0.5, commander: 0.75, points: null } };
+
+            expect(ocr.isLowConfidence(row, 'ranking')).toBe(true);
+            expect(ocr.isLowConfidence(row, 'commander')).toBe(false);
+            expect(ocr.isLowConfidence(row, 'points')).toBe(false);
+            expect(ocr.isLowConfidence({ confidence: null }, 'points')).toBe(false);
+
+            ocr.lowConfidenceThreshold = 0.8;
+            expect(ocr.isLowConfidence(row, 'commander')).toBe(true);
+        });
+
+        test('a rank carried on from the line above is flagged', () => {
+            const rows = ocr.parseOCRResults({
+                lines: [
+                    { text: '1 Alpha 9,000', confidence: 95, bbox: null },
+                    { text: 'Bravo 8,000', confidence: 95, bbox: null }
+                ]
+            });
+
+            expect(rows.map(row => row.confidence.ranking)).toEqual([0.95, 0.5]);
+            expect(ocr.isLowConfidence(rows[1], 'ranking')).toBe(true);
+            expect(ocr.isLowConfidence(rows[1], 'commander')).toBe(false);
+        });
+
+        test('an inferred rank is as certain as the rank it was counted from', () => {
+            const rows = ocr.parseCellResults([
+                { rowIndex: 0, rank: '', name: 'Alpha', points: '900', confidence: { rank: null, name: 0.9, points: 0.9 } },
+                { rowIndex: 1, rank: '2', name: 'Bravo', points: '800', confidence: { rank: 0.6, name: 0.9, points: 0.9 } }
+            ]);
+
+            expect(rows.map(row => row.confidence.ranking)).toEqual([0.6, 0.6]);
+        });
+
+        test('a row seen in two screenshots keeps the clearer reading', () => {
+            const { rows } = ocr.mergeScreenshotResults([
+                [{ ranking: 1, commander: 'Alpha', points: '9100', confidence: { ranking: 0.9, commander: 0.9, points: 0.4 } }],
+                [{ ranking: 1, commander: 'Alpha', points: '9000', confidence: { ranking: 0.9, commander: 0.9, points: 0.95 } }],
+                [{ ranking: 1, commander: 'Aipha', points: '8000', confidence: { ranking: 0.9, commander: 0.5, points: 0.9 } }]
+            ]);
+
+            expect(rows).toHaveLength(1);
+            expect(rows[0]).toMatchObject({ commander: 'Alpha', points: '9000', screenshots: [0, 1, 2] });
+            expect(rows[0].confidence.points).toBe(0.95);
+        });
+    });
+});
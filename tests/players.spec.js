@@ -0,0 +1,169 @@
+// Player identity tests
+// Applies the migrations to PGlite and checks rows are linked to players,
+// that a rename is a single update the other tables follow without touching
+// their updated_at, that the alias service resolves former names to the
+// player's current one, and that merges (and their undo) and splits move
+// the right rows.
+
+import { test, expect } from '@playwright/test';
+import { createPolicyHarness } from './rls/policy-harness.js';
+
+// The alias service's audit and sync helpers read localStorage
+globalThis.localStorage ??= { getItem: () => null, setItem() {}, removeItem() {} };
+
+const { PlayerAliasService } = await import('../src/js/player-alias-service.js');
+
+test.describe('Players', () => {
+    // The database runs in-process; no browser or dev server is involved
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    let harness;
+
+    const rows = async (sql, params) => (await harness.seed(sql, params)).rows;
+
+    test.beforeEach(async () => {
+        harness = await createPolicyHarness();
+
+        await rows("INSERT INTO alliance_leaders (player_name) VALUES ('Alpha')");
+        await rows("INSERT INTO train_conductor_rotation (player_name, rotation_order) VALUES ('Alpha', 1)");
+        await rows("INSERT INTO rankings (date, ranking, commander, points) VALUES ('2025-01-14', 1, 'Alpha', 900), ('2025-01-14', 2, 'Bravo', 800)");
+        await rows("INSERT INTO vip_selections (date, train_conductor, vip_player) VALUES ('2025-01-14', 'Alpha', 'Bravo')");
+        await rows("INSERT INTO kudos_points (player_name, points, awarded_by) VALUES ('Alpha', 5, 'r5')");
+        await rows("INSERT INTO removed_players (player_name, removed_by) VALUES ('Alpha', 'r4')");
+    });
+
+    test.afterEach(async () => {
+        await harness?.close();
+    });
+
+    test('rows written by name are linked to one player per name', async () => {
+        expect(await rows('SELECT name FROM players ORDER BY name')).toEqual([{ name: 'Alpha' }, { name: 'Bravo' }]);
+
+        const [alpha] = await rows("SELECT id FROM players WHERE name = 'Alpha'");
+        expect(await rows('SELECT player_id FROM rankings WHERE ranking = 1')).toEqual([{ player_id: alpha.id }]);
+        expect(await rows('SELECT train_conductor_id FROM vip_selections')).toEqual([{ train_conductor_id: alpha.id }]);
+        expect(await rows('SELECT player_id FROM kudos_points')).toEqual([{ player_id: alpha.id }]);
+    });
+
+    test('a rename is one update that every linked table follows', async () => {
+        const stamps = () => rows('SELECT ranking, updated_at FROM rankings ORDER BY ranking');
+        const before = await stamps();
+        await rows("UPDATE players SET name = 'Alpha Prime' WHERE name = 'Alpha'");
+
+        expect(await rows('SELECT commander FROM rankings ORDER BY ranking')).toEqual([{ commander: 'Alpha Prime' }, { commander: 'Bravo' }]);
+        expect(await rows('SELECT player_name FROM alliance_leaders')).toEqual([{ player_name: 'Alpha Prime' }]);
+        expect(await rows('SELECT player_name FROM train_conductor_rotation')).toEqual([{ player_name: 'Alpha Prime' }]);
+        expect(await rows('SELECT train_conductor, vip_player FROM vip_selections')).toEqual([{ train_conductor: 'Alpha Prime', vip_player: 'Bravo' }]);
+        expect(await rows('SELECT player_name FROM kudos_points')).toEqual([{ player_name: 'Alpha Prime' }]);
+        expect(await rows('SELECT player_name FROM removed_players')).toEqual([{ player_name: 'Alpha Prime' }]);
+        expect(await rows('SELECT primary_name, alias_name FROM player_aliases')).toEqual([{ primary_name: 'Alpha Prime', alias_name: 'Alpha' }]);
+
+        // Copying the name isn't an edit of the row, so sync sees no change
+        expect(await stamps()).toEqual(before);
+    });
+
+    test('a former name links new rows to the renamed player', async () => {
+        await rows("UPDATE players SET name = 'Alpha Prime' WHERE name = 'Alpha'");
+        await rows("INSERT INTO rankings (date, ranking, commander, points) VALUES ('2025-01-15', 1, 'Alpha', 700)");
+
+        expect(await rows("SELECT commander FROM rankings WHERE date = '2025-01-15'")).toEqual([{ commander: 'Alpha Prime' }]);
+        expect(await rows('SELECT count(*)::int AS n FROM players')).toEqual([{ n: 2 }]);
+    });
+
+    test('the alias service resolves former names through the player ID', async () => {
+        await rows("UPDATE players SET name = 'Alpha Prime' WHERE name = 'Alpha'");
+
+        const aliases = new PlayerAliasService();
+        (await rows('SELECT id, name FROM players')).forEach(player => aliases.cachePlayer(player));
+        (await rows('SELECT * FROM player_aliases')).forEach(alias => aliases.cacheAlias(alias));
+
+        const playerId = aliases.getPlayerId('Alpha Prime');
+        expect(aliases.getPlayerId('alpha')).toBe(playerId);
+        expect(aliases.resolvePlayerName('Alpha')).toBe('Alpha Prime');
+        expect(aliases.getNameHistory(playerId).map(entry => entry.name)).toEqual(['Alpha']);
+
+        // Renamed again in another session
+        aliases.applyRealtimeChange({ table: 'players', eventType: 'UPDATE', old: { id: playerId, name: 'Alpha Prime' }, new: { id: playerId, name: 'Alpha X' } });
+        expect(aliases.resolvePlayerName('Alpha')).toBe('Alpha X');
+        expect(aliases.getPlayerName(playerId)).toBe('Alpha X');
+    });
+
+    test('a merge moves every row to the kept player and can be undone', async () => {
+        await rows("INSERT INTO alliance_leaders (player_name) VALUES ('Alfa')");
+        await rows("INSERT INTO train_conductor_rotation (player_name, rotation_order) VALUES ('Alfa', 2)");
+        await rows("INSERT INTO rankings (date, ranking, commander, points) VALUES ('2025-01-15', 1, 'Alfa', 700)");
+        await rows("INSERT INTO vip_selections (date, train_conductor, vip_player) VALUES ('2025-01-16', 'Alpha', 'Alfa')");
+        await rows("INSERT INTO kudos_points (player_name, points, awarded_by) VALUES ('Alfa', 3, 'r5')");
+        await rows("INSERT INTO removed_players (player_name, removed_by) VALUES ('Alfa', 'r4')");
+
+        const r4 = await harness.createUser('r4@example.com', 'r4');
+        await rows("SELECT set_config('request.jwt.claim.sub', $1, false)", [r4]);
+        const [alfa] = await rows("SELECT id FROM players WHERE name = 'Alfa'");
+        const [alpha] = await rows("SELECT id FROM players WHERE name = 'Alpha'");
+
+        const [{ merge_players: mergeId }] = await rows('SELECT public.merge_players($1, $2)', [alfa.id, alpha.id]);
+
+        expect(await rows('SELECT name FROM players ORDER BY name')).toEqual([{ name: 'Alpha' }, { name: 'Bravo' }]);
+        expect(await rows("SELECT commander FROM rankings WHERE date = '2025-01-15'")).toEqual([{ commander: 'Alpha' }]);
+        expect(await rows("SELECT vip_player FROM vip_selections WHERE date = '2025-01-16'")).toEqual([{ vip_player: 'Alpha' }]);
+        // Same day: added together
+        expect(await rows('SELECT player_name, points FROM kudos_points')).toEqual([{ player_name: 'Alpha', points: 8 }]);
+        expect(await rows('SELECT player_name FROM removed_players')).toEqual([{ player_name: 'Alpha' }]);
+        expect(await rows('SELECT player_name FROM alliance_leaders')).toEqual([{ player_name: 'Alpha' }]);
+        expect(await rows('SELECT player_name FROM train_conductor_rotation ORDER BY rotation_order')).toEqual([{ player_name: 'Alpha' }, { player_name: 'Alpha' }]);
+        expect(await rows('SELECT primary_name, alias_name, created_by FROM player_aliases')).toEqual([{ primary_name: 'Alpha', alias_name: 'Alfa', created_by: 'r4@example.com' }]);
+
+        await rows('SELECT public.undo_player_merge($1)', [mergeId]);
+
+        expect(await rows("SELECT id FROM players WHERE name = 'Alfa'")).toEqual([alfa]);
+        expect(await rows("SELECT commander FROM rankings WHERE date = '2025-01-15'")).toEqual([{ commander: 'Alfa' }]);
+        expect(await rows("SELECT vip_player FROM vip_selections WHERE date = '2025-01-16'")).toEqual([{ vip_player: 'Alfa' }]);
+        expect(await rows('SELECT player_name, points FROM kudos_points ORDER BY player_name')).toEqual([
+            { player_name: 'Alfa', points: 3 },
+            { player_name: 'Alpha', points: 5 }
+        ]);
+        expect(await rows('SELECT player_name FROM removed_players ORDER BY player_name')).toEqual([{ player_name: 'Alfa' }, { player_name: 'Alpha' }]);
+        expect(await rows('SELECT player_name FROM train_conductor_rotation ORDER BY rotation_order')).toEqual([{ player_name: 'Alpha' }, { player_name: 'Alfa' }]);
+        expect(await rows('SELECT count(*)::int AS n FROM player_aliases')).toEqual([{ n: 0 }]);
+        expect(await rows('SELECT undone_by FROM player_merges')).toEqual([{ undone_by: 'r4@example.com' }]);
+    });
+
+    test('a split moves only the selected rows to a new player', async () => {
+        await rows("INSERT INTO rankings (date, ranking, commander, points) VALUES ('2025-01-15', 3, 'Bravo', 600)");
+
+        const r4 = await harness.createUser('r4@example.com', 'r4');
+        await rows("SELECT set_config('request.jwt.claim.sub', $1, false)", [r4]);
+        const [bravo] = await rows("SELECT id FROM players WHERE name = 'Bravo'");
+        const [later] = await rows("SELECT id FROM rankings WHERE date = '2025-01-15'");
+
+        const [{ split_player: newId }] = await rows('SELECT public.split_player($1, $2, $3)', [
+            bravo.id, 'Bravo Two', JSON.stringify([{ table: 'rankings', column: 'player_id', id: later.id }])
+        ]);
+
+        expect(await rows('SELECT commander, player_id FROM rankings WHERE ranking > 1 ORDER BY date')).toEqual([
+            { commander: 'Bravo', player_id: bravo.id },
+            { commander: 'Bravo Two', player_id: newId }
+        ]);
+        expect(await rows('SELECT vip_player FROM vip_selections')).toEqual([{ vip_player: 'Bravo' }]);
+
+        // Status lists are current state, not history
+        const [removed] = await rows('SELECT id FROM removed_players');
+        await expect(rows('SELECT public.split_player($1, $2, $3)', [
+            bravo.id, 'Bravo Three', JSON.stringify([{ table: 'removed_players', column: 'player_id', id: removed.id }])
+        ])).rejects.toThrow(/Cannot split removed_players rows/);
+    });
+
+    test('only R4 leaders can merge and split, and only through the functions', async () => {
+        const [alpha] = await rows("SELECT id FROM players WHERE name = 'Alpha'");
+        const [bravo] = await rows("SELECT id FROM players WHERE name = 'Bravo'");
+        const entry = harness.as(await harness.createUser('entry@example.com', 'data_entry'));
+        const r4 = harness.as(await harness.createUser('r4@example.com', 'r4'));
+
+        expect((await entry.run('SELECT public.merge_players($1, $2)', [alpha.id, bravo.id])).error.message).toMatch(/Only R4 leaders/);
+        expect((await entry.run('SELECT public.split_player($1, $2, $3)', [bravo.id, 'Bravo Two', '[]'])).error.message).toMatch(/Only R4 leaders/);
+        expect((await r4.run('SELECT public.merge_players($1, $2)', [alpha.id, bravo.id])).error).toBeNull();
+
+        expect((await r4.run('SELECT public.move_player_rows($1, $2, $3, $4)', ['rankings', 'player_id', alpha.id, bravo.id])).error.message).toMatch(/permission denied/);
+        expect(await r4.canInsert('player_merges', { source_player_id: alpha.id, source_name: 'Alpha', target_name: 'Bravo', merged_by: 'r4' })).toBe(false);
+    });
+});
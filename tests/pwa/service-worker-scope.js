@@ -0,0 +1,123 @@
+// Runs public/sw.js in node with in-memory stand-ins for the service worker
+// globals it uses (caches, clients, fetch), so its caching can be checked
+// without a browser. Dispatch events with install(), activate() and
+// request(), and swap the network with `scope.network`. Pass `source` to run
+// a worker the build filled in (see scripts/service-worker-precache.js).
+
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+export const ORIGIN = 'https://rankings.example';
+export const SUPABASE = 'https://project.supabase.co';
+
+export const SOURCE = readFileSync(new URL('../../public/sw.js', import.meta.url), 'utf8');
+
+const keyOf = request => new URL(typeof request === 'string' ? request : request.url, ORIGIN).href;
+
+class MemoryCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async match(request) {
+        return this.entries.get(keyOf(request))?.clone();
+    }
+
+    async put(request, response) {
+        this.entries.set(keyOf(request), response);
+    }
+
+    async addAll(requests) {
+        this.added = requests;
+        requests.forEach(request => this.entries.set(keyOf(request), new Response(`shell ${request}`)));
+    }
+}
+
+// Let the worker's background cache writes finish
+export const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * @param {Object} options
+ * @param {Object} options.caches - { [name]: { [url]: body } } already cached
+ * @param {string} options.source - Worker source, public/sw.js by default
+ * @returns {Object} The worker's scope with helpers to dispatch events
+ */
+export function loadServiceWorker({ caches: existing = {}, source = SOURCE } = {}) {
+    const listeners = {};
+    const cacheStorage = new Map();
+    const messages = [];
+
+    Object.entries(existing).forEach(([name, entries]) => {
+        const cache = new MemoryCache();
+        Object.entries(entries).forEach(([url, { body, headers }]) => cache.entries.set(keyOf(url), new Response(body, { headers })));
+        cacheStorage.set(name, cache);
+    });
+
+    const scope = {
+        location: new URL(ORIGIN),
+        skipWaiting: async () => { scope.skippedWaiting = true; },
+        clients: {
+            claim: async () => { scope.claimed = true; },
+            get: async id => ({ postMessage: data => messages.push({ clientId: id, data }) })
+        },
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        caches: {
+            open: async name => {
+                if (!cacheStorage.has(name)) {
+                    cacheStorage.set(name, new MemoryCache());
+                }
+                return cacheStorage.get(name);
+            },
+            keys: async () => [...cacheStorage.keys()],
+            delete: async name => cacheStorage.delete(name),
+            match: async request => {
+                for (const cache of cacheStorage.values()) {
+                    const response = await cache.match(request);
+                    if (response) {
+                        return response;
+                    }
+                }
+                return undefined;
+            }
+        },
+        // Replace to answer the worker's requests; offline until then
+        network: () => Promise.reject(new TypeError('Failed to fetch')),
+        fetch: request => scope.network(request),
+        Response,
+        Headers,
+        URL,
+        console,
+        messages,
+        cacheStorage
+    };
+    scope.self = scope;
+    vm.runInNewContext(source, scope);
+
+    const lifecycle = async type => {
+        let done;
+        listeners[type]({ waitUntil: promise => { done = promise; } });
+        await done;
+    };
+
+    scope.install = () => lifecycle('install');
+    scope.activate = () => lifecycle('activate');
+
+    /**
+     * Send a fetch event through the worker
+     * @returns {Promise<Response|undefined>} The worker's answer, or undefined
+     *   when it left the request to the browser
+     */
+    scope.request = async (url, { method = 'GET', mode = 'cors' } = {}) => {
+        let answer;
+        listeners.fetch({
+            request: { url: new URL(url, ORIGIN).href, method, mode },
+            clientId: 'page',
+            respondWith: promise => { answer = promise; }
+        });
+        return answer;
+    };
+
+    scope.cached = async (name, url) => cacheStorage.get(name)?.match(url);
+
+    return scope;
+}
@@ -0,0 +1,104 @@
+// Typed rankings column tests
+// Applies the migrations to PGlite and checks legacy text points are read
+// without inflating decimals, and the same way by the app, that `day`,
+// `date` and `event_id` stay in step whichever of them a writer changes,
+// and that replace_rankings() swaps a day's rows all at once or not at all.
+
+import { test, expect } from '@playwright/test';
+import { createPolicyHarness } from './rls/policy-harness.js';
+
+// The ranking manager remembers the editor name in localStorage
+globalThis.localStorage ??= { getItem: () => null, setItem() {}, removeItem() {} };
+
+const { parsePoints } = await import('../src/js/ranking-manager.js');
+
+test.describe('Rankings columns', () => {
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    let harness;
+
+    const rows = async (sql, params) => (await harness.seed(sql, params)).rows;
+
+    test.beforeEach(async () => {
+        harness = await createPolicyHarness();
+    });
+
+    test.afterEach(async () => {
+        await harness.close();
+    });
+
+    test('legacy points keep their value, read the same by the app and the database', async () => {
+        const samples = {
+            '1,234,567': 1234567,
+            '1.234.567': 1234567,
+            '1 234 567': 1234567,
+            '987654321': 987654321,
+            '1234.5': 1235,
+            '1,234.4': 1234,
+            '1234,5': 1235,
+            '1.234,5': 1235,
+            '1.2': 1,
+            "1'234'567": 1234567,
+            '12,34': 12,
+            '': 0,
+            'n/a': 0
+        };
+
+        for (const [text, points] of Object.entries(samples)) {
+            const [{ parsed }] = await rows('SELECT public.parse_ranking_points($1)::integer AS parsed', [text]);
+            expect(parsed, text).toBe(points);
+            expect(parsePoints(text), text).toBe(points);
+        }
+    });
+
+    test('changing only day moves the ranking', async () => {
+        const [event] = await rows("INSERT INTO special_events (name, key, start_date, end_date) VALUES ('Arms Race', 'arms-race-1', '2025-01-14', '2025-01-14') RETURNING id");
+        await rows("INSERT INTO rankings (day, ranking, commander, points) VALUES ('2025-01-14', 1, 'Alpha', 900)");
+
+        await rows("UPDATE rankings SET day = '2025-01-15' WHERE commander = 'Alpha'");
+        expect(await rows("SELECT day, to_char(date, 'YYYY-MM-DD') AS date, event_id FROM rankings")).toEqual([
+            { day: '2025-01-15', date: '2025-01-15', event_id: null }
+        ]);
+
+        await rows("UPDATE rankings SET day = 'arms-race-1' WHERE commander = 'Alpha'");
+        expect(await rows('SELECT day, date, event_id FROM rankings')).toEqual([
+            { day: 'arms-race-1', date: null, event_id: event.id }
+        ]);
+    });
+
+    test("renaming an event's key renames its rankings' day", async () => {
+        const [event] = await rows("INSERT INTO special_events (name, key, start_date, end_date) VALUES ('Arms Race', 'arms-race-1', '2025-01-14', '2025-01-14') RETURNING id");
+        await rows("INSERT INTO rankings (event_id, ranking, commander, points) VALUES ($1, 1, 'Alpha', 900)", [event.id]);
+
+        await rows("UPDATE special_events SET key = 'arms-race-finals' WHERE id = $1", [event.id]);
+
+        expect(await rows('SELECT day, event_id FROM rankings')).toEqual([{ day: 'arms-race-finals', event_id: event.id }]);
+    });
+
+    test("replace_rankings swaps a day's rows in one transaction", async () => {
+        await rows(`INSERT INTO rankings (date, ranking, commander, points) VALUES
+            ('2025-01-14', 1, 'Alpha', 900), ('2025-01-14', 2, 'Bravo', 800), ('2025-01-15', 1, 'Alpha', 700)`);
+        const replace = newRows => rows('SELECT commander FROM public.replace_rankings($1, $2)', [{ date: '2025-01-14' }, JSON.stringify(newRows)]);
+        const day = date => rows('SELECT ranking, commander FROM rankings WHERE date = $1 ORDER BY ranking', [date]);
+
+        expect(await replace([{ date: '2025-01-14', ranking: 1, commander: 'Charlie', points: 950 }])).toEqual([{ commander: 'Charlie' }]);
+        expect(await day('2025-01-14')).toEqual([{ ranking: 1, commander: 'Charlie' }]);
+        expect(await day('2025-01-15')).toEqual([{ ranking: 1, commander: 'Alpha' }]);
+
+        // A failed insert keeps the rows it would have replaced
+        await expect(replace([
+            { date: '2025-01-14', ranking: 1, commander: 'Delta', points: 10 },
+            { date: '2025-01-14', ranking: 1, commander: 'Echo', points: 5 }
+        ])).rejects.toThrow();
+        expect(await day('2025-01-14')).toEqual([{ ranking: 1, commander: 'Charlie' }]);
+
+        // Rankings policies still apply to the caller
+        const viewer = await harness.createUser('viewer@example.com', 'viewer');
+        const { error } = await harness.as(viewer).run(
+            'SELECT * FROM public.replace_rankings($1, $2)',
+            [{ date: '2025-01-14' }, JSON.stringify([{ date: '2025-01-14', ranking: 1, commander: 'Foxtrot', points: 1 }])]
+        );
+        expect(error?.message).toMatch(/row-level security/);
+        expect(await day('2025-01-14')).toEqual([{ ranking: 1, commander: 'Charlie' }]);
+    });
+});
@@ -0,0 +1,155 @@
+// Ranking history tests
+// Checks that two versions of a day are compared row by row, that saved
+// versions are listed newest first, and that restoring a day's or an event's
+// version replaces the server rows, keeps the rows it replaced as a version
+// of their own and is only audited once the server has stored it.
+
+import { test, expect } from '@playwright/test';
+import { createMockSupabaseClient } from './sync/mock-supabase-client.js';
+
+// The sync queue, the audit log's fallback and the editor name live in localStorage
+const storage = new Map();
+const previousStorage = globalThis.localStorage;
+globalThis.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const { RankingManager } = await import('../src/js/ranking-manager.js');
+const { syncQueue } = await import('../src/js/sync-queue.js');
+const { localStore } = await import('../src/js/local-store.js');
+const { supabase } = await import('../src/js/supabase-client.js');
+
+const DAY = '2025-01-14';
+const EVENT = 'event_siege_2025-01-14_2025-01-16';
+
+const row = (ranking, commander, points) => ({ ranking, commander, points });
+const commanders = rows => rows.map(entry => entry.commander);
+
+test.describe('Ranking history', () => {
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    const originalFrom = supabase.from;
+    const originalRpc = supabase.rpc;
+    let client;
+    let manager;
+
+    const restore = (target_key, target_type, rankings) => manager.restoreVersion({
+        target_key,
+        target_type,
+        rankings,
+        row_count: rankings.length,
+        replaced_at: '2025-01-10T12:00:00.000Z'
+    });
+
+    test.beforeEach(() => {
+        storage.clear();
+        localStore.records.clear();
+        client = createMockSupabaseClient();
+        supabase.from = client.from;
+        supabase.rpc = client.rpc;
+
+        manager = new RankingManager();
+        manager.setReadOnly(false);
+    });
+
+    test.afterEach(() => {
+        supabase.from = originalFrom;
+        supabase.rpc = originalRpc;
+    });
+
+    test.afterAll(() => {
+        globalThis.localStorage = previousStorage;
+    });
+
+    test('the diff lists added, removed and changed commanders', () => {
+        const diff = manager.diffRankings(
+            [row(1, 'Alpha', 900), row(2, 'Bravo', 800), row(3, 'Charlie', 700), row(4, 'Delta', 600)],
+            [row(1, 'Bravo', 950), row(2, 'alpha', 900), row(3, 'Charlie', '700'), row(4, 'Echo', 500)]
+        );
+
+        expect(diff.added).toEqual([row(4, 'Echo', 500)]);
+        expect(diff.removed).toEqual([row(4, 'Delta', 600)]);
+        // Names match whatever their case; the same points as text are unchanged
+        expect(diff.changed).toEqual([
+            { commander: 'Bravo', before: row(2, 'Bravo', 800), after: row(1, 'Bravo', 950) },
+            { commander: 'alpha', before: row(1, 'Alpha', 900), after: row(2, 'alpha', 900) }
+        ]);
+        expect(diff.unchanged).toBe(1);
+    });
+
+    test('versions saved on the server and on this device are listed newest first', async () => {
+        client.seed('ranking_versions', [
+            { target_key: DAY, rankings: [row(1, 'Alpha', 900)], replaced_at: '2025-01-14T08:00:00.000Z' },
+            { target_key: '2025-01-15', rankings: [row(1, 'Bravo', 800)], replaced_at: '2025-01-15T08:00:00.000Z' }
+        ]);
+        await localStore.set('rankingVersions', [
+            { id: 'local_1', target_key: DAY, rankings: [row(1, 'Charlie', 700)], replaced_at: '2025-01-14T09:00:00.000Z' }
+        ]);
+
+        const versions = await manager.getVersions(DAY);
+
+        expect(versions.map(version => commanders(version.rankings))).toEqual([['Charlie'], ['Alpha']]);
+    });
+
+    test('restoring a day replaces the server rows and keeps the replaced ones as a version', async () => {
+        client.seed('rankings', [{ date: DAY, ...row(1, 'Alpha', 900) }, { date: DAY, ...row(2, 'Bravo', 800) }]);
+
+        expect(await restore(DAY, 'day', [row(1, 'Charlie', 950)])).toBe(true);
+
+        expect(commanders(client.tables.rankings)).toEqual(['Charlie']);
+        expect(client.tables.ranking_versions).toEqual([expect.objectContaining({
+            target_key: DAY,
+            target_type: 'day',
+            rankings: [row(1, 'Alpha', 900), row(2, 'Bravo', 800)],
+            note: expect.stringMatching(/^Restored version from /)
+        })]);
+        expect(client.tables.audit_log).toEqual([expect.objectContaining({ action: 'replace', entity_key: DAY })]);
+
+        // The restore can be undone from the version it left
+        const [undo] = await manager.getVersions(DAY);
+        expect(await manager.restoreVersion(undo)).toBe(true);
+        expect(commanders(client.tables.rankings)).toEqual(['Alpha', 'Bravo']);
+    });
+
+    test("restoring an event's version writes its rows to the server", async () => {
+        const [event] = client.seed('special_events', [{ key: EVENT, name: 'Siege' }]);
+        client.seed('rankings', [{ event_id: event.id, ...row(1, 'Alpha', 5000) }]);
+
+        expect(await restore(EVENT, 'event', [row(1, 'Bravo', 4000), row(2, 'Charlie', 3000)])).toBe(true);
+
+        expect(client.tables.rankings.map(({ event_id, commander }) => [event_id, commander])).toEqual([
+            [event.id, 'Bravo'],
+            [event.id, 'Charlie']
+        ]);
+        expect(client.tables.ranking_versions).toEqual([expect.objectContaining({
+            target_key: EVENT,
+            target_type: 'event',
+            rankings: [row(1, 'Alpha', 5000)]
+        })]);
+        expect(client.tables.audit_log).toEqual([expect.objectContaining({ action: 'replace', entity_key: EVENT })]);
+    });
+
+    test('a restore the server refuses changes nothing and is not audited', async () => {
+        client.seed('rankings', [{ date: DAY, ...row(1, 'Alpha', 900) }]);
+        supabase.rpc = async () => ({ data: null, error: { code: '23514', message: 'new row violates check constraint' } });
+
+        await expect(restore(DAY, 'day', [row(1, 'Charlie', 950)])).rejects.toMatchObject({ code: '23514' });
+
+        expect(commanders(client.tables.rankings)).toEqual(['Alpha']);
+        expect(client.tables.ranking_versions).toBeUndefined();
+        expect(client.tables.audit_log).toBeUndefined();
+    });
+
+    test("offline, an event's restore is queued and audited only when it is sent", async () => {
+        manager.isOnline = false;
+        const pending = syncQueue.getPendingCount();
+
+        expect(await restore(EVENT, 'event', [row(1, 'Bravo', 4000)])).toBe(false);
+
+        expect(syncQueue.getPendingCount()).toBe(pending + 1);
+        expect(client.tables.rankings).toBeUndefined();
+        expect(client.tables.audit_log).toBeUndefined();
+    });
+});
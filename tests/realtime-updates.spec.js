@@ -0,0 +1,161 @@
+// Realtime update tests
+// Feeds changes through a mock realtime client and checks the managers'
+// in-memory caches are patched without reloading from the database, and that
+// a batch of ranking rows is written to the local cache once per day.
+
+import { test, expect } from '@playwright/test';
+import { createMockRealtimeClient } from './realtime/mock-realtime-client.js';
+import { RealtimeService, REALTIME_TABLES } from '../src/js/realtime-service.js';
+
+// The managers remember the editor name in localStorage
+globalThis.localStorage ??= { getItem: () => null, setItem() {}, removeItem() {} };
+
+const { RankingManager } = await import('../src/js/ranking-manager.js');
+const { LeaderVIPManager } = await import('../src/js/leader-vip-manager.js');
+const { PlayerAliasService } = await import('../src/js/player-alias-service.js');
+const { localStore } = await import('../src/js/local-store.js');
+
+test.describe('Realtime updates', () => {
+    // No browser or dev server is involved
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    let client;
+    let service;
+
+    test.beforeEach(() => {
+        client = createMockRealtimeClient();
+        service = new RealtimeService(client);
+    });
+
+    test('subscribes once to every published table', () => {
+        expect(service.subscribe()).toBe(true);
+        expect(service.subscribe()).toBe(true);
+
+        expect(client.channels).toHaveLength(1);
+        expect(client.channels[0].bindings.map(binding => binding.filter.table)).toEqual(REALTIME_TABLES);
+    });
+
+    test('ranking inserts, updates and deletes patch the day in memory', () => {
+        const manager = new RankingManager();
+        manager.rankingsData = {
+            '2025-01-14': [{ ranking: 1, commander: 'Alpha', points: '900' }]
+        };
+        const changedDays = [];
+        service.on('rankings', change => changedDays.push(...manager.applyRealtimeChange(change)));
+        service.subscribe();
+
+        client.emit('rankings', 'INSERT', { new: { day: '2025-01-14', ranking: 2, commander: 'Bravo', points: '800' } });
+        client.emit('rankings', 'UPDATE', {
+            old: { day: '2025-01-14', ranking: 1, commander: 'Alpha', points: '900' },
+            new: { day: '2025-01-14', ranking: 1, commander: 'Alpha', points: '950' }
+        });
+        client.emit('rankings', 'INSERT', { new: { day: '2025-01-15', ranking: 1, commander: 'Bravo', points: '700' } });
+        client.emit('rankings', 'DELETE', { old: { day: '2025-01-15', ranking: 1, commander: 'Bravo', points: '700' } });
+
+        expect(manager.rankingsData).toEqual({
+            '2025-01-14': [
+                { ranking: 1, commander: 'Alpha', points: '950' },
+                { ranking: 2, commander: 'Bravo', points: '800' }
+            ]
+        });
+        expect([...new Set(changedDays)]).toEqual(['2025-01-14', '2025-01-15']);
+    });
+
+    test('an echoed insert of a cached row is not duplicated', () => {
+        const manager = new RankingManager();
+        manager.rankingsData = { '2025-01-14': [{ ranking: 1, commander: 'Alpha', points: '900' }] };
+        service.on('rankings', change => manager.applyRealtimeChange(change));
+        service.subscribe();
+
+        client.emit('rankings', 'INSERT', { new: { day: '2025-01-14', ranking: 1, commander: 'Alpha', points: '900' } });
+
+        expect(manager.rankingsData['2025-01-14']).toHaveLength(1);
+    });
+
+    test('a replaced day is written to the local cache once per batch, not once per row', async () => {
+        const { saveDailyRankings, saveEventRankings } = localStore;
+        const writes = [];
+        localStore.saveDailyRankings = async (data, days) => { writes.push(['days', days]); };
+        localStore.saveEventRankings = async (eventKey, rankings) => { writes.push(['event', eventKey, rankings]); };
+
+        try {
+            const manager = new RankingManager();
+            const EVENT = 'event_arms_race_2025-01-13_2025-01-14';
+            service.on('rankings', change => manager.applyRealtimeChange(change));
+            service.subscribe();
+
+            for (let ranking = 1; ranking <= 100; ranking++) {
+                client.emit('rankings', 'INSERT', { new: { day: '2025-01-14', ranking, commander: `Player ${ranking}`, points: '100' } });
+            }
+            client.emit('rankings', 'INSERT', { new: { day: EVENT, ranking: 1, commander: 'Alpha', points: '900' } });
+
+            expect(manager.rankingsData['2025-01-14']).toHaveLength(100);
+            expect(writes).toEqual([]);
+
+            await manager.flushRealtimeChanges();
+            expect(writes).toEqual([['days', ['2025-01-14', EVENT]], ['event', EVENT, []]]);
+
+            // Nothing new since, nothing to write
+            await manager.flushRealtimeChanges();
+            expect(writes).toHaveLength(2);
+        } finally {
+            Object.assign(localStore, { saveDailyRankings, saveEventRankings });
+        }
+    });
+
+    test('player status and special event changes update the cached lists', () => {
+        const manager = new RankingManager();
+        service.on('removed_players', change => manager.applyRealtimeChange(change));
+        service.on('special_events', change => manager.applyRealtimeChange(change));
+        service.subscribe();
+
+        client.emit('removed_players', 'INSERT', { new: { player_name: 'Gone', removed_by: 'r4', reason: 'left', removed_date: '2025-01-14' } });
+        expect(manager.isPlayerRemoved('Gone')).toBe(true);
+        client.emit('removed_players', 'DELETE', { old: { player_name: 'Gone', removed_by: 'r4', reason: 'left', removed_date: '2025-01-14' } });
+        expect(manager.isPlayerRemoved('Gone')).toBe(false);
+
+        const event = { name: 'Arms Race', start_date: '2025-01-13', end_date: '2025-01-14', key: 'event_arms_race_2025-01-13_2025-01-14', pinned: false };
+        client.emit('special_events', 'INSERT', { new: event });
+        client.emit('special_events', 'UPDATE', { old: event, new: { ...event, pinned: true } });
+        expect(manager.getPinnedSpecialEvents().map(pinned => pinned.key)).toEqual([event.key]);
+    });
+
+    test('VIP selections are keyed by date and train time', () => {
+        const manager = new LeaderVIPManager();
+        service.on('vip_selections', change => manager.applyRealtimeChange(change));
+        service.subscribe();
+
+        const vip = { date: '2025-01-15', train_time: '16:00:00', train_conductor: 'Leader', vip_player: 'Alpha' };
+        client.emit('vip_selections', 'INSERT', { new: vip });
+        client.emit('vip_selections', 'UPDATE', { old: vip, new: { ...vip, vip_player: 'Bravo' } });
+        expect(manager.vipSelections['2025-01-15_16:00:00'].vip_player).toBe('Bravo');
+
+        client.emit('vip_selections', 'DELETE', { old: { ...vip, vip_player: 'Bravo' } });
+        expect(manager.vipSelections).toEqual({});
+    });
+
+    test('aliases resolve once added and stop when deactivated', () => {
+        const aliases = new PlayerAliasService();
+        service.on('player_aliases', change => aliases.applyRealtimeChange(change));
+        service.subscribe();
+
+        const alias = { primary_name: 'Alpha', alias_name: 'A1pha', created_by: 'r4', is_active: true };
+        client.emit('player_aliases', 'INSERT', { new: alias });
+        expect(aliases.resolvePlayerName('a1pha')).toBe('Alpha');
+
+        client.emit('player_aliases', 'UPDATE', { old: alias, new: { ...alias, is_active: false } });
+        expect(aliases.resolvePlayerName('a1pha')).toBe('a1pha');
+    });
+
+    test('nothing is delivered after unsubscribing', async () => {
+        const received = [];
+        service.on('kudos_points', change => received.push(change));
+        service.subscribe();
+
+        client.emit('kudos_points', 'INSERT', { new: { player_name: 'Alpha', points: 5 } });
+        await service.unsubscribe();
+        client.emit('kudos_points', 'INSERT', { new: { player_name: 'Bravo', points: 5 } });
+
+        expect(received).toEqual([{ table: 'kudos_points', eventType: 'INSERT', new: { player_name: 'Alpha', points: 5 }, old: null }]);
+    });
+});
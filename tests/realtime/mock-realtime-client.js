@@ -0,0 +1,66 @@
+// In-memory stand-in for the Supabase realtime API. Pass it to
+// RealtimeService and call emit() to simulate a change made in another
+// session, without a Supabase project or a browser.
+
+export class MockRealtimeChannel {
+    constructor(name) {
+        this.name = name;
+        this.bindings = [];
+        this.state = 'closed';
+    }
+
+    on(type, filter, callback) {
+        this.bindings.push({ type, filter, callback });
+        return this;
+    }
+
+    subscribe(callback) {
+        this.state = 'joined';
+        callback?.('SUBSCRIBED');
+        return this;
+    }
+
+    // Deliver a payload the way Supabase does: only while joined, to the
+    // postgres_changes bindings whose table and event match
+    deliver(payload) {
+        if (this.state !== 'joined') {
+            return;
+        }
+
+        this.bindings
+            .filter(({ type, filter }) => type === 'postgres_changes'
+                && filter.table === payload.table
+                && (filter.event === '*' || filter.event === payload.eventType))
+            .forEach(({ callback }) => callback(payload));
+    }
+}
+
+/**
+ * @returns {Object} A client with channel()/removeChannel() like supabase-js,
+ *   plus emit(table, eventType, { new, old }) and the open `channels`
+ */
+export function createMockRealtimeClient() {
+    const channels = [];
+
+    return {
+        channels,
+
+        channel(name) {
+            const channel = new MockRealtimeChannel(name);
+            channels.push(channel);
+            return channel;
+        },
+
+        async removeChannel(channel) {
+            channel.state = 'closed';
+            channels.splice(channels.indexOf(channel), 1);
+            return 'ok';
+        },
+
+        // Supabase sends {} rather than null for the missing side
+        emit(table, eventType, { new: row = {}, old = {} } = {}) {
+            const payload = { schema: 'public', table, eventType, new: row, old, commit_timestamp: new Date().toISOString() };
+            channels.forEach(channel => channel.deliver(payload));
+        }
+    };
+}
@@ -0,0 +1,195 @@
+// Row level security tests
+// Applies every migration to a local Postgres (PGlite) and checks which
+// writes anon visitors, viewers and each officer role can make.
+
+import { test, expect } from '@playwright/test';
+import { createPolicyHarness } from './rls/policy-harness.js';
+
+// One row per table that a write attempt can target
+const SAMPLE_ROWS = {
+    rankings: { day: '2025-01-13', ranking: 1, commander: 'Sample', points: '1000' },
+    ranking_versions: { target_key: '2025-01-13', target_type: 'day' },
+    special_events: { name: 'Sample Event', start_date: '2025-01-13', end_date: '2025-01-14', key: 'event_sample_2025-01-13_2025-01-14' },
+    removed_players: { player_name: 'Removed Sample', removed_by: 'seed' },
+    inactive_players: { player_name: 'Inactive Sample', marked_by: 'seed' },
+    excused_players: { player_name: 'Excused Sample', reason: 'seed', approved_by: 'seed' },
+    player_aliases: { primary_name: 'Sample', alias_name: 'Samp1e', created_by: 'seed' },
+    alliance_leaders: { player_name: 'Leader Sample' },
+    train_conductor_rotation: { player_name: 'Conductor Sample', rotation_order: 1 },
+    vip_selections: { date: '2025-01-13', train_conductor: 'Leader Sample', vip_player: 'Sample' },
+    kudos_points: { player_name: 'Sample', points: 5, awarded_by: 'seed' },
+    season_rankings: { season_name: 'Sample Season', start_date: '2025-01-01', end_date: '2025-03-31', player_name: 'Sample' },
+    players: { name: 'Player Sample' },
+    scoring_rules: { version: 2, name: 'Sample Rules', rules: '{}' },
+    seasons: { name: 'Sample Season', start_date: '2025-04-01', end_date: '2025-06-30' }
+};
+
+// Lowest role allowed to write each table
+const WRITE_ROLE = {
+    rankings: 'data_entry',
+    ranking_versions: 'data_entry',
+    special_events: 'r4',
+    removed_players: 'r4',
+    inactive_players: 'r4',
+    excused_players: 'r4',
+    player_aliases: 'r4',
+    alliance_leaders: 'r4',
+    train_conductor_rotation: 'r4',
+    vip_selections: 'r4',
+    kudos_points: 'r5',
+    season_rankings: 'r5',
+    players: 'r4',
+    scoring_rules: 'r5',
+    seasons: 'r5'
+};
+
+// Tables that keep history and can't be edited once written
+const APPEND_ONLY = ['ranking_versions', 'scoring_rules'];
+
+const ROLES = ['viewer', 'data_entry', 'r4', 'r5'];
+
+// A second row that doesn't collide with the seeded one
+function freshRow(table) {
+    const row = { ...SAMPLE_ROWS[table] };
+    if ('ranking' in row) row.ranking = 2;
+    if ('key' in row) row.key = 'event_other_2025-01-13_2025-01-14';
+    // Train conductors must exist in alliance_leaders
+    if ('player_name' in row && table !== 'train_conductor_rotation') row.player_name = `${row.player_name} 2`;
+    if ('alias_name' in row) row.alias_name = 'Sarnple';
+    if (table === 'players') row.name = 'Player Sample 2';
+    if (table === 'seasons') row.name = 'Sample Season 2';
+    if ('rotation_order' in row) row.rotation_order = 2;
+    if ('date' in row) row.date = '2025-01-14';
+    if ('version' in row) row.version = 3;
+    return row;
+}
+
+test.describe('Row level security', () => {
+    // The database runs in-process; no browser or dev server is involved
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Policies only need checking once');
+
+    let harness;
+    const users = {};
+
+    test.beforeAll(async () => {
+        harness = await createPolicyHarness();
+
+        // Referenced by the train rotation row, so the alliance_leaders
+        // sample can be deleted without tripping the foreign key
+        await harness.seed("INSERT INTO alliance_leaders (player_name) VALUES ('Conductor Sample')");
+
+        for (const [table, row] of Object.entries(SAMPLE_ROWS)) {
+            const columns = Object.keys(row);
+            await harness.seed(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})`,
+                Object.values(row)
+            );
+        }
+
+        for (const role of ROLES) {
+            users[role] = await harness.createUser(`${role}@example.com`, role);
+        }
+    });
+
+    test.afterAll(async () => {
+        await harness?.close();
+    });
+
+    test('anonymous visitors can read every table', async () => {
+        const anon = harness.as(null);
+        for (const table of Object.keys(SAMPLE_ROWS)) {
+            expect(await anon.countRows(table), table).toBeGreaterThan(0);
+        }
+    });
+
+    test('anonymous visitors cannot write anything', async () => {
+        const anon = harness.as(null);
+        for (const table of Object.keys(SAMPLE_ROWS)) {
+            expect(await anon.canInsert(table, freshRow(table)), `insert ${table}`).toBe(false);
+            expect(await anon.deleteMatching(table, SAMPLE_ROWS[table]), `delete ${table}`).toBe(0);
+        }
+        expect(await anon.updateAll('rankings', 'points', '0')).toBe(0);
+    });
+
+    for (const role of ROLES) {
+        test(`${role} writes only the tables their role allows`, async () => {
+            const session = harness.as(users[role]);
+
+            for (const [table, required] of Object.entries(WRITE_ROLE)) {
+                const allowed = ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+                expect(await session.canInsert(table, freshRow(table)), `insert ${table}`).toBe(allowed);
+                const canDelete = allowed && !APPEND_ONLY.includes(table);
+                expect(await session.deleteMatching(table, SAMPLE_ROWS[table]), `delete ${table}`).toBe(canDelete ? 1 : 0);
+            }
+        });
+    }
+
+    test('ranking history is append-only', async () => {
+        const admin = harness.as(users.r5);
+        expect(await admin.updateAll('ranking_versions', 'note', 'edited')).toBe(0);
+        expect(await admin.deleteMatching('ranking_versions', SAMPLE_ROWS.ranking_versions)).toBe(0);
+    });
+
+    test('only R5 admins can change roles', async () => {
+        const leader = harness.as(users.r4);
+        expect(await leader.updateAll('user_roles', 'role', 'r5')).toBe(0);
+
+        const admin = harness.as(users.r5);
+        expect(await admin.updateAll('user_roles', 'role', 'r4')).toBe(ROLES.length);
+    });
+
+    test('officers only see their own role unless they are R5', async () => {
+        expect(await harness.as(null).countRows('user_roles')).toBe(0);
+        expect(await harness.as(users.data_entry).countRows('user_roles')).toBe(1);
+        expect(await harness.as(users.r5).countRows('user_roles')).toBe(ROLES.length);
+    });
+
+    test('the audit log is append-only and attributed to the writer', async () => {
+        const entry = actorId => ({ actor: 'officer', actor_id: actorId, action: 'update', entity_type: 'rankings' });
+        await harness.seed('INSERT INTO audit_log (actor, actor_id, action, entity_type) VALUES ($1, $2, $3, $4)', Object.values(entry(users.r5)));
+
+        expect(await harness.as(null).canInsert('audit_log', entry(null))).toBe(false);
+        expect(await harness.as(users.viewer).canInsert('audit_log', entry(users.viewer))).toBe(false);
+        expect(await harness.as(users.data_entry).canInsert('audit_log', entry(users.data_entry))).toBe(true);
+
+        expect(await harness.as(null).countRows('audit_log')).toBe(0);
+        expect(await harness.as(users.data_entry).countRows('audit_log')).toBe(0);
+        expect(await harness.as(users.r4).countRows('audit_log')).toBe(1);
+
+        const admin = harness.as(users.r5);
+        expect(await admin.updateAll('audit_log', 'action', 'edited')).toBe(0);
+        expect(await admin.deleteMatching('audit_log', { actor: 'officer' })).toBe(0);
+    });
+
+    test("audit entries get the server's time and the writer, whatever was sent", async () => {
+        // R4 can read the row back; RETURNING needs the select policy
+        const { rows, error } = await harness.as(users.r4).run(`
+            INSERT INTO audit_log (actor, actor_id, action, entity_type, created_at)
+            VALUES ('r5@example.com', $1, 'update', 'rankings', '2000-01-01')
+            RETURNING actor, actor_id, created_at > now() - interval '1 minute' AS stamped_now
+        `, [users.r5]);
+
+        expect(error).toBeNull();
+        expect(rows).toEqual([{ actor: 'r4@example.com', actor_id: users.r4, stamped_now: true }]);
+    });
+
+    test('no policy lets anonymous requests write', async () => {
+        const { rows } = await harness.seed(`
+            SELECT tablename, policyname
+            FROM pg_policies
+            WHERE schemaname = 'public'
+              AND cmd <> 'SELECT'
+              AND (roles && ARRAY['public', 'anon']::name[])
+        `);
+        expect(rows).toEqual([]);
+    });
+
+    test('every public table has RLS enabled', async () => {
+        const { rows } = await harness.seed(`
+            SELECT tablename FROM pg_tables
+            WHERE schemaname = 'public' AND NOT rowsecurity
+        `);
+        expect(rows).toEqual([]);
+    });
+});
@@ -0,0 +1,195 @@
+// Runs the Supabase migrations against an in-process Postgres (PGlite) so
+// row level security policies can be exercised as anon, viewer and officer
+// sessions without a Supabase project.
+
+import { PGlite } from '@electric-sql/pglite';
+import { uuid_ossp } from '@electric-sql/pglite/contrib/uuid_ossp';
+import { readdirSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../supabase/migrations');
+
+// The pieces of a Supabase database the migrations rely on: the API roles,
+// auth.users and auth.uid() reading the JWT subject for the session
+const SUPABASE_STUB = `
+    CREATE ROLE anon NOLOGIN;
+    CREATE ROLE authenticated NOLOGIN;
+    CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+    CREATE SCHEMA auth;
+    CREATE TABLE auth.users (
+        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        email text
+    );
+    CREATE FUNCTION auth.uid() RETURNS uuid
+    LANGUAGE sql STABLE
+    AS $$ SELECT nullif(current_setting('request.jwt.claim.sub', true), '')::uuid $$;
+
+    GRANT USAGE ON SCHEMA auth TO anon, authenticated;
+`;
+
+// Supabase grants table privileges to the API roles and leaves access to RLS
+const API_GRANTS = `
+    GRANT USAGE ON SCHEMA public TO anon, authenticated;
+    GRANT ALL ON ALL TABLES IN SCHEMA public TO anon, authenticated;
+    GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO anon, authenticated;
+`;
+
+/**
+ * Migration files in the order `supabase db reset` applies them
+ * @returns {Array<string>} File names
+ */
+export function getMigrationFiles() {
+    return readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort();
+}
+
+/**
+ * Create a fresh database with every migration applied
+ * @returns {Promise<PolicyHarness>}
+ */
+export async function createPolicyHarness() {
+    const db = new PGlite({ extensions: { uuid_ossp } });
+    await db.exec(SUPABASE_STUB);
+
+    for (const file of getMigrationFiles()) {
+        try {
+            await db.exec(readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+        } catch (error) {
+            throw new Error(`Migration ${file} failed: ${error.message}`);
+        }
+    }
+
+    await db.exec(API_GRANTS);
+    return new PolicyHarness(db);
+}
+
+export class PolicyHarness {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Run SQL as the database owner, bypassing RLS (for seeding)
+     */
+    async seed(sql, params = []) {
+        return this.db.query(sql, params);
+    }
+
+    /**
+     * Create an auth user with a role
+     * @param {string} email - Account email
+     * @param {string} role - viewer, data_entry, r4 or r5
+     * @returns {Promise<string>} The user's id
+     */
+    async createUser(email, role) {
+        const { rows } = await this.db.query('INSERT INTO auth.users (email) VALUES ($1) RETURNING id', [email]);
+        const userId = rows[0].id;
+        await this.db.query('UPDATE user_roles SET role = $1 WHERE user_id = $2', [role, userId]);
+        return userId;
+    }
+
+    /**
+     * A session that runs statements the way PostgREST would for a request
+     * @param {string|null} userId - Signed-in user, or null for the anon key
+     * @returns {PolicySession}
+     */
+    as(userId = null) {
+        return new PolicySession(this.db, userId);
+    }
+
+    async close() {
+        await this.db.close();
+    }
+}
+
+export class PolicySession {
+    constructor(db, userId) {
+        this.db = db;
+        this.userId = userId;
+    }
+
+    /**
+     * Run one statement under the session's role, rolled back afterwards so
+     * checks don't affect each other
+     * @returns {Promise<Object>} { rows, error }
+     */
+    async run(sql, params = []) {
+        let result = { rows: [], error: null };
+
+        try {
+            await this.db.transaction(async tx => {
+                await tx.query(`SET LOCAL ROLE ${this.userId ? 'authenticated' : 'anon'}`);
+                await tx.query("SELECT set_config('request.jwt.claim.sub', $1, true)", [this.userId || '']);
+
+                const { rows } = await tx.query(sql, params);
+                result = { rows, error: null };
+                await tx.rollback();
+            });
+        } catch (error) {
+            result = { rows: [], error };
+        }
+
+        return result;
+    }
+
+    /**
+     * @returns {Promise<boolean>} True if the insert passed RLS
+     */
+    async canInsert(table, row) {
+        const columns = Object.keys(row);
+        const placeholders = columns.map((_, index) => `$${index + 1}`);
+        const { error } = await this.run(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+            Object.values(row)
+        );
+
+        if (error && !/row-level security/.test(error.message)) {
+            throw error;
+        }
+        return !error;
+    }
+
+    /**
+     * @returns {Promise<number>} Rows the session managed to update
+     */
+    async updateAll(table, column, value) {
+        const { rows, error } = await this.run(
+            `WITH changed AS (UPDATE ${table} SET ${column} = $1 RETURNING 1) SELECT count(*)::int AS n FROM changed`,
+            [value]
+        );
+
+        if (error && !/row-level security/.test(error.message)) {
+            throw error;
+        }
+        return error ? 0 : rows[0].n;
+    }
+
+    /**
+     * Delete the rows matching every column of `row`
+     * @returns {Promise<number>} Rows the session managed to delete
+     */
+    async deleteMatching(table, row) {
+        const conditions = Object.keys(row).map((column, index) => `${column} = $${index + 1}`);
+        const { rows, error } = await this.run(
+            `WITH removed AS (DELETE FROM ${table} WHERE ${conditions.join(' AND ')} RETURNING 1) SELECT count(*)::int AS n FROM removed`,
+            Object.values(row)
+        );
+
+        if (error) {
+            throw error;
+        }
+        return rows[0].n;
+    }
+
+    /**
+     * @returns {Promise<number>} Rows the session can see
+     */
+    async countRows(table) {
+        const { rows, error } = await this.run(`SELECT count(*)::int AS n FROM ${table}`);
+        if (error) {
+            throw error;
+        }
+        return rows[0].n;
+    }
+}
@@ -0,0 +1,181 @@
+// Season scoring rules tests
+// Checks that version 1 (and the default rules) give the scores the
+// hard-coded formula gave, that thresholds, multipliers, caps and the
+// weighted flags change scores as configured, and that bad definitions are
+// rejected before they're saved.
+
+import { test, expect } from '@playwright/test';
+import { createPolicyHarness } from './rls/policy-harness.js';
+import {
+    DEFAULT_SCORING_RULES,
+    normalizeScoringRules,
+    validateScoringRules,
+    isAllianceEvent,
+    scoreKudos,
+    scoreVSPerformance,
+    scoreEvents,
+    combineScores,
+    weightedTotal,
+    normalizeVSBreakdown
+} from '../src/js/scoring-rules.js';
+
+const WEIGHTS = { kudos: 40, vsPerformance: 35, specialEvents: 25, allianceContribution: 0 };
+
+// Like normalizeScoringRules, with overrides per section
+const rulesWith = overrides => {
+    const rules = normalizeScoringRules(DEFAULT_SCORING_RULES);
+    for (const [section, values] of Object.entries(overrides)) {
+        rules[section] = Array.isArray(values) ? values : { ...rules[section], ...values };
+    }
+    return rules;
+};
+
+const days = ranks => ranks.map((ranking, i) => ({ ranking, date: `2025-01-${String(i + 1).padStart(2, '0')}` }));
+
+test.describe('Scoring rules', () => {
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    test('default rules give the original formula', () => {
+        const rules = normalizeScoringRules(DEFAULT_SCORING_RULES);
+
+        const kudos = scoreKudos([
+            { points: 6, date_awarded: '2025-01-05' },
+            { points: 9, date_awarded: '2025-01-02' }
+        ], rules);
+        // Latest award counts, out of 10
+        expect(kudos.score).toBe(60);
+
+        // Base 50, +2 per top 10 day, -1 per rank 21+ day
+        const vs = scoreVSPerformance(days([1, 10, 15, 21, 40]), rules);
+        expect(vs.score).toBe(50 + 2 * 2 - 2);
+        expect(vs.breakdown).toMatchObject({ topOccurrences: 2, bottomOccurrences: 2, totalDays: 5 });
+        expect(scoreVSPerformance(days(Array(60).fill(30)), rules).score).toBe(0);
+
+        // (participants + 10) - rank per event
+        const events = scoreEvents([
+            { eventName: 'Arms Race', rank: 1, totalParticipants: 20 },
+            { eventName: 'Zombie Siege', rank: 45, totalParticipants: 30 }
+        ], rules);
+        expect(events.score).toBe(29);
+
+        // Alliance contribution is added unweighted
+        const total = combineScores({ kudos: 60, vsPerformance: 52, specialEvents: 29, allianceContribution: 12 }, WEIGHTS, rules);
+        expect(total).toBeCloseTo(60 * 0.4 + 52 * 0.35 + 29 * 0.25 + 12);
+        expect(weightedTotal(WEIGHTS, rules)).toBe(100);
+        expect(isAllianceEvent({ name: 'Alliance Contribution Week' }, rules)).toBe(true);
+        expect(isAllianceEvent({ name: 'Arms Race' }, rules)).toBe(false);
+    });
+
+    test('version 1 in the database matches the default rules', async () => {
+        const harness = await createPolicyHarness();
+        try {
+            const { rows } = await harness.seed('SELECT rules FROM scoring_rules WHERE version = 1');
+            expect(rows[0].rules).toEqual(DEFAULT_SCORING_RULES);
+        } finally {
+            await harness.close();
+        }
+    });
+
+    test('thresholds, point values and excused days are configurable', () => {
+        const rules = rulesWith({
+            vsPerformance: { basePoints: 20, topRank: 5, topPoints: 3, bottomRank: 26, bottomPoints: -2, excusedSkipsBottom: false }
+        });
+
+        const ranked = days([3, 8, 26, 30]);
+        ranked[3].excused = true;
+        const vs = scoreVSPerformance(ranked, rules);
+        expect(vs.score).toBe(20 + 3 - 2 - 2);
+        expect(vs.breakdown).toMatchObject({ topRank: 5, topPoints: 3, bottomOccurrences: 2, excusedOccurrences: 0 });
+
+        const excusing = rulesWith({ vsPerformance: { ...rules.vsPerformance, excusedSkipsBottom: true } });
+        expect(scoreVSPerformance(ranked, excusing).breakdown).toMatchObject({ bottomOccurrences: 1, excusedOccurrences: 1 });
+
+        const awards = [
+            { points: 4, date_awarded: '2025-01-05' },
+            { points: 8, date_awarded: '2025-01-02' }
+        ];
+        expect(scoreKudos(awards, rulesWith({ kudos: { use: 'highest' } })).score).toBe(80);
+        expect(scoreKudos(awards, rulesWith({ kudos: { use: 'total', cap: 100 } })).score).toBe(100);
+    });
+
+    test('breakdowns list the days and awards behind a score', () => {
+        const rules = normalizeScoringRules(DEFAULT_SCORING_RULES);
+
+        const ranked = days([4, 12, 22, 30]);
+        ranked[3].excused = true;
+        const vs = scoreVSPerformance(ranked, rules);
+        expect(vs.breakdown.topDays).toEqual([{ date: '2025-01-01', ranking: 4 }]);
+        expect(vs.breakdown.bottomDays).toEqual([
+            { date: '2025-01-03', ranking: 22, excused: false },
+            { date: '2025-01-04', ranking: 30, excused: true }
+        ]);
+
+        const kudos = scoreKudos([
+            { points: 4, date_awarded: '2025-01-02', reason: 'Rally lead' },
+            { points: 7, date_awarded: '2025-01-09' }
+        ], rules);
+        expect(kudos.breakdown.awards).toEqual([
+            { dateAwarded: '2025-01-09', points: 7, reason: null, counted: true },
+            { dateAwarded: '2025-01-02', points: 4, reason: 'Rally lead', counted: false }
+        ]);
+    });
+
+    test('event multipliers and caps apply per event and per component', () => {
+        const rules = rulesWith({
+            specialEvents: { multipliers: [{ match: 'arms race', multiplier: 1.5 }], capPerEvent: 40, cap: 60 }
+        });
+
+        const events = scoreEvents([
+            { eventName: 'Arms Race Finals', rank: 1, totalParticipants: 20 },
+            { eventName: 'Zombie Siege', rank: 5, totalParticipants: 20 },
+            { eventName: 'Capital Clash', rank: 10, totalParticipants: 20 }
+        ], rules);
+
+        expect(events.breakdown.events.map(event => [event.multiplier, event.points])).toEqual([
+            [1.5, 40], // 29 * 1.5, capped at 40
+            [1, 25],
+            [1, 20]
+        ]);
+        expect(events.score).toBe(60);
+    });
+
+    test('weighted flags decide which components are weighted', () => {
+        const rules = rulesWith({
+            weighted: { kudos: true, vsPerformance: true, specialEvents: false, allianceContribution: true }
+        });
+        const weights = { kudos: 50, vsPerformance: 30, specialEvents: 25, allianceContribution: 20 };
+
+        expect(weightedTotal(weights, rules)).toBe(100);
+        expect(combineScores({ kudos: 100, vsPerformance: 50, specialEvents: 10, allianceContribution: 40 }, weights, rules))
+            .toBeCloseTo(50 + 15 + 10 + 8);
+    });
+
+    test('invalid rules are rejected', () => {
+        expect(validateScoringRules(normalizeScoringRules(DEFAULT_SCORING_RULES))).toEqual([]);
+
+        const errors = validateScoringRules(rulesWith({
+            kudos: { use: 'average', maxPoints: 0 },
+            vsPerformance: { topRank: 25, bottomRank: 21 },
+            specialEvents: { multipliers: [{ match: '', multiplier: 2 }], cap: 'lots' },
+            weighted: { kudos: false, vsPerformance: false, specialEvents: false, allianceContribution: false }
+        }));
+
+        expect(errors).toHaveLength(6);
+        expect(errors.join('\n')).toContain('top ranks must end before bottom ranks start');
+    });
+
+    test('saved rules missing newer settings fall back to the defaults', () => {
+        const rules = normalizeScoringRules({ vsPerformance: { topPoints: 4 } });
+        expect(rules.vsPerformance).toEqual({ ...DEFAULT_SCORING_RULES.vsPerformance, topPoints: 4 });
+        expect(rules.weighted).toEqual(DEFAULT_SCORING_RULES.weighted);
+        expect(validateScoringRules(rules)).toEqual([]);
+    });
+
+    test('saved VS breakdowns with the old occurrence names still load', () => {
+        const saved = { basePoints: 50, top10Occurrences: 3, bottom20Occurrences: 1, totalDays: 7 };
+
+        expect(normalizeVSBreakdown(saved)).toEqual({ basePoints: 50, topOccurrences: 3, bottomOccurrences: 1, totalDays: 7 });
+        expect(normalizeVSBreakdown({ topOccurrences: 2, bottomOccurrences: 0 })).toEqual({ topOccurrences: 2, bottomOccurrences: 0 });
+        expect(normalizeVSBreakdown(null)).toBeNull();
+    });
+});
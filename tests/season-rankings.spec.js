@@ -0,0 +1,253 @@
+// Season ranking computation tests
+// Generates a season's worth of rankings, events, kudos and excusals and
+// checks the in-memory batch calculation matches scoring each player on
+// their own, that the what-if simulator diffs hypotheticals against a saved
+// report, that breakdowns survive saving, and that a full season is scored
+// well within a second.
+
+import { test, expect } from '@playwright/test';
+import { createPolicyHarness } from './rls/policy-harness.js';
+import {
+    DEFAULT_SCORING_RULES,
+    normalizeScoringRules,
+    isAllianceEvent,
+    scoreKudos,
+    scoreVSPerformance,
+    scoreEvents,
+    combineScores
+} from '../src/js/scoring-rules.js';
+
+// The audit helpers read localStorage
+globalThis.localStorage ??= { getItem: () => null, setItem() {}, removeItem() {} };
+
+const { SeasonRankingManager } = await import('../src/js/season-ranking-manager.js');
+
+const WEIGHTS = { kudos: 40, vsPerformance: 35, specialEvents: 25, allianceContribution: 0 };
+const SCORING_RULES = { version: 1, name: 'Original rules', rules: normalizeScoringRules(DEFAULT_SCORING_RULES) };
+
+// Small seeded generator so every run scores the same season
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Rows shaped like loadSeasonData()'s: every player ranked every day,
+ * a dozen events (two of them alliance contribution), kudos and excusals
+ */
+function generateSeason({ players = 150, days = 90, events = 12, seed = 7 } = {}) {
+    const next = random(seed);
+    const names = Array.from({ length: players }, (_, i) => `Player ${i + 1}`);
+    const shuffled = () => [...names].sort(() => next() - 0.5);
+    const dateOf = day => new Date(Date.UTC(2025, 0, 1 + day)).toISOString().slice(0, 10);
+    let id = 0;
+
+    const data = { rankings: [], events: [], eventRankings: [], kudos: [], excusals: [] };
+
+    for (let day = 0; day < days; day++) {
+        shuffled().forEach((commander, i) => {
+            data.rankings.push({ id: ++id, commander, ranking: i + 1, date: dateOf(day) });
+        });
+    }
+
+    for (let e = 0; e < events; e++) {
+        const event = { id: `event-${e}`, name: e < 2 ? `Alliance Contribution ${e + 1}` : `Special Event ${e + 1}` };
+        data.events.push(event);
+        shuffled().slice(0, Math.floor(players * (0.5 + next() / 2))).forEach((commander, i) => {
+            data.eventRankings.push({ id: ++id, event_id: event.id, commander, ranking: i + 1 });
+        });
+    }
+
+    names.forEach(name => {
+        const awards = Math.floor(next() * 3);
+        for (let a = 0; a < awards; a++) {
+            data.kudos.push({ id: ++id, player_name: name, points: 1 + Math.floor(next() * 10), date_awarded: dateOf(Math.floor(next() * days)) });
+        }
+        if (next() < 0.15) {
+            data.excusals.push({ id: ++id, player_name: name, date_excused: dateOf(Math.floor(next() * days)) });
+        }
+    });
+
+    return data;
+}
+
+// Scores one player by filtering the full data set, the way each player
+// used to be queried on their own
+function scorePlayerAlone(playerName, data, rules) {
+    const excused = date => data.excusals.some(row => row.player_name === playerName && row.date_excused <= date);
+    const days = data.rankings
+        .filter(row => row.commander === playerName)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(row => ({ ranking: row.ranking, date: row.date, excused: excused(row.date) }));
+
+    const entriesFor = alliance => data.eventRankings
+        .filter(row => row.commander === playerName)
+        .map(row => ({ row, event: data.events.find(event => event.id === row.event_id) }))
+        .filter(({ event }) => isAllianceEvent(event, rules) === alliance)
+        .map(({ row, event }) => ({
+            eventName: event.name,
+            rank: row.ranking,
+            totalParticipants: data.eventRankings.filter(other => other.event_id === event.id).length
+        }));
+
+    const scores = {
+        kudos: scoreKudos(data.kudos.filter(row => row.player_name === playerName), rules).score,
+        vsPerformance: scoreVSPerformance(days, rules).score,
+        specialEvents: scoreEvents(entriesFor(false), rules, 'specialEvents').score,
+        allianceContribution: scoreEvents(entriesFor(true), rules, 'allianceContribution').score
+    };
+
+    return { scores, total: Math.round(combineScores(scores, WEIGHTS, rules) * 100) / 100 };
+}
+
+test.describe('Season rankings', () => {
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    test('batch scores match scoring each player on their own', () => {
+        const data = generateSeason({ players: 40, days: 30 });
+        const manager = new SeasonRankingManager({ isPlayerRemoved: name => name === 'Player 3' }, {});
+
+        const rankings = manager.computeSeasonRankings(data, WEIGHTS, SCORING_RULES);
+
+        // Removed players aren't ranked
+        expect(rankings).toHaveLength(39);
+        expect(rankings.some(ranking => ranking.playerName === 'Player 3')).toBe(false);
+
+        for (const ranking of rankings) {
+            const expected = scorePlayerAlone(ranking.playerName, data, SCORING_RULES.rules);
+            expect(ranking.rawKudosScore, ranking.playerName).toBe(expected.scores.kudos);
+            expect(ranking.rawVSScore, ranking.playerName).toBe(expected.scores.vsPerformance);
+            expect(ranking.rawSpecialEventsScore, ranking.playerName).toBe(expected.scores.specialEvents);
+            expect(ranking.rawAllianceScore, ranking.playerName).toBe(expected.scores.allianceContribution);
+            expect(ranking.totalWeightedScore, ranking.playerName).toBe(expected.total);
+        }
+
+        expect(rankings.map(ranking => ranking.finalRank)).toEqual(rankings.map((_, i) => i + 1));
+        const bestVS = Math.max(...rankings.map(ranking => ranking.rawVSScore));
+        expect(rankings.find(ranking => ranking.vsRank === 1).rawVSScore).toBe(bestVS);
+    });
+
+    test('excused days are not penalised', () => {
+        const data = {
+            rankings: [
+                { id: 1, commander: 'Alpha', ranking: 25, date: '2025-01-13' },
+                { id: 2, commander: 'Alpha', ranking: 25, date: '2025-01-14' },
+                { id: 3, commander: 'Alpha', ranking: 25, date: '2025-01-15' }
+            ],
+            events: [],
+            eventRankings: [],
+            kudos: [],
+            excusals: [{ id: 4, player_name: 'Alpha', date_excused: '2025-01-14' }]
+        };
+
+        const [alpha] = new SeasonRankingManager({}, {}).computeSeasonRankings(data, WEIGHTS, SCORING_RULES);
+
+        expect(alpha.vsBreakdown).toMatchObject({ bottomOccurrences: 1, excusedOccurrences: 2 });
+        expect(alpha.rawVSScore).toBe(49);
+    });
+
+    test('the simulator applies hypotheticals and diffs against the saved report', () => {
+        const data = {
+            rankings: [
+                { id: 1, commander: 'Alpha', ranking: 1, date: '2025-01-13' },
+                { id: 2, commander: 'Bravo', ranking: 2, date: '2025-01-13' },
+                { id: 3, commander: 'Charlie', ranking: 25, date: '2025-01-13' }
+            ],
+            events: [],
+            eventRankings: [],
+            kudos: [{ id: 4, player_name: 'Alpha', points: 2, date_awarded: '2025-01-13' }],
+            excusals: []
+        };
+        const manager = new SeasonRankingManager({}, {});
+        const savedRows = manager.computeSeasonRankings(data, WEIGHTS, SCORING_RULES).map(ranking => ({
+            player_name: ranking.playerName,
+            final_rank: ranking.finalRank,
+            total_weighted_score: String(ranking.totalWeightedScore)
+        }));
+        savedRows.push({ player_name: 'Delta', final_rank: 4, total_weighted_score: '1.00' });
+
+        const rankings = manager.simulateSeasonRankings(data, WEIGHTS, {
+            kudos: [{ player_name: 'Bravo', points: 10, date_awarded: '2025-01-31' }],
+            excusals: [{ player_name: 'Charlie', date_excused: '2025-01-01' }]
+        }, SCORING_RULES);
+        const diff = manager.diffSeasonRankings(savedRows, rankings);
+
+        expect(diff.map(entry => [entry.playerName, entry.savedRank, entry.rank, entry.rankChange])).toEqual([
+            ['Bravo', 2, 1, 1],
+            ['Alpha', 1, 2, -1],
+            ['Charlie', 3, 3, 0],
+            ['Delta', 4, null, null]
+        ]);
+        // 10 kudos points are worth 40 at a 40% weight
+        expect(diff[0].scoreChange).toBe(40);
+        // Charlie's bottom-rank day is no longer penalised
+        expect(diff[2].scoreChange).toBe(0.35);
+
+        // Hypotheticals never touch the loaded data
+        expect(data.kudos).toHaveLength(1);
+        expect(data.excusals).toHaveLength(0);
+    });
+
+    test('saved breakdowns load back with the report', async () => {
+        const data = generateSeason({ players: 5, days: 14, events: 3 });
+        const manager = new SeasonRankingManager({}, {});
+        const rankings = manager.computeSeasonRankings(data, WEIGHTS, SCORING_RULES);
+
+        const harness = await createPolicyHarness();
+        try {
+            // The columns saveSeasonRankings() writes
+            for (const ranking of rankings) {
+                await harness.seed(`
+                    INSERT INTO season_rankings (season_name, start_date, end_date, player_name, kudos_score, vs_performance_score,
+                        special_events_score, alliance_contribution_score, total_weighted_score, final_rank, scoring_rules_version, breakdown)
+                    VALUES ('Winter', '2025-01-01', '2025-01-14', $1, $2, $3, $4, $5, $6, $7, 1, $8)
+                `, [ranking.playerName, ranking.kudosScore, ranking.vsPerformanceScore, ranking.specialEventsScore,
+                    ranking.allianceContributionScore, ranking.totalWeightedScore, ranking.finalRank,
+                    JSON.stringify({
+                        kudos: ranking.kudosBreakdown,
+                        vsPerformance: ranking.vsBreakdown,
+                        specialEvents: ranking.specialEventsBreakdown,
+                        allianceContribution: ranking.allianceBreakdown
+                    })]);
+            }
+            await harness.seed(`
+                INSERT INTO season_rankings (season_name, start_date, end_date, player_name, total_weighted_score, final_rank)
+                VALUES ('Winter', '2025-01-01', '2025-01-14', 'Old Report', 0, 6)
+            `);
+
+            const { rows } = await harness.seed("SELECT * FROM season_rankings WHERE season_name = 'Winter' ORDER BY final_rank");
+            const loaded = manager.fromSeasonRankingRows(rows);
+
+            for (const ranking of rankings) {
+                const match = loaded.find(entry => entry.playerName === ranking.playerName);
+                expect(match.finalRank).toBe(ranking.finalRank);
+                expect(match.totalWeightedScore).toBe(ranking.totalWeightedScore);
+                expect(match.vsBreakdown).toEqual(ranking.vsBreakdown);
+                expect(match.kudosBreakdown).toEqual(ranking.kudosBreakdown);
+                expect(match.specialEventsBreakdown).toEqual(ranking.specialEventsBreakdown);
+                expect(match.vsRank).toBeGreaterThan(0);
+            }
+            expect(loaded.at(-1)).toMatchObject({ playerName: 'Old Report', hasBreakdown: false, vsBreakdown: null });
+        } finally {
+            await harness.close();
+        }
+    });
+
+    test('benchmark: a full season is scored in memory', () => {
+        // 150 players ranked daily for 90 days, 12 events
+        const data = generateSeason();
+        const manager = new SeasonRankingManager({}, {});
+
+        const started = performance.now();
+        const rankings = manager.computeSeasonRankings(data, WEIGHTS, SCORING_RULES);
+        const elapsed = performance.now() - started;
+
+        console.log(`Scored ${rankings.length} players from ${data.rankings.length + data.eventRankings.length} ranking rows in ${elapsed.toFixed(1)} ms`);
+        expect(rankings).toHaveLength(150);
+        expect(elapsed).toBeLessThan(1000);
+    });
+});
@@ -0,0 +1,194 @@
+// Season definition tests
+// Checks which season the app defaults to, that a season's eligibility rules
+// decide who is ranked, that a season's report is kept under the season's id,
+// and that the database links report rows to their season and keeps a
+// finalized season and its report locked.
+
+import { test, expect } from '@playwright/test';
+import { createPolicyHarness } from './rls/policy-harness.js';
+import { createMockSupabaseClient } from './sync/mock-supabase-client.js';
+import { DEFAULT_SCORING_RULES, normalizeScoringRules } from '../src/js/scoring-rules.js';
+
+// The audit helpers read localStorage
+globalThis.localStorage ??= { getItem: () => null, setItem() {}, removeItem() {} };
+
+const { SeasonRankingManager } = await import('../src/js/season-ranking-manager.js');
+const { supabase } = await import('../src/js/supabase-client.js');
+
+const WEIGHTS = { kudos: 40, vsPerformance: 35, specialEvents: 25, allianceContribution: 0 };
+const SCORING_RULES = { version: 1, name: 'Original rules', rules: normalizeScoringRules(DEFAULT_SCORING_RULES) };
+
+const season = (name, start_date, end_date, status = 'draft') => ({ id: name, name, start_date, end_date, status });
+
+// A report row as saveSeasonRankings() writes it, without a season_id
+const insertRanking = (harness, playerName, rank) => harness.seed(`
+    INSERT INTO season_rankings (season_name, start_date, end_date, player_name, total_weighted_score, final_rank)
+    VALUES ('Spring', '2025-03-01', '2025-05-31', $1, 10, $2)
+`, [playerName, rank]);
+
+// Saved report rows, for the mock client
+const reportRow = (season_id, season_name, player_name, final_rank, start_date = '2025-03-01', end_date = '2025-05-31') =>
+    ({ season_id, season_name, start_date, end_date, player_name, final_rank });
+const playersOf = (rows, seasonId) => rows.filter(row => row.season_id === seasonId).map(row => row.player_name);
+
+test.describe('Seasons', () => {
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    test('the current season is the active one, else the one running today, else the latest', () => {
+        const manager = new SeasonRankingManager({}, {});
+        const winter = season('Winter', '2025-01-01', '2025-02-28');
+        const spring = season('Spring', '2025-03-01', '2025-05-31');
+        const summer = season('Summer', '2025-06-01', '2025-08-31');
+
+        expect(manager.findCurrentSeason([summer, spring, { ...winter, status: 'active' }], '2025-04-10').name).toBe('Winter');
+        expect(manager.findCurrentSeason([summer, spring, winter], '2025-04-10').name).toBe('Spring');
+        expect(manager.findCurrentSeason([summer, spring, winter], '2026-01-01').name).toBe('Summer');
+        expect(manager.findCurrentSeason([], '2025-04-10')).toBeNull();
+    });
+
+    test('eligibility rules decide who is ranked', () => {
+        const data = {
+            rankings: [
+                { id: 1, commander: 'Alpha', ranking: 1, date: '2025-03-01' },
+                { id: 2, commander: 'Alpha', ranking: 2, date: '2025-03-02' },
+                { id: 3, commander: 'Bravo', ranking: 3, date: '2025-03-01' },
+                { id: 4, commander: 'Leader', ranking: 4, date: '2025-03-01' },
+                { id: 5, commander: 'Leader', ranking: 4, date: '2025-03-02' },
+                { id: 6, commander: 'Gone', ranking: 5, date: '2025-03-02' }
+            ],
+            events: [],
+            eventRankings: [],
+            kudos: [],
+            excusals: []
+        };
+        const manager = new SeasonRankingManager(
+            { isPlayerRemoved: name => name === 'Gone' },
+            { isAllianceLeader: name => name === 'Leader' }
+        );
+        const ranked = eligibility => manager.computeSeasonRankings(data, WEIGHTS, SCORING_RULES, eligibility)
+            .map(ranking => ranking.playerName)
+            .sort();
+
+        expect(ranked(undefined)).toEqual(['Alpha', 'Bravo']);
+        expect(ranked({ excludeRemoved: false, excludeLeaders: false, minDays: 0 })).toEqual(['Alpha', 'Bravo', 'Gone', 'Leader']);
+        expect(ranked({ excludeRemoved: true, excludeLeaders: false, minDays: 2 })).toEqual(['Alpha', 'Leader']);
+    });
+
+    test.describe('saved reports', () => {
+        const originalFrom = supabase.from;
+        let client;
+        let manager;
+
+        test.beforeEach(() => {
+            client = createMockSupabaseClient();
+            supabase.from = client.from;
+
+            manager = new SeasonRankingManager({}, {});
+            manager.setReadOnly(false);
+            // Renamed from "Spring" since its report was saved
+            manager.seasons = [{ ...season('Spring 2025', '2025-03-01', '2025-05-31'), id: 'spring' }];
+            client.seed('seasons', [{ ...manager.seasons[0], season_rankings: [{ count: 1 }] }]);
+            client.seed('season_rankings', [
+                reportRow('spring', 'Spring', 'Alpha', 1),
+                // Saved when no season had this name and these dates
+                reportRow(null, 'Trial', 'Alpha', 1, '2024-01-01', '2024-02-01'),
+                reportRow(null, 'Trial', 'Bravo', 2, '2024-01-01', '2024-02-01')
+            ]);
+        });
+
+        test.afterEach(() => {
+            supabase.from = originalFrom;
+        });
+
+        test("a season's report is saved, found and cleared by the season's id", async () => {
+            const rows = await manager.getSeasonRankings('Spring 2025', '2025-03-01', '2025-05-31');
+            expect(rows.map(row => row.player_name)).toEqual(['Alpha']);
+
+            await manager.saveSeasonRankings('Spring 2025', '2025-03-01', '2025-05-31', [{ playerName: 'Bravo', finalRank: 1 }]);
+            expect(playersOf(client.tables.season_rankings, 'spring')).toEqual(['Bravo']);
+
+            await manager.clearSeasonData('Spring 2025', '2025-03-01', '2025-05-31');
+            expect(playersOf(client.tables.season_rankings, 'spring')).toEqual([]);
+            expect(playersOf(client.tables.season_rankings, null)).toEqual(['Alpha', 'Bravo']);
+        });
+
+        test('reports saved without a season are listed and can be cleared', async () => {
+            const reports = await manager.getAllAvailableSeasonReports();
+            expect(reports.map(report => [report.season_id, report.season_name, report.status, report.players])).toEqual([
+                ['spring', 'Spring 2025', 'draft', 1],
+                [null, 'Trial', 'draft', 2]
+            ]);
+
+            await manager.clearSeasonData('Trial', '2024-01-01', '2024-02-01');
+            expect(playersOf(client.tables.season_rankings, null)).toEqual([]);
+            expect(playersOf(client.tables.season_rankings, 'spring')).toEqual(['Alpha']);
+        });
+
+        test("a report isn't saved over one that couldn't be cleared", async () => {
+            const refused = { eq: () => refused, then: resolve => resolve({ data: null, error: { message: 'permission denied' } }) };
+            supabase.from = table => ({ ...client.from(table), delete: () => refused });
+
+            await expect(manager.saveSeasonRankings('Spring 2025', '2025-03-01', '2025-05-31', [{ playerName: 'Bravo', finalRank: 1 }]))
+                .rejects.toMatchObject({ message: 'permission denied' });
+            expect(playersOf(client.tables.season_rankings, 'spring')).toEqual(['Alpha']);
+        });
+    });
+
+    test('report rows are linked to their season', async () => {
+        const harness = await createPolicyHarness();
+        try {
+            const { rows: [spring] } = await harness.seed(`
+                INSERT INTO seasons (name, start_date, end_date) VALUES ('Spring', '2025-03-01', '2025-05-31') RETURNING id
+            `);
+            await insertRanking(harness, 'Alpha', 1);
+
+            const { rows } = await harness.seed("SELECT season_id FROM season_rankings WHERE player_name = 'Alpha'");
+            expect(rows[0].season_id).toBe(spring.id);
+
+            // Only one season can be current
+            await harness.seed("UPDATE seasons SET status = 'active' WHERE id = $1", [spring.id]);
+            await expect(harness.seed(`
+                INSERT INTO seasons (name, start_date, end_date, status) VALUES ('Summer', '2025-06-01', '2025-08-31', 'active')
+            `)).rejects.toThrow();
+        } finally {
+            await harness.close();
+        }
+    });
+
+    test('a finalized season and its report are locked', async () => {
+        const harness = await createPolicyHarness();
+        try {
+            const { rows: [spring] } = await harness.seed(`
+                INSERT INTO seasons (name, start_date, end_date) VALUES ('Spring', '2025-03-01', '2025-05-31') RETURNING id
+            `);
+
+            // Nothing to finalize yet
+            await expect(harness.seed("UPDATE seasons SET status = 'finalized' WHERE id = $1", [spring.id]))
+                .rejects.toThrow('has no saved report to finalize');
+
+            await insertRanking(harness, 'Alpha', 1);
+            await insertRanking(harness, 'Bravo', 2);
+            await harness.seed("UPDATE seasons SET status = 'finalized', finalized_by = 'r5@example.com' WHERE id = $1", [spring.id]);
+
+            const { rows: [finalized] } = await harness.seed('SELECT finalized_at FROM seasons WHERE id = $1', [spring.id]);
+            expect(finalized.finalized_at).not.toBeNull();
+
+            await expect(harness.seed("UPDATE seasons SET name = 'Spring 2' WHERE id = $1", [spring.id])).rejects.toThrow('is finalized');
+            await expect(harness.seed('DELETE FROM seasons WHERE id = $1', [spring.id])).rejects.toThrow('is finalized');
+
+            await expect(insertRanking(harness, 'Charlie', 3)).rejects.toThrow('is finalized');
+            await expect(harness.seed("UPDATE season_rankings SET final_rank = 1 WHERE player_name = 'Bravo'")).rejects.toThrow('is finalized');
+            await expect(harness.seed("DELETE FROM season_rankings WHERE player_name = 'Bravo'")).rejects.toThrow('is finalized');
+
+            // A rename still follows the player into the final report
+            await harness.seed("UPDATE season_rankings SET player_name = 'Alpha Prime' WHERE player_name = 'Alpha'");
+            const { rows } = await harness.seed('SELECT player_name, final_rank FROM season_rankings ORDER BY final_rank');
+            expect(rows).toEqual([
+                { player_name: 'Alpha Prime', final_rank: 1 },
+                { player_name: 'Bravo', final_rank: 2 }
+            ]);
+        } finally {
+            await harness.close();
+        }
+    });
+});
@@ -0,0 +1,192 @@
+// Service worker tests
+// Runs public/sw.js against in-memory caches and checks that Supabase reads
+// are served from the cache (and the page told so) only when the network
+// fails, that cached rankings are trimmed to the last eight weeks, that
+// writes and the connection check always reach the network, that the app
+// shell opens offline, and that the build precaches its assets under a new
+// shell version while keeping cached data.
+
+import { test, expect } from '@playwright/test';
+import { loadServiceWorker, settle, ORIGIN, SUPABASE, SOURCE } from './pwa/service-worker-scope.js';
+import { injectPrecache } from '../scripts/service-worker-precache.js';
+
+const SHELL_CACHE = 'rankings-shell-dev';
+const DATA_CACHE = 'rankings-data-v1';
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+const json = rows => new Response(JSON.stringify(rows), { headers: { 'Content-Type': 'application/json' } });
+
+test.describe('Service worker', () => {
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    test.describe('Supabase reads', () => {
+        const RANKINGS = `${SUPABASE}/rest/v1/rankings?select=*&order=ranking.asc`;
+
+        test('rankings come from the network and a copy of the last eight weeks is cached', async () => {
+            const worker = loadServiceWorker();
+            const rows = [
+                { day: daysAgo(2), commander: 'Luna' },
+                { day: daysAgo(60), commander: 'Hammer' },
+                { day: 'siege', commander: 'Zoë' }
+            ];
+            worker.network = async () => json(rows);
+
+            const response = await worker.request(RANKINGS);
+
+            expect(await response.json()).toEqual(rows);
+            const cached = await worker.cached(DATA_CACHE, RANKINGS);
+            expect(cached.headers.get('X-Cached-At')).toEqual(expect.any(String));
+            // Older days are dropped; event keys are not dates and stay
+            expect((await cached.json()).map(row => row.commander)).toEqual(['Luna', 'Zoë']);
+        });
+
+        test('tables without a date column are cached whole', async () => {
+            const worker = loadServiceWorker();
+            const rows = [{ name: 'Luna', created_at: '2020-01-01T00:00:00Z' }];
+            worker.network = async () => json(rows);
+
+            await worker.request(`${SUPABASE}/rest/v1/players?select=*`);
+
+            expect(await (await worker.cached(DATA_CACHE, `${SUPABASE}/rest/v1/players?select=*`)).json()).toEqual(rows);
+        });
+
+        test('offline, the cached copy is served and the page is told when it was cached', async () => {
+            const worker = loadServiceWorker({
+                caches: {
+                    [DATA_CACHE]: {
+                        [RANKINGS]: { body: '[{"commander":"Luna"}]', headers: { 'X-Cached-At': '2025-01-14T08:00:00.000Z' } }
+                    }
+                }
+            });
+
+            const response = await worker.request(RANKINGS);
+
+            expect(await response.json()).toEqual([{ commander: 'Luna' }]);
+            expect(worker.messages).toEqual([{
+                clientId: 'page',
+                data: { type: 'cached-data', table: 'rankings', cachedAt: '2025-01-14T08:00:00.000Z' }
+            }]);
+        });
+
+        test('offline with nothing cached, the read fails as a network error', async () => {
+            const worker = loadServiceWorker();
+
+            const response = await worker.request(RANKINGS);
+
+            expect(response.type).toBe('error');
+            expect(worker.messages).toEqual([]);
+        });
+
+        test('a failed response is passed on but not cached', async () => {
+            const worker = loadServiceWorker();
+            worker.network = async () => new Response('{}', { status: 500 });
+
+            expect((await worker.request(RANKINGS)).status).toBe(500);
+            expect(await worker.cached(DATA_CACHE, RANKINGS)).toBeUndefined();
+        });
+
+        test('writes, the connection check and other tables are left to the network', async () => {
+            const worker = loadServiceWorker();
+
+            expect(await worker.request(RANKINGS, { method: 'POST' })).toBeUndefined();
+            expect(await worker.request(`${SUPABASE}/rest/v1/rankings?select=count`)).toBeUndefined();
+            expect(await worker.request(`${SUPABASE}/rest/v1/audit_log?select=*`)).toBeUndefined();
+            expect(await worker.request(`${SUPABASE}/auth/v1/user`)).toBeUndefined();
+        });
+    });
+
+    test.describe('app shell', () => {
+        test('installing caches the shell and activating removes older versions', async () => {
+            const worker = loadServiceWorker({ caches: { 'rankings-shell-v0': {}, 'rankings-data-v0': {} } });
+
+            await worker.install();
+            await worker.activate();
+
+            expect(worker.cacheStorage.get(SHELL_CACHE).added).toEqual(expect.arrayContaining(['/', '/index.html', '/manifest.webmanifest']));
+            expect([...worker.cacheStorage.keys()]).toEqual([SHELL_CACHE]);
+            expect(worker.skippedWaiting && worker.claimed).toBe(true);
+        });
+
+        test('a page opened offline gets the cached index.html', async () => {
+            const worker = loadServiceWorker({ caches: { [SHELL_CACHE]: { '/index.html': { body: 'cached page' } } } });
+
+            const response = await worker.request(`${ORIGIN}/?tab=monday`, { mode: 'navigate' });
+
+            expect(await response.text()).toBe('cached page');
+        });
+
+        test('an online page load refreshes the cached index.html', async () => {
+            const worker = loadServiceWorker({ caches: { [SHELL_CACHE]: { '/index.html': { body: 'old build' } } } });
+            worker.network = async () => new Response('new build');
+
+            expect(await (await worker.request(`${ORIGIN}/`, { mode: 'navigate' })).text()).toBe('new build');
+            await settle();
+
+            expect(await (await worker.cached(SHELL_CACHE, '/index.html')).text()).toBe('new build');
+        });
+
+        test('scripts are served from the cache and refreshed for the next visit', async () => {
+            const SCRIPT = `${ORIGIN}/assets/main.js`;
+            const worker = loadServiceWorker({ caches: { [SHELL_CACHE]: { [SCRIPT]: { body: 'old script' } } } });
+            worker.network = async () => new Response('new script');
+
+            expect(await (await worker.request(SCRIPT)).text()).toBe('old script');
+            await settle();
+
+            expect(await (await worker.cached(SHELL_CACHE, SCRIPT)).text()).toBe('new script');
+        });
+
+        test('a script that was never cached is fetched, and fails cleanly offline', async () => {
+            const SCRIPT = `${ORIGIN}/assets/chunk.js`;
+            const worker = loadServiceWorker();
+
+            expect((await worker.request(SCRIPT)).type).toBe('error');
+
+            worker.network = async () => new Response('chunk');
+            expect(await (await worker.request(SCRIPT)).text()).toBe('chunk');
+        });
+
+        test('requests to other sites are left to the browser', async () => {
+            const worker = loadServiceWorker();
+
+            expect(await worker.request('https://fonts.example/font.woff2')).toBeUndefined();
+        });
+    });
+
+    test.describe('build precache', () => {
+        const ASSETS = ['/assets/index-1a2b3c.js', '/assets/index-4d5e6f.css', '/assets/tesseract-7a8b9c.js'];
+
+        test('the build fills in its cache version and assets', () => {
+            const built = injectPrecache(SOURCE, ASSETS, 'm1abc');
+
+            expect(built).toContain(`const CACHE_VERSION = "m1abc";`);
+            expect(built).toContain(`const BUILD_ASSETS = ${JSON.stringify(ASSETS)};`);
+            expect(built.replace(/^const (CACHE_VERSION|BUILD_ASSETS) = .*;$/gm, '')).toBe(SOURCE.replace(/^const (CACHE_VERSION|BUILD_ASSETS) = .*;$/gm, ''));
+        });
+
+        test('installing a build caches its scripts and styles, so they open offline', async () => {
+            const worker = loadServiceWorker({ source: injectPrecache(SOURCE, ASSETS, 'm1abc') });
+
+            await worker.install();
+
+            expect(worker.cacheStorage.get('rankings-shell-m1abc').added).toEqual(expect.arrayContaining(['/index.html', ...ASSETS]));
+            expect(await (await worker.request(`${ORIGIN}${ASSETS[0]}`)).text()).toBe(`shell ${ASSETS[0]}`);
+        });
+
+        test('the next build drops the previous shell but keeps the cached data', async () => {
+            const worker = loadServiceWorker({
+                source: injectPrecache(SOURCE, ['/assets/index-9z8y7x.js'], 'm2def'),
+                caches: { 'rankings-shell-m1abc': { [ASSETS[0]]: { body: 'old build' } }, [DATA_CACHE]: {} }
+            });
+
+            await worker.install();
+            await worker.activate();
+
+            expect([...worker.cacheStorage.keys()].sort()).toEqual([DATA_CACHE, 'rankings-shell-m2def']);
+        });
+
+        test('a worker without the lines to fill in fails the build', () => {
+            expect(() => injectPrecache(SOURCE.replace('const BUILD_ASSETS', 'let BUILD_ASSETS'), ASSETS, 'm1abc')).toThrow(/BUILD_ASSETS/);
+        });
+    });
+});
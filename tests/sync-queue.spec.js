@@ -0,0 +1,141 @@
+// Offline sync queue tests
+// Replays queued changes against a mock Supabase client whose clock is far
+// from this machine's, and checks conflicts are found from the server's own
+// timestamps, rows deleted on the server are noticed, and a change's audit
+// entry is only kept once the change is applied.
+
+import { test, expect } from '@playwright/test';
+import { createMockSupabaseClient } from './sync/mock-supabase-client.js';
+
+// The queue and the audit log's local fallback live in localStorage
+const storage = new Map();
+const previousStorage = globalThis.localStorage;
+globalThis.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const { SyncQueue } = await import('../src/js/sync-queue.js');
+const { auditLog } = await import('../src/js/audit-log-service.js');
+
+const DAY = { date: '2025-01-14' };
+const ranking = (rank, commander, points) => ({ ...DAY, ranking: rank, commander, points });
+
+test.describe('Offline sync queue', () => {
+    test.skip(({ browserName }) => browserName !== 'chromium', 'Only needs checking once');
+
+    let client;
+    let queue;
+    let conflicts;
+
+    // Queue an offline upload of the day, made from the rows last loaded
+    const queueReplace = (rows, knownRows) => queue.enqueue({
+        table: 'rankings',
+        action: 'replace',
+        match: DAY,
+        rows,
+        knownRows,
+        description: 'Rankings for 2025-01-14',
+        audit: auditLog.entry('replace', 'rankings', DAY.date, null, rows)
+    });
+    const serverDay = () => client.tables.rankings.map(row => row.commander);
+
+    const setUp = (startAt, choice = 'local') => {
+        storage.clear();
+        client = createMockSupabaseClient({ startAt });
+        queue = new SyncQueue(client);
+        conflicts = [];
+        queue.setConflictResolver(async conflict => {
+            conflicts.push(conflict);
+            return choice;
+        });
+
+        // What loading the day does
+        queue.markPulled('rankings', client.seed('rankings', [ranking(1, 'Alpha', 900), ranking(2, 'Bravo', 800)]));
+    };
+
+    test.afterAll(() => {
+        globalThis.localStorage = previousStorage;
+    });
+
+    test('an untouched day replays without a conflict whatever the device clock says', async () => {
+        // The server's clock runs years ahead of this machine's
+        setUp('2030-06-01T12:00:00.000Z');
+        queueReplace([ranking(1, 'Charlie', 950)], 2);
+
+        expect(await queue.replay()).toEqual({ applied: 1, discarded: 0, remaining: 0 });
+        expect(conflicts).toEqual([]);
+        expect(serverDay()).toEqual(['Charlie']);
+    });
+
+    test('a change made on the server after the last load is a conflict', async () => {
+        // ...and here years behind it
+        setUp('2020-06-01T12:00:00.000Z');
+        queueReplace([ranking(1, 'Charlie', 950)], 2);
+        client.change('rankings', { commander: 'Bravo' }, { points: 850 });
+
+        await queue.replay();
+
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0].serverRows.map(row => row.commander)).toEqual(['Bravo']);
+        expect(conflicts[0].deletedCount).toBe(0);
+        expect(serverDay()).toEqual(['Charlie']);
+    });
+
+    test('rows deleted on the server are a conflict for a replace', async () => {
+        setUp('2030-06-01T12:00:00.000Z');
+        queueReplace([ranking(1, 'Charlie', 950)], 2);
+        client.remove('rankings', { commander: 'Bravo' });
+
+        await queue.replay();
+
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0].serverRows).toEqual([]);
+        expect(conflicts[0].deletedCount).toBe(1);
+    });
+
+    test('keeping the server version drops the change and its audit entry', async () => {
+        setUp('2030-06-01T12:00:00.000Z', 'server');
+        queueReplace([ranking(1, 'Charlie', 950)], 2);
+        client.change('rankings', { commander: 'Alpha' }, { points: 990 });
+
+        expect(await queue.replay()).toEqual({ applied: 0, discarded: 1, remaining: 0 });
+        expect(serverDay()).toEqual(['Alpha', 'Bravo']);
+        expect(auditLog.getLocalEntries()).toEqual([]);
+    });
+
+    test("the device's own earlier replayed change isn't a conflict", async () => {
+        setUp('2030-06-01T12:00:00.000Z');
+        queueReplace([ranking(1, 'Charlie', 950)], 2);
+        queueReplace([ranking(1, 'Charlie', 950), ranking(2, 'Delta', 600)], 1);
+
+        expect(await queue.replay()).toEqual({ applied: 2, discarded: 0, remaining: 0 });
+        expect(conflicts).toEqual([]);
+        expect(serverDay()).toEqual(['Charlie', 'Delta']);
+
+        // The shared test client can't take audit entries, so both were kept locally to send later
+        expect(auditLog.getLocalEntries().map(entry => entry.entity_key)).toEqual([DAY.date, DAY.date]);
+    });
+
+    test('a change to rows never loaded conflicts only if rows exist', async () => {
+        setUp('2030-06-01T12:00:00.000Z');
+        const removal = name => queue.enqueue({
+            table: 'removed_players',
+            action: 'upsert',
+            match: { player_name: name },
+            rows: [{ player_name: name, removed_by: 'R4' }],
+            onConflict: 'player_name',
+            description: `Remove ${name}`
+        });
+        client.seed('removed_players', [{ player_name: 'Bravo', removed_by: 'R5' }]);
+        removal('Alpha');
+        removal('Bravo');
+
+        await queue.replay();
+
+        expect(conflicts.map(conflict => conflict.mutation.description)).toEqual(['Remove Bravo']);
+        expect(client.tables.removed_players.map(row => `${row.player_name} by ${row.removed_by}`).sort())
+            .toEqual(['Alpha by R4', 'Bravo by R4']);
+    });
+});
@@ -0,0 +1,162 @@
+// In-memory stand-in for the parts of the Supabase query API the sync queue,
+// the ranking history and the season report queries use. Every write stamps
+// `updated_at` from the mock's own server clock, which can be set far from
+// the clock of the machine running the tests, so conflict checks can be run
+// against a server that disagrees with the device.
+
+class MockQuery {
+    constructor(server, table, action, payload = null, options = {}) {
+        this.server = server;
+        this.table = table;
+        this.action = action;
+        this.payload = payload;
+        this.options = options;
+        this.filters = [];
+    }
+
+    eq(column, value) {
+        this.filters.push([column, value]);
+        return this;
+    }
+
+    match(values) {
+        Object.entries(values).forEach(([column, value]) => this.filters.push([column, value]));
+        return this;
+    }
+
+    // Only `is(column, null)` is used
+    is(column) {
+        this.filters.push([column, null]);
+        return this;
+    }
+
+    order(column) {
+        this.orderBy = column;
+        return this;
+    }
+
+    // Writes only return their rows when asked to, like PostgREST
+    select() {
+        this.returning = true;
+        return this;
+    }
+
+    maybeSingle() {
+        this.single = true;
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.run()).then(resolve, reject);
+    }
+
+    run() {
+        const { server, table } = this;
+        const rows = server.rowsOf(table);
+        const matching = row => this.filters.every(([column, value]) =>
+            (value === null ? row[column] == null : String(row[column]) === String(value)));
+        let written = [];
+
+        switch (this.action) {
+            case 'select': {
+                const data = rows.filter(matching).map(row => ({ ...row }));
+                if (this.orderBy) {
+                    data.sort((a, b) => a[this.orderBy] - b[this.orderBy]);
+                }
+                return { data: this.single ? data[0] ?? null : data, error: null };
+            }
+            case 'update':
+                written = rows.filter(matching);
+                written.forEach(row => Object.assign(row, this.payload, { updated_at: server.now() }));
+                break;
+            case 'delete':
+                written = rows.filter(matching);
+                server.tables[table] = rows.filter(row => !matching(row));
+                break;
+            case 'upsert': {
+                const keys = (this.options.onConflict || 'id').split(',');
+                written = this.payload.map(values => {
+                    const existing = rows.find(row => keys.every(key => String(row[key]) === String(values[key])));
+                    if (existing) {
+                        return Object.assign(existing, values, { updated_at: server.now() });
+                    }
+                    return server.insert(table, values);
+                });
+                break;
+            }
+            case 'insert':
+                written = this.payload.map(values => server.insert(table, values));
+                break;
+        }
+
+        return { data: this.returning ? written.map(row => ({ ...row })) : null, error: null };
+    }
+}
+
+/**
+ * @param {Object} options - { startAt: ISO time the server clock starts from }
+ * @returns {Object} A client with from()/rpc() like supabase-js, plus
+ *   `tables` and seed(table, rows), change(table, match, values) and
+ *   remove(table, match) to make changes the way another session would
+ */
+export function createMockSupabaseClient({ startAt = '2030-06-01T12:00:00.000Z' } = {}) {
+    let clock = new Date(startAt).getTime();
+    let nextId = 1;
+
+    const server = {
+        tables: {},
+
+        // A second per write, so every change has a later stamp
+        now() {
+            clock += 1000;
+            return new Date(clock).toISOString();
+        },
+
+        rowsOf(table) {
+            server.tables[table] ??= [];
+            return server.tables[table];
+        },
+
+        insert(table, values) {
+            const row = { id: nextId++, ...values, created_at: server.now() };
+            row.updated_at = row.created_at;
+            server.rowsOf(table).push(row);
+            return row;
+        }
+    };
+
+    const matchAll = match => row => Object.entries(match).every(([column, value]) => String(row[column]) === String(value));
+
+    return {
+        tables: server.tables,
+
+        from(table) {
+            return {
+                select: () => new MockQuery(server, table, 'select'),
+                insert: rows => new MockQuery(server, table, 'insert', rows),
+                update: values => new MockQuery(server, table, 'update', values),
+                delete: () => new MockQuery(server, table, 'delete'),
+                upsert: (rows, options) => new MockQuery(server, table, 'upsert', rows, options)
+            };
+        },
+
+        // replace_<table>(target, new_rows): delete the matching rows, insert the new ones
+        async rpc(name, { target, new_rows: newRows }) {
+            const table = name.replace(/^replace_/, '');
+            server.tables[table] = server.rowsOf(table).filter(row => !matchAll(target)(row));
+            return { data: newRows.map(values => ({ ...server.insert(table, values) })), error: null };
+        },
+
+        seed(table, rows) {
+            return rows.map(values => ({ ...server.insert(table, values) }));
+        },
+
+        change(table, match, values) {
+            server.rowsOf(table).filter(matchAll(match)).forEach(row => Object.assign(row, values, { updated_at: server.now() }));
+        },
+
+        remove(table, match) {
+            server.tables[table] = server.rowsOf(table).filter(row => !matchAll(match)(row));
+        }
+    };
+}
@@ -0,0 +1,6 @@
+import { defineConfig } from 'vite';
+import { serviceWorkerPrecache } from './scripts/service-worker-precache.js';
+
+export default defineConfig({
+    plugins: [serviceWorkerPrecache()]
+});